@@ -113,6 +113,34 @@ class PlanetaryAudioSystem {
         oscillator.start();
     }
     
+    // Give a planet added at runtime a voice of its own, pitched lower the further out
+    // it orbits like the ones above (semiMajorAxis in AU)
+    addPlanetVoice(planetName, semiMajorAxis) {
+        if (this.planetConfigs[planetName]) return;
+
+        const config = {
+            baseFreq: Math.max(65.41, 261.63 * Math.pow(semiMajorAxis, -0.4)), // From C4 at 1 AU down to C2
+            waveType: 'sine',
+            volume: 0.15,
+            rotationMultiplier: 1.0
+        };
+        this.planetConfigs[planetName] = config;
+        if (this.isInitialized) {
+            this.createPlanetAudio(planetName, config);
+        }
+    }
+
+    // Silence and drop the voice of a planet that has been removed
+    removePlanetVoice(planetName) {
+        if (this.oscillators[planetName]) {
+            this.oscillators[planetName].stop();
+            this.gainNodes[planetName].disconnect();
+            delete this.oscillators[planetName];
+            delete this.gainNodes[planetName];
+        }
+        delete this.planetConfigs[planetName];
+    }
+
     updatePlanetRotation(planetName, rotationSpeed, isVisible = true) {
         if (!this.isInitialized || !this.oscillators[planetName]) return;
         
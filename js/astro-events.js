@@ -0,0 +1,90 @@
+// Astronomical event finder for VantraOrbit
+//
+// Searches the ephemeris for upcoming events (oppositions, solstices) so the
+// timeline can jump straight to them. Events are found by stepping forward until
+// a heliocentric longitude difference crosses zero, then refining by bisection.
+
+class AstroEvents {
+    // Heliocentric ecliptic longitude of a planet in degrees [0, 360)
+    static getHeliocentricLongitude(name, julianDate) {
+        const position = Ephemeris.getPosition(name, julianDate);
+        // Scene axes: ecliptic X is +x, ecliptic Y is -z
+        const longitude = THREE.MathUtils.radToDeg(Math.atan2(-position.z, position.x));
+        return (longitude + 360) % 360;
+    }
+
+    // Wrap an angle in degrees into [-180, 180)
+    static wrapDegrees(angle) {
+        return angle - 360 * Math.floor((angle + 180) / 360);
+    }
+
+    // Find the first time after julianDate where angleFn(t) rises through zero.
+    // angleFn must return a wrapped angle in degrees that increases over time.
+    static findNextCrossing(angleFn, julianDate, stepDays = 2, maxDays = 3650) {
+        let t0 = julianDate;
+        let a0 = angleFn(t0);
+
+        for (let elapsed = stepDays; elapsed <= maxDays; elapsed += stepDays) {
+            const t1 = julianDate + elapsed;
+            const a1 = angleFn(t1);
+
+            // Rising through zero, not the jump from +180 back to -180
+            if (a0 < 0 && a1 >= 0 && a1 - a0 < 180) {
+                let low = t0;
+                let high = t1;
+                for (let i = 0; i < 40; i++) {
+                    const mid = (low + high) / 2;
+                    if (angleFn(mid) < 0) {
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                return (low + high) / 2;
+            }
+
+            t0 = t1;
+            a0 = a1;
+        }
+
+        return null;
+    }
+
+    // Next opposition of an outer planet: Earth overtakes it in heliocentric longitude
+    static findNextOpposition(name, julianDate) {
+        return AstroEvents.findNextCrossing(
+            (t) => AstroEvents.wrapDegrees(
+                AstroEvents.getHeliocentricLongitude('Earth', t) - AstroEvents.getHeliocentricLongitude(name, t)
+            ),
+            julianDate + 1
+        );
+    }
+
+    // Next June or December solstice, whichever comes first.
+    // The Sun's geocentric longitude is Earth's heliocentric longitude + 180, measured
+    // from the equinox of date, so J2000 longitudes are corrected for precession.
+    static findNextSolstice(julianDate) {
+        const longitudeOfDate = (t) => {
+            const T = (t - SimulationClock.J2000) / SimulationClock.DAYS_PER_CENTURY;
+            return AstroEvents.getHeliocentricLongitude('Earth', t) + AstroEvents.PRECESSION_PER_CENTURY * T;
+        };
+        const solsticeAt = (earthLongitude) => AstroEvents.findNextCrossing(
+            (t) => AstroEvents.wrapDegrees(longitudeOfDate(t) - earthLongitude),
+            julianDate + 1,
+            2,
+            400
+        );
+
+        const june = solsticeAt(270);
+        const december = solsticeAt(90);
+        if (june === null) return december;
+        if (december === null) return june;
+        return Math.min(june, december);
+    }
+}
+
+// General precession in ecliptic longitude, degrees per Julian century
+AstroEvents.PRECESSION_PER_CENTURY = 1.3969713;
+
+// Export the class
+window.AstroEvents = AstroEvents;
@@ -0,0 +1,484 @@
+// Body catalogs for VantraOrbit
+//
+// The planets, dwarf planets and moons are read from a versioned JSON catalog
+// (catalogs/solar-system.json by default, or ?catalog=<path>), so the data can be
+// maintained or swapped without touching the rendering code:
+//
+// {
+//     "catalog": "Solar System",
+//     "version": 1,
+//     "planets": [
+//         {
+//             "name": "Mars",
+//             "type": "Terrestrial",
+//             "radius": 3389.5,
+//             "mass": 6.4171e23,
+//             "semiMajorAxis": 1.52371034,
+//             "period": 686.98,
+//             "axialTilt": 25.19,
+//             "albedo": 0.17,
+//             "texture": "textures/mars.jpg",
+//             "fallbackColor": "#cd5c5c",
+//             "description": "The red planet...",
+//             "rotation": { "period": 24.6229, "pole": { "ra": 317.27, "dec": 54.43 }, "primeMeridian": 176.05 },
+//             "moons": [
+//                 {
+//                     "name": "Phobos",
+//                     "radius": 11.08,
+//                     "mass": 1.0659e16,
+//                     "semiMajorAxis": 9376,
+//                     "period": 0.31891023,
+//                     "sceneDistance": 3.5,
+//                     "orbit": { "eccentricity": 0.0151, "inclination": 1.075, "argumentOfPerihelion": 150.057, "meanAnomalyAtEpoch": 91.059 }
+//                 }
+//             ]
+//         }
+//     ],
+//     "dwarfPlanets": [...]
+// }
+//
+// Every body needs a name, its mean radius in km, mass in kg, semi-major axis
+// (AU around the Sun, km around a planet) and sidereal orbital period in days. The
+// rest is optional: type, axialTilt (obliquity to the orbit, degrees), geometric
+// albedo, mean temperature (kelvin, at the 1 bar level for giant planets), texture
+// path, fallbackColor (surface colour when there is no texture), description and
+// moons, and for a dwarf planet its shape ([x, y, z] scale factors, like Haumea's).
+// Planets and dwarf planets may give knownMoons, the number of moons discovered, when
+// the catalog lists only some of them.
+//
+// orbit holds the J2000 elements in degrees: eccentricity, inclination,
+// longitudeOfAscendingNode, argumentOfPerihelion and meanAnomalyAtEpoch (each 0 if
+// left out), plus optional nodeRate and periapsisRate precession in degrees per day.
+// Planets the ephemeris knows (Mercury to Neptune) may leave it out and follow the
+// ephemeris for the current date instead; dwarf planets and moons need one. Moon
+// orbits are measured against the parent's equator unless referencePlane is
+// "ecliptic", and moons give the sceneDistance they are drawn at, chosen to clear the
+// inflated planets.
+//
+// rotation is the IAU north pole (RA/Dec, degrees; the ecliptic pole if unmeasured),
+// the prime meridian at J2000 and the sidereal period in hours, negative for
+// retrograde spin. It is required around the Sun; moons without one spin
+// synchronously. Validation collects every problem with its location (e.g.
+// "planets[3].moons[0].radius").
+//
+// A catalog for another star gives it a "star" block, in solar units as exoplanet
+// catalogs list them:
+//
+//     "star": { "name": "TRAPPIST-1", "type": "M8V red dwarf", "radius": 0.1192,
+//               "mass": 0.0898, "temperature": 2566, "luminosity": 0.000553 }
+//
+// radius and mass are relative to the Sun's, temperature is the effective
+// temperature in kelvin and luminosity is relative to the Sun's (worked out from the
+// radius and temperature if left out). color overrides the colour the temperature
+// gives, distance is how far the star is from us in light-years, and description is
+// shown in the info panel. A catalog without a star is the Solar System.
+//
+// The bundled catalog takes poles and rotation from the IAU 2015 report, the Moon's
+// mean elements (with its regressing node and advancing perigee) from Meeus,
+// Astronomical Algorithms ch. 47, and the other dwarf planet elements from the JPL
+// Small-Body Database, with Standish's approximate elements for Pluto. Phases of the
+// moons other than our own are approximate. Triton's and Charon's inclinations are
+// past 90 degrees: Triton orbits against Neptune's spin, and Pluto's IAU north pole
+// lies south of its orbit. Mean temperatures follow the NASA planetary fact sheets, and
+// knownMoons counts the moons confirmed by 2025.
+//
+// The other bundled systems (catalogs/trappist-1.json, kepler-90.json and
+// 55-cancri.json) take their stars and planets from the NASA Exoplanet Archive. Their
+// orbits are measured against the plane we see the system edge-on in, their phases
+// are arbitrary, and masses, radii and spins that have not been measured are
+// estimates, as each file says.
+
+class BodyCatalog {
+    // Check a whole catalog. Returns { name, star, planets, dwarfPlanets, errors }; the
+    // bodies are the definitions SolarSystem loads, star is null for the Solar System,
+    // and everything is only usable when errors is empty.
+    static validate(catalog) {
+        const errors = [];
+        const result = { name: null, star: null, planets: [], dwarfPlanets: [], errors: errors };
+
+        if (!JsonValidator.isObject(catalog)) {
+            errors.push(I18n.t('validator.catalog'));
+            return result;
+        }
+        JsonValidator.checkKeys(catalog, BodyCatalog.CATALOG_KEYS, 'catalog', errors);
+        if (catalog.catalog !== undefined && typeof catalog.catalog !== 'string') {
+            errors.push(I18n.t('validator.catalogName', { path: 'catalog' }));
+        }
+        if (catalog.version !== BodyCatalog.VERSION) {
+            errors.push(I18n.t('validator.version', { path: 'version', version: BodyCatalog.VERSION, got: JSON.stringify(catalog.version) }));
+            return result;
+        }
+        if (!Array.isArray(catalog.planets) || catalog.planets.length === 0) {
+            errors.push(I18n.t('validator.planets', { path: 'planets' }));
+            return result;
+        }
+        if (catalog.dwarfPlanets !== undefined && !Array.isArray(catalog.dwarfPlanets)) {
+            errors.push(I18n.t('validator.list', { path: 'dwarfPlanets' }));
+        }
+
+        const names = new Set();
+        if (catalog.star !== undefined) {
+            result.star = BodyCatalog.validateStar(catalog.star, 'star', errors);
+            if (result.star) names.add(result.star.name);
+        }
+        result.planets = catalog.planets.map((body, index) =>
+            BodyCatalog.validateBody(body, 'planet', `planets[${index}]`, names, errors));
+        result.dwarfPlanets = (Array.isArray(catalog.dwarfPlanets) ? catalog.dwarfPlanets : []).map((body, index) =>
+            BodyCatalog.validateBody(body, 'dwarfPlanet', `dwarfPlanets[${index}]`, names, errors));
+        result.name = catalog.catalog || null;
+        return result;
+    }
+
+    // Check one body; kind is 'planet', 'dwarfPlanet' or 'moon'. Returns the definition,
+    // or null if anything is wrong.
+    static validateBody(body, kind, path, names, errors) {
+        if (!JsonValidator.isObject(body)) {
+            errors.push(I18n.t('validator.body', { path: path }));
+            return null;
+        }
+        const count = errors.length;
+        const moon = kind === 'moon';
+        JsonValidator.checkKeys(body, moon ? BodyCatalog.MOON_KEYS : BodyCatalog.BODY_KEYS, path, errors);
+
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) {
+            errors.push(I18n.t('validator.name', { path: `${path}.name` }));
+        } else if (names.has(name) || name === 'Sun') {
+            errors.push(I18n.t('validator.bodyName', { path: `${path}.name`, name: name }));
+        }
+        names.add(name);
+
+        const radius = JsonValidator.checkNumber(body.radius, `${path}.radius`, 'km', Number.MIN_VALUE, Infinity, errors, true);
+        const mass = JsonValidator.checkNumber(body.mass, `${path}.mass`, 'kg', Number.MIN_VALUE, Infinity, errors, true);
+        const semiMajorAxis = JsonValidator.checkNumber(body.semiMajorAxis, `${path}.semiMajorAxis`, moon ? 'km' : 'au',
+            Number.MIN_VALUE, Infinity, errors, true);
+        const period = JsonValidator.checkNumber(body.period, `${path}.period`, 'days', Number.MIN_VALUE, Infinity, errors, true);
+        const axialTilt = JsonValidator.checkNumber(body.axialTilt, `${path}.axialTilt`, 'degrees', 0, 180, errors);
+        const albedo = JsonValidator.checkNumber(body.albedo, `${path}.albedo`, '', 0, 1, errors);
+        const temperature = JsonValidator.checkNumber(body.temperature, `${path}.temperature`, 'kelvin', Number.MIN_VALUE, Infinity, errors);
+        let knownMoons = null;
+        if (body.knownMoons !== undefined && moon) {
+            errors.push(I18n.t('validator.moonMoons', { path: `${path}.knownMoons` }));
+        } else if (body.knownMoons !== undefined && !(Number.isInteger(body.knownMoons) && body.knownMoons >= 0)) {
+            errors.push(I18n.t('validator.knownMoons', { path: `${path}.knownMoons`, got: JSON.stringify(body.knownMoons) }));
+        } else if (body.knownMoons !== undefined) {
+            knownMoons = body.knownMoons;
+        }
+
+        ['type', 'texture', 'description'].forEach(key => {
+            if (body[key] !== undefined && typeof body[key] !== 'string') {
+                errors.push(I18n.t('validator.textGot', { path: `${path}.${key}`, got: JSON.stringify(body[key]) }));
+            }
+        });
+
+        let fallbackColor = BodyCatalog.DEFAULT_COLOR;
+        if (body.fallbackColor !== undefined) {
+            if (typeof body.fallbackColor === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(body.fallbackColor)) {
+                fallbackColor = new THREE.Color(body.fallbackColor).getHex();
+            } else {
+                errors.push(I18n.t('validator.color', { path: `${path}.fallbackColor`, example: '#cd5c5c', got: JSON.stringify(body.fallbackColor) }));
+            }
+        }
+
+        let shape = null;
+        if (body.shape !== undefined && kind !== 'dwarfPlanet') {
+            errors.push(I18n.t('validator.shapeKind', { path: `${path}.shape` }));
+        } else if (body.shape !== undefined) {
+            if (Array.isArray(body.shape) && body.shape.length === 3 &&
+                body.shape.every(value => typeof value === 'number' && value > 0 && value <= 1)) {
+                shape = body.shape;
+            } else {
+                errors.push(I18n.t('validator.shape', { path: `${path}.shape` }));
+            }
+        }
+
+        let orbit = null;
+        if (body.orbit !== undefined) {
+            orbit = BodyCatalog.validateOrbit(body.orbit, `${path}.orbit`, errors);
+            if (orbit) Object.assign(orbit, { semiMajorAxis: semiMajorAxis, period: period });
+        } else if (kind !== 'planet' || !Ephemeris.PLANETS[name]) {
+            errors.push(kind === 'planet' ?
+                I18n.t('validator.orbitEphemeris', { path: `${path}.orbit`, planets: Object.keys(Ephemeris.PLANETS).join(', ') }) :
+                I18n.t('validator.orbit', { path: `${path}.orbit` }));
+        }
+
+        let rotation = null;
+        if (body.rotation !== undefined) {
+            rotation = BodyCatalog.validateRotation(body.rotation, `${path}.rotation`, errors);
+        } else if (!moon) {
+            errors.push(I18n.t('validator.rotation', { path: `${path}.rotation` }));
+        }
+        if (rotation) rotation.axialTilt = axialTilt !== null ? axialTilt : undefined;
+
+        let referencePlane = 'equator';
+        let sceneDistance = null;
+        if (moon) {
+            if (body.referencePlane !== undefined) {
+                if (BodyCatalog.REFERENCE_PLANES.includes(body.referencePlane)) {
+                    referencePlane = body.referencePlane;
+                } else {
+                    errors.push(I18n.t('validator.referencePlane', { path: `${path}.referencePlane`, got: JSON.stringify(body.referencePlane) }));
+                }
+            }
+            sceneDistance = JsonValidator.checkNumber(body.sceneDistance, `${path}.sceneDistance`, 'sceneUnits',
+                Number.MIN_VALUE, Infinity, errors, true);
+        }
+
+        let moons = [];
+        if (body.moons !== undefined) {
+            if (moon) {
+                errors.push(I18n.t('validator.moonMoons', { path: `${path}.moons` }));
+            } else if (!Array.isArray(body.moons)) {
+                errors.push(I18n.t('validator.list', { path: `${path}.moons` }));
+            } else {
+                moons = body.moons.map((child, index) =>
+                    BodyCatalog.validateBody(child, 'moon', `${path}.moons[${index}]`, names, errors));
+            }
+        }
+
+        if (errors.length > count) return null;
+
+        const entry = { ...body };
+        delete entry.moons;
+        return {
+            name: name,
+            // Radius relative to Earth's, which sizes everything in the scene
+            size: radius / BodyCatalog.EARTH_RADIUS_KM,
+            semiMajorAxis: semiMajorAxis,
+            texturePath: body.texture || null,
+            fallbackColor: fallbackColor,
+            shape: shape,
+            orbit: orbit,
+            rotation: rotation,
+            referencePlane: referencePlane,
+            distance: sceneDistance,
+            moons: moons,
+            // Shown in the info panel
+            data: {
+                type: body.type || BodyCatalog.DEFAULT_TYPES[kind],
+                radius: radius,
+                mass: mass,
+                orbitalPeriod: period,
+                albedo: albedo,
+                temperature: temperature,
+                knownMoons: knownMoons,
+                description: body.description || null
+            },
+            // The catalog entry itself, without the moons, for SolarSystem.getBody
+            definition: JSON.parse(JSON.stringify(entry))
+        };
+    }
+
+    // Check the star block. Returns the star in the shape of SolarSystem.SUN, or null.
+    static validateStar(star, path, errors) {
+        if (!JsonValidator.isObject(star)) {
+            errors.push(I18n.t('validator.star', { path: path }));
+            return null;
+        }
+        const count = errors.length;
+        JsonValidator.checkKeys(star, BodyCatalog.STAR_KEYS, path, errors);
+
+        const name = typeof star.name === 'string' ? star.name.trim() : '';
+        if (!name) {
+            errors.push(I18n.t('validator.name', { path: `${path}.name` }));
+        } else if (name === 'Sun') {
+            errors.push(I18n.t('validator.starSun', { path: `${path}.name` }));
+        }
+        const radius = JsonValidator.checkNumber(star.radius, `${path}.radius`, 'solarRadii', Number.MIN_VALUE, Infinity, errors, true);
+        const mass = JsonValidator.checkNumber(star.mass, `${path}.mass`, 'solarMasses', Number.MIN_VALUE, Infinity, errors, true);
+        const temperature = JsonValidator.checkNumber(star.temperature, `${path}.temperature`, 'kelvin',
+            BodyCatalog.MIN_STAR_TEMPERATURE, BodyCatalog.MAX_STAR_TEMPERATURE, errors, true);
+        const luminosity = JsonValidator.checkNumber(star.luminosity, `${path}.luminosity`, 'solarLuminosities',
+            Number.MIN_VALUE, Infinity, errors);
+        const distance = JsonValidator.checkNumber(star.distance, `${path}.distance`, 'lightYears', 0, Infinity, errors);
+
+        ['type', 'description'].forEach(key => {
+            if (star[key] !== undefined && typeof star[key] !== 'string') {
+                errors.push(I18n.t('validator.textGot', { path: `${path}.${key}`, got: JSON.stringify(star[key]) }));
+            }
+        });
+        let color = null;
+        if (star.color !== undefined) {
+            if (typeof star.color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(star.color)) {
+                color = new THREE.Color(star.color).getHex();
+            } else {
+                errors.push(I18n.t('validator.color', { path: `${path}.color`, example: '#ffcc88', got: JSON.stringify(star.color) }));
+            }
+        }
+        if (errors.length > count) return null;
+
+        return {
+            name: name,
+            type: star.type || 'Star',
+            radius: radius,
+            mass: mass,
+            temperature: temperature,
+            // Stefan-Boltzmann: L = R^2 T^4, in solar units
+            luminosity: luminosity !== null ? luminosity :
+                radius * radius * Math.pow(temperature / BodyCatalog.SUN_TEMPERATURE, 4),
+            color: color !== null ? color : BodyCatalog.getStarColor(temperature),
+            distance: distance,
+            description: star.description || null
+        };
+    }
+
+    // Approximate colour of a black body at the given temperature in kelvin (Tanner
+    // Helland's fit to the CIE colour matching functions), as a hex number
+    static getStarColor(temperature) {
+        const t = THREE.MathUtils.clamp(temperature, 1000, 40000) / 100;
+        const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+        const green = t <= 66 ?
+            99.4708025861 * Math.log(t) - 161.1195681661 :
+            288.1221695283 * Math.pow(t - 60, -0.0755148492);
+        const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+
+        const channel = value => THREE.MathUtils.clamp(value, 0, 255) / 255;
+        return new THREE.Color(channel(red), channel(green), channel(blue)).getHex();
+    }
+
+    // Check a body added at runtime (SolarSystem.addBody): a catalog entry, plus the
+    // name of the parent for a moon and "kind": "dwarfPlanet" for a dwarf planet. names
+    // holds the bodies already in the scene. Returns { body, kind, parent, errors };
+    // whether the parent exists is for the caller to check.
+    static validateEntry(definition, names, path = 'body') {
+        const errors = [];
+        if (!JsonValidator.isObject(definition)) {
+            errors.push(I18n.t('validator.body', { path: path }));
+            return { body: null, kind: null, parent: null, errors: errors };
+        }
+
+        const { parent = null, kind = parent === null ? 'planet' : 'moon', ...entry } = definition;
+        if (parent !== null && (typeof parent !== 'string' || !parent.trim())) {
+            errors.push(I18n.t('validator.bodyParent', { path: `${path}.parent`, got: JSON.stringify(parent) }));
+        }
+        if (!BodyCatalog.KINDS.includes(kind)) {
+            errors.push(I18n.t('validator.kind', { path: `${path}.kind`, kinds: BodyCatalog.KINDS.join(', '), got: JSON.stringify(kind) }));
+        } else if ((kind === 'moon') !== (parent !== null)) {
+            errors.push(I18n.t(kind === 'moon' ? 'validator.moonParent' : 'validator.parentKind', { path: `${path}.parent` }));
+        }
+        if (errors.length > 0) return { body: null, kind: null, parent: null, errors: errors };
+
+        const body = BodyCatalog.validateBody(entry, kind, path, names, errors);
+        return { body: body, kind: kind, parent: parent && parent.trim(), errors: errors };
+    }
+
+    // A planet's J2000 ephemeris elements as a catalog orbit, for when it is given a
+    // semi-major axis or period of its own and leaves the ephemeris
+    static getEphemerisOrbit(name) {
+        const elements = Ephemeris.getElements(name, SimulationClock.J2000);
+        const angle = value => ((value % 360) + 360) % 360;
+        // Earth's tiny negative inclination is the same orbit with the node turned around
+        const flip = elements.inclination < 0 ? 180 : 0;
+        return {
+            eccentricity: elements.eccentricity,
+            inclination: Math.abs(elements.inclination),
+            longitudeOfAscendingNode: angle(elements.longitudeOfAscendingNode + flip),
+            argumentOfPerihelion: angle(elements.argumentOfPerihelion - flip),
+            meanAnomalyAtEpoch: angle(elements.meanAnomalyAtEpoch)
+        };
+    }
+
+    static validateOrbit(orbit, path, errors) {
+        if (!JsonValidator.isObject(orbit)) {
+            errors.push(I18n.t('validator.orbitElements', { path: path }));
+            return null;
+        }
+        JsonValidator.checkKeys(orbit, BodyCatalog.ORBIT_KEYS, path, errors);
+
+        const count = errors.length;
+        const eccentricity = JsonValidator.checkNumber(orbit.eccentricity, `${path}.eccentricity`, '', 0, BodyCatalog.MAX_ECCENTRICITY, errors);
+        const inclination = JsonValidator.checkNumber(orbit.inclination, `${path}.inclination`, 'degrees', 0, 180, errors);
+        const angles = {};
+        BodyCatalog.ANGLE_KEYS.forEach(key => {
+            angles[key] = JsonValidator.checkNumber(orbit[key], `${path}.${key}`, 'degrees', -360, 360, errors);
+        });
+        const nodeRate = JsonValidator.checkNumber(orbit.nodeRate, `${path}.nodeRate`, 'degreesPerDay', -360, 360, errors);
+        const periapsisRate = JsonValidator.checkNumber(orbit.periapsisRate, `${path}.periapsisRate`, 'degreesPerDay', -360, 360, errors);
+        if (errors.length > count) return null;
+
+        return {
+            eccentricity: eccentricity || 0,
+            inclination: inclination || 0,
+            longitudeOfAscendingNode: angles.longitudeOfAscendingNode || 0,
+            argumentOfPerihelion: angles.argumentOfPerihelion || 0,
+            meanAnomalyAtEpoch: angles.meanAnomalyAtEpoch || 0,
+            nodeRate: nodeRate || 0,
+            periapsisRate: periapsisRate || 0
+        };
+    }
+
+    static validateRotation(rotation, path, errors) {
+        if (!JsonValidator.isObject(rotation)) {
+            errors.push(I18n.t('validator.rotationPeriod', { path: path }));
+            return null;
+        }
+        JsonValidator.checkKeys(rotation, BodyCatalog.ROTATION_KEYS, path, errors);
+
+        const count = errors.length;
+        const period = JsonValidator.checkNumber(rotation.period, `${path}.period`, 'hours', -Infinity, Infinity, errors, true);
+        if (period === 0) errors.push(I18n.t('validator.zeroPeriod', { path: `${path}.period` }));
+
+        let pole = SolarSystem.ECLIPTIC_POLE;
+        if (rotation.pole !== undefined) {
+            if (JsonValidator.isObject(rotation.pole)) {
+                JsonValidator.checkKeys(rotation.pole, ['ra', 'dec'], `${path}.pole`, errors);
+                const ra = JsonValidator.checkNumber(rotation.pole.ra, `${path}.pole.ra`, 'degrees', 0, 360, errors, true);
+                const dec = JsonValidator.checkNumber(rotation.pole.dec, `${path}.pole.dec`, 'degrees', -90, 90, errors, true);
+                pole = { ra: ra, dec: dec };
+            } else {
+                errors.push(I18n.t('validator.pole', { path: `${path}.pole` }));
+            }
+        }
+        const primeMeridian = JsonValidator.checkNumber(rotation.primeMeridian, `${path}.primeMeridian`, 'degrees', 0, 360, errors);
+        if (errors.length > count) return null;
+
+        return { rotationPeriod: period, pole: pole, primeMeridian: primeMeridian || 0 };
+    }
+
+    // JSON text to a validated catalog; syntax errors become validation errors
+    static parse(text) {
+        try {
+            return BodyCatalog.validate(JSON.parse(text));
+        } catch (error) {
+            return { name: null, star: null, planets: [], dwarfPlanets: [], errors: [I18n.t('validator.notJson', { message: error.message })] };
+        }
+    }
+
+    static readFile(file) {
+        return file.text().then(text => BodyCatalog.parse(text));
+    }
+
+    // Loaded through three.js rather than fetch, which can't read the files of the
+    // desktop and mobile builds
+    static load(url) {
+        return new Promise(resolve => {
+            new THREE.FileLoader().load(url,
+                text => resolve(BodyCatalog.parse(text)),
+                undefined,
+                () => resolve({ name: null, star: null, planets: [], dwarfPlanets: [], errors: [I18n.t('validator.notLoaded', { url: url })] }));
+        });
+    }
+}
+
+BodyCatalog.VERSION = 1;
+BodyCatalog.CATALOG_KEYS = ['catalog', 'version', 'star', 'planets', 'dwarfPlanets'];
+BodyCatalog.STAR_KEYS = ['name', 'type', 'radius', 'mass', 'temperature', 'luminosity', 'color', 'distance', 'description'];
+BodyCatalog.BODY_KEYS = ['name', 'type', 'radius', 'mass', 'semiMajorAxis', 'period', 'axialTilt', 'albedo',
+    'temperature', 'knownMoons', 'texture', 'fallbackColor', 'description', 'shape', 'orbit', 'rotation', 'moons'];
+BodyCatalog.MOON_KEYS = [...BodyCatalog.BODY_KEYS, 'referencePlane', 'sceneDistance'];
+BodyCatalog.ANGLE_KEYS = ['longitudeOfAscendingNode', 'argumentOfPerihelion', 'meanAnomalyAtEpoch'];
+BodyCatalog.ORBIT_KEYS = ['eccentricity', 'inclination', ...BodyCatalog.ANGLE_KEYS, 'nodeRate', 'periapsisRate'];
+BodyCatalog.ROTATION_KEYS = ['period', 'pole', 'primeMeridian'];
+BodyCatalog.REFERENCE_PLANES = ['equator', 'ecliptic'];
+BodyCatalog.KINDS = ['planet', 'dwarfPlanet', 'moon'];
+BodyCatalog.DEFAULT_TYPES = { planet: 'Planet', dwarfPlanet: 'Dwarf Planet', moon: 'Moon' };
+BodyCatalog.DEFAULT_COLOR = 0x888888;
+BodyCatalog.MAX_ECCENTRICITY = 0.99;
+BodyCatalog.EARTH_RADIUS_KM = 6371;
+// The Sun's effective temperature in kelvin, and the range of stars accepted
+BodyCatalog.SUN_TEMPERATURE = 5772;
+BodyCatalog.MIN_STAR_TEMPERATURE = 2000;
+BodyCatalog.MAX_STAR_TEMPERATURE = 50000;
+
+// Export the class
+window.BodyCatalog = BodyCatalog;
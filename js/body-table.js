@@ -0,0 +1,317 @@
+// Body data table for VantraOrbit
+//
+// Lists every planet, dwarf planet and moon with its physical data, sortable by any
+// column and filtered by name, type or kind. Surface gravity, density and escape
+// velocity are worked out from the catalog mass and mean radius. Bodies without a
+// measured mean temperature get their equilibrium temperature, marked "≈": the
+// temperature of a fast-spinning body that absorbs the starlight its albedo leaves,
+// ignoring any greenhouse warming.
+//
+// Clicking a row selects the body and flies the camera to it. Ticking two rows
+// compares them side by side, with the ratios spelled out ("Jupiter is 318× Earth's
+// mass").
+
+class BodyTable {
+    constructor(app) {
+        this.app = app;
+        this.sortKey = null;
+        this.sortDirection = 1;
+        // Names of the bodies being compared, oldest first
+        this.compared = [];
+
+        this.panel = document.getElementById('bodyTablePanel');
+        this.toggleButton = document.getElementById('bodyTableToggle');
+        this.closeButton = document.getElementById('bodyTableClose');
+        this.filterInput = document.getElementById('bodyTableFilter');
+        this.kindSelect = document.getElementById('bodyTableKind');
+        this.table = document.getElementById('bodyTable');
+        this.comparison = document.getElementById('bodyComparison');
+
+        this.init();
+    }
+
+    init() {
+        if (!this.panel) return;
+
+        this.toggleButton.addEventListener('click', () => {
+            if (this.panel.style.display === 'none') {
+                this.open();
+            } else {
+                this.close();
+            }
+        });
+        this.closeButton.addEventListener('click', () => this.close());
+        this.filterInput.addEventListener('input', () => this.draw());
+        this.kindSelect.addEventListener('change', () => this.draw());
+    }
+
+    open() {
+        this.panel.style.display = 'block';
+        this.toggleButton.classList.add('active');
+        this.refresh();
+    }
+
+    close() {
+        this.panel.style.display = 'none';
+        this.toggleButton.classList.remove('active');
+    }
+
+    isOpen() {
+        return Boolean(this.panel) && this.panel.style.display !== 'none';
+    }
+
+    // Redraw after the bodies, the star, the units or the language change
+    refresh() {
+        if (!this.isOpen()) return;
+        this.compared = this.compared.filter(name => this.app.findCatalogBody(name));
+        this.draw();
+    }
+
+    // Raw values for every column, in SI-style units: kg, km, m/s², g/cm³, km/s, hours,
+    // days and kelvin. Values that don't apply are null.
+    getStats(body) {
+        const data = body.userData;
+        const parent = data.parentBody || null;
+        const radiusMetres = data.radius * 1000;
+        const gravitationalParameter = BodyTable.G * data.mass;
+        const shownMoons = this.app.planets.filter(moon => moon.userData.parentBody === body).length;
+
+        let temperature = typeof data.temperature === 'number' ? data.temperature : null;
+        const estimated = temperature === null;
+        if (estimated) {
+            // Moons share their planet's distance from the star
+            const orbiting = parent || body;
+            const distance = orbiting.userData.elements.semiMajorAxis;
+            const albedo = typeof data.albedo === 'number' ? data.albedo : BodyTable.DEFAULT_ALBEDO;
+            temperature = BodyTable.EQUILIBRIUM_TEMPERATURE_AT_1_AU *
+                Math.pow(this.app.star.luminosity * (1 - albedo), 0.25) / Math.sqrt(distance);
+        }
+
+        let moons = null;
+        if (data.bodyKind !== 'moon') {
+            moons = typeof data.knownMoons === 'number' ? Math.max(data.knownMoons, shownMoons) : shownMoons;
+        }
+
+        return {
+            body: body,
+            name: data.name,
+            // Names and types as shown, in the interface language
+            label: this.app.getBodyName(data.name),
+            type: data.type ? I18n.translate('types', data.type) : I18n.t('info.unknown'),
+            kind: data.bodyKind,
+            parent: parent ? this.app.getBodyName(parent.userData.name) : null,
+            mass: data.mass,
+            radius: data.radius,
+            gravity: gravitationalParameter / (radiusMetres * radiusMetres),
+            // kg/m³ to g/cm³
+            density: data.mass / (4 / 3 * Math.PI * Math.pow(radiusMetres, 3)) / 1000,
+            escapeVelocity: Math.sqrt(2 * gravitationalParameter / radiusMetres) / 1000,
+            day: data.rotationPeriod !== undefined ? Math.abs(data.rotationPeriod) : null,
+            year: data.orbitalPeriod !== undefined ? data.orbitalPeriod : null,
+            temperature: temperature,
+            temperatureEstimated: estimated,
+            moons: moons,
+            shownMoons: shownMoons
+        };
+    }
+
+    // The rows that pass the filters, in the chosen order (catalog order until a
+    // column is picked). Bodies with no value for the sort column go last.
+    getRows() {
+        const text = this.filterInput.value.trim().toLowerCase();
+        const kind = this.kindSelect.value;
+        const rows = this.app.listBodies()
+            .map(entry => this.getStats(this.app.findCatalogBody(entry.name)))
+            .filter(stats => !kind || stats.kind === kind)
+            .filter(stats => !text || [stats.name, stats.label, stats.type, stats.parent || ''].some(value =>
+                value.toLowerCase().includes(text)));
+
+        if (this.sortKey) {
+            const key = this.sortKey;
+            rows.sort((a, b) => {
+                if (a[key] === null || b[key] === null) return (a[key] === null) - (b[key] === null);
+                const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key], I18n.locale) : a[key] - b[key];
+                return order * this.sortDirection;
+            });
+        }
+        return rows;
+    }
+
+    draw() {
+        const rows = this.getRows();
+        this.table.innerHTML = '';
+
+        const header = this.table.createTHead().insertRow();
+        const compareHeader = document.createElement('th');
+        compareHeader.textContent = I18n.t('table.compare');
+        header.appendChild(compareHeader);
+        BodyTable.COLUMNS.forEach(column => {
+            const label = I18n.t(`table.column.${column.key}`);
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            if (column.key === this.sortKey) cell.textContent += this.sortDirection > 0 ? ' ▲' : ' ▼';
+            cell.title = I18n.t('table.sortBy', { column: label });
+            cell.addEventListener('click', () => this.sortBy(column.key));
+            header.appendChild(cell);
+        });
+
+        const tbody = this.table.createTBody();
+        rows.forEach(stats => {
+            const row = tbody.insertRow();
+            if (stats.body === this.app.currentPlanet) row.classList.add('selected');
+            row.title = I18n.t('table.flyTo', { name: stats.label });
+            row.addEventListener('click', () => this.selectBody(stats.name));
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.compared.includes(stats.name);
+            checkbox.title = I18n.t('table.compareBody', { name: stats.label });
+            // Ticking a box compares without flying off
+            checkbox.addEventListener('click', event => event.stopPropagation());
+            checkbox.addEventListener('change', () => this.toggleCompared(stats.name, checkbox.checked));
+            row.insertCell().appendChild(checkbox);
+
+            BodyTable.COLUMNS.forEach(column => {
+                row.insertCell().textContent = this.formatValue(column.key, stats);
+            });
+        });
+
+        if (rows.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = BodyTable.COLUMNS.length + 1;
+            cell.textContent = I18n.t('table.noMatch');
+        }
+
+        this.drawComparison();
+    }
+
+    // A second click on the same column reverses the order
+    sortBy(key) {
+        if (this.sortKey === key) {
+            this.sortDirection = -this.sortDirection;
+        } else {
+            this.sortKey = key;
+            this.sortDirection = 1;
+        }
+        this.draw();
+    }
+
+    // Up to two bodies at a time; ticking a third drops the oldest
+    toggleCompared(name, compared) {
+        this.compared = this.compared.filter(other => other !== name);
+        if (compared) this.compared.push(name);
+        if (this.compared.length > 2) this.compared.shift();
+        this.draw();
+    }
+
+    // Show the body in the info panel and follow it, through the follow selector so
+    // the camera and the transition sounds behave as if it had been picked there
+    selectBody(name) {
+        const body = this.app.findCatalogBody(name);
+        if (!body) return;
+
+        const followSelect = document.getElementById('followPlanet');
+        followSelect.value = name;
+        followSelect.dispatchEvent(new Event('change'));
+        this.app.showPlanetInfo(body);
+        this.draw();
+    }
+
+    formatValue(key, stats) {
+        const value = stats[key];
+        if (value === null) return '—';
+        switch (key) {
+            case 'mass':
+                return Units.formatMass(value);
+            case 'radius':
+                return Units.formatDistance(value);
+            case 'gravity':
+                return Units.formatAcceleration(value);
+            case 'density':
+                return Units.formatDensity(value);
+            case 'escapeVelocity':
+                return Units.formatSpeed(value);
+            case 'day':
+                return this.app.formatRotationPeriod(stats.body.userData.rotationPeriod);
+            case 'year':
+                return this.app.formatOrbitalPeriod(stats.body);
+            case 'temperature':
+                return `${stats.temperatureEstimated ? '≈' : ''}${Units.formatTemperature(value)}`;
+            case 'moons':
+                return value > stats.shownMoons ?
+                    I18n.t('table.moonsShown', { count: I18n.formatNumber(value), shown: I18n.formatNumber(stats.shownMoons) }) :
+                    I18n.formatNumber(value);
+            default:
+                return value;
+        }
+    }
+
+    // Both bodies' values side by side, with how the first compares to the second
+    drawComparison() {
+        this.comparison.innerHTML = '';
+        if (this.compared.length < 2) {
+            this.comparison.textContent = this.compared.length === 1 ?
+                I18n.t('table.pickAnother', { name: this.app.getBodyName(this.compared[0]) }) :
+                I18n.t('table.hint');
+            return;
+        }
+
+        const [first, second] = this.compared.map(name => this.getStats(this.app.findCatalogBody(name)));
+        const table = document.createElement('table');
+        table.className = 'body-table';
+        const header = table.createTHead().insertRow();
+        ['', first.label, second.label, ''].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        const tbody = table.createTBody();
+        BodyTable.COLUMNS.filter(column => column.compared).forEach(column => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = I18n.t(`table.column.${column.key}`);
+            row.insertCell().textContent = this.formatValue(column.key, first);
+            row.insertCell().textContent = this.formatValue(column.key, second);
+            row.insertCell().textContent = this.describeRatio(column, first, second);
+        });
+        this.comparison.appendChild(table);
+    }
+
+    // "Jupiter is 318× Earth's mass", or a dash when there's nothing to divide by
+    describeRatio(column, first, second) {
+        const a = first[column.key];
+        const b = second[column.key];
+        if (a === null || b === null || b === 0) return '—';
+
+        const params = { first: first.label, second: second.label, ratio: Units.formatNumber(a / b) };
+        if (column.key === 'moons') return I18n.t('table.moonsRatio', params);
+        return I18n.t('table.ratio', { ...params, quantity: I18n.t(`table.quantity.${column.key}`) });
+    }
+}
+
+// Columns in display order, keyed by the value they show. Their headings are
+// "table.column.<key>" in the locale bundles, and compared columns name their quantity
+// in the ratios with "table.quantity.<key>".
+BodyTable.COLUMNS = [
+    { key: 'label' },
+    { key: 'type' },
+    { key: 'mass', compared: true },
+    { key: 'radius', compared: true },
+    { key: 'gravity', compared: true },
+    { key: 'density', compared: true },
+    { key: 'escapeVelocity', compared: true },
+    { key: 'day', compared: true },
+    { key: 'year', compared: true },
+    { key: 'temperature', compared: true },
+    { key: 'moons', compared: true }
+];
+// Gravitational constant in m³ kg⁻¹ s⁻²
+BodyTable.G = 6.6743e-11;
+// Equilibrium temperature of a black body 1 AU from the Sun, spreading the heat over
+// its whole surface
+BodyTable.EQUILIBRIUM_TEMPERATURE_AT_1_AU = 278.6;
+// Assumed for the equilibrium temperature when the catalog gives no albedo
+BodyTable.DEFAULT_ALBEDO = 0.3;
+
+// Export the class
+window.BodyTable = BodyTable;
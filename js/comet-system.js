@@ -0,0 +1,346 @@
+// Comets for VantraOrbit
+//
+// Each comet is a small nucleus with a coma on a highly eccentric Keplerian orbit,
+// given the way comet orbits are published: perihelion distance, eccentricity, angles
+// and the date of perihelion passage. Two particle tails grow as the comet nears the
+// Sun: a straight blue ion tail pointing directly away from it and a broader, curved
+// dust tail that lags behind the comet's motion.
+
+class CometSystem {
+    constructor(scene, settings = {}) {
+        this.scene = scene;
+        this.comets = [];
+        this.orbitPaths = [];
+        this.tailParticles = settings.cometTailParticles || CometSystem.DEFAULT_TAIL_PARTICLES;
+        this.comaTexture = null;
+        // Distance scale the orbit paths were last drawn for
+        this.orbitPathScaleKey = null;
+
+        // Angles in degrees (J2000 ecliptic), perihelion distance in AU, nucleus radius
+        // in km. tailLength is the scene length of a fully developed tail.
+        this.cometConfigs = [
+            {
+                name: "Halley's Comet",
+                perihelionDistance: 0.58598,
+                eccentricity: 0.96714,
+                inclination: 162.26,
+                longitudeOfAscendingNode: 58.42,
+                argumentOfPerihelion: 111.33,
+                perihelionDate: '1986-02-09T11:00:00Z',
+                tailLength: 50,
+                nucleusRadius: 5.5,
+                diameter: '15 x 8 km (nucleus)'
+            },
+            {
+                name: 'Hale-Bopp',
+                perihelionDistance: 0.91426,
+                eccentricity: 0.99511,
+                inclination: 89.43,
+                longitudeOfAscendingNode: 282.47,
+                argumentOfPerihelion: 130.59,
+                perihelionDate: '1997-04-01T03:20:00Z',
+                tailLength: 80,
+                nucleusRadius: 30,
+                diameter: '~60 km (nucleus)'
+            },
+            {
+                // A made-up short-period comet, showing that any entry with these
+                // fields can be added - see addComet()
+                name: 'Comet Vantra (fictional)',
+                perihelionDistance: 0.4,
+                eccentricity: 0.82,
+                inclination: 12,
+                longitudeOfAscendingNode: 40,
+                argumentOfPerihelion: 200,
+                perihelionDate: '2027-03-15T00:00:00Z',
+                tailLength: 30,
+                nucleusRadius: 2.5,
+                diameter: '5 km (nucleus)'
+            }
+        ];
+
+        this.init();
+    }
+
+    init() {
+        this.comaTexture = this.createComaTexture();
+        this.cometConfigs.forEach(config => this.addComet(config));
+    }
+
+    // Create a comet from a config like the ones above and return its body group
+    addComet(config) {
+        const perihelionDate = new Date(config.perihelionDate);
+        const semiMajorAxis = config.perihelionDistance / (1 - config.eccentricity);
+
+        const comet = new THREE.Group();
+        comet.add(this.createNucleus(config.name));
+
+        const coma = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: this.comaTexture,
+            color: 0xcfe6ff,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        }));
+        comet.add(coma);
+
+        const ionTail = this.createTail(0x6fa8ff);
+        const dustTail = this.createTail(0xffe9b0);
+
+        comet.userData = {
+            name: config.name,
+            isComet: true,
+            type: 'Comet',
+            diameter: config.diameter,
+            // True nucleus radius relative to Earth, for true-scale mode
+            size: config.nucleusRadius / CometSystem.EARTH_RADIUS_KM,
+            elements: {
+                semiMajorAxis: semiMajorAxis,
+                eccentricity: config.eccentricity,
+                inclination: config.inclination,
+                longitudeOfAscendingNode: config.longitudeOfAscendingNode,
+                argumentOfPerihelion: config.argumentOfPerihelion
+            },
+            perihelionJulianDate: SimulationClock.dateToJulian(perihelionDate),
+            // Kepler's third law, in days
+            orbitalPeriod: CometSystem.SIDEREAL_YEAR * Math.pow(semiMajorAxis, 1.5),
+            tailLength: config.tailLength,
+            heliocentricPosition: new THREE.Vector3(),
+            coma: coma,
+            ionTail: ionTail,
+            dustTail: dustTail
+        };
+
+        this.scene.add(comet);
+        this.comets.push(comet);
+        this.createOrbitPath(comet.userData.elements);
+
+        console.log(`Created comet ${config.name} with a period of ${(comet.userData.orbitalPeriod / 365.25).toFixed(1)} years`);
+        return comet;
+    }
+
+    createNucleus(name) {
+        const geometry = new THREE.SphereGeometry(CometSystem.NUCLEUS_SIZE, 12, 12);
+        const material = new THREE.MeshStandardMaterial({
+            map: ProceduralTextures.createRockyTexture(0x4a4540, name, 64, 32),
+            roughness: 1
+        });
+        const nucleus = new THREE.Mesh(geometry, material);
+        // Comet nuclei are lumpy and elongated
+        nucleus.scale.set(1.4, 0.9, 1);
+        return nucleus;
+    }
+
+    // Soft radial glow shared by every coma
+    createComaTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+
+        const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0.4)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 64, 64);
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    createTail(color) {
+        const count = this.tailParticles;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+
+        // Fixed per-particle randomness: starting point along the tail and sideways spread
+        const seeds = new Float32Array(count);
+        const offsets = [];
+        for (let i = 0; i < count; i++) {
+            seeds[i] = Math.random();
+            offsets.push(new THREE.Vector3(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1));
+        }
+
+        const material = new THREE.PointsMaterial({
+            size: 1.2,
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        const tail = new THREE.Points(geometry, material);
+        tail.frustumCulled = false;
+        tail.userData = { color: new THREE.Color(color), seeds: seeds, offsets: offsets };
+        this.scene.add(tail);
+        return tail;
+    }
+
+    createOrbitPath(elements) {
+        const orbitGeometry = new THREE.BufferGeometry().setFromPoints(this.getOrbitPoints(elements));
+        const orbitMaterial = new THREE.LineBasicMaterial({
+            color: 0x5f8fbf,
+            transparent: true,
+            opacity: 0.3
+        });
+
+        const orbitPath = new THREE.LineLoop(orbitGeometry, orbitMaterial);
+        orbitPath.userData = { type: 'cometOrbit', elements: elements };
+        this.scene.add(orbitPath);
+        this.orbitPaths.push(orbitPath);
+    }
+
+    // Map each point radially so the perihelion passes among the inner planets
+    getOrbitPoints(elements) {
+        return OrbitalMechanics.createOrbitPoints(elements, 1, CometSystem.ORBIT_SEGMENTS)
+            .map(point => DistanceScale.toScenePosition(point, point));
+    }
+
+    // Redraw the orbit paths whenever the distance scale has changed
+    updateOrbitPaths() {
+        const scaleKey = `${DistanceScale.previousMode}:${DistanceScale.mode}:${DistanceScale.transition}`;
+        if (scaleKey === this.orbitPathScaleKey) return;
+        this.orbitPathScaleKey = scaleKey;
+
+        this.orbitPaths.forEach(orbitPath => {
+            const positions = orbitPath.geometry.attributes.position;
+            this.getOrbitPoints(orbitPath.userData.elements).forEach((point, i) => {
+                positions.setXYZ(i, point.x, point.y, point.z);
+            });
+            positions.needsUpdate = true;
+            orbitPath.geometry.computeBoundingSphere();
+        });
+    }
+
+    // Heliocentric position in AU (scene axes) on the given date
+    getHeliocentricPosition(comet, julianDate, target = new THREE.Vector3()) {
+        const data = comet.userData;
+        const meanAnomaly = 2 * Math.PI * (julianDate - data.perihelionJulianDate) / data.orbitalPeriod;
+        return OrbitalMechanics.getPosition(data.elements, meanAnomaly, 1, target);
+    }
+
+    // Position every comet and its tails for the given simulation date
+    update(julianDate) {
+        const sunward = new THREE.Vector3();
+        const velocity = new THREE.Vector3();
+        const flow = performance.now() / 1000 * CometSystem.TAIL_FLOW_RATE;
+        this.updateOrbitPaths();
+
+        this.comets.forEach(comet => {
+            const data = comet.userData;
+            const position = this.getHeliocentricPosition(comet, julianDate, data.heliocentricPosition);
+            DistanceScale.toScenePosition(position, comet.position);
+
+            // Outgassing switches on as the comet warms up near the Sun
+            const distance = position.length();
+            const activity = Math.min(1, Math.pow(CometSystem.ACTIVITY_DISTANCE / distance, 2));
+            data.coma.scale.setScalar(CometSystem.COMA_SIZE * (0.2 + activity));
+            data.coma.material.opacity = 0.3 + 0.7 * activity;
+
+            // Direction of motion from a one-day step, in scene space
+            this.getHeliocentricPosition(comet, julianDate + 1, velocity);
+            DistanceScale.toScenePosition(velocity, velocity).sub(comet.position).normalize();
+            sunward.copy(comet.position).normalize();
+
+            const tailLength = data.tailLength * activity;
+            this.updateTail(data.ionTail, comet.position, sunward, velocity, tailLength, 0, flow);
+            this.updateTail(data.dustTail, comet.position, sunward, velocity, tailLength * 0.7, 1, flow * 0.5);
+        });
+    }
+
+    // Lay out a tail behind the comet. curvature 0 is a straight anti-sunward ion tail;
+    // 1 bends it back along the orbit like a dust tail.
+    updateTail(tail, cometPosition, antiSun, velocity, length, curvature, flow) {
+        tail.visible = length > CometSystem.MIN_TAIL_LENGTH;
+        if (!tail.visible) return;
+
+        tail.position.copy(cometPosition);
+        const positions = tail.geometry.attributes.position;
+        const colors = tail.geometry.attributes.color;
+        const { color, seeds, offsets } = tail.userData;
+
+        // Part of the motion perpendicular to the anti-sun direction
+        const lag = velocity.clone().addScaledVector(antiSun, -velocity.dot(antiSun));
+
+        for (let i = 0; i < seeds.length; i++) {
+            // Particles stream outward from the nucleus and fade along the tail
+            const t = (seeds[i] + flow) % 1;
+            const spread = (0.5 + curvature * 2) * t * length * 0.08;
+
+            positions.setXYZ(
+                i,
+                antiSun.x * t * length - lag.x * curvature * t * t * length * 0.4 + offsets[i].x * spread,
+                antiSun.y * t * length - lag.y * curvature * t * t * length * 0.4 + offsets[i].y * spread,
+                antiSun.z * t * length - lag.z * curvature * t * t * length * 0.4 + offsets[i].z * spread
+            );
+
+            const brightness = 1 - t;
+            colors.setXYZ(i, color.r * brightness, color.g * brightness, color.b * brightness);
+        }
+
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
+
+    // Julian date of the perihelion passage nearest to the given date
+    getNearestPerihelion(comet, julianDate) {
+        const data = comet.userData;
+        const orbits = Math.round((julianDate - data.perihelionJulianDate) / data.orbitalPeriod);
+        return data.perihelionJulianDate + orbits * data.orbitalPeriod;
+    }
+
+    getCometInfo(comet, julianDate) {
+        const data = comet.userData;
+        const distance = this.getHeliocentricPosition(comet, julianDate).length();
+        const perihelion = SimulationClock.julianToDate(this.getNearestPerihelion(comet, julianDate));
+        const periodYears = data.orbitalPeriod / 365.25;
+
+        return {
+            distance: I18n.t('info.now', { distance: Units.formatDistance(distance * DistanceScale.AU_KM) }),
+            period: periodYears < 1000 ?
+                I18n.t('info.earthYears', { value: Units.formatFixed(periodYears, 1) }) :
+                I18n.t('info.aboutEarthYears', { value: I18n.formatNumber(Math.round(periodYears / 100) * 100) }),
+            perihelion: isNaN(perihelion.getTime()) ? I18n.t('info.unknown') : I18n.formatDate(perihelion, false)
+        };
+    }
+
+    setOrbitVisibility(visible) {
+        this.orbitPaths.forEach(orbit => {
+            orbit.visible = visible;
+        });
+    }
+
+    // Take every comet, tail and orbit out of the scene and free their GPU resources
+    dispose() {
+        const tails = this.comets.flatMap(comet => [comet.userData.ionTail, comet.userData.dustTail]);
+        [...this.comets, ...tails, ...this.orbitPaths].forEach(object => {
+            this.scene.remove(object);
+            object.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (!child.material) return;
+                if (child.material.map && child.material.map !== this.comaTexture) child.material.map.dispose();
+                child.material.dispose();
+            });
+        });
+        this.comaTexture.dispose();
+        this.comets = [];
+        this.orbitPaths = [];
+    }
+}
+
+CometSystem.SIDEREAL_YEAR = 365.25636;
+CometSystem.EARTH_RADIUS_KM = 6371;
+CometSystem.ORBIT_SEGMENTS = 512;
+CometSystem.DEFAULT_TAIL_PARTICLES = 400;
+// Scene radius of the nucleus and coma; both are exaggerated to stay visible
+CometSystem.NUCLEUS_SIZE = 0.4;
+CometSystem.COMA_SIZE = 6;
+// Heliocentric distance (AU) inside which the tails are fully developed
+CometSystem.ACTIVITY_DISTANCE = 1.2;
+CometSystem.MIN_TAIL_LENGTH = 0.5;
+// Fraction of the tail length a particle travels per second
+CometSystem.TAIL_FLOW_RATE = 0.05;
+
+// Export the class
+window.CometSystem = CometSystem;
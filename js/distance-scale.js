@@ -0,0 +1,183 @@
+// Heliocentric distance scale for VantraOrbit
+//
+// Three scale modes map real distances onto the scene:
+// - compact: the planets sit at hand-picked distances (Mercury 40 ... Neptune 550);
+//   anything between them is interpolated through the same anchors, so the asteroid
+//   belt lands between Mars and Jupiter and the Kuiper belt just beyond Neptune.
+// - logarithmic: distance grows with log(1 + r / LOG_REFERENCE), evening out the gaps.
+// - true: sizes and distances share one unit, TRUE_SCALE scene units per AU.
+// Switching modes blends from the old mapping to the new one over TRANSITION_DURATION.
+//
+// The compact and logarithmic mappings are tuned for the Sun's planets. Another star's
+// planets (see setSystem) take the compact distances of the Sun's planets in order,
+// and the logarithmic reference shrinks or grows with the innermost orbit, so a
+// system packed inside Mercury's orbit spreads out the same way.
+
+class DistanceScale {
+    static setMode(mode) {
+        if (!DistanceScale.MODES.includes(mode) || mode === DistanceScale.mode) return;
+        DistanceScale.previousMode = DistanceScale.mode;
+        DistanceScale.mode = mode;
+        DistanceScale.transition = 0;
+    }
+
+    // Advance the mode transition by real elapsed seconds
+    static advanceTransition(seconds) {
+        if (DistanceScale.transition >= 1) return;
+        DistanceScale.transition = Math.min(1, DistanceScale.transition + seconds / DistanceScale.TRANSITION_DURATION);
+    }
+
+    // Fit the compact and logarithmic modes to the semi-major axes (AU) of another
+    // star's planets, or go back to the Solar System with null. Only the layout
+    // changes; true scale stays true.
+    static setSystem(semiMajorAxes) {
+        if (!semiMajorAxes || semiMajorAxes.length === 0) {
+            DistanceScale.anchors = DistanceScale.ANCHORS;
+            DistanceScale.logReference = DistanceScale.LOG_REFERENCE;
+            return;
+        }
+
+        // Planets closer together than the rounding can't anchor a distance of their own
+        const sorted = [...semiMajorAxes].sort((a, b) => a - b)
+            .filter((au, index, list) => index === 0 || au > list[index - 1] * 1.001);
+        const solar = DistanceScale.ANCHORS;
+        const last = solar.length - 1;
+        const outerSpacing = solar[last][1] - solar[last - 1][1];
+
+        DistanceScale.anchors = [[0, 0], ...sorted.map((au, index) => [au,
+            index < last ? solar[index + 1][1] : solar[last][1] + (index + 1 - last) * outerSpacing])];
+        DistanceScale.logReference = DistanceScale.LOG_REFERENCE * sorted[0] / solar[1][0];
+    }
+
+    static isTransitioning() {
+        return DistanceScale.transition < 1;
+    }
+
+    // Eased transition progress, 0 (previous mode) to 1 (current mode)
+    static getBlendFactor() {
+        const t = DistanceScale.transition;
+        return t * t * (3 - 2 * t);
+    }
+
+    // Blend a per-mode value across the current transition. valueForMode(mode) returns
+    // the value the caller wants in that mode.
+    static blend(valueForMode) {
+        const target = valueForMode(DistanceScale.mode);
+        if (DistanceScale.transition >= 1) return target;
+
+        const factor = DistanceScale.getBlendFactor();
+        return valueForMode(DistanceScale.previousMode) * (1 - factor) + target * factor;
+    }
+
+    // Scene distance for a heliocentric distance in AU, in the current (blended) mode
+    static toScene(au) {
+        return DistanceScale.blend(mode => DistanceScale.toSceneInMode(au, mode));
+    }
+
+    static toSceneInMode(au, mode) {
+        if (mode === 'true') {
+            return au * DistanceScale.TRUE_SCALE;
+        }
+        if (mode === 'logarithmic') {
+            return DistanceScale.LOG_SCALE * Math.log10(1 + au / DistanceScale.logReference);
+        }
+        return DistanceScale.toCompactScene(au);
+    }
+
+    // Linear between anchors, extended beyond Neptune with the outermost slope
+    static toCompactScene(au, anchors = DistanceScale.anchors) {
+
+        for (let k = 1; k < anchors.length; k++) {
+            if (au <= anchors[k][0]) {
+                const [au0, scene0] = anchors[k - 1];
+                const [au1, scene1] = anchors[k];
+                return scene0 + (scene1 - scene0) * (au - au0) / (au1 - au0);
+            }
+        }
+
+        const [auA, sceneA] = anchors[anchors.length - 2];
+        const [auB, sceneB] = anchors[anchors.length - 1];
+        return sceneB + (sceneB - sceneA) * (au - auB) / (auB - auA);
+    }
+
+    // Inverse of toCompactScene, for objects laid out directly in compact scene units
+    static fromCompactScene(distance, anchors = DistanceScale.anchors) {
+
+        for (let k = 1; k < anchors.length; k++) {
+            if (distance <= anchors[k][1]) {
+                const [au0, scene0] = anchors[k - 1];
+                const [au1, scene1] = anchors[k];
+                return au0 + (au1 - au0) * (distance - scene0) / (scene1 - scene0);
+            }
+        }
+
+        const [auA, sceneA] = anchors[anchors.length - 2];
+        const [auB, sceneB] = anchors[anchors.length - 1];
+        return auB + (auB - auA) * (distance - sceneB) / (sceneB - sceneA);
+    }
+
+    // Inverse of toScene, by bisection as the blended mapping has no closed form
+    static fromScene(distance) {
+        if (distance <= 0) return 0;
+
+        let low = 0;
+        let high = 1;
+        while (DistanceScale.toScene(high) < distance) high *= 2;
+
+        for (let i = 0; i < 50; i++) {
+            const middle = (low + high) / 2;
+            if (DistanceScale.toScene(middle) < distance) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    // A length in kilometres as scene units in true-scale mode
+    static kmToTrueScene(km) {
+        return km * DistanceScale.TRUE_SCALE / DistanceScale.AU_KM;
+    }
+
+    // Map a heliocentric position in AU (scene axes) radially onto the scene. Used for
+    // bodies whose orbits span several planets, such as comets.
+    static toScenePosition(position, target = new THREE.Vector3()) {
+        const distance = position.length();
+        if (distance === 0) return target.set(0, 0, 0);
+        return target.copy(position).multiplyScalar(DistanceScale.toScene(distance) / distance);
+    }
+}
+
+DistanceScale.MODES = ['compact', 'logarithmic', 'true'];
+DistanceScale.mode = 'compact';
+DistanceScale.previousMode = 'compact';
+// Progress of the current mode transition, 0 to 1
+DistanceScale.transition = 1;
+DistanceScale.TRANSITION_DURATION = 2.5;
+
+DistanceScale.AU_KM = 149597870.7;
+DistanceScale.TRUE_SCALE = 100;
+DistanceScale.LOG_SCALE = 400;
+DistanceScale.LOG_REFERENCE = 0.4;
+
+// [semi-major axis in AU at J2000, scene distance] for the Sun and each planet in
+// compact mode, which places the planets of the bundled catalog at round distances.
+// The small body belts are drawn with these; anchors and logReference are the ones
+// in use, which setSystem changes for another star.
+DistanceScale.ANCHORS = [
+    [0, 0],
+    [0.387, 40],
+    [0.723, 70],
+    [1.000, 100],
+    [1.524, 150],
+    [5.203, 250],
+    [9.537, 350],
+    [19.189, 450],
+    [30.070, 550]
+];
+DistanceScale.anchors = DistanceScale.ANCHORS;
+DistanceScale.logReference = DistanceScale.LOG_REFERENCE;
+
+// Export the class
+window.DistanceScale = DistanceScale;
@@ -0,0 +1,144 @@
+// Low-precision planetary ephemeris for VantraOrbit
+//
+// Based on JPL's "Keplerian Elements for Approximate Positions of the Major Planets"
+// (E.M. Standish), table 1, valid 1800 AD - 2050 AD. Each element is given at J2000
+// together with its rate per Julian century. Accuracy is within a few arcminutes for
+// the inner planets, which is plenty for a visual model.
+
+class Ephemeris {
+    // Osculating orbital elements of a planet on the given Julian date.
+    // Returns the same shape OrbitalMechanics expects, with the epoch set to that date.
+    static getElements(name, julianDate) {
+        const entry = Ephemeris.PLANETS[name];
+        if (!entry) return null;
+
+        const T = (julianDate - SimulationClock.J2000) / SimulationClock.DAYS_PER_CENTURY;
+        const value = ([base, rate]) => base + rate * T;
+
+        const meanLongitude = value(entry.L);
+        const longitudeOfPerihelion = value(entry.perihelion);
+        const longitudeOfAscendingNode = value(entry.node);
+
+        return {
+            semiMajorAxis: value(entry.a),
+            eccentricity: value(entry.e),
+            inclination: value(entry.i),
+            longitudeOfAscendingNode: longitudeOfAscendingNode,
+            argumentOfPerihelion: longitudeOfPerihelion - longitudeOfAscendingNode,
+            meanAnomalyAtEpoch: meanLongitude - longitudeOfPerihelion,
+            epoch: julianDate
+        };
+    }
+
+    // Mass in solar masses of a body and its moons, from their catalog masses (kg). The
+    // planets' elements are for the barycentre of each system, so Earth's mass includes
+    // the Moon and Pluto's includes Charon.
+    static getSystemMass(body, bodies) {
+        return bodies
+            .filter(other => other === body || other.userData.parentBody === body)
+            .reduce((total, member) => total + (member.userData.mass || 0), 0) / Ephemeris.SUN_MASS_KG;
+    }
+
+    // Heliocentric scene position of a planet on the given Julian date
+    static getPosition(name, julianDate, scale = 1, target = new THREE.Vector3()) {
+        const elements = Ephemeris.getElements(name, julianDate);
+        const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomalyAtEpoch);
+        return OrbitalMechanics.getPosition(elements, meanAnomaly, scale, target);
+    }
+
+    // Propagate fixed J2000 elements (moons, dwarf planets) to the given Julian date.
+    // Orbits carry a sidereal period in days and optional node and periapsis precession
+    // rates in degrees per day; the mean anomaly advances at the remaining rate.
+    static propagateElements(orbit, julianDate) {
+        const days = julianDate - SimulationClock.J2000;
+        const nodeRate = orbit.nodeRate || 0;
+        const periapsisRate = orbit.periapsisRate || 0;
+        const meanAnomalyRate = 360 / orbit.period - nodeRate - periapsisRate;
+
+        return {
+            semiMajorAxis: orbit.semiMajorAxis,
+            eccentricity: orbit.eccentricity,
+            inclination: orbit.inclination,
+            longitudeOfAscendingNode: orbit.longitudeOfAscendingNode + nodeRate * days,
+            argumentOfPerihelion: orbit.argumentOfPerihelion + periapsisRate * days,
+            meanAnomalyAtEpoch: orbit.meanAnomalyAtEpoch + meanAnomalyRate * days,
+            epoch: julianDate
+        };
+    }
+}
+
+// [value at J2000, rate per century]; a in AU, angles in degrees.
+// Earth is the Earth-Moon barycenter.
+Ephemeris.PLANETS = {
+    Mercury: {
+        a: [0.38709927, 0.00000037],
+        e: [0.20563593, 0.00001906],
+        i: [7.00497902, -0.00594749],
+        L: [252.25032350, 149472.67411175],
+        perihelion: [77.45779628, 0.16047689],
+        node: [48.33076593, -0.12534081]
+    },
+    Venus: {
+        a: [0.72333566, 0.00000390],
+        e: [0.00677672, -0.00004107],
+        i: [3.39467605, -0.00078890],
+        L: [181.97909950, 58517.81538729],
+        perihelion: [131.60246718, 0.00268329],
+        node: [76.67984255, -0.27769418]
+    },
+    Earth: {
+        a: [1.00000261, 0.00000562],
+        e: [0.01671123, -0.00004392],
+        i: [-0.00001531, -0.01294668],
+        L: [100.46457166, 35999.37244981],
+        perihelion: [102.93768193, 0.32327364],
+        node: [0.0, 0.0]
+    },
+    Mars: {
+        a: [1.52371034, 0.00001847],
+        e: [0.09339410, 0.00007882],
+        i: [1.84969142, -0.00813131],
+        L: [-4.55343205, 19140.30268499],
+        perihelion: [-23.94362959, 0.44441088],
+        node: [49.55953891, -0.29257343]
+    },
+    Jupiter: {
+        a: [5.20288700, -0.00011607],
+        e: [0.04838624, -0.00013253],
+        i: [1.30439695, -0.00183714],
+        L: [34.39644051, 3034.74612775],
+        perihelion: [14.72847983, 0.21252668],
+        node: [100.47390909, 0.20469106]
+    },
+    Saturn: {
+        a: [9.53667594, -0.00125060],
+        e: [0.05386179, -0.00050991],
+        i: [2.48599187, 0.00193609],
+        L: [49.95424423, 1222.49362201],
+        perihelion: [92.59887831, -0.41897216],
+        node: [113.66242448, -0.28867794]
+    },
+    Uranus: {
+        a: [19.18916464, -0.00196176],
+        e: [0.04725744, -0.00004397],
+        i: [0.77263783, -0.00242939],
+        L: [313.23810451, 428.48202785],
+        perihelion: [170.95427630, 0.40805281],
+        node: [74.01692503, 0.04240589]
+    },
+    Neptune: {
+        a: [30.06992276, 0.00026291],
+        e: [0.00859048, 0.00005105],
+        i: [1.77004347, 0.00035372],
+        L: [-55.12002969, 218.45945325],
+        perihelion: [44.96476227, -0.32241464],
+        node: [131.78422574, -0.00508664]
+    }
+};
+
+// Solar mass in kg, for turning the catalog's masses into the solar masses the
+// gravity sandbox and Hill spheres work in
+Ephemeris.SUN_MASS_KG = 1.98847e30;
+
+// Export the class
+window.Ephemeris = Ephemeris;
@@ -0,0 +1,324 @@
+// Spacecraft fleet files for VantraOrbit
+//
+// A fleet is plain JSON, so a class can design its own missions without touching the
+// code:
+//
+// {
+//     "fleet": "Year 9 Mars missions",
+//     "spaceships": [
+//         {
+//             "name": "Ares Scout",
+//             "orbit": { "radius": 1.3, "period": 540, "phase": 90 },
+//             "color": "#ff8800",
+//             "size": 5,
+//             "mission": "Survey Mars from a wide solar orbit",
+//             "model": "models/scout.glb"
+//         },
+//         {
+//             "name": "Red Relay",
+//             "parent": "Mars",
+//             "orbit": { "altitude": 400, "inclination": 25 },
+//             "maneuvers": [{ "date": "2031-03-01", "deltaV": 1.5 }]
+//         }
+//     ]
+// }
+//
+// Only name and orbit are required. The parent is the body the ship orbits: "Sun"
+// (the default), a planet, a dwarf planet or a moon, by name.
+//
+// Around the Sun, orbit.radius is the mean distance in AU. With a period (days) the
+// ship keeps to a scripted circle in the ecliptic, phase degrees along it at J2000.
+// Without one it follows a real Kepler orbit and feels the planets it passes.
+//
+// Around any other body, orbit.altitude is the height of the lowest point above the
+// surface in km, e.g. a parking orbit.
+//
+// Real orbits may add eccentricity, inclination, node and argumentOfPeriapsis
+// (degrees against the ecliptic), phase as the mean anomaly in degrees, and the epoch
+// date these apply on (default J2000). Their maneuvers are burns made in order, each
+// either on a date or at the first periapsis around a body, changing the velocity by
+// deltaV km/s (a number is along the direction of travel, or give { prograde,
+// normal, radial }) or circularizing the orbit there:
+//
+//     { "date": "2026-11-20", "deltaV": 3.6 }
+//     { "periapsis": "Mars", "circularize": true }
+//
+// A ship leaving its parent's sphere of influence, or entering a moon's or planet's,
+// changes parent on the way (see SpacecraftTrajectory).
+//
+// model is an optional glTF (.gltf or .glb) path, relative to the page, that replaces
+// the built-in hull. Validation collects every problem with its location (e.g.
+// "spaceships[2].orbit.radius") rather than stopping at the first.
+
+class FleetLoader {
+    // Check a whole fleet. Returns { name, spaceships, errors }: the spaceships are
+    // normalised definitions with the defaults filled in, and are only usable when
+    // errors is empty.
+    static validate(fleet) {
+        const errors = [];
+        const spaceships = [];
+
+        if (!JsonValidator.isObject(fleet)) {
+            return { name: null, spaceships: [], errors: [I18n.t('validator.fleet')] };
+        }
+        JsonValidator.checkKeys(fleet, FleetLoader.FLEET_KEYS, 'fleet', errors);
+        if (fleet.fleet !== undefined && typeof fleet.fleet !== 'string') {
+            errors.push(I18n.t('validator.fleetName', { path: 'fleet' }));
+        }
+        if (!Array.isArray(fleet.spaceships) || fleet.spaceships.length === 0) {
+            errors.push(I18n.t('validator.spaceships', { path: 'spaceships' }));
+            return { name: null, spaceships: [], errors: errors };
+        }
+
+        const names = new Set();
+        fleet.spaceships.forEach((definition, index) => {
+            const result = FleetLoader.validateSpaceship(definition, `spaceships[${index}]`);
+            errors.push(...result.errors);
+            if (!result.spaceship) return;
+
+            if (names.has(result.spaceship.name)) {
+                errors.push(I18n.t('validator.spaceshipName', { path: `spaceships[${index}].name`, name: result.spaceship.name }));
+            }
+            names.add(result.spaceship.name);
+            spaceships.push(result.spaceship);
+        });
+
+        return { name: fleet.fleet || null, spaceships: spaceships, errors: errors };
+    }
+
+    // Check one spaceship definition; path prefixes the messages. Returns
+    // { spaceship, errors } with spaceship null if anything is wrong.
+    static validateSpaceship(definition, path = 'spaceship') {
+        const errors = [];
+        if (!JsonValidator.isObject(definition)) {
+            return { spaceship: null, errors: [I18n.t('validator.spaceship', { path: path })] };
+        }
+        JsonValidator.checkKeys(definition, FleetLoader.SPACESHIP_KEYS, path, errors);
+
+        const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+        if (!name) {
+            errors.push(I18n.t('validator.name', { path: `${path}.name` }));
+        }
+
+        let parent = 'Sun';
+        if (definition.parent !== undefined) {
+            if (typeof definition.parent === 'string' && definition.parent.trim()) {
+                parent = definition.parent.trim();
+            } else {
+                errors.push(I18n.t('validator.parent', { path: `${path}.parent`, got: JSON.stringify(definition.parent) }));
+            }
+        }
+        const aroundSun = parent === 'Sun';
+
+        const orbit = definition.orbit;
+        let elements = null;
+        if (!JsonValidator.isObject(orbit)) {
+            errors.push(aroundSun ?
+                I18n.t('validator.orbitAroundSun', { path: `${path}.orbit` }) :
+                I18n.t('validator.orbitAroundBody', { path: `${path}.orbit`, parent: parent }));
+        } else {
+            elements = FleetLoader.validateOrbit(orbit, aroundSun, `${path}.orbit`, errors);
+        }
+
+        let maneuvers = [];
+        if (definition.maneuvers !== undefined) {
+            if (!Array.isArray(definition.maneuvers)) {
+                errors.push(I18n.t('validator.maneuvers', { path: `${path}.maneuvers` }));
+            } else if (elements && elements.period !== null) {
+                errors.push(I18n.t('validator.maneuversScripted', { path: `${path}.maneuvers` }));
+            } else {
+                let previousDate = elements ? elements.epoch : null;
+                maneuvers = definition.maneuvers.map((maneuver, index) => {
+                    const result = FleetLoader.validateManeuver(maneuver, previousDate, `${path}.maneuvers[${index}]`, errors);
+                    if (result && result.type === 'date') previousDate = result.date;
+                    return result;
+                });
+            }
+        }
+
+        const size = JsonValidator.checkNumber(definition.size, `${path}.size`, '', FleetLoader.MIN_SIZE, FleetLoader.MAX_SIZE, errors);
+
+        let color = FleetLoader.DEFAULT_COLOR;
+        if (definition.color !== undefined) {
+            if (typeof definition.color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(definition.color)) {
+                color = new THREE.Color(definition.color).getHex();
+            } else {
+                errors.push(I18n.t('validator.color', { path: `${path}.color`, example: '#ff8800', got: JSON.stringify(definition.color) }));
+            }
+        }
+
+        if (definition.mission !== undefined && typeof definition.mission !== 'string') {
+            errors.push(I18n.t('validator.text', { path: `${path}.mission` }));
+        }
+        if (definition.model !== undefined &&
+            (typeof definition.model !== 'string' || !/\.(gltf|glb)$/i.test(definition.model))) {
+            errors.push(I18n.t('validator.model', { path: `${path}.model`, got: JSON.stringify(definition.model) }));
+        }
+
+        if (errors.length > 0) return { spaceship: null, errors: errors };
+
+        return {
+            spaceship: {
+                name: name,
+                parent: parent,
+                orbit: elements,
+                maneuvers: maneuvers,
+                color: color,
+                size: size !== null ? size : FleetLoader.DEFAULT_SIZE,
+                mission: definition.mission || null,
+                model: definition.model || null
+            },
+            errors: []
+        };
+    }
+
+    // Check an orbit around the Sun (radius in AU) or another body (altitude in km).
+    // Returns the elements with defaults filled in; period stays null for real orbits.
+    static validateOrbit(orbit, aroundSun, path, errors) {
+        JsonValidator.checkKeys(orbit, FleetLoader.ORBIT_KEYS, path, errors);
+
+        let radius = null;
+        let altitude = null;
+        if (aroundSun) {
+            radius = JsonValidator.checkNumber(orbit.radius, `${path}.radius`, 'au', FleetLoader.MIN_RADIUS, FleetLoader.MAX_RADIUS, errors, true);
+            if (orbit.altitude !== undefined) {
+                errors.push(I18n.t('validator.altitudeAroundSun', { path: `${path}.altitude` }));
+            }
+        } else {
+            altitude = JsonValidator.checkNumber(orbit.altitude, `${path}.altitude`, 'km', Number.MIN_VALUE, Infinity, errors, true);
+            if (orbit.radius !== undefined) {
+                errors.push(I18n.t('validator.radiusAroundBody', { path: `${path}.radius` }));
+            }
+            if (orbit.period !== undefined) {
+                errors.push(I18n.t('validator.periodAroundBody', { path: `${path}.period` }));
+            }
+        }
+
+        const period = aroundSun ?
+            JsonValidator.checkNumber(orbit.period, `${path}.period`, 'days', Number.MIN_VALUE, Infinity, errors) :
+            null;
+        if (period !== null) {
+            FleetLoader.ELEMENT_KEYS.filter(key => orbit[key] !== undefined).forEach(key => {
+                errors.push(I18n.t('validator.scriptedElement', { path: `${path}.${key}` }));
+            });
+        }
+
+        const eccentricity = JsonValidator.checkNumber(orbit.eccentricity, `${path}.eccentricity`, '', 0, FleetLoader.MAX_ECCENTRICITY, errors);
+        const inclination = JsonValidator.checkNumber(orbit.inclination, `${path}.inclination`, 'degrees', 0, 180, errors);
+        const node = JsonValidator.checkNumber(orbit.node, `${path}.node`, 'degrees', -360, 360, errors);
+        const argument = JsonValidator.checkNumber(orbit.argumentOfPeriapsis, `${path}.argumentOfPeriapsis`, 'degrees', -360, 360, errors);
+        const phase = JsonValidator.checkNumber(orbit.phase, `${path}.phase`, 'degrees', -360, 360, errors);
+        const epoch = JsonValidator.checkDate(orbit.epoch, `${path}.epoch`, errors);
+
+        return {
+            radius: radius,
+            altitude: altitude,
+            period: period,
+            phase: phase !== null ? phase : 0,
+            eccentricity: eccentricity !== null ? eccentricity : 0,
+            inclination: inclination !== null ? inclination : 0,
+            node: node !== null ? node : 0,
+            argumentOfPeriapsis: argument !== null ? argument : 0,
+            epoch: epoch !== null ? epoch : SimulationClock.J2000
+        };
+    }
+
+    // Check one burn; date burns must come after the epoch and any earlier date burn.
+    // Returns { type: 'date', date } or { type: 'periapsis', body }, with deltaV
+    // ({ prograde, normal, radial } km/s) or circularize, or null if anything is wrong.
+    static validateManeuver(maneuver, previousDate, path, errors) {
+        if (!JsonValidator.isObject(maneuver)) {
+            errors.push(I18n.t('validator.burn', { path: path }));
+            return null;
+        }
+        const count = errors.length;
+        JsonValidator.checkKeys(maneuver, FleetLoader.MANEUVER_KEYS, path, errors);
+
+        let result = null;
+        if ((maneuver.date === undefined) === (maneuver.periapsis === undefined)) {
+            errors.push(I18n.t('validator.burnWhen', { path: path }));
+        } else if (maneuver.date !== undefined) {
+            const date = JsonValidator.checkDate(maneuver.date, `${path}.date`, errors);
+            if (date !== null && previousDate !== null && date <= previousDate) {
+                errors.push(I18n.t('validator.burnOrder', { path: `${path}.date` }));
+            }
+            result = { type: 'date', date: date };
+        } else if (typeof maneuver.periapsis === 'string' && maneuver.periapsis.trim()) {
+            result = { type: 'periapsis', body: maneuver.periapsis.trim() };
+        } else {
+            errors.push(I18n.t('validator.burnPeriapsis', { path: `${path}.periapsis`, got: JSON.stringify(maneuver.periapsis) }));
+        }
+
+        let deltaV = null;
+        const circularize = maneuver.circularize === true;
+        if (maneuver.circularize !== undefined && typeof maneuver.circularize !== 'boolean') {
+            errors.push(I18n.t('validator.boolean', { path: `${path}.circularize` }));
+        }
+        if (circularize && maneuver.date !== undefined) {
+            errors.push(I18n.t('validator.circularizeDate', { path: `${path}.circularize` }));
+        }
+        if ((maneuver.deltaV !== undefined) === circularize) {
+            errors.push(I18n.t('validator.burnKind', { path: path }));
+        } else if (typeof maneuver.deltaV === 'number') {
+            const prograde = JsonValidator.checkNumber(maneuver.deltaV, `${path}.deltaV`, 'kmPerSecond', -FleetLoader.MAX_DELTA_V, FleetLoader.MAX_DELTA_V, errors);
+            deltaV = { prograde: prograde, normal: 0, radial: 0 };
+        } else if (JsonValidator.isObject(maneuver.deltaV)) {
+            JsonValidator.checkKeys(maneuver.deltaV, FleetLoader.DELTA_V_KEYS, `${path}.deltaV`, errors);
+            deltaV = {};
+            FleetLoader.DELTA_V_KEYS.forEach(key => {
+                const value = JsonValidator.checkNumber(maneuver.deltaV[key], `${path}.deltaV.${key}`, 'kmPerSecond', -FleetLoader.MAX_DELTA_V, FleetLoader.MAX_DELTA_V, errors);
+                deltaV[key] = value !== null ? value : 0;
+            });
+        } else if (maneuver.deltaV !== undefined) {
+            errors.push(I18n.t('validator.deltaV', { path: `${path}.deltaV` }));
+        }
+
+        if (errors.length > count) return null;
+        return Object.assign(result, { deltaV: deltaV, circularize: circularize });
+    }
+
+    // JSON text to a validated fleet; syntax errors become validation errors
+    static parse(text) {
+        try {
+            return FleetLoader.validate(JSON.parse(text));
+        } catch (error) {
+            return { name: null, spaceships: [], errors: [I18n.t('validator.notJson', { message: error.message })] };
+        }
+    }
+
+    static load(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(text => FleetLoader.parse(text))
+            .catch(error => ({ name: null, spaceships: [], errors: [I18n.t('validator.notLoadedBecause', { url: url, message: error.message })] }));
+    }
+
+    static readFile(file) {
+        return file.text().then(text => FleetLoader.parse(text));
+    }
+}
+
+FleetLoader.FLEET_KEYS = ['fleet', 'spaceships'];
+FleetLoader.SPACESHIP_KEYS = ['name', 'parent', 'orbit', 'maneuvers', 'color', 'size', 'mission', 'model'];
+FleetLoader.ELEMENT_KEYS = ['eccentricity', 'inclination', 'node', 'argumentOfPeriapsis', 'epoch'];
+FleetLoader.ORBIT_KEYS = ['radius', 'altitude', 'period', 'phase', ...FleetLoader.ELEMENT_KEYS];
+FleetLoader.MANEUVER_KEYS = ['date', 'periapsis', 'deltaV', 'circularize'];
+FleetLoader.DELTA_V_KEYS = ['prograde', 'normal', 'radial'];
+// Orbit radii in AU: inside Mercury's orbit out to the Kuiper belt
+FleetLoader.MIN_RADIUS = 0.1;
+FleetLoader.MAX_RADIUS = 100;
+// Ship sizes in the procedural hull's units
+FleetLoader.MIN_SIZE = 0.5;
+FleetLoader.MAX_SIZE = 20;
+FleetLoader.DEFAULT_SIZE = 5;
+FleetLoader.DEFAULT_COLOR = 0x4a9eff;
+// Fleets describe orbits; escape trajectories come from burns
+FleetLoader.MAX_ECCENTRICITY = 0.99;
+// Largest single burn in km/s
+FleetLoader.MAX_DELTA_V = 50;
+
+// Export the class
+window.FleetLoader = FleetLoader;
@@ -0,0 +1,551 @@
+// Gravity sandbox for VantraOrbit
+//
+// Replaces the scripted Keplerian orbits of the Sun, planets and dwarf planets
+// with a live Newtonian N-body integration, started from where the ephemeris puts
+// everything on the current date. Users can change masses, drag on the ecliptic to
+// launch new bodies, and watch the system destabilize; touching bodies merge.
+// Moons, comets and the belts keep their scripted orbits around their parents.
+//
+// The integration runs in a Web Worker (js/nbody-worker.js) so the render loop
+// stays smooth, falling back to the main thread where workers are unavailable
+// (e.g. when the page is opened from file://).
+
+class GravitySandbox {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.worker = null;
+        this.integrator = null;
+
+        // Replies from before the last reset are ignored
+        this.generation = 0;
+        this.awaitingState = false;
+        this.pendingDays = 0;
+        this.lastJulianDate = null;
+
+        // Latest state from the integrator, keyed by body id (the body name)
+        this.positions = new Map();
+        this.velocities = new Map();
+        this.masses = new Map();
+        this.referenceId = 'Sun';
+        this.hiddenObjects = [];
+        this.spawnedBodies = [];
+        this.spawnCount = 0;
+
+        this.spawnMode = false;
+        this.dragStart = null;
+        this.dragArrow = null;
+        this.raycaster = new THREE.Raycaster();
+        this.eclipticPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+        this.toggle = document.getElementById('sandboxMode');
+        this.panel = document.getElementById('sandboxPanel');
+        this.bodySelect = document.getElementById('sandboxBody');
+        this.massFactorInput = document.getElementById('sandboxMassFactor');
+        this.applyMassButton = document.getElementById('sandboxApplyMass');
+        this.spawnMassInput = document.getElementById('sandboxSpawnMass');
+        this.spawnButton = document.getElementById('sandboxSpawnButton');
+        this.resetButton = document.getElementById('sandboxReset');
+        this.status = document.getElementById('sandboxStatus');
+
+        this.init();
+    }
+
+    init() {
+        if (!this.toggle) return;
+
+        this.toggle.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.enable();
+            } else {
+                this.disable();
+            }
+        });
+
+        this.applyMassButton.addEventListener('click', () => {
+            this.scaleMass(this.bodySelect.value, parseFloat(this.massFactorInput.value));
+        });
+
+        this.spawnButton.addEventListener('click', () => this.setSpawnMode(!this.spawnMode));
+        this.resetButton.addEventListener('click', () => this.reset());
+
+        // Drag on the ecliptic plane: press sets the position, the drag sets the velocity
+        const canvas = this.app.renderer.domElement;
+        canvas.addEventListener('pointerdown', (event) => this.onPointerDown(event));
+        canvas.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        canvas.addEventListener('pointerup', (event) => this.onPointerUp(event));
+    }
+
+    enable() {
+        if (this.active) return;
+        this.active = true;
+        this.panel.style.display = 'block';
+
+        this.startWorker();
+        this.reset();
+        console.log('Gravity sandbox enabled');
+    }
+
+    disable() {
+        if (!this.active) return;
+        this.active = false;
+        this.panel.style.display = 'none';
+        this.setSpawnMode(false);
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.integrator = null;
+        this.generation++;
+        this.awaitingState = false;
+
+        // Back to the scripted system; the ephemeris repositions everything next frame
+        this.removeSpawnedBodies();
+        this.restoreHiddenObjects();
+        this.setHeliocentricOrbitsVisible(this.app.showOrbits);
+        if (this.app.sunBody) {
+            this.app.sunBody.position.set(0, 0, 0);
+        }
+        (this.app.sunGlowEffects || []).forEach(glow => glow.position.set(0, 0, 0));
+        console.log('Gravity sandbox disabled');
+    }
+
+    startWorker() {
+        if (typeof Worker === 'undefined') {
+            this.useMainThread();
+            return;
+        }
+
+        try {
+            this.worker = new Worker('js/nbody-worker.js');
+            this.worker.onmessage = (event) => this.handleState(event.data);
+            this.worker.onerror = (error) => {
+                console.warn('N-body worker failed, integrating on the main thread:', error.message);
+                this.worker.terminate();
+                this.worker = null;
+                this.useMainThread();
+                this.reset();
+            };
+        } catch (error) {
+            console.warn('N-body worker unavailable, integrating on the main thread:', error);
+            this.useMainThread();
+        }
+    }
+
+    useMainThread() {
+        this.integrator = new NBodyIntegrator();
+    }
+
+    post(message) {
+        message.generation = this.generation;
+
+        if (this.worker) {
+            this.awaitingState = true;
+            this.worker.postMessage(message);
+        } else if (this.integrator) {
+            this.handleState({ generation: this.generation, state: this.integrator.handleMessage(message) });
+        }
+    }
+
+    // Restart from the canonical system at the current simulation date
+    reset() {
+        if (!this.active) return;
+
+        this.setSpawnMode(false);
+        this.removeSpawnedBodies();
+        this.restoreHiddenObjects();
+        this.setHeliocentricOrbitsVisible(false);
+
+        this.generation++;
+        this.awaitingState = false;
+        this.pendingDays = 0;
+        this.lastJulianDate = this.app.clock.julianDate;
+
+        const bodies = this.getInitialBodies(this.lastJulianDate);
+        this.masses = new Map(bodies.map(body => [body.id, body.mass]));
+        this.positions = new Map(bodies.map(body => [body.id, body.position]));
+        this.velocities = new Map(bodies.map(body => [body.id, body.velocity]));
+        this.updateBodySelect();
+
+        this.post({ type: 'init', bodies: bodies });
+    }
+
+    // Sun, planets and dwarf planets where the ephemeris puts them, in AU and AU/day
+    // along the scene axes. The Sun gets the opposite of the planets' momentum so the
+    // barycentre stays put.
+    getInitialBodies(julianDate) {
+        const sun = {
+            id: 'Sun',
+            mass: 1,
+            radius: SolarSystem.SUN_RADIUS_KM / DistanceScale.AU_KM,
+            position: [0, 0, 0],
+            velocity: [0, 0, 0]
+        };
+        const bodies = [sun];
+        const h = GravitySandbox.VELOCITY_STEP;
+
+        this.getSandboxBodies().forEach(body => {
+            const data = body.userData;
+            const position = this.getHeliocentricPosition(body, julianDate);
+            const velocity = this.getHeliocentricPosition(body, julianDate + h)
+                .sub(this.getHeliocentricPosition(body, julianDate - h))
+                .divideScalar(2 * h);
+
+            bodies.push({
+                id: data.name,
+                mass: Ephemeris.getSystemMass(body, this.app.planets),
+                radius: data.size * SolarSystem.EARTH_RADIUS_KM / DistanceScale.AU_KM,
+                position: position.toArray(),
+                velocity: velocity.toArray()
+            });
+        });
+
+        bodies.forEach(body => {
+            if (body === sun) return;
+            for (let k = 0; k < 3; k++) {
+                sun.velocity[k] -= body.velocity[k] * body.mass / sun.mass;
+            }
+        });
+
+        return bodies;
+    }
+
+    // Bodies that take part in the integration: everything orbiting the Sun with a
+    // catalog mass, including bodies added or changed through the body API
+    getSandboxBodies() {
+        return this.app.planets.filter(body => {
+            const data = body.userData;
+            return !data.parentBody && !data.isComet && !data.isSandboxBody && data.mass > 0;
+        });
+    }
+
+    getHeliocentricPosition(body, julianDate) {
+        const elements = this.app.getBodyElements(body, julianDate);
+        const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomalyAtEpoch);
+        return OrbitalMechanics.getPosition(elements, meanAnomaly, 1);
+    }
+
+    // Called every frame with the simulation date; time steps are queued while the
+    // worker is busy. The integrator covers a limited span per step and hands the rest
+    // back, so after a date jump the sandbox catches up over the following frames.
+    update(julianDate) {
+        if (!this.active) return;
+
+        this.pendingDays += julianDate - this.lastJulianDate;
+        this.lastJulianDate = julianDate;
+
+        if (!this.awaitingState && this.pendingDays !== 0) {
+            const pendingDays = this.pendingDays;
+            this.pendingDays = 0;
+            this.post({ type: 'step', days: pendingDays });
+        }
+
+        this.updateSunPosition();
+    }
+
+    handleState(response) {
+        if (response.generation !== this.generation) return;
+        this.awaitingState = false;
+
+        const state = response.state;
+        this.pendingDays += state.remainingDays;
+        this.positions = new Map(state.bodies.map(body => [body.id, body.position]));
+        this.velocities = new Map(state.bodies.map(body => [body.id, body.velocity]));
+        this.masses = new Map(state.bodies.map(body => [body.id, body.mass]));
+
+        // The heaviest body stays at the centre of the view
+        this.referenceId = state.bodies.reduce((heaviest, body) =>
+            (!heaviest || body.mass > heaviest.mass) ? body : heaviest, null).id;
+
+        state.merges.forEach(([survivorId, absorbedId]) => {
+            console.log(`Gravity sandbox: ${absorbedId} merged into ${survivorId}`);
+            this.hideBody(absorbedId);
+        });
+        if (state.merges.length > 0) {
+            this.updateBodySelect();
+        }
+
+        this.updateStatus(state);
+    }
+
+    // Place a planet from the integration; returns false when the sandbox isn't driving it
+    updateBodyPosition(body) {
+        if (!this.active) return false;
+
+        const position = this.positions.get(body.userData.name);
+        if (position) {
+            this.toScenePosition(position, body.position);
+        }
+        return this.masses.has(body.userData.name) || this.hiddenObjects.includes(body);
+    }
+
+    // The Sun only moves if something heavier takes over the centre of the view
+    updateSunPosition() {
+        const position = this.positions.get('Sun');
+        if (!position || !this.app.sunBody) return;
+
+        this.toScenePosition(position, this.app.sunBody.position);
+        (this.app.sunGlowEffects || []).forEach(glow => glow.position.copy(this.app.sunBody.position));
+    }
+
+    // Integrator position (AU) relative to the reference body, through the distance scale
+    toScenePosition(position, target) {
+        const reference = this.positions.get(this.referenceId) || [0, 0, 0];
+        target.set(position[0] - reference[0], position[1] - reference[1], position[2] - reference[2]);
+        return DistanceScale.toScenePosition(target, target);
+    }
+
+    scaleMass(id, factor) {
+        if (!this.active || !this.masses.has(id) || !(factor > 0)) return;
+
+        const mass = this.masses.get(id) * factor;
+        this.masses.set(id, mass);
+        this.post({ type: 'setMass', id: id, mass: mass });
+        console.log(`Gravity sandbox: ${id} mass x${factor}`);
+    }
+
+    // Hide a body absorbed in a merger, along with its moons
+    hideBody(id) {
+        const objects = id === 'Sun' ?
+            [this.app.sunBody, ...(this.app.sunGlowEffects || [])] :
+            this.app.planets.filter(body => body.userData.name === id ||
+                (body.userData.parentBody && body.userData.parentBody.userData.name === id));
+
+        objects.forEach(object => {
+            if (!object) return;
+            object.visible = false;
+            this.hiddenObjects.push(object);
+        });
+    }
+
+    restoreHiddenObjects() {
+        this.hiddenObjects.forEach(object => {
+            object.visible = true;
+        });
+        this.hiddenObjects = [];
+    }
+
+    // Keplerian orbit lines around the Sun mean nothing once gravity takes over
+    setHeliocentricOrbitsVisible(visible) {
+        this.app.planets.forEach(body => {
+            const data = body.userData;
+            if (data.orbitPath && !data.parentBody) {
+                data.orbitPath.visible = visible;
+            }
+        });
+    }
+
+    setSpawnMode(enabled) {
+        this.spawnMode = enabled && this.active;
+        // Orbit controls would turn the camera instead of launching the body
+        this.app.controls.enabled = !this.spawnMode;
+        if (this.spawnButton) {
+            this.spawnButton.classList.toggle('active', this.spawnMode);
+        }
+        if (!this.spawnMode) {
+            this.dragStart = null;
+            this.removeDragArrow();
+        }
+    }
+
+    // Point on the ecliptic plane under the pointer
+    pickEclipticPoint(event) {
+        const mouse = new THREE.Vector2(
+            (event.clientX / window.innerWidth) * 2 - 1,
+            -(event.clientY / window.innerHeight) * 2 + 1
+        );
+        this.raycaster.setFromCamera(mouse, this.app.camera);
+        return this.raycaster.ray.intersectPlane(this.eclipticPlane, new THREE.Vector3());
+    }
+
+    onPointerDown(event) {
+        if (!this.spawnMode) return;
+        this.dragStart = this.pickEclipticPoint(event);
+    }
+
+    onPointerMove(event) {
+        if (!this.dragStart) return;
+
+        const end = this.pickEclipticPoint(event);
+        if (!end) return;
+
+        const drag = end.sub(this.dragStart);
+        const length = drag.length();
+        this.removeDragArrow();
+        if (length === 0) return;
+
+        this.dragArrow = new THREE.ArrowHelper(drag.clone().normalize(), this.dragStart, length, GravitySandbox.ARROW_COLOR);
+        this.app.scene.add(this.dragArrow);
+
+        const speed = this.getLaunchVelocity(this.dragStart, drag).length();
+        this.status.textContent = I18n.t('sandbox.launchSpeed', { speed: Units.formatSpeed(speed * DistanceScale.AU_KM / 86400) });
+    }
+
+    onPointerUp(event) {
+        if (!this.dragStart) return;
+
+        const start = this.dragStart;
+        const end = this.pickEclipticPoint(event) || start.clone();
+        this.dragStart = null;
+        this.removeDragArrow();
+        this.setSpawnMode(false);
+
+        this.spawnBody(start, end.sub(start));
+    }
+
+    removeDragArrow() {
+        if (!this.dragArrow) return;
+        this.app.scene.remove(this.dragArrow);
+        this.dragArrow = null;
+    }
+
+    // Dragging SPAWN_DRAG_FRACTION of the distance to the centre gives a circular orbit's
+    // speed, relative to the reference body (AU/day)
+    getLaunchVelocity(start, drag) {
+        const sceneDistance = start.length();
+        const distance = DistanceScale.fromScene(sceneDistance);
+        const referenceMass = this.masses.get(this.referenceId) || 1;
+        const circularSpeed = Math.sqrt(NBodyIntegrator.G * referenceMass / distance);
+        const speed = circularSpeed * drag.length() / (sceneDistance * GravitySandbox.SPAWN_DRAG_FRACTION);
+
+        return drag.lengthSq() > 0 ? drag.clone().normalize().multiplyScalar(speed) : new THREE.Vector3();
+    }
+
+    spawnBody(start, drag) {
+        const sceneDistance = start.length();
+        const earthMasses = parseFloat(this.spawnMassInput.value);
+        if (sceneDistance === 0 || !(earthMasses > 0)) return;
+
+        this.spawnCount++;
+        // The id stays the same in every language; getDisplayName gives the shown name
+        const name = `Sandbox body ${this.spawnCount}`;
+        // Earth's density, so the radius grows with the cube root of the mass
+        const size = Math.cbrt(earthMasses);
+
+        // Launch relative to the body at the centre of the view
+        const reference = this.positions.get(this.referenceId) || [0, 0, 0];
+        const referenceVelocity = this.velocities.get(this.referenceId) || [0, 0, 0];
+        const position = start.clone().multiplyScalar(DistanceScale.fromScene(sceneDistance) / sceneDistance)
+            .add(new THREE.Vector3().fromArray(reference));
+        const velocity = this.getLaunchVelocity(start, drag).add(new THREE.Vector3().fromArray(referenceVelocity));
+
+        const body = this.createSpawnedBody(name, this.spawnCount, size);
+        const mass = earthMasses * GravitySandbox.EARTH_MASS;
+        this.masses.set(name, mass);
+        this.positions.set(name, position.toArray());
+        this.updateBodySelect();
+
+        this.post({
+            type: 'add',
+            body: {
+                id: name,
+                mass: mass,
+                radius: size * SolarSystem.EARTH_RADIUS_KM / DistanceScale.AU_KM,
+                position: position.toArray(),
+                velocity: velocity.toArray()
+            }
+        });
+
+        this.toScenePosition(position.toArray(), body.position);
+        console.log(`Gravity sandbox: spawned ${name} (${earthMasses} Earth masses)`);
+    }
+
+    createSpawnedBody(name, number, size) {
+        const app = this.app;
+        const geometry = new THREE.SphereGeometry(size * app.planetScale, 24, 24);
+        const texture = ProceduralTextures.createRockyTexture(GravitySandbox.SPAWN_COLOR, name);
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ map: texture }));
+
+        const body = app.createBodyHierarchy(mesh, {
+            axialTilt: 0,
+            rotationPeriod: 24,
+            pole: SolarSystem.ECLIPTIC_POLE,
+            primeMeridian: 0
+        });
+        // The info panel works out the diameter and distance from size and position, in
+        // the current units
+        Object.assign(body.userData, {
+            name: name,
+            size: size,
+            geometryRadius: size * app.planetScale,
+            displaySize: size,
+            rotationSpeed: 0,
+            isSandboxBody: true,
+            sandboxNumber: number,
+            type: 'Sandbox body'
+        });
+
+        app.scene.add(body);
+        app.planets.push(body);
+        app.updateBodyScale(body);
+        this.spawnedBodies.push(body);
+        app.addSelectorOption(name, 'Sandbox', 'ui.follow.sandbox');
+        return body;
+    }
+
+    removeSpawnedBodies() {
+        const app = this.app;
+
+        this.spawnedBodies.forEach(body => {
+            app.scene.remove(body);
+            app.planets.splice(app.planets.indexOf(body), 1);
+            app.removeSelectorOption(body.userData.name);
+            body.userData.mesh.geometry.dispose();
+            body.userData.mesh.material.map.dispose();
+            body.userData.mesh.material.dispose();
+
+            if (app.followTarget === body) app.followTarget = null;
+            if (app.currentPlanet === body) app.currentPlanet = null;
+        });
+        this.spawnedBodies = [];
+    }
+
+    // "Sandbox body 3" in the current language, or null if id isn't a spawned body
+    getDisplayName(id) {
+        const body = this.spawnedBodies.find(spawned => spawned.userData.name === id);
+        return body ? I18n.t('sandbox.bodyName', { number: I18n.formatNumber(body.userData.sandboxNumber) }) : null;
+    }
+
+    // Relabel the body list in a new interface language
+    refresh() {
+        this.updateBodySelect();
+    }
+
+    updateBodySelect() {
+        const selected = this.bodySelect.value;
+        this.bodySelect.innerHTML = '';
+
+        this.masses.forEach((mass, id) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = this.app.getBodyName(id);
+            this.bodySelect.appendChild(option);
+        });
+
+        this.bodySelect.value = this.masses.has(selected) ? selected : 'Jupiter';
+    }
+
+    updateStatus(state) {
+        if (!this.status || this.dragStart) return;
+        const behind = Math.round(Math.abs(this.pendingDays));
+        this.status.textContent = I18n.t('sandbox.status', {
+            bodies: I18n.plural('sandbox.bodies', state.bodies.length),
+            days: I18n.plural('units.days', Math.round(state.elapsedDays)),
+            drift: I18n.formatNumber(state.energyDrift, { notation: 'scientific', maximumFractionDigits: 1 })
+        }) + (behind >= GravitySandbox.CATCH_UP_NOTICE_DAYS ? ` · ${I18n.t('sandbox.catchingUp', { days: I18n.plural('units.days', behind) })}` : '');
+    }
+}
+
+GravitySandbox.EARTH_MASS = 3.0035e-6;
+
+// Half-width in days of the finite difference used for the starting velocities
+GravitySandbox.VELOCITY_STEP = 0.5;
+// Days still to integrate before the status line says the sandbox is catching up
+GravitySandbox.CATCH_UP_NOTICE_DAYS = 30;
+GravitySandbox.SPAWN_DRAG_FRACTION = 0.25;
+GravitySandbox.SPAWN_COLOR = 0x8fa8c8;
+GravitySandbox.ARROW_COLOR = 0x66ff99;
+
+// Export the class
+window.GravitySandbox = GravitySandbox;
@@ -0,0 +1,81 @@
+// Habitable zone overlay for VantraOrbit
+//
+// Shades the band around the star where a planet with an Earth-like atmosphere could
+// keep liquid water on its surface. The edges follow the conservative zone of Kasting
+// et al. (1993) and Kopparapu et al. (2013): the runaway greenhouse limit at
+// INNER_FLUX and the maximum greenhouse limit at OUTER_FLUX times the sunlight Earth
+// gets, leaving out how the limits shift with the star's temperature. For the Sun
+// that is about 0.95 to 1.67 AU; another star's zone scales with the square root of
+// its luminosity.
+//
+// The band lies in the reference plane and is redrawn whenever the distance scale
+// moves its edges, so it lines up with the orbits in every mode.
+
+class HabitableZone {
+    constructor(scene) {
+        this.scene = scene;
+        this.visible = false;
+
+        // Edges in AU, and the scene radii the band was last drawn with
+        this.innerRadius = 0;
+        this.outerRadius = 0;
+        this.drawnRadii = null;
+
+        const material = new THREE.MeshBasicMaterial({
+            color: HabitableZone.COLOR,
+            transparent: true,
+            opacity: HabitableZone.OPACITY,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        this.band = new THREE.Mesh(new THREE.BufferGeometry(), material);
+        this.band.userData = { type: 'habitableZone' };
+        this.band.visible = false;
+        this.scene.add(this.band);
+    }
+
+    // Inner and outer edge in AU for a star of the given luminosity (solar units)
+    static getLimits(luminosity) {
+        return [
+            Math.sqrt(luminosity / HabitableZone.INNER_FLUX),
+            Math.sqrt(luminosity / HabitableZone.OUTER_FLUX)
+        ];
+    }
+
+    setStar(star) {
+        [this.innerRadius, this.outerRadius] = HabitableZone.getLimits(star.luminosity);
+        this.drawnRadii = null;
+        this.update();
+    }
+
+    setVisibility(visible) {
+        this.visible = visible;
+        this.band.visible = visible;
+        this.update();
+    }
+
+    update() {
+        if (!this.visible) return;
+
+        const inner = DistanceScale.toScene(this.innerRadius);
+        const outer = DistanceScale.toScene(this.outerRadius);
+        if (this.drawnRadii && this.drawnRadii[0] === inner && this.drawnRadii[1] === outer) return;
+
+        // RingGeometry lies in the xy plane; the reference plane is the scene's xz plane
+        const geometry = new THREE.RingGeometry(inner, outer, HabitableZone.SEGMENTS, 1);
+        geometry.rotateX(-Math.PI / 2);
+        this.band.geometry.dispose();
+        this.band.geometry = geometry;
+        this.drawnRadii = [inner, outer];
+    }
+}
+
+// Stellar flux at the edges, relative to the flux at Earth
+HabitableZone.INNER_FLUX = 1.1;
+HabitableZone.OUTER_FLUX = 0.36;
+HabitableZone.COLOR = 0x3fbf6f;
+HabitableZone.OPACITY = 0.12;
+HabitableZone.SEGMENTS = 128;
+
+// Export the class
+window.HabitableZone = HabitableZone;
@@ -0,0 +1,373 @@
+// Historical missions for VantraOrbit
+//
+// Replays Voyager 1 and 2, Cassini, New Horizons and Juno from the trajectory tables in
+// MissionTrajectories. Each probe follows its table against the simulation clock, its
+// path is drawn in the current distance scale and labels pop up at its flybys as the
+// clock passes them. After arrival, orbiters stay with their planet until the mission
+// ends.
+//
+// Planets sit at their semi-major axis scale (userData.orbitScale) while a probe is
+// mapped radially, like a comet; the two disagree slightly wherever an orbit is
+// eccentric. Around each encounter the probe is eased onto the planet's own scene
+// position, so flybys line up in every scale mode.
+
+class HistoricalMissions {
+    constructor(app) {
+        this.app = app;
+        this.scene = app.scene;
+        this.visible = true;
+        this.selectedMission = null;
+        this.pathScaleKey = null;
+
+        this.probes = [];
+        this.paths = [];
+        this.labels = [];
+        this.presetOptions = [];
+
+        this.init();
+    }
+
+    init() {
+        MissionTrajectories.MISSIONS.forEach(mission => {
+            const probe = this.createProbe(mission);
+            this.probes.push(probe);
+            this.scene.add(probe);
+
+            const path = this.createPath(mission);
+            this.paths.push(path);
+            this.scene.add(path);
+
+            mission.events.forEach(event => {
+                const label = this.createEventLabel(mission, event);
+                this.labels.push(label);
+                this.scene.add(label);
+            });
+        });
+
+        const checkbox = document.getElementById('showMissions');
+        if (checkbox) {
+            checkbox.addEventListener('change', (e) => this.setVisibility(e.target.checked));
+        }
+        this.addTimelinePresets();
+
+        console.log(`Historical missions loaded: ${MissionTrajectories.MISSIONS.map(m => m.name).join(', ')}`);
+    }
+
+    // A generic deep-space probe: foil-wrapped bus, high-gain dish and an instrument boom
+    createProbe(mission) {
+        const group = new THREE.Group();
+        const size = HistoricalMissions.PROBE_SIZE;
+
+        const bus = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.6 * size, 0.6 * size, 0.5 * size, 10),
+            new THREE.MeshStandardMaterial({ color: 0xc9a227, metalness: 0.8, roughness: 0.35 })
+        );
+        group.add(bus);
+
+        const dish = new THREE.Mesh(
+            new THREE.CylinderGeometry(1.4 * size, 0.2 * size, 0.35 * size, 20, 1, true),
+            new THREE.MeshStandardMaterial({ color: 0xf5f5f5, metalness: 0.2, roughness: 0.6, side: THREE.DoubleSide })
+        );
+        dish.position.y = 0.45 * size;
+        group.add(dish);
+
+        const boom = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.05 * size, 0.05 * size, 3 * size, 4),
+            new THREE.MeshStandardMaterial({ color: mission.color, metalness: 0.5, roughness: 0.5 })
+        );
+        boom.rotation.z = Math.PI / 2;
+        boom.position.x = 1.5 * size;
+        group.add(boom);
+
+        group.userData = {
+            name: mission.name,
+            mission: mission,
+            isHistoricalMission: true
+        };
+        group.visible = false;
+        return group;
+    }
+
+    createPath(mission) {
+        const positions = new Float32Array(mission.trajectory.length * 3);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const path = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+            color: mission.color,
+            transparent: true,
+            opacity: 0.45
+        }));
+        path.userData = { mission: mission };
+        return path;
+    }
+
+    createEventLabel(mission, event) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 64;
+
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            sizeAttenuation: false,
+            depthTest: false,
+            transparent: true
+        }));
+        label.scale.set(HistoricalMissions.LABEL_WIDTH, HistoricalMissions.LABEL_WIDTH / 8, 1);
+        label.center.set(0.5, -0.2);
+        label.renderOrder = 1;
+        label.userData = {
+            mission: mission,
+            event: event,
+            julianDate: MissionTrajectories.getEventDate(event)
+        };
+        label.visible = false;
+        this.drawEventLabel(label);
+        return label;
+    }
+
+    // Title and date in the interface language; redrawn when it changes
+    drawEventLabel(label) {
+        const { mission, event, julianDate } = label.userData;
+        const canvas = label.material.map.image;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        ctx.fillStyle = `#${new THREE.Color(mission.color).getHexString()}`;
+        ctx.font = 'bold 26px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${mission.name}: ${I18n.translate('missions', event.title)}`, 256, 28);
+        ctx.fillStyle = '#dddddd';
+        ctx.font = '22px sans-serif';
+        ctx.fillText(I18n.formatDate(SimulationClock.julianToDate(julianDate), false), 256, 56);
+        label.material.map.needsUpdate = true;
+    }
+
+    // Encounters in the timeline's "Jump to…" menu, grouped by mission
+    addTimelinePresets() {
+        const select = document.getElementById('timelinePresets');
+        if (!select) return;
+
+        MissionTrajectories.MISSIONS.forEach((mission, missionIndex) => {
+            const group = document.createElement('optgroup');
+            group.label = mission.name;
+            mission.events.forEach((event, eventIndex) => {
+                const option = document.createElement('option');
+                option.value = `mission:${missionIndex}:${eventIndex}`;
+                group.appendChild(option);
+                this.presetOptions.push({ option: option, event: event });
+            });
+            select.appendChild(group);
+        });
+        this.labelPresets();
+    }
+
+    labelPresets() {
+        this.presetOptions.forEach(({ option, event }) => {
+            option.textContent = `${I18n.translate('missions', event.title)} (${event.date.slice(0, 4)})`;
+        });
+    }
+
+    // Redraw the labels and presets in a new interface language
+    refresh() {
+        this.labels.forEach(label => this.drawEventLabel(label));
+        this.labelPresets();
+    }
+
+    // Julian date for one of the presets above, or null if it isn't one
+    getPresetDate(preset) {
+        const match = /^mission:(\d+):(\d+)$/.exec(preset);
+        if (!match) return null;
+
+        const mission = MissionTrajectories.MISSIONS[Number(match[1])];
+        const event = mission && mission.events[Number(match[2])];
+        return event ? MissionTrajectories.getEventDate(event) : null;
+    }
+
+    setVisibility(visible) {
+        this.visible = visible;
+        this.paths.forEach(path => { path.visible = visible; });
+        if (!visible) {
+            this.probes.forEach(probe => { probe.visible = false; });
+            this.labels.forEach(label => { label.visible = false; });
+        }
+    }
+
+    getBody(name) {
+        return this.app.planets.find(body => body.userData.name === name) || null;
+    }
+
+    // Scene position of a body on any date, at its current orbit scale
+    getBodyScenePosition(body, julianDate, target = new THREE.Vector3()) {
+        const elements = this.app.getBodyElements(body, julianDate);
+        const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomalyAtEpoch);
+        return OrbitalMechanics.getPosition(elements, meanAnomaly, body.userData.orbitScale, target);
+    }
+
+    // Keeps a probe clear of the planet it is visiting: a few planet radii above it
+    getClearance(body) {
+        return body.scale.x * (body.userData.geometryRadius || 1) * HistoricalMissions.CLEARANCE_RADII;
+    }
+
+    // Scene position of a mission on the given date, or null when it isn't flying
+    getScenePosition(mission, julianDate, target = new THREE.Vector3()) {
+        const phase = MissionTrajectories.getPhase(mission, julianDate);
+
+        if (phase === 'orbit') {
+            const body = this.getBody(mission.orbits);
+            if (!body) return null;
+            return this.getBodyScenePosition(body, julianDate, target).add(
+                HistoricalMissions.ORBIT_OFFSET.clone().setLength(this.getClearance(body))
+            );
+        }
+        if (phase !== 'cruise') return null;
+
+        const heliocentric = MissionTrajectories.getPosition(mission, julianDate);
+        DistanceScale.toScenePosition(heliocentric, target);
+
+        // Ease onto each encounter body's scene position
+        const bodyPosition = new THREE.Vector3();
+        mission.events.forEach(event => {
+            if (!event.body) return;
+            const weight = this.getEncounterWeight(julianDate - MissionTrajectories.getEventDate(event));
+            const body = weight > 0 ? this.getBody(event.body) : null;
+            if (!body) return;
+
+            const elements = this.app.getBodyElements(body, julianDate);
+            const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomalyAtEpoch);
+            const bodyHeliocentric = OrbitalMechanics.getPosition(elements, meanAnomaly, 1, bodyPosition);
+            const mismatch = bodyHeliocentric.clone().multiplyScalar(body.userData.orbitScale)
+                .sub(DistanceScale.toScenePosition(bodyHeliocentric));
+            mismatch.y += this.getClearance(body);
+            target.addScaledVector(mismatch, weight);
+        });
+
+        return target;
+    }
+
+    // 1 at closest approach, easing to 0 at ENCOUNTER_DAYS either side
+    getEncounterWeight(days) {
+        const t = 1 - Math.abs(days) / HistoricalMissions.ENCOUNTER_DAYS;
+        return t <= 0 ? 0 : t * t * (3 - 2 * t);
+    }
+
+    // Paths and label anchors only move when the distance scale does
+    updatePaths() {
+        const scaleKey = `${DistanceScale.previousMode}:${DistanceScale.mode}:${DistanceScale.transition}`;
+        if (scaleKey === this.pathScaleKey) return;
+        this.pathScaleKey = scaleKey;
+
+        const point = new THREE.Vector3();
+        this.paths.forEach(path => {
+            const mission = path.userData.mission;
+            const positions = path.geometry.attributes.position;
+            mission.trajectory.forEach((row, i) => {
+                this.getScenePosition(mission, row[0], point);
+                positions.setXYZ(i, point.x, point.y, point.z);
+            });
+            positions.needsUpdate = true;
+            path.geometry.computeBoundingSphere();
+        });
+
+        this.labels.forEach(label => {
+            const data = label.userData;
+            data.anchored = this.getScenePosition(data.mission, data.julianDate, label.position) !== null;
+        });
+    }
+
+    update(julianDate) {
+        if (!this.visible) return;
+        this.updatePaths();
+
+        const ahead = new THREE.Vector3();
+        this.probes.forEach(probe => {
+            const mission = probe.userData.mission;
+            probe.visible = this.getScenePosition(mission, julianDate, probe.position) !== null;
+            if (!probe.visible) return;
+
+            // Dish towards home, boom along the direction of travel
+            if (this.getScenePosition(mission, julianDate + 1, ahead) && ahead.distanceToSquared(probe.position) > 0) {
+                probe.lookAt(ahead);
+            }
+        });
+
+        // Flyby labels show around their date, or all the time for the selected mission
+        this.labels.forEach(label => {
+            const data = label.userData;
+            const near = Math.abs(julianDate - data.julianDate) < HistoricalMissions.LABEL_DAYS;
+            label.visible = data.anchored && (near || data.mission === this.selectedMission);
+        });
+    }
+
+    selectProbe(probe) {
+        this.selectedMission = probe ? probe.userData.mission : null;
+    }
+
+    // Facts for the info panel. Mission texts are translated like fleet missions, by
+    // their English text (see I18n).
+    getMissionInfo(probe, julianDate) {
+        const mission = probe.userData.mission;
+        const phase = MissionTrajectories.getPhase(mission, julianDate);
+        const formatDate = date => I18n.formatDate(SimulationClock.julianToDate(date), false);
+        const translate = text => I18n.translate('missions', text);
+
+        let distance = I18n.t('history.notInFlight');
+        let speed = I18n.t('info.unknown');
+        if (phase === 'cruise') {
+            const position = MissionTrajectories.getPosition(mission, julianDate);
+            distance = Units.formatDistance(position.length() * DistanceScale.AU_KM);
+            speed = I18n.t('history.speed', { speed: Units.formatSpeed(MissionTrajectories.getSpeed(mission, julianDate)) });
+        } else if (phase === 'orbit') {
+            const name = I18n.getBodyName(mission.orbits);
+            distance = I18n.t('history.with', { name: name });
+            speed = I18n.t('history.orbiting', { name: name });
+        }
+
+        const last = MissionTrajectories.getLastEvent(mission, julianDate);
+        const next = MissionTrajectories.getNextEvent(mission, julianDate);
+        const eventText = [
+            last ? I18n.t('history.last', {
+                title: translate(last.title),
+                date: formatDate(MissionTrajectories.getEventDate(last)),
+                detail: translate(last.detail)
+            }) : null,
+            next ? I18n.t('history.next', {
+                title: translate(next.title),
+                date: formatDate(MissionTrajectories.getEventDate(next))
+            }) : null
+        ].filter(Boolean).join(' ');
+
+        return {
+            name: mission.name,
+            distance: distance,
+            speed: speed,
+            vehicle: I18n.t('history.vehicle', {
+                agency: mission.agency,
+                date: formatDate(MissionTrajectories.getLaunchDate(mission)),
+                vehicle: mission.launchVehicle
+            }),
+            status: phase === 'cruise' && next && next.body ?
+                I18n.t('history.cruiseTo', { name: I18n.getBodyName(next.body) }) : I18n.t(`history.phase.${phase}`),
+            description: [
+                translate(mission.description),
+                I18n.t('history.facts', { mass: translate(mission.mass), power: translate(mission.power) }),
+                eventText,
+                I18n.t(`history.source.${mission.trajectorySource}`)
+            ].filter(Boolean).join(' ')
+        };
+    }
+}
+
+HistoricalMissions.PROBE_SIZE = 3;
+// Days either side of an encounter over which a probe is eased onto the planet
+HistoricalMissions.ENCOUNTER_DAYS = 40;
+// Days either side of an event for which its label is shown
+HistoricalMissions.LABEL_DAYS = 180;
+// Screen-space label width, as a fraction of the viewport height
+HistoricalMissions.LABEL_WIDTH = 0.28;
+// How far above a planet a probe passes or orbits, in planet radii
+HistoricalMissions.CLEARANCE_RADII = 2;
+HistoricalMissions.ORBIT_OFFSET = new THREE.Vector3(1, 1, 0);
+
+// Export the class
+window.HistoricalMissions = HistoricalMissions;
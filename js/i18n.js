@@ -0,0 +1,226 @@
+// Localization for VantraOrbit
+//
+// Interface text lives in one JSON bundle per language (locales/<code>.json), with
+// the strings grouped by part of the app:
+//
+// {
+//     "ui": { "controls.title": "🚀 VantraOrbit Controls", ... },
+//     "welcome": { "explore": "🖱️ Use your mouse to explore the solar system", ... },
+//     "types": { "Gas Giant": "Gigante gaseoso" },
+//     "bodies": { "Earth": { "name": "Tierra", "description": "..." } },
+//     "missions": { "Inner system reconnaissance and mineral survey": "..." }
+// }
+//
+// Elements in index.html name their string with data-i18n (text), data-i18n-title or
+// data-i18n-placeholder, e.g. data-i18n="ui.controls.title", and keep the English
+// text inline so the page reads the same if no bundle loads. Strings may hold
+// {placeholders} filled in by I18n.t, and counted things have one string per plural
+// category (I18n.plural). Anything missing from a bundle falls back to
+// English, and then to the key itself.
+//
+// Body types, names and descriptions and mission texts come from catalogs, fleet
+// files and the historical mission tables, so they are looked up by their English
+// text or body name instead of a key, and stay in English when a bundle has no
+// translation. The English bundle has none.
+//
+// The language is ?lang=<code> if given, then the one last picked, then the first of
+// the browser's languages that has a bundle, then English. Numbers and dates are
+// formatted for the language with Intl, and right-to-left languages flip the page.
+
+class I18n {
+    // Pick the starting language; I18n.ready resolves once its bundle (and English) are
+    // loaded
+    static init() {
+        I18n.ready = I18n.setLocale(I18n.detect(), false);
+        return I18n.ready;
+    }
+
+    static detect() {
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        const candidates = [requested, I18n.getSavedLocale(), ...(navigator.languages || [navigator.language])];
+        for (const candidate of candidates) {
+            const locale = I18n.matchLocale(candidate);
+            if (locale) return locale;
+        }
+        return I18n.DEFAULT_LOCALE;
+    }
+
+    // "es-MX" and "es" both give "es"
+    static matchLocale(tag) {
+        if (typeof tag !== 'string' || !tag) return null;
+        const language = tag.toLowerCase().split('-')[0];
+        return I18n.LOCALES[language] ? language : null;
+    }
+
+    // Storage may be unavailable (private windows, file: pages), so the choice is
+    // simply not remembered there
+    static getSavedLocale() {
+        try {
+            return window.localStorage.getItem(I18n.STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static saveLocale(locale) {
+        try {
+            window.localStorage.setItem(I18n.STORAGE_KEY, locale);
+        } catch (error) {
+            // Not remembered
+        }
+    }
+
+    // Switch language, translate the page and tell the rest of the app through a
+    // 'localechange' event on window. remember keeps the choice for the next visit.
+    static async setLocale(locale, remember = true) {
+        if (!I18n.LOCALES[locale]) {
+            console.warn(`No translation for "${locale}"; available: ${Object.keys(I18n.LOCALES).join(', ')}`);
+            return;
+        }
+
+        await Promise.all([I18n.loadBundle(I18n.DEFAULT_LOCALE), I18n.loadBundle(locale)]);
+        I18n.locale = locale;
+        if (remember) I18n.saveLocale(locale);
+
+        I18n.applyToDocument();
+        window.dispatchEvent(new CustomEvent('localechange', { detail: { locale: locale } }));
+        console.log(`Language: ${I18n.LOCALES[locale].name}`);
+    }
+
+    // Loaded through three.js rather than fetch, like the body catalogs. A bundle that
+    // fails to load leaves its language falling back to English.
+    static loadBundle(locale) {
+        if (I18n.bundles[locale]) return Promise.resolve(I18n.bundles[locale]);
+        return new Promise(resolve => {
+            new THREE.FileLoader().load(`locales/${locale}.json`, text => {
+                try {
+                    I18n.bundles[locale] = JSON.parse(text);
+                } catch (error) {
+                    console.warn(`locales/${locale}.json is not valid JSON: ${error.message}`);
+                    I18n.bundles[locale] = {};
+                }
+                resolve(I18n.bundles[locale]);
+            }, undefined, () => {
+                console.warn(`Could not load locales/${locale}.json`);
+                I18n.bundles[locale] = {};
+                resolve(I18n.bundles[locale]);
+            });
+        });
+    }
+
+    // The string for "section.key" in the current language, e.g. t('table.flyTo', { name })
+    static t(key, params = {}) {
+        const [section, ...rest] = key.split('.');
+        const name = rest.join('.');
+        const lookup = locale => {
+            const bundle = I18n.bundles[locale];
+            return bundle && bundle[section] && typeof bundle[section][name] === 'string' ? bundle[section][name] : null;
+        };
+        const text = lookup(I18n.locale) || lookup(I18n.DEFAULT_LOCALE) || key;
+        return text.replace(/\{(\w+)\}/g, (match, param) => params[param] !== undefined ? params[param] : match);
+    }
+
+    // A string that depends on a count, picked by the language's plural rules from keys
+    // such as "files.fleetLoaded.one", "files.fleetLoaded.few" and
+    // "files.fleetLoaded.other"; the count is formatted and filled in as {count}. A
+    // category the bundle doesn't list uses "other".
+    static plural(key, count, params = {}) {
+        if (!I18n.pluralRules[I18n.locale]) {
+            I18n.pluralRules[I18n.locale] = new Intl.PluralRules(I18n.getFormatLocale());
+        }
+        const categoryKey = `${key}.${I18n.pluralRules[I18n.locale].select(count)}`;
+        const allParams = { ...params, count: I18n.formatNumber(count) };
+        const text = I18n.t(categoryKey, allParams);
+        return text === categoryKey ? I18n.t(`${key}.other`, allParams) : text;
+    }
+
+    // A catalog or fleet text in the current language, looked up in a section keyed by
+    // the English text itself ("types", "missions"); the English is kept otherwise
+    static translate(section, text) {
+        const bundle = I18n.bundles[I18n.locale];
+        return bundle && bundle[section] && typeof bundle[section][text] === 'string' ? bundle[section][text] : text;
+    }
+
+    // A translated field ("name", "description") of a bundled body, or null
+    static getBodyText(name, field) {
+        const bundle = I18n.bundles[I18n.locale];
+        const body = bundle && bundle.bodies && bundle.bodies[name];
+        return body && typeof body[field] === 'string' ? body[field] : null;
+    }
+
+    // The name to show for a body; names stay the same everywhere else
+    static getBodyName(name) {
+        return I18n.getBodyText(name, 'name') || name;
+    }
+
+    static applyToDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = I18n.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = I18n.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = I18n.t(element.dataset.i18nPlaceholder);
+        });
+
+        document.documentElement.lang = I18n.locale;
+        document.documentElement.dir = I18n.getDirection();
+    }
+
+    static getDirection() {
+        return I18n.LOCALES[I18n.locale].dir || 'ltr';
+    }
+
+    // Formatters are kept per language and options, as the readouts format every frame
+    static formatNumber(value, options = {}) {
+        const key = `${I18n.locale} ${JSON.stringify(options)}`;
+        if (!I18n.numberFormats[key]) {
+            I18n.numberFormats[key] = new Intl.NumberFormat(I18n.getFormatLocale(), options);
+        }
+        return I18n.numberFormats[key].format(value);
+    }
+
+    // Date and time in UTC, e.g. "20 mar 2024, 3:06 UTC"; withTime false gives the day
+    // alone, e.g. "20 mar 2024"
+    static formatDate(date, withTime = true) {
+        const key = `${I18n.locale} ${withTime}`;
+        if (!I18n.dateFormats[key]) {
+            I18n.dateFormats[key] = new Intl.DateTimeFormat(I18n.getFormatLocale(), withTime
+                ? { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' }
+                : { dateStyle: 'medium', timeZone: 'UTC' });
+        }
+        const text = I18n.dateFormats[key].format(date);
+        return withTime ? `${text} UTC` : text;
+    }
+
+    // Locale tag for Intl, with the digits each language is taught with
+    static getFormatLocale() {
+        return I18n.LOCALES[I18n.locale].format || I18n.locale;
+    }
+}
+
+// Languages with a bundle: their own name for the picker, text direction and the tag
+// used for number and date formatting. Arabic uses Western digits, as in most of the
+// Maghreb's schools.
+I18n.LOCALES = {
+    en: { name: 'English' },
+    es: { name: 'Español' },
+    fr: { name: 'Français' },
+    ar: { name: 'العربية', dir: 'rtl', format: 'ar-u-nu-latn' }
+};
+I18n.DEFAULT_LOCALE = 'en';
+I18n.STORAGE_KEY = 'vantraorbit.locale';
+I18n.locale = I18n.DEFAULT_LOCALE;
+I18n.bundles = {};
+I18n.numberFormats = {};
+I18n.pluralRules = {};
+I18n.dateFormats = {};
+I18n.ready = Promise.resolve();
+
+// Export the class
+window.I18n = I18n;
+
+// Start loading the language straight away, so the page is translated before the
+// scene is ready
+I18n.init();
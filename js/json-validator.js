@@ -0,0 +1,86 @@
+// Shared checks for VantraOrbit's JSON files
+//
+// Fleets (FleetLoader) and body catalogs (BodyCatalog) are validated the same way:
+// each check takes the value, its location in the file (e.g. "planets[2].mass") and
+// an errors array, pushes a readable message for anything wrong and carries on, so a
+// file's problems are all listed together. Messages are in the interface language,
+// from the "validator" section of the locale bundles; the paths, property names and
+// example JSON in them stay as they are written in the file.
+
+class JsonValidator {
+    // Validate an optional (or, with required, mandatory) number in a range; returns the
+    // number, or null when it is missing or invalid. unit names a string in
+    // validator.unit, e.g. 'degrees', or is '' for plain numbers.
+    static checkNumber(value, path, unit, min, max, errors, required = false) {
+        // Messages with a unit have their own keys, as languages place it differently
+        const suffix = unit ? 'In' : '';
+        const params = { path: path, unit: unit ? I18n.t(`validator.unit.${unit}`) : '' };
+        if (value === undefined) {
+            if (required) errors.push(I18n.t(`validator.required${suffix}`, params));
+            return null;
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+            errors.push(I18n.t(`validator.number${suffix}`, { ...params, got: JSON.stringify(value) }));
+            return null;
+        }
+        if (value < min || value > max) {
+            errors.push(max === Infinity ?
+                I18n.t(`validator.above${suffix}`, { ...params, value: value, min: min === Number.MIN_VALUE ? 0 : min }) :
+                I18n.t(`validator.between${suffix}`, { ...params, value: value, min: min, max: max }));
+            return null;
+        }
+        return value;
+    }
+
+    // Validate an optional ISO date such as "2026-11-20"; returns the Julian date, or null
+    static checkDate(value, path, errors) {
+        if (value === undefined) return null;
+        const time = typeof value === 'string' ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value) : NaN;
+        if (isNaN(time)) {
+            errors.push(I18n.t('validator.date', { path: path, got: JSON.stringify(value) }));
+            return null;
+        }
+        return SimulationClock.dateToJulian(new Date(time));
+    }
+
+    // Unknown properties are usually typos, so name them and suggest the nearest key
+    static checkKeys(object, allowed, path, errors) {
+        Object.keys(object).forEach(key => {
+            if (allowed.includes(key)) return;
+            const suggestion = allowed.find(candidate => JsonValidator.isNearMiss(key, candidate));
+            errors.push(suggestion ?
+                I18n.t('validator.unknownKeySuggestion', { path: path, key: key, suggestion: suggestion }) :
+                I18n.t('validator.unknownKey', { path: path, key: key, allowed: allowed.join(', ') }));
+        });
+    }
+
+    // Same word give or take letter case, a British spelling or a single typo
+    static isNearMiss(key, candidate) {
+        const a = key.toLowerCase().replace('colour', 'color');
+        return JsonValidator.getEditDistance(a, candidate.toLowerCase()) <= 1;
+    }
+
+    // Levenshtein distance between two strings
+    static getEditDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Export the class
+window.JsonValidator = JsonValidator;
@@ -0,0 +1,337 @@
+// Lagrange point and Hill sphere overlays for VantraOrbit
+//
+// Marks the five Sun-Earth and Sun-Jupiter Lagrange points, where a small body can
+// keep station with the planet, plus the Trojan asteroid clouds at Jupiter's L4 and
+// L5 and a Hill sphere around every planet. Everything is rebuilt from the planets'
+// current scene positions each frame, so the overlay co-rotates with them in any
+// distance scale mode.
+//
+// L1 and L2 lie only a Hill radius from their planet, and the Hill spheres are small
+// next to the inflated planets of the compact and logarithmic modes. Where they would
+// vanish inside the planet they are pushed out to MIN_PLANET_RADII planet radii, and
+// the info panel says so.
+
+class LagrangePoints {
+    constructor(scene, settings = {}) {
+        this.scene = scene;
+        this.trojanCount = settings.trojanCount || 1500;
+        this.visible = false;
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.scene.add(this.group);
+
+        // Clickable point markers, and the Hill sphere for each planet by name
+        this.markers = [];
+        this.hillSpheres = new Map();
+        this.trojanClouds = [];
+        this.labelTextures = {};
+
+        this.systems = LagrangePoints.SYSTEMS.map(config => this.createSystem(config));
+    }
+
+    createSystem(config) {
+        const system = {
+            config: config,
+            markers: {}
+        };
+
+        LagrangePoints.POINTS.forEach(point => {
+            const material = new THREE.SpriteMaterial({
+                map: this.getLabelTexture(point),
+                color: config.color,
+                sizeAttenuation: false,
+                depthTest: false,
+                transparent: true
+            });
+            const marker = new THREE.Sprite(material);
+            marker.scale.setScalar(LagrangePoints.MARKER_SIZE);
+            marker.renderOrder = 1;
+            marker.userData = {
+                isLagrangePoint: true,
+                point: point,
+                planet: config.planet,
+                enlarged: false
+            };
+
+            this.group.add(marker);
+            this.markers.push(marker);
+            system.markers[point] = marker;
+        });
+
+        if (config.trojans) {
+            [60, -60].forEach(angle => {
+                const cloud = this.createTrojanCloud(angle, config.color);
+                this.group.add(cloud);
+                this.trojanClouds.push({ system: system, cloud: cloud });
+            });
+        }
+
+        return system;
+    }
+
+    // Ring and label drawn once per point name, tinted per system through the material
+    getLabelTexture(point) {
+        if (this.labelTextures[point]) return this.labelTextures[point];
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(32, 20, 9, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 20px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(point, 32, 56);
+
+        this.labelTextures[point] = new THREE.CanvasTexture(canvas);
+        return this.labelTextures[point];
+    }
+
+    // Trojans librate around the leading (L4) or trailing (L5) point. The cloud is laid out
+    // in the planet's co-rotating frame at unit orbital radius and oriented every frame:
+    // x towards the planet, y along the orbit normal, z against the orbital motion.
+    createTrojanCloud(angle, color) {
+        const random = ProceduralTextures.createRandom(`trojans${angle}`);
+        const count = Math.floor(this.trojanCount / 2);
+        const positions = new Float32Array(count * 3);
+
+        for (let i = 0; i < count; i++) {
+            // Snapshot of tadpole libration about +-60 degrees, concentrated near the point
+            const libration = Math.pow(random(), 1.5) * LagrangePoints.TROJAN_LIBRATION;
+            const longitude = THREE.MathUtils.degToRad(angle + libration * Math.sin(random() * Math.PI * 2));
+            const radius = 1 + (random() - 0.5) * 2 * LagrangePoints.TROJAN_RADIAL_SPREAD;
+            const inclination = THREE.MathUtils.degToRad(random() * LagrangePoints.TROJAN_MAX_INCLINATION);
+            const height = Math.sin(inclination) * Math.sin(random() * Math.PI * 2);
+
+            positions[i * 3] = Math.cos(longitude) * radius;
+            positions[i * 3 + 1] = height * radius;
+            positions[i * 3 + 2] = -Math.sin(longitude) * radius;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        const material = new THREE.PointsMaterial({
+            color: color,
+            size: 2,
+            sizeAttenuation: false,
+            transparent: true,
+            opacity: 0.7,
+            depthWrite: false
+        });
+
+        const cloud = new THREE.Points(geometry, material);
+        cloud.matrixAutoUpdate = false;
+        return cloud;
+    }
+
+    createHillSphere(name) {
+        const geometry = new THREE.SphereGeometry(1, 24, 16);
+        const material = new THREE.MeshBasicMaterial({
+            color: LagrangePoints.HILL_SPHERE_COLOR,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.15,
+            depthWrite: false
+        });
+
+        const sphere = new THREE.Mesh(geometry, material);
+        sphere.userData = { planet: name };
+        this.group.add(sphere);
+        this.hillSpheres.set(name, sphere);
+        return sphere;
+    }
+
+    setVisibility(visible) {
+        this.visible = visible;
+        this.group.visible = visible;
+    }
+
+    // Hill radius in AU: the region where the planet's gravity dominates the Sun's tide
+    static getHillRadius(distance, mass) {
+        return distance * Math.cbrt(mass / 3);
+    }
+
+    // Reposition everything around the planets' current positions
+    update(bodies) {
+        if (!this.visible) return;
+
+        const planets = new Map();
+        bodies.forEach(body => {
+            if (Ephemeris.PLANETS[body.userData.name] && !body.userData.parentBody) {
+                planets.set(body.userData.name, body);
+            }
+        });
+
+        // Nothing is drawn for planets that have been removed
+        this.hillSpheres.forEach((sphere, name) => {
+            sphere.visible = planets.has(name);
+        });
+        this.systems.forEach(system => {
+            Object.values(system.markers).forEach(marker => {
+                marker.visible = planets.has(system.config.planet);
+            });
+        });
+        this.trojanClouds.forEach(({ system, cloud }) => {
+            cloud.visible = planets.has(system.config.planet);
+        });
+
+        planets.forEach((planet, name) => {
+            const sphere = this.hillSpheres.get(name) || this.createHillSphere(name);
+            const frame = this.getPlanetFrame(planet);
+            const hillRadius = LagrangePoints.getHillRadius(frame.distance, Ephemeris.getSystemMass(planet, bodies));
+            sphere.position.copy(planet.position);
+            sphere.scale.setScalar(this.getOverlayRadius(planet, hillRadius).length);
+        });
+
+        this.systems.forEach(system => {
+            const planet = planets.get(system.config.planet);
+            if (planet) this.updateSystem(system, planet, Ephemeris.getSystemMass(planet, bodies));
+        });
+
+        this.trojanClouds.forEach(({ system, cloud }) => {
+            const planet = planets.get(system.config.planet);
+            if (!planet) return;
+
+            const frame = this.getPlanetFrame(planet);
+            cloud.matrix.makeBasis(frame.radial, frame.normal, frame.radial.clone().cross(frame.normal))
+                .scale(new THREE.Vector3().setScalar(planet.position.length()));
+            cloud.matrixWorldNeedsUpdate = true;
+        });
+    }
+
+    // mass is the planet's (with its moons) in solar masses, read each frame so catalog
+    // and body API changes show up straight away
+    updateSystem(system, planet, mass) {
+        const frame = this.getPlanetFrame(planet);
+        const mu = mass / (1 + mass);
+        const hillRadius = LagrangePoints.getHillRadius(frame.distance, mu);
+        const offset = this.getOverlayRadius(planet, hillRadius);
+        const markers = system.markers;
+        const sceneDistance = planet.position.length();
+
+        markers.L1.position.copy(frame.radial).multiplyScalar(sceneDistance - offset.length);
+        markers.L2.position.copy(frame.radial).multiplyScalar(sceneDistance + offset.length);
+        markers.L1.userData.enlarged = offset.enlarged;
+        markers.L2.userData.enlarged = offset.enlarged;
+
+        // L3 sits just beyond the planet's orbit on the far side of the Sun
+        markers.L3.position.copy(frame.radial).multiplyScalar(-sceneDistance * (1 + 5 * mu / 12));
+
+        // L4 leads and L5 trails the planet by 60 degrees, forming equilateral triangles
+        markers.L4.position.copy(planet.position).applyAxisAngle(frame.normal, Math.PI / 3);
+        markers.L5.position.copy(planet.position).applyAxisAngle(frame.normal, -Math.PI / 3);
+
+        // Distances in AU from the Sun and from the planet, for the info panel
+        LagrangePoints.POINTS.forEach(point => {
+            const distance = this.getPointDistance(point, frame.distance, hillRadius, mu);
+            markers[point].userData.distance = distance;
+            markers[point].userData.planetDistance = this.getPlanetDistance(point, frame.distance, distance);
+        });
+    }
+
+    // Distance (AU) of each point from the Sun, for a planet at the given distance
+    getPointDistance(point, distance, hillRadius, mu) {
+        switch (point) {
+            case 'L1': return distance - hillRadius;
+            case 'L2': return distance + hillRadius;
+            case 'L3': return distance * (1 + 5 * mu / 12);
+            default: return distance;
+        }
+    }
+
+    // Distance (AU) of a point from its planet
+    getPlanetDistance(point, planetDistance, pointDistance) {
+        switch (point) {
+            case 'L1':
+            case 'L2': return Math.abs(pointDistance - planetDistance);
+            case 'L3': return planetDistance + pointDistance;
+            // Equilateral triangle with the Sun
+            default: return planetDistance;
+        }
+    }
+
+    // Unit vectors towards the planet and along its orbit normal, and its distance in AU
+    getPlanetFrame(planet) {
+        const data = planet.userData;
+        const elements = data.elements;
+        const inclination = THREE.MathUtils.degToRad(elements.inclination);
+        const node = THREE.MathUtils.degToRad(elements.longitudeOfAscendingNode);
+
+        // Ecliptic (X, Y, Z) maps to scene (x, -z, y)
+        const normal = new THREE.Vector3(
+            Math.sin(inclination) * Math.sin(node),
+            Math.cos(inclination),
+            Math.sin(inclination) * Math.cos(node)
+        );
+        const radial = planet.position.clone().normalize();
+
+        return {
+            radial: radial,
+            normal: normal,
+            distance: planet.position.length() / data.orbitScale
+        };
+    }
+
+    // Scene length of a distance measured from the planet, kept clear of its drawn sphere
+    getOverlayRadius(planet, distance) {
+        const length = distance * planet.userData.orbitScale;
+        const planetRadius = planet.scale.x * planet.userData.geometryRadius;
+        const minimum = planetRadius * LagrangePoints.MIN_PLANET_RADII;
+
+        return length < minimum ? { length: minimum, enlarged: true } : { length: length, enlarged: false };
+    }
+
+    // Text for the info panel; the point and example descriptions live in the locale
+    // bundles (lagrange.about.L1, lagrange.Earth.L1, ...)
+    getPointInfo(marker) {
+        const data = marker.userData;
+        const point = data.point;
+        const planet = data.planet;
+        const stable = point === 'L4' || point === 'L5';
+
+        const name = I18n.getBodyName(planet);
+        let description = `${I18n.t(`lagrange.about.${point}`)} ${I18n.t(`lagrange.${planet}.${point}`)}`;
+        if (data.enlarged) {
+            description += ` ${I18n.t('lagrange.enlarged', { planet: name })}`;
+        }
+
+        return {
+            name: I18n.t('lagrange.name', { planet: name, point: point }),
+            distance: I18n.t('lagrange.distance', {
+                fromSun: Units.formatDistance(data.distance * DistanceScale.AU_KM),
+                fromPlanet: Units.formatDistance(data.planetDistance * DistanceScale.AU_KM),
+                planet: name
+            }),
+            period: I18n.t('lagrange.period', { planet: name }),
+            type: I18n.t(stable ? 'lagrange.stable' : 'lagrange.unstable'),
+            description: description
+        };
+    }
+}
+
+LagrangePoints.POINTS = ['L1', 'L2', 'L3', 'L4', 'L5'];
+LagrangePoints.SYSTEMS = [
+    { planet: 'Earth', color: 0x66ccff },
+    { planet: 'Jupiter', color: 0xffb366, trojans: true }
+];
+
+// Marker size on screen (fraction of the viewport height)
+LagrangePoints.MARKER_SIZE = 0.04;
+LagrangePoints.MIN_PLANET_RADII = 1.5;
+LagrangePoints.HILL_SPHERE_COLOR = 0x88ff88;
+
+// Trojan cloud shape: libration amplitude and inclination in degrees, radial spread
+// as a fraction of the orbital radius
+LagrangePoints.TROJAN_LIBRATION = 25;
+LagrangePoints.TROJAN_MAX_INCLINATION = 30;
+LagrangePoints.TROJAN_RADIAL_SPREAD = 0.04;
+
+// Export the class
+window.LagrangePoints = LagrangePoints;
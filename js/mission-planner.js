@@ -0,0 +1,256 @@
+// Mission planner for VantraOrbit
+//
+// Pick an origin and destination planet and a departure date; the planner finds
+// the first Hohmann launch window from that date, draws the transfer ellipse and
+// reports the delta-v budget and flight time. Lambert arcs picked on the porkchop
+// plot are shown the same way. Launching jumps the clock to the
+// window and sends the chosen ship along the transfer to meet the destination.
+
+class MissionPlanner {
+    constructor(app) {
+        this.app = app;
+        this.plan = null;
+        this.messageKey = null;
+        this.transferPath = null;
+
+        this.panel = document.getElementById('missionPlanner');
+        this.originSelect = document.getElementById('missionOrigin');
+        this.destinationSelect = document.getElementById('missionDestination');
+        this.dateInput = document.getElementById('missionDate');
+        this.shipSelect = document.getElementById('missionShip');
+        this.planButton = document.getElementById('missionPlanButton');
+        this.launchButton = document.getElementById('missionLaunchButton');
+        this.results = document.getElementById('missionResults');
+
+        this.init();
+    }
+
+    init() {
+        if (!this.panel) return;
+
+        Object.keys(Ephemeris.PLANETS).forEach(name => {
+            this.originSelect.appendChild(MissionPlanner.createOption(name));
+            this.destinationSelect.appendChild(MissionPlanner.createOption(name));
+        });
+        this.labelPlanets();
+        this.originSelect.value = 'Earth';
+        this.destinationSelect.value = 'Mars';
+
+        this.updateShipOptions();
+
+        this.dateInput.value = this.app.clock.getDate().toISOString().slice(0, 10);
+
+        this.planButton.addEventListener('click', () => this.planMission());
+        this.launchButton.addEventListener('click', () => this.launch());
+
+        // A new route or date invalidates the current plan
+        [this.originSelect, this.destinationSelect, this.dateInput].forEach(input => {
+            input.addEventListener('change', () => this.clearPlan());
+        });
+    }
+
+    // Rebuild the ship list after the fleet changes, keeping the chosen ship if it's still there
+    updateShipOptions() {
+        if (!this.panel) return;
+        const selected = this.shipSelect.value;
+
+        this.shipSelect.innerHTML = '';
+        if (this.app.spaceshipSystem) {
+            this.app.spaceshipSystem.spaceships.forEach(ship => {
+                this.shipSelect.appendChild(MissionPlanner.createOption(ship.userData.name));
+            });
+        }
+        if (Array.from(this.shipSelect.options).some(option => option.value === selected)) {
+            this.shipSelect.value = selected;
+        }
+        this.launchButton.disabled = !this.plan || this.shipSelect.options.length === 0;
+    }
+
+    labelPlanets() {
+        [this.originSelect, this.destinationSelect].forEach(select => {
+            Array.from(select.options).forEach(option => {
+                option.textContent = I18n.getBodyName(option.value);
+            });
+        });
+    }
+
+    // Relabel the planets and the current plan in a new interface language
+    refresh() {
+        if (!this.panel) return;
+        this.labelPlanets();
+        if (this.plan) {
+            this.showPlan(this.plan);
+        } else if (this.messageKey) {
+            this.showMessage(this.messageKey);
+        }
+    }
+
+    static createOption(name) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        return option;
+    }
+
+    planMission() {
+        const origin = this.originSelect.value;
+        const destination = this.destinationSelect.value;
+        const date = new Date(this.dateInput.value + 'T00:00:00Z');
+
+        this.clearPlan();
+        if (origin === destination) {
+            this.showMessage('planner.samePlanet');
+            return;
+        }
+        if (isNaN(date.getTime())) {
+            this.showMessage('planner.noDate');
+            return;
+        }
+
+        const plan = TransferOrbits.planHohmann(origin, destination, SimulationClock.dateToJulian(date));
+        if (!plan) {
+            this.showMessage('planner.noWindow');
+            return;
+        }
+
+        this.setPlan(plan);
+    }
+
+    // Show and draw a plan (Hohmann from the form, or a Lambert arc from the porkchop plot)
+    setPlan(plan) {
+        this.clearPlan();
+        this.plan = plan;
+        this.originSelect.value = plan.origin;
+        this.destinationSelect.value = plan.destination;
+
+        this.createTransferPath();
+        this.showPlan(plan);
+        this.launchButton.disabled = false;
+        console.log(`Planned ${plan.origin} → ${plan.destination} transfer departing ${this.formatDate(plan.departureDate)}`);
+    }
+
+    clearPlan() {
+        this.plan = null;
+        this.messageKey = null;
+        this.launchButton.disabled = true;
+        this.results.innerHTML = '';
+        this.removeTransferPath();
+    }
+
+    // Messages are kept by key, so they can be retranslated
+    showMessage(key) {
+        this.messageKey = key;
+        this.results.textContent = I18n.t(key);
+    }
+
+    showPlan(plan) {
+        const waitDays = plan.departureDate - plan.requestedDate;
+        // Lambert plans report hyperbolic excess speeds relative to the planets
+        const speed = plan.type === 'lambert' ? 'v∞' : 'Δv';
+        const rows = [
+            [I18n.t('planner.launchWindow'), waitDays >= 1 ?
+                I18n.t('planner.wait', { date: this.formatDate(plan.departureDate), days: I18n.plural('units.days', Math.round(waitDays)) }) :
+                this.formatDate(plan.departureDate)],
+            [I18n.t('planner.arrival'), this.formatDate(plan.arrivalDate)],
+            [I18n.t('planner.flightTime'), MissionPlanner.formatDuration(plan.flightTime)],
+            [I18n.t('planner.departureSpeed', { speed: speed }), `${Units.formatFixed(plan.departureDeltaV, 2)} km/s`],
+            [I18n.t('planner.arrivalSpeed', { speed: speed }), `${Units.formatFixed(plan.arrivalDeltaV, 2)} km/s`],
+            [I18n.t('planner.totalSpeed', { speed: speed }), I18n.t('planner.heliocentric', { value: Units.formatFixed(plan.totalDeltaV, 2) })],
+            [I18n.t('planner.c3'), `${Units.formatFixed(plan.c3, 1)} km²/s²`],
+            [I18n.t('planner.phaseAngle'), I18n.t(plan.phaseAngle >= 0 ? 'planner.leads' : 'planner.trails', {
+                destination: I18n.getBodyName(plan.destination),
+                origin: I18n.getBodyName(plan.origin),
+                angle: Units.formatFixed(Math.abs(plan.phaseAngle), 1)
+            })]
+        ];
+
+        this.results.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            const strong = document.createElement('strong');
+            strong.textContent = I18n.t('planner.label', { label: label });
+            row.appendChild(strong);
+            row.appendChild(document.createTextNode(value));
+            this.results.appendChild(row);
+        });
+    }
+
+    formatDate(julianDate) {
+        return I18n.formatDate(SimulationClock.julianToDate(julianDate), false);
+    }
+
+    static formatDuration(days) {
+        return days > 730 ? I18n.t('planner.years', { value: Units.formatFixed(days / 365.25, 1) }) :
+            I18n.t('planner.days', { value: Math.round(days) });
+    }
+
+    // Jump to the launch window and send the ship on its way
+    launch() {
+        if (!this.plan || !this.app.spaceshipSystem) return;
+
+        const ship = this.app.spaceshipSystem.spaceships.find(s => s.userData.name === this.shipSelect.value);
+        const origin = this.app.planets.find(body => body.userData.name === this.plan.origin);
+        const destination = this.app.planets.find(body => body.userData.name === this.plan.destination);
+        if (!ship || !origin || !destination) return;
+
+        this.app.spaceshipSystem.launchMission(ship, this.plan, origin, destination);
+        this.app.clock.julianDate = this.plan.departureDate;
+        this.app.clock.play();
+        if (this.app.timeline) {
+            this.app.timeline.updateButtons();
+            this.app.timeline.update();
+        }
+        console.log(`${ship.userData.name} launched for ${this.plan.destination}`);
+    }
+
+    createTransferPath() {
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            new Array(MissionPlanner.PATH_SEGMENTS + 1).fill(null).map(() => new THREE.Vector3())
+        );
+        const material = new THREE.LineDashedMaterial({
+            color: MissionPlanner.PATH_COLOR,
+            dashSize: 3,
+            gapSize: 2,
+            transparent: true,
+            opacity: 0.8
+        });
+
+        this.transferPath = new THREE.Line(geometry, material);
+        this.app.scene.add(this.transferPath);
+        this.update();
+    }
+
+    removeTransferPath() {
+        if (!this.transferPath) return;
+        this.app.scene.remove(this.transferPath);
+        this.transferPath.geometry.dispose();
+        this.transferPath.material.dispose();
+        this.transferPath = null;
+    }
+
+    // Redraw the ellipse in the current distance scale; called every frame
+    update() {
+        if (!this.transferPath) return;
+
+        const origin = this.app.planets.find(body => body.userData.name === this.plan.origin);
+        const destination = this.app.planets.find(body => body.userData.name === this.plan.destination);
+        if (!origin || !destination) return;
+
+        const positions = this.transferPath.geometry.attributes.position;
+        const point = new THREE.Vector3();
+        for (let i = 0; i <= MissionPlanner.PATH_SEGMENTS; i++) {
+            const progress = i / MissionPlanner.PATH_SEGMENTS;
+            TransferOrbits.getScenePosition(this.plan, progress, origin.userData.orbitScale, destination.userData.orbitScale, point);
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+        positions.needsUpdate = true;
+        this.transferPath.geometry.computeBoundingSphere();
+        this.transferPath.computeLineDistances();
+    }
+}
+
+MissionPlanner.PATH_SEGMENTS = 128;
+MissionPlanner.PATH_COLOR = 0xffd166;
+
+// Export the class
+window.MissionPlanner = MissionPlanner;
@@ -0,0 +1,703 @@
+// Historical spacecraft trajectories for VantraOrbit
+//
+// Time-tagged heliocentric positions for Voyager 1 and 2, Cassini, New Horizons and
+// Juno, with their encounter dates and mission facts. Each trajectory row is
+// [Julian date, X, Y, Z]: AU in the J2000 ecliptic frame, the layout of a JPL
+// Horizons vector table, so Horizons exports can be dropped in unchanged.
+//
+// The bundled rows were reconstructed from the published encounter dates rather than
+// exported from Horizons. Between encounters each cruise arc is the conic (Lambert
+// solution) joining the bodies' positions on those dates, taken from this app's
+// ephemeris, sampled every few days near the Sun and more sparsely farther out. The
+// Voyagers' escape arcs run to their published heliopause crossings (distance and
+// direction), New Horizons stays on its Pluto-approach conic, which reaches 43 AU in
+// time for the Arrokoth flyby, and Juno's two deep-space manoeuvres are a single
+// waypoint at its 2.3 AU aphelion. Flybys are therefore exact in date and place, and
+// the cruise arcs are close to, but not exactly, the paths flown.
+//
+// Each mission's trajectorySource says where its rows came from: 'reconstructed' for
+// the bundled tables, 'horizons' for a Horizons export. The info panel shows the
+// matching note (history.source.* in the locale bundles), so reconstructed paths are
+// never passed off as flown ones.
+
+class MissionTrajectories {
+    static getMission(name) {
+        return MissionTrajectories.MISSIONS.find(mission => mission.name === name) || null;
+    }
+
+    static getLaunchDate(mission) {
+        return mission.trajectory[0][0];
+    }
+
+    // Last tabulated date: arrival for orbiters, the end of the table for escaping craft
+    static getTableEndDate(mission) {
+        return mission.trajectory[mission.trajectory.length - 1][0];
+    }
+
+    static getEndDate(mission) {
+        return mission.endDate ? SimulationClock.dateToJulian(new Date(mission.endDate)) : null;
+    }
+
+    // 'prelaunch', 'cruise', 'orbit' (around mission.orbits after arrival) or 'ended'
+    static getPhase(mission, julianDate) {
+        if (julianDate < MissionTrajectories.getLaunchDate(mission)) return 'prelaunch';
+        if (julianDate <= MissionTrajectories.getTableEndDate(mission)) return 'cruise';
+
+        const endDate = MissionTrajectories.getEndDate(mission);
+        if (mission.orbits && (endDate === null || julianDate <= endDate)) return 'orbit';
+        return 'ended';
+    }
+
+    // Heliocentric position (AU, scene axes) interpolated from the table, or null
+    // outside it
+    static getPosition(mission, julianDate, target = new THREE.Vector3()) {
+        const table = mission.trajectory;
+        if (julianDate < table[0][0] || julianDate > table[table.length - 1][0]) return null;
+
+        // Binary search for the row at or before the date
+        let low = 0;
+        let high = table.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (table[middle][0] <= julianDate) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        const a = table[low];
+        const b = table[high];
+        const t = b[0] > a[0] ? (julianDate - a[0]) / (b[0] - a[0]) : 0;
+        const x = a[1] + (b[1] - a[1]) * t;
+        const y = a[2] + (b[2] - a[2]) * t;
+        const z = a[3] + (b[3] - a[3]) * t;
+
+        // Ecliptic X is +x, ecliptic Y is -z and the ecliptic pole is +y
+        return target.set(x, z, -y);
+    }
+
+    // Heliocentric speed (km/s) along the table, or null outside it
+    static getSpeed(mission, julianDate) {
+        const h = MissionTrajectories.SPEED_STEP;
+        const start = Math.max(julianDate - h, MissionTrajectories.getLaunchDate(mission));
+        const end = Math.min(julianDate + h, MissionTrajectories.getTableEndDate(mission));
+        const before = MissionTrajectories.getPosition(mission, start);
+        const after = MissionTrajectories.getPosition(mission, end);
+        if (!before || !after || end <= start) return null;
+
+        return after.distanceTo(before) / (end - start) * DistanceScale.AU_KM / 86400;
+    }
+
+    static getEventDate(event) {
+        return SimulationClock.dateToJulian(new Date(event.date));
+    }
+
+    // Most recent event on or before the date, or null before launch
+    static getLastEvent(mission, julianDate) {
+        const past = mission.events.filter(event => MissionTrajectories.getEventDate(event) <= julianDate);
+        return past.length > 0 ? past[past.length - 1] : null;
+    }
+
+    static getNextEvent(mission, julianDate) {
+        return mission.events.find(event => MissionTrajectories.getEventDate(event) > julianDate) || null;
+    }
+}
+
+// Half-width (days) of the difference used for speeds
+MissionTrajectories.SPEED_STEP = 1;
+
+// Events are in date order; those with a body happen at that body, the rest wherever
+// the spacecraft is on the date
+MissionTrajectories.MISSIONS = [
+    {
+        name: 'Voyager 1',
+        agency: 'NASA / JPL',
+        color: 0xffd166,
+        launchVehicle: 'Titan IIIE-Centaur',
+        mass: '722 kg',
+        power: 'Three radioisotope thermoelectric generators',
+        description: 'Launched after its twin but on a faster path, Voyager 1 toured Jupiter and Saturn, then swung north out of the ecliptic after a close pass of Titan. It is the most distant human-made object and the first to reach interstellar space.',
+        orbits: null,
+        endDate: null,
+        trajectorySource: 'reconstructed',
+        events: [
+            { date: '1977-09-05T12:56:00Z', body: 'Earth', title: 'Launch', detail: 'Launched from Cape Canaveral, 16 days after Voyager 2.' },
+            { date: '1979-03-05T12:05:00Z', body: 'Jupiter', title: 'Jupiter flyby', detail: 'Closest approach 349,000 km; found active volcanoes on Io and a faint ring around Jupiter.' },
+            { date: '1980-11-12T23:46:00Z', body: 'Saturn', title: 'Saturn flyby', detail: 'Passed 124,000 km above the clouds, hours after flying 6,490 km from Titan.' },
+            { date: '1990-02-14T04:48:00Z', body: null, title: 'Pale Blue Dot', detail: 'Turned back to photograph the planets, catching Earth as a pale blue dot from about 40 AU.' },
+            { date: '2004-12-16T00:00:00Z', body: null, title: 'Termination shock', detail: 'Crossed the termination shock at 94 AU, where the solar wind drops below the speed of sound.' },
+            { date: '2012-08-25T00:00:00Z', body: null, title: 'Interstellar space', detail: 'Crossed the heliopause at 121.6 AU, the first spacecraft to leave the heliosphere.' }
+        ],
+        trajectory: [
+            [2443392.04, 0.9648, -0.2921, 0.0000], [2443396.04, 0.9896, -0.2036, 0.0016], [2443400.04, 1.0099, -0.1141, 0.0032],
+            [2443404.04, 1.0256, -0.0241, 0.0049], [2443408.04, 1.0368, 0.0660, 0.0065], [2443412.04, 1.0436, 0.1558, 0.0080],
+            [2443416.04, 1.0463, 0.2450, 0.0096], [2443420.04, 1.0449, 0.3332, 0.0110], [2443424.04, 1.0398, 0.4203, 0.0125],
+            [2443428.04, 1.0312, 0.5060, 0.0139], [2443432.04, 1.0194, 0.5900, 0.0153], [2443436.04, 1.0047, 0.6724, 0.0166],
+            [2443440.04, 0.9872, 0.7530, 0.0179], [2443444.04, 0.9673, 0.8317, 0.0191], [2443448.04, 0.9452, 0.9085, 0.0203],
+            [2443452.04, 0.9211, 0.9834, 0.0215], [2443456.04, 0.8953, 1.0565, 0.0226], [2443460.04, 0.8678, 1.1276, 0.0237],
+            [2443464.04, 0.8389, 1.1969, 0.0247], [2443468.04, 0.8087, 1.2643, 0.0257], [2443472.04, 0.7774, 1.3300, 0.0267],
+            [2443476.04, 0.7451, 1.3940, 0.0276], [2443480.04, 0.7119, 1.4563, 0.0285], [2443484.04, 0.6779, 1.5170, 0.0293],
+            [2443488.04, 0.6432, 1.5761, 0.0302], [2443492.04, 0.6079, 1.6337, 0.0310], [2443496.04, 0.5720, 1.6899, 0.0317],
+            [2443500.04, 0.5357, 1.7446, 0.0325], [2443504.04, 0.4990, 1.7980, 0.0332], [2443508.04, 0.4618, 1.8501, 0.0339],
+            [2443512.04, 0.4244, 1.9009, 0.0346], [2443516.04, 0.3867, 1.9505, 0.0352], [2443520.04, 0.3488, 1.9989, 0.0358],
+            [2443530.04, 0.2531, 2.1151, 0.0373], [2443540.04, 0.1567, 2.2248, 0.0387], [2443550.04, 0.0599, 2.3286, 0.0400],
+            [2443560.04, -0.0371, 2.4269, 0.0412], [2443570.04, -0.1340, 2.5202, 0.0422], [2443580.04, -0.2307, 2.6088, 0.0433],
+            [2443590.04, -0.3270, 2.6932, 0.0442], [2443600.04, -0.4228, 2.7735, 0.0451], [2443610.04, -0.5181, 2.8502, 0.0459],
+            [2443620.04, -0.6127, 2.9233, 0.0466], [2443630.04, -0.7066, 2.9933, 0.0474], [2443640.04, -0.7999, 3.0602, 0.0480],
+            [2443650.04, -0.8923, 3.1242, 0.0486], [2443660.04, -0.9840, 3.1855, 0.0492], [2443670.04, -1.0750, 3.2443, 0.0497],
+            [2443680.04, -1.1651, 3.3006, 0.0502], [2443690.04, -1.2544, 3.3547, 0.0507], [2443700.04, -1.3429, 3.4067, 0.0511],
+            [2443710.04, -1.4306, 3.4566, 0.0515], [2443720.04, -1.5175, 3.5045, 0.0519], [2443730.04, -1.6036, 3.5506, 0.0522],
+            [2443740.04, -1.6889, 3.5948, 0.0526], [2443750.04, -1.7734, 3.6374, 0.0528], [2443760.04, -1.8571, 3.6784, 0.0531],
+            [2443770.04, -1.9400, 3.7178, 0.0534], [2443780.04, -2.0222, 3.7557, 0.0536], [2443790.04, -2.1035, 3.7922, 0.0538],
+            [2443800.04, -2.1841, 3.8273, 0.0540], [2443810.04, -2.2640, 3.8611, 0.0541], [2443820.04, -2.3431, 3.8936, 0.0543],
+            [2443830.04, -2.4215, 3.9249, 0.0544], [2443840.04, -2.4991, 3.9550, 0.0545], [2443850.04, -2.5760, 3.9840, 0.0546],
+            [2443860.04, -2.6522, 4.0118, 0.0547], [2443870.04, -2.7277, 4.0386, 0.0548], [2443880.04, -2.8025, 4.0644, 0.0548],
+            [2443890.04, -2.8766, 4.0891, 0.0549], [2443900.04, -2.9500, 4.1129, 0.0549], [2443910.04, -3.0228, 4.1358, 0.0549],
+            [2443920.04, -3.0948, 4.1577, 0.0549], [2443930.04, -3.1663, 4.1788, 0.0549], [2443938.00, -3.2227, 4.1949, 0.0549],
+            [2443948.00, -3.3434, 4.1332, 0.0608], [2443958.00, -3.4634, 4.0708, 0.0666], [2443968.00, -3.5828, 4.0075, 0.0725],
+            [2443978.00, -3.7015, 3.9434, 0.0783], [2443988.00, -3.8194, 3.8787, 0.0841], [2443998.00, -3.9367, 3.8132, 0.0899],
+            [2444008.00, -4.0533, 3.7470, 0.0957], [2444018.00, -4.1692, 3.6802, 0.1015], [2444028.00, -4.2843, 3.6127, 0.1072],
+            [2444038.00, -4.3987, 3.5446, 0.1130], [2444048.00, -4.5125, 3.4760, 0.1187], [2444058.00, -4.6254, 3.4068, 0.1244],
+            [2444068.00, -4.7377, 3.3370, 0.1301], [2444078.00, -4.8493, 3.2668, 0.1357], [2444088.00, -4.9601, 3.1960, 0.1414],
+            [2444098.00, -5.0702, 3.1248, 0.1470], [2444108.00, -5.1796, 3.0532, 0.1526], [2444138.00, -5.5036, 2.8359, 0.1693],
+            [2444168.00, -5.8215, 2.6154, 0.1857], [2444198.00, -6.1333, 2.3923, 0.2020], [2444228.00, -6.4395, 2.1669, 0.2181],
+            [2444258.00, -6.7402, 1.9397, 0.2340], [2444288.00, -7.0358, 1.7109, 0.2498], [2444318.00, -7.3263, 1.4810, 0.2653],
+            [2444348.00, -7.6123, 1.2501, 0.2807], [2444378.00, -7.8938, 1.0185, 0.2960], [2444408.00, -8.1712, 0.7863, 0.3110],
+            [2444438.00, -8.4446, 0.5538, 0.3260], [2444468.00, -8.7143, 0.3210, 0.3407], [2444498.00, -8.9806, 0.0881, 0.3554],
+            [2444528.00, -9.2435, -0.1448, 0.3699], [2444556.49, -9.4903, -0.3659, 0.3836], [2444586.49, -9.5981, -0.6549, 0.5918],
+            [2444616.49, -9.7031, -0.9436, 0.7998], [2444646.49, -9.8053, -1.2321, 1.0076], [2444676.49, -9.9048, -1.5203, 1.2151],
+            [2444706.49, -10.0018, -1.8080, 1.4224], [2444736.49, -10.0963, -2.0954, 1.6292], [2444766.49, -10.1885, -2.3822, 1.8357],
+            [2444796.49, -10.2784, -2.6685, 2.0418], [2444826.49, -10.3661, -2.9542, 2.2474], [2444856.49, -10.4518, -3.2394, 2.4527],
+            [2444886.49, -10.5354, -3.5239, 2.6574], [2444916.49, -10.6172, -3.8078, 2.8617], [2444946.49, -10.6972, -4.0911, 3.0654],
+            [2444976.49, -10.7755, -4.3737, 3.2687], [2445006.49, -10.8522, -4.6556, 3.4715], [2445036.49, -10.9273, -4.9369, 3.6738],
+            [2445066.49, -11.0009, -5.2175, 3.8756], [2445096.49, -11.0732, -5.4975, 4.0769], [2445126.49, -11.1441, -5.7768, 4.2778],
+            [2445156.49, -11.2137, -6.0554, 4.4781], [2445186.49, -11.2821, -6.3334, 4.6779], [2445216.49, -11.3494, -6.6107, 4.8773],
+            [2445246.49, -11.4155, -6.8874, 5.0762], [2445276.49, -11.4806, -7.1634, 5.2746], [2445306.49, -11.5447, -7.4388, 5.4726],
+            [2445336.49, -11.6079, -7.7137, 5.6701], [2445396.49, -11.7316, -8.2615, 6.0639], [2445456.49, -11.8519, -8.8070, 6.4559],
+            [2445516.49, -11.9692, -9.3503, 6.8462], [2445576.49, -12.0837, -9.8914, 7.2350], [2445636.49, -12.1958, -10.4304, 7.6223],
+            [2445696.49, -12.3055, -10.9675, 8.0081], [2445756.49, -12.4131, -11.5027, 8.3926], [2445816.49, -12.5187, -12.0360, 8.7757],
+            [2445876.49, -12.6225, -12.5676, 9.1576], [2445936.49, -12.7246, -13.0976, 9.5382], [2445996.49, -12.8252, -13.6259, 9.9177],
+            [2446056.49, -12.9243, -14.1527, 10.2960], [2446116.49, -13.0221, -14.6781, 10.6733], [2446176.49, -13.1187, -15.2020, 11.0496],
+            [2446236.49, -13.2141, -15.7246, 11.4249], [2446296.49, -13.3084, -16.2459, 11.7993], [2446356.49, -13.4016, -16.7660, 12.1727],
+            [2446416.49, -13.4940, -17.2849, 12.5453], [2446476.49, -13.5854, -17.8026, 12.9171], [2446536.49, -13.6760, -18.3193, 13.2880],
+            [2446596.49, -13.7659, -18.8349, 13.6583], [2446656.49, -13.8550, -19.3495, 14.0277], [2446716.49, -13.9433, -19.8631, 14.3965],
+            [2446776.49, -14.0311, -20.3757, 14.7646], [2446836.49, -14.1181, -20.8875, 15.1320], [2446896.49, -14.2046, -21.3983, 15.4988],
+            [2446956.49, -14.2906, -21.9084, 15.8649], [2447016.49, -14.3760, -22.4176, 16.2305], [2447076.49, -14.4609, -22.9260, 16.5955],
+            [2447136.49, -14.5453, -23.4337, 16.9600], [2447196.49, -14.6293, -23.9406, 17.3239], [2447256.49, -14.7128, -24.4468, 17.6873],
+            [2447316.49, -14.7959, -24.9523, 18.0503], [2447376.49, -14.8787, -25.4572, 18.4127], [2447436.49, -14.9610, -25.9614, 18.7747],
+            [2447496.49, -15.0430, -26.4650, 19.1362], [2447556.49, -15.1246, -26.9680, 19.4972], [2447616.49, -15.2059, -27.4704, 19.8579],
+            [2447676.49, -15.2869, -27.9722, 20.2181], [2447736.49, -15.3676, -28.4735, 20.5780], [2447796.49, -15.4480, -28.9742, 20.9374],
+            [2447856.49, -15.5282, -29.4744, 21.2965], [2447916.49, -15.6080, -29.9741, 21.6552], [2447976.49, -15.6876, -30.4733, 22.0136],
+            [2448036.49, -15.7670, -30.9720, 22.3716], [2448096.49, -15.8461, -31.4703, 22.7292], [2448156.49, -15.9250, -31.9681, 23.0866],
+            [2448216.49, -16.0036, -32.4655, 23.4436], [2448276.49, -16.0821, -32.9624, 23.8003], [2448336.49, -16.1603, -33.4589, 24.1567],
+            [2448396.49, -16.2384, -33.9550, 24.5128], [2448456.49, -16.3162, -34.4507, 24.8686], [2448636.49, -16.5487, -35.9355, 25.9344],
+            [2448816.49, -16.7797, -37.4171, 26.9978], [2448996.49, -17.0093, -38.8956, 28.0591], [2449176.49, -17.2377, -40.3713, 29.1183],
+            [2449356.49, -17.4650, -41.8443, 30.1756], [2449536.49, -17.6912, -43.3149, 31.2311], [2449716.49, -17.9164, -44.7831, 32.2849],
+            [2449896.49, -18.1408, -46.2491, 33.3372], [2450076.49, -18.3644, -47.7131, 34.3879], [2450256.49, -18.5872, -49.1750, 35.4372],
+            [2450436.49, -18.8093, -50.6352, 36.4852], [2450616.49, -19.0308, -52.0936, 37.5320], [2450796.49, -19.2517, -53.5503, 38.5775],
+            [2450976.49, -19.4719, -55.0055, 39.6219], [2451156.49, -19.6917, -56.4591, 40.6652], [2451336.49, -19.9110, -57.9113, 41.7075],
+            [2451516.49, -20.1298, -59.3622, 42.7488], [2451696.49, -20.3481, -60.8117, 43.7892], [2451876.49, -20.5660, -62.2600, 44.8287],
+            [2452056.49, -20.7836, -63.7071, 45.8673], [2452236.49, -21.0007, -65.1531, 46.9051], [2452416.49, -21.2176, -66.5979, 47.9421],
+            [2452596.49, -21.4340, -68.0418, 48.9783], [2452776.49, -21.6502, -69.4846, 50.0139], [2452956.49, -21.8661, -70.9264, 51.0487],
+            [2453136.49, -22.0816, -72.3673, 52.0828], [2453316.49, -22.2969, -73.8073, 53.1163], [2453496.49, -22.5120, -75.2465, 54.1492],
+            [2453676.49, -22.7268, -76.6848, 55.1815], [2453856.49, -22.9413, -78.1224, 56.2133], [2454036.49, -23.1556, -79.5591, 57.2444],
+            [2454216.49, -23.3697, -80.9951, 58.2750], [2454396.49, -23.5836, -82.4304, 59.3051], [2454576.49, -23.7973, -83.8650, 60.3347],
+            [2454756.49, -24.0109, -85.2989, 61.3639], [2454936.49, -24.2242, -86.7322, 62.3925], [2455116.49, -24.4373, -88.1648, 63.4207],
+            [2455296.49, -24.6503, -89.5968, 64.4484], [2455476.49, -24.8631, -91.0282, 65.4758], [2455656.49, -25.0758, -92.4591, 66.5027],
+            [2455836.49, -25.2883, -93.8893, 67.5292], [2456016.49, -25.5006, -95.3191, 68.5553], [2456164.50, -25.6752, -96.4943, 69.3988],
+            [2456344.50, -25.8873, -97.9231, 70.4242], [2456524.50, -26.0992, -99.3514, 71.4493], [2456704.50, -26.3111, -100.7792, 72.4740],
+            [2456884.50, -26.5228, -102.2066, 73.4984], [2457064.50, -26.7344, -103.6334, 74.5224], [2457244.50, -26.9459, -105.0599, 75.5462],
+            [2457424.50, -27.1573, -106.4858, 76.5696], [2457604.50, -27.3685, -107.9114, 77.5927], [2457784.50, -27.5797, -109.3366, 78.6155],
+            [2457964.50, -27.7908, -110.7613, 79.6380], [2458144.50, -28.0017, -112.1857, 80.6603], [2458324.50, -28.2126, -113.6096, 81.6823],
+            [2458504.50, -28.4234, -115.0332, 82.7039], [2458684.50, -28.6341, -116.4565, 83.7254], [2458864.50, -28.8447, -117.8793, 84.7466],
+            [2459044.50, -29.0552, -119.3018, 85.7675], [2459224.50, -29.2656, -120.7240, 86.7882], [2459404.50, -29.4759, -122.1459, 87.8086],
+            [2459584.50, -29.6862, -123.5674, 88.8288], [2459764.50, -29.8964, -124.9886, 89.8488], [2459944.50, -30.1065, -126.4095, 90.8686],
+            [2460124.50, -30.3166, -127.8301, 91.8881], [2460304.50, -30.5265, -129.2504, 92.9074], [2460484.50, -30.7364, -130.6704, 93.9265],
+            [2460664.50, -30.9463, -132.0901, 94.9454], [2460844.50, -31.1561, -133.5096, 95.9642], [2461024.50, -31.3658, -134.9287, 96.9827],
+            [2461204.50, -31.5754, -136.3476, 98.0010], [2461384.50, -31.7850, -137.7663, 99.0191], [2461564.50, -31.9945, -139.1846, 100.0371],
+            [2461744.50, -32.2040, -140.6028, 101.0548], [2461924.50, -32.4134, -142.0207, 102.0724], [2462104.50, -32.6228, -143.4383, 103.0898],
+            [2462284.50, -32.8321, -144.8557, 104.1071], [2462464.50, -33.0413, -146.2729, 105.1242], [2462644.50, -33.2505, -147.6898, 106.1411],
+            [2462824.50, -33.4597, -149.1065, 107.1578], [2463004.50, -33.6688, -150.5230, 108.1744], [2463184.50, -33.8778, -151.9393, 109.1909],
+            [2463364.50, -34.0868, -153.3554, 110.2072], [2463544.50, -34.2958, -154.7712, 111.2233], [2463724.50, -34.5047, -156.1869, 112.2393],
+            [2463904.50, -34.7136, -157.6024, 113.2551], [2464084.50, -34.9224, -159.0176, 114.2708], [2464264.50, -35.1312, -160.4327, 115.2864],
+            [2464444.50, -35.3399, -161.8476, 116.3018], [2464624.50, -35.5486, -163.2622, 117.3171], [2464804.50, -35.7573, -164.6767, 118.3323],
+            [2464984.50, -35.9659, -166.0911, 119.3473], [2465164.50, -36.1745, -167.5052, 120.3622], [2465344.50, -36.3830, -168.9192, 121.3770],
+            [2465524.50, -36.5915, -170.3330, 122.3917], [2465704.50, -36.8000, -171.7466, 123.4062], [2465884.50, -37.0084, -173.1601, 124.4206],
+            [2466064.50, -37.2168, -174.5734, 125.4349], [2466244.50, -37.4252, -175.9865, 126.4491], [2466424.50, -37.6335, -177.3995, 127.4632],
+            [2466604.50, -37.8418, -178.8123, 128.4771], [2466784.50, -38.0501, -180.2250, 129.4910], [2466964.50, -38.2583, -181.6375, 130.5047],
+            [2467144.50, -38.4665, -183.0499, 131.5183], [2467324.50, -38.6747, -184.4621, 132.5318], [2467504.50, -38.8829, -185.8742, 133.5453],
+            [2467684.50, -39.0910, -187.2861, 134.5586], [2467864.50, -39.2991, -188.6979, 135.5718], [2468044.50, -39.5071, -190.1096, 136.5849],
+            [2468224.50, -39.7151, -191.5211, 137.5979], [2468404.50, -39.9231, -192.9325, 138.6109], [2468584.50, -40.1311, -194.3437, 139.6237],
+            [2468764.50, -40.3391, -195.7548, 140.6364], [2468944.50, -40.5470, -197.1658, 141.6491], [2469124.50, -40.7549, -198.5767, 142.6616],
+            [2469304.50, -40.9627, -199.9875, 143.6741], [2469484.50, -41.1706, -201.3981, 144.6864], [2469664.50, -41.3784, -202.8086, 145.6987],
+            [2469807.50, -41.5435, -203.9290, 146.5029]
+        ]
+    },
+    {
+        name: 'Voyager 2',
+        agency: 'NASA / JPL',
+        color: 0x74b9ff,
+        launchVehicle: 'Titan IIIE-Centaur',
+        mass: '722 kg',
+        power: 'Three radioisotope thermoelectric generators',
+        description: 'Voyager 2 used a rare alignment of the outer planets to make the Grand Tour of Jupiter, Saturn, Uranus and Neptune. It remains the only spacecraft to have visited the two ice giants.',
+        orbits: null,
+        endDate: null,
+        trajectorySource: 'reconstructed',
+        events: [
+            { date: '1977-08-20T14:29:00Z', body: 'Earth', title: 'Launch', detail: 'Launched from Cape Canaveral, the first of the two Voyagers.' },
+            { date: '1979-07-09T22:29:00Z', body: 'Jupiter', title: 'Jupiter flyby', detail: 'Closest approach 570,000 km above the clouds; imaged the cracked ice of Europa.' },
+            { date: '1981-08-26T03:24:00Z', body: 'Saturn', title: 'Saturn flyby', detail: 'Passed 101,000 km above the clouds, bending its path towards Uranus.' },
+            { date: '1986-01-24T17:59:00Z', body: 'Uranus', title: 'Uranus flyby', detail: 'Passed 81,500 km above the clouds and found ten new moons.' },
+            { date: '1989-08-25T03:56:00Z', body: 'Neptune', title: 'Neptune flyby', detail: 'Skimmed 4,950 km over the north pole, then passed Triton; found the Great Dark Spot.' },
+            { date: '2007-08-30T00:00:00Z', body: null, title: 'Termination shock', detail: 'Crossed the termination shock at 84 AU.' },
+            { date: '2018-11-05T00:00:00Z', body: null, title: 'Interstellar space', detail: 'Crossed the heliopause at 119 AU, with a working plasma instrument to measure it.' }
+        ],
+        trajectory: [
+            [2443376.10, 0.8557, -0.5397, 0.0000], [2443380.10, 0.8947, -0.4588, 0.0069], [2443384.10, 0.9294, -0.3758, 0.0138],
+            [2443388.10, 0.9598, -0.2910, 0.0207], [2443392.10, 0.9857, -0.2048, 0.0274], [2443396.10, 1.0071, -0.1177, 0.0341],
+            [2443400.10, 1.0239, -0.0301, 0.0405], [2443404.10, 1.0362, 0.0577, 0.0468], [2443408.10, 1.0441, 0.1453, 0.0529],
+            [2443412.10, 1.0478, 0.2322, 0.0588], [2443416.10, 1.0475, 0.3183, 0.0645], [2443420.10, 1.0435, 0.4032, 0.0699],
+            [2443424.10, 1.0360, 0.4868, 0.0751], [2443428.10, 1.0252, 0.5689, 0.0800], [2443432.10, 1.0114, 0.6493, 0.0848],
+            [2443436.10, 0.9949, 0.7279, 0.0893], [2443440.10, 0.9759, 0.8047, 0.0935], [2443444.10, 0.9546, 0.8797, 0.0976],
+            [2443448.10, 0.9312, 0.9528, 0.1014], [2443452.10, 0.9061, 1.0239, 0.1051], [2443456.10, 0.8792, 1.0933, 0.1085],
+            [2443460.10, 0.8509, 1.1607, 0.1118], [2443464.10, 0.8212, 1.2263, 0.1149], [2443468.10, 0.7903, 1.2901, 0.1178],
+            [2443472.10, 0.7583, 1.3522, 0.1206], [2443476.10, 0.7254, 1.4126, 0.1232], [2443480.10, 0.6917, 1.4713, 0.1256],
+            [2443484.10, 0.6572, 1.5284, 0.1280], [2443488.10, 0.6220, 1.5840, 0.1302], [2443492.10, 0.5862, 1.6381, 0.1322],
+            [2443496.10, 0.5499, 1.6906, 0.1342], [2443500.10, 0.5131, 1.7418, 0.1361], [2443504.10, 0.4760, 1.7916, 0.1378],
+            [2443508.10, 0.4384, 1.8401, 0.1394], [2443512.10, 0.4006, 1.8873, 0.1410], [2443516.10, 0.3625, 1.9333, 0.1424],
+            [2443520.10, 0.3242, 1.9781, 0.1438], [2443530.10, 0.2277, 2.0851, 0.1468], [2443540.10, 0.1304, 2.1855, 0.1494],
+            [2443550.10, 0.0328, 2.2797, 0.1515], [2443560.10, -0.0649, 2.3683, 0.1533], [2443570.10, -0.1625, 2.4516, 0.1548],
+            [2443580.10, -0.2598, 2.5301, 0.1559], [2443590.10, -0.3566, 2.6040, 0.1567], [2443600.10, -0.4528, 2.6738, 0.1573],
+            [2443610.10, -0.5483, 2.7395, 0.1577], [2443620.10, -0.6432, 2.8016, 0.1579], [2443630.10, -0.7372, 2.8602, 0.1578],
+            [2443640.10, -0.8304, 2.9155, 0.1576], [2443650.10, -0.9227, 2.9678, 0.1572], [2443660.10, -1.0140, 3.0171, 0.1567],
+            [2443670.10, -1.1045, 3.0636, 0.1560], [2443680.10, -1.1940, 3.1076, 0.1551], [2443690.10, -1.2826, 3.1490, 0.1542],
+            [2443700.10, -1.3702, 3.1881, 0.1531], [2443710.10, -1.4569, 3.2250, 0.1520], [2443720.10, -1.5425, 3.2597, 0.1507],
+            [2443730.10, -1.6272, 3.2923, 0.1493], [2443740.10, -1.7110, 3.3230, 0.1479], [2443750.10, -1.7937, 3.3518, 0.1463],
+            [2443760.10, -1.8755, 3.3788, 0.1447], [2443770.10, -1.9564, 3.4041, 0.1430], [2443780.10, -2.0363, 3.4277, 0.1413],
+            [2443790.10, -2.1152, 3.4497, 0.1394], [2443800.10, -2.1932, 3.4701, 0.1376], [2443810.10, -2.2703, 3.4891, 0.1356],
+            [2443820.10, -2.3464, 3.5067, 0.1336], [2443830.10, -2.4216, 3.5229, 0.1315], [2443840.10, -2.4959, 3.5377, 0.1294],
+            [2443850.10, -2.5693, 3.5513, 0.1273], [2443860.10, -2.6417, 3.5636, 0.1251], [2443870.10, -2.7133, 3.5747, 0.1228],
+            [2443880.10, -2.7840, 3.5846, 0.1206], [2443890.10, -2.8538, 3.5934, 0.1182], [2443900.10, -2.9228, 3.6011, 0.1159],
+            [2443910.10, -2.9909, 3.6078, 0.1135], [2443920.10, -3.0581, 3.6134, 0.1111], [2443930.10, -3.1244, 3.6180, 0.1086],
+            [2443940.10, -3.1900, 3.6216, 0.1061], [2443950.10, -3.2546, 3.6243, 0.1036], [2443960.10, -3.3185, 3.6260, 0.1011],
+            [2443970.10, -3.3815, 3.6268, 0.0985], [2443980.10, -3.4437, 3.6268, 0.0960], [2443990.10, -3.5051, 3.6259, 0.0933],
+            [2444000.10, -3.5657, 3.6241, 0.0907], [2444010.10, -3.6255, 3.6216, 0.0881], [2444020.10, -3.6844, 3.6182, 0.0854],
+            [2444030.10, -3.7426, 3.6141, 0.0827], [2444040.10, -3.8000, 3.6092, 0.0800], [2444050.10, -3.8567, 3.6036, 0.0773],
+            [2444060.10, -3.9125, 3.5972, 0.0745], [2444064.44, -3.9365, 3.5942, 0.0734], [2444074.44, -4.0318, 3.5333, 0.0784],
+            [2444084.44, -4.1264, 3.4717, 0.0834], [2444094.44, -4.2203, 3.4095, 0.0884], [2444104.44, -4.3133, 3.3466, 0.0934],
+            [2444114.44, -4.4056, 3.2832, 0.0984], [2444124.44, -4.4971, 3.2191, 0.1034], [2444134.44, -4.5878, 3.1545, 0.1083],
+            [2444144.44, -4.6777, 3.0893, 0.1132], [2444154.44, -4.7668, 3.0236, 0.1181], [2444164.44, -4.8551, 2.9575, 0.1230],
+            [2444174.44, -4.9427, 2.8908, 0.1279], [2444184.44, -5.0295, 2.8237, 0.1328], [2444194.44, -5.1155, 2.7561, 0.1376],
+            [2444204.44, -5.2007, 2.6882, 0.1424], [2444214.44, -5.2852, 2.6198, 0.1472], [2444224.44, -5.3689, 2.5511, 0.1519],
+            [2444234.44, -5.4518, 2.4820, 0.1567], [2444244.44, -5.5340, 2.4126, 0.1614], [2444274.44, -5.7762, 2.2024, 0.1754],
+            [2444304.44, -6.0118, 1.9897, 0.1893], [2444334.44, -6.2412, 1.7749, 0.2029], [2444364.44, -6.4645, 1.5585, 0.2163],
+            [2444394.44, -6.6819, 1.3406, 0.2296], [2444424.44, -6.8937, 1.1215, 0.2426], [2444454.44, -7.1002, 0.9016, 0.2555],
+            [2444484.44, -7.3015, 0.6811, 0.2682], [2444514.44, -7.4979, 0.4600, 0.2807], [2444544.44, -7.6896, 0.2387, 0.2930],
+            [2444574.44, -7.8768, 0.0173, 0.3051], [2444604.44, -8.0597, -0.2042, 0.3171], [2444634.44, -8.2385, -0.4256, 0.3289],
+            [2444664.44, -8.4134, -0.6467, 0.3406], [2444694.44, -8.5846, -0.8676, 0.3521], [2444724.44, -8.7523, -1.0881, 0.3635],
+            [2444754.44, -8.9165, -1.3082, 0.3747], [2444784.44, -9.0775, -1.5278, 0.3858], [2444814.44, -9.2355, -1.7469, 0.3967],
+            [2444842.64, -9.3813, -1.9524, 0.4069], [2444872.64, -9.3174, -2.2978, 0.4006], [2444902.64, -9.2508, -2.6424, 0.3941],
+            [2444932.64, -9.1813, -2.9863, 0.3874], [2444962.64, -9.1092, -3.3292, 0.3807], [2444992.64, -9.0344, -3.6712, 0.3738],
+            [2445022.64, -8.9571, -4.0122, 0.3669], [2445052.64, -8.8772, -4.3520, 0.3598], [2445082.64, -8.7949, -4.6907, 0.3527],
+            [2445112.64, -8.7102, -5.0280, 0.3454], [2445142.64, -8.6232, -5.3641, 0.3381], [2445172.64, -8.5341, -5.6988, 0.3307],
+            [2445202.64, -8.4428, -6.0321, 0.3232], [2445232.64, -8.3496, -6.3639, 0.3156], [2445262.64, -8.2544, -6.6943, 0.3079],
+            [2445292.64, -8.1574, -7.0233, 0.3002], [2445322.64, -8.0587, -7.3507, 0.2924], [2445352.64, -7.9583, -7.6766, 0.2846],
+            [2445382.64, -7.8563, -8.0010, 0.2767], [2445412.64, -7.7529, -8.3239, 0.2687], [2445442.64, -7.6480, -8.6453, 0.2607],
+            [2445472.64, -7.5418, -8.9652, 0.2526], [2445502.64, -7.4344, -9.2836, 0.2446], [2445532.64, -7.3258, -9.6005, 0.2364],
+            [2445562.64, -7.2161, -9.9160, 0.2283], [2445592.64, -7.1054, -10.2301, 0.2201], [2445622.64, -6.9936, -10.5427, 0.2118],
+            [2445652.64, -6.8810, -10.8540, 0.2036], [2445682.64, -6.7675, -11.1639, 0.1953], [2445712.64, -6.6532, -11.4724, 0.1870],
+            [2445742.64, -6.5381, -11.7797, 0.1786], [2445772.64, -6.4223, -12.0857, 0.1703], [2445802.64, -6.3058, -12.3904, 0.1619],
+            [2445832.64, -6.1888, -12.6939, 0.1536], [2445862.64, -6.0711, -12.9962, 0.1452], [2445892.64, -5.9529, -13.2973, 0.1367],
+            [2445922.64, -5.8342, -13.5973, 0.1283], [2445952.64, -5.7149, -13.8961, 0.1199], [2446012.64, -5.4752, -14.4906, 0.1030],
+            [2446072.64, -5.2339, -15.0809, 0.0861], [2446132.64, -4.9912, -15.6673, 0.0691], [2446192.64, -4.7474, -16.2499, 0.0522],
+            [2446252.64, -4.5024, -16.8289, 0.0352], [2446312.64, -4.2566, -17.4046, 0.0182], [2446372.64, -4.0100, -17.9770, 0.0013],
+            [2446432.64, -3.7627, -18.5463, -0.0157], [2446455.25, -3.6694, -18.7601, -0.0221], [2446515.25, -3.2270, -19.2796, 0.0006],
+            [2446575.25, -2.7842, -19.7962, 0.0234], [2446635.25, -2.3410, -20.3103, 0.0461], [2446695.25, -1.8975, -20.8218, 0.0689],
+            [2446755.25, -1.4539, -21.3309, 0.0916], [2446815.25, -1.0100, -21.8377, 0.1143], [2446875.25, -0.5660, -22.3422, 0.1370],
+            [2446935.25, -0.1220, -22.8446, 0.1597], [2446995.25, 0.3220, -23.3450, 0.1824], [2447055.25, 0.7660, -23.8434, 0.2051],
+            [2447115.25, 1.2099, -24.3399, 0.2277], [2447175.25, 1.6538, -24.8347, 0.2504], [2447235.25, 2.0975, -25.3277, 0.2730],
+            [2447295.25, 2.5411, -25.8191, 0.2956], [2447355.25, 2.9846, -26.3089, 0.3182], [2447415.25, 3.4278, -26.7972, 0.3407],
+            [2447475.25, 3.8709, -27.2841, 0.3633], [2447535.25, 4.3138, -27.7695, 0.3858], [2447595.25, 4.7565, -28.2537, 0.4083],
+            [2447655.25, 5.1990, -28.7365, 0.4308], [2447715.25, 5.6412, -29.2182, 0.4533], [2447763.66, 5.9979, -29.6059, 0.4714],
+            [2447823.66, 6.1498, -29.9912, 0.0706], [2447883.66, 6.3016, -30.3754, -0.3302], [2447943.66, 6.4531, -30.7585, -0.7310],
+            [2448003.66, 6.6043, -31.1405, -1.1318], [2448063.66, 6.7554, -31.5215, -1.5325], [2448123.66, 6.9062, -31.9015, -1.9332],
+            [2448183.66, 7.0568, -32.2806, -2.3338], [2448243.66, 7.2073, -32.6587, -2.7344], [2448303.66, 7.3575, -33.0358, -3.1349],
+            [2448363.66, 7.5075, -33.4121, -3.5353], [2448423.66, 7.6573, -33.7875, -3.9356], [2448483.66, 7.8070, -34.1621, -4.3358],
+            [2448543.66, 7.9564, -34.5358, -4.7359], [2448603.66, 8.1057, -34.9087, -5.1359], [2448663.66, 8.2547, -35.2809, -5.5358],
+            [2448723.66, 8.4036, -35.6522, -5.9355], [2448783.66, 8.5523, -36.0229, -6.3352], [2448843.66, 8.7009, -36.3928, -6.7347],
+            [2448903.66, 8.8493, -36.7620, -7.1340], [2448963.66, 8.9975, -37.1305, -7.5333], [2449023.66, 9.1455, -37.4983, -7.9324],
+            [2449083.66, 9.2934, -37.8655, -8.3314], [2449143.66, 9.4412, -38.2321, -8.7302], [2449203.66, 9.5888, -38.5980, -9.1289],
+            [2449263.66, 9.7362, -38.9634, -9.5274], [2449323.66, 9.8835, -39.3281, -9.9258], [2449383.66, 10.0306, -39.6923, -10.3241],
+            [2449443.66, 10.1776, -40.0559, -10.7222], [2449503.66, 10.3245, -40.4189, -11.1201], [2449563.66, 10.4712, -40.7814, -11.5180],
+            [2449623.66, 10.6178, -41.1434, -11.9156], [2449683.66, 10.7642, -41.5049, -12.3131], [2449743.66, 10.9106, -41.8659, -12.7105],
+            [2449923.66, 11.3488, -42.9460, -13.9017], [2450103.66, 11.7860, -44.0220, -15.0917], [2450283.66, 12.2221, -45.0942, -16.2803],
+            [2450463.66, 12.6573, -46.1628, -17.4676], [2450643.66, 13.0915, -47.2281, -18.6536], [2450823.66, 13.5249, -48.2902, -19.8384],
+            [2451003.66, 13.9574, -49.3494, -21.0220], [2451183.66, 14.3892, -50.4058, -22.2044], [2451363.66, 14.8202, -51.4595, -23.3857],
+            [2451543.66, 15.2505, -52.5108, -24.5658], [2451723.66, 15.6801, -53.5598, -25.7449], [2451903.66, 16.1091, -54.6066, -26.9228],
+            [2452083.66, 16.5375, -55.6512, -28.0998], [2452263.66, 16.9652, -56.6939, -29.2757], [2452443.66, 17.3924, -57.7347, -30.4507],
+            [2452623.66, 17.8191, -58.7736, -31.6247], [2452803.66, 18.2452, -59.8109, -32.7978], [2452983.66, 18.6709, -60.8465, -33.9700],
+            [2453163.66, 19.0960, -61.8806, -35.1413], [2453343.66, 19.5207, -62.9132, -36.3118], [2453523.66, 19.9450, -63.9444, -37.4815],
+            [2453703.66, 20.3689, -64.9742, -38.6504], [2453883.66, 20.7923, -66.0028, -39.8185], [2454063.66, 21.2154, -67.0301, -40.9858],
+            [2454243.66, 21.6380, -68.0562, -42.1525], [2454423.66, 22.0603, -69.0811, -43.3184], [2454603.66, 22.4823, -70.1050, -44.4836],
+            [2454783.66, 22.9039, -71.1278, -45.6482], [2454963.66, 23.3252, -72.1495, -46.8121], [2455143.66, 23.7462, -73.1703, -47.9754],
+            [2455323.66, 24.1668, -74.1902, -49.1380], [2455503.66, 24.5872, -75.2091, -50.3001], [2455683.66, 25.0073, -76.2272, -51.4616],
+            [2455863.66, 25.4271, -77.2445, -52.6225], [2456043.66, 25.8466, -78.2609, -53.7828], [2456223.66, 26.2659, -79.2765, -54.9426],
+            [2456403.66, 26.6850, -80.2914, -56.1019], [2456583.66, 27.1037, -81.3055, -57.2606], [2456763.66, 27.5223, -82.3189, -58.4189],
+            [2456943.66, 27.9406, -83.3317, -59.5767], [2457123.66, 28.3587, -84.3437, -60.7340], [2457303.66, 28.7766, -85.3551, -61.8908],
+            [2457483.66, 29.1942, -86.3659, -63.0472], [2457663.66, 29.6117, -87.3761, -64.2031], [2457843.66, 30.0290, -88.3857, -65.3586],
+            [2458023.66, 30.4460, -89.3947, -66.5137], [2458203.66, 30.8629, -90.4032, -67.6684], [2458383.66, 31.2796, -91.4111, -68.8226],
+            [2458427.50, 31.3810, -91.6565, -69.1037], [2458607.50, 31.7975, -92.6638, -70.2574], [2458787.50, 32.2138, -93.6705, -71.4108],
+            [2458967.50, 32.6299, -94.6768, -72.5638], [2459147.50, 33.0459, -95.6826, -73.7164], [2459327.50, 33.4617, -96.6879, -74.8687],
+            [2459507.50, 33.8773, -97.6928, -76.0206], [2459687.50, 34.2928, -98.6972, -77.1722], [2459867.50, 34.7081, -99.7012, -78.3235],
+            [2460047.50, 35.1233, -100.7048, -79.4744], [2460227.50, 35.5384, -101.7080, -80.6250], [2460407.50, 35.9533, -102.7107, -81.7752],
+            [2460587.50, 36.3681, -103.7131, -82.9252], [2460767.50, 36.7827, -104.7151, -84.0749], [2460947.50, 37.1972, -105.7167, -85.2242],
+            [2461127.50, 37.6116, -106.7180, -86.3733], [2461307.50, 38.0258, -107.7189, -87.5221], [2461487.50, 38.4400, -108.7194, -88.6706],
+            [2461667.50, 38.8540, -109.7197, -89.8188], [2461847.50, 39.2679, -110.7196, -90.9667], [2462027.50, 39.6816, -111.7191, -92.1144],
+            [2462207.50, 40.0953, -112.7184, -93.2618], [2462387.50, 40.5089, -113.7173, -94.4090], [2462567.50, 40.9223, -114.7159, -95.5559],
+            [2462747.50, 41.3357, -115.7143, -96.7026], [2462927.50, 41.7489, -116.7123, -97.8490], [2463107.50, 42.1620, -117.7101, -98.9952],
+            [2463287.50, 42.5751, -118.7076, -100.1412], [2463467.50, 42.9880, -119.7048, -101.2869], [2463647.50, 43.4009, -120.7017, -102.4324],
+            [2463827.50, 43.8136, -121.6984, -103.5776], [2464007.50, 44.2263, -122.6948, -104.7227], [2464187.50, 44.6388, -123.6910, -105.8675],
+            [2464367.50, 45.0513, -124.6869, -107.0122], [2464547.50, 45.4637, -125.6826, -108.1566], [2464727.50, 45.8760, -126.6781, -109.3008],
+            [2464907.50, 46.2882, -127.6733, -110.4448], [2465087.50, 46.7004, -128.6683, -111.5887], [2465267.50, 47.1124, -129.6631, -112.7323],
+            [2465447.50, 47.5244, -130.6576, -113.8757], [2465627.50, 47.9363, -131.6519, -115.0190], [2465807.50, 48.3481, -132.6460, -116.1620],
+            [2465987.50, 48.7599, -133.6400, -117.3049], [2466167.50, 49.1715, -134.6337, -118.4476], [2466347.50, 49.5831, -135.6272, -119.5901],
+            [2466527.50, 49.9947, -136.6205, -120.7325], [2466707.50, 50.4061, -137.6136, -121.8747], [2466887.50, 50.8175, -138.6065, -123.0167],
+            [2467067.50, 51.2288, -139.5993, -124.1585], [2467247.50, 51.6401, -140.5918, -125.3002], [2467427.50, 52.0512, -141.5842, -126.4417],
+            [2467607.50, 52.4624, -142.5764, -127.5831], [2467787.50, 52.8734, -143.5684, -128.7243], [2467967.50, 53.2844, -144.5602, -129.8653],
+            [2468147.50, 53.6953, -145.5519, -131.0062], [2468327.50, 54.1062, -146.5434, -132.1470], [2468507.50, 54.5170, -147.5348, -133.2876],
+            [2468687.50, 54.9277, -148.5259, -134.4280], [2468867.50, 55.3384, -149.5170, -135.5683], [2469047.50, 55.7490, -150.5078, -136.7085],
+            [2469227.50, 56.1596, -151.4986, -137.8485], [2469407.50, 56.5701, -152.4891, -138.9884], [2469587.50, 56.9806, -153.4795, -140.1282],
+            [2469767.50, 57.3910, -154.4698, -141.2678], [2469807.50, 57.4822, -154.6898, -141.5210]
+        ]
+    },
+    {
+        name: 'Cassini',
+        agency: 'NASA / ESA / ASI',
+        color: 0xe17055,
+        launchVehicle: 'Titan IVB-Centaur',
+        mass: '5,712 kg with propellant and the Huygens probe',
+        power: 'Three radioisotope thermoelectric generators',
+        description: 'Cassini-Huygens needed two Venus flybys, an Earth flyby and a Jupiter flyby to reach Saturn, where it orbited for thirteen years, landed the Huygens probe on Titan and ended by diving into the planet.',
+        orbits: 'Saturn',
+        endDate: '2017-09-15T10:31:00Z',
+        trajectorySource: 'reconstructed',
+        events: [
+            { date: '1997-10-15T08:43:00Z', body: 'Earth', title: 'Launch', detail: 'Launched from Cape Canaveral carrying ESA\'s Huygens probe.' },
+            { date: '1998-04-26T13:44:00Z', body: 'Venus', title: 'First Venus flyby', detail: 'Passed 284 km above Venus.' },
+            { date: '1999-06-24T20:30:00Z', body: 'Venus', title: 'Second Venus flyby', detail: 'Passed 623 km above Venus, after a deep-space manoeuvre near aphelion.' },
+            { date: '1999-08-18T03:28:00Z', body: 'Earth', title: 'Earth flyby', detail: 'Passed 1,171 km above Earth, gaining 5.5 km/s.' },
+            { date: '2000-12-30T10:05:00Z', body: 'Jupiter', title: 'Jupiter flyby', detail: 'Passed 9.7 million km from Jupiter, observing it together with Galileo.' },
+            { date: '2004-07-01T02:48:00Z', body: 'Saturn', title: 'Saturn orbit insertion', detail: 'A 96-minute engine burn after crossing the ring plane put Cassini into orbit.' },
+            { date: '2005-01-14T12:43:00Z', body: 'Saturn', title: 'Huygens lands on Titan', detail: 'The Huygens probe parachuted through Titan\'s haze and landed, the most distant landing yet.' },
+            { date: '2017-09-15T10:31:00Z', body: 'Saturn', title: 'Grand Finale', detail: 'After 22 dives between Saturn and its rings, Cassini burned up in Saturn\'s atmosphere.' }
+        ],
+        trajectory: [
+            [2450736.86, 0.9240, 0.3747, 0.0000], [2450740.86, 0.9031, 0.4331, 0.0013], [2450744.86, 0.8780, 0.4895, 0.0027],
+            [2450748.86, 0.8488, 0.5436, 0.0040], [2450752.86, 0.8157, 0.5952, 0.0053], [2450756.86, 0.7788, 0.6441, 0.0065],
+            [2450760.86, 0.7383, 0.6900, 0.0078], [2450764.86, 0.6945, 0.7327, 0.0090], [2450768.86, 0.6475, 0.7721, 0.0102],
+            [2450772.86, 0.5974, 0.8079, 0.0113], [2450776.86, 0.5446, 0.8399, 0.0123], [2450780.86, 0.4892, 0.8680, 0.0133],
+            [2450784.86, 0.4315, 0.8919, 0.0143], [2450788.86, 0.3717, 0.9115, 0.0152], [2450792.86, 0.3100, 0.9265, 0.0160],
+            [2450796.86, 0.2467, 0.9369, 0.0167], [2450800.86, 0.1822, 0.9424, 0.0173], [2450804.86, 0.1167, 0.9428, 0.0178],
+            [2450808.86, 0.0506, 0.9380, 0.0183], [2450812.86, -0.0158, 0.9279, 0.0186], [2450816.86, -0.0822, 0.9123, 0.0188],
+            [2450820.86, -0.1480, 0.8911, 0.0190], [2450824.86, -0.2129, 0.8641, 0.0189], [2450828.86, -0.2763, 0.8314, 0.0188],
+            [2450832.86, -0.3378, 0.7928, 0.0185], [2450836.86, -0.3968, 0.7483, 0.0181], [2450840.86, -0.4527, 0.6980, 0.0176],
+            [2450844.86, -0.5049, 0.6420, 0.0169], [2450848.86, -0.5526, 0.5805, 0.0160], [2450852.86, -0.5953, 0.5136, 0.0150],
+            [2450856.86, -0.6323, 0.4417, 0.0139], [2450860.86, -0.6626, 0.3652, 0.0126], [2450864.86, -0.6858, 0.2848, 0.0112],
+            [2450868.86, -0.7010, 0.2011, 0.0097], [2450872.86, -0.7077, 0.1150, 0.0080], [2450876.86, -0.7053, 0.0274, 0.0062],
+            [2450880.86, -0.6934, -0.0606, 0.0044], [2450884.86, -0.6718, -0.1477, 0.0025], [2450888.86, -0.6405, -0.2326, 0.0005],
+            [2450892.86, -0.5996, -0.3141, -0.0014], [2450896.86, -0.5495, -0.3908, -0.0033], [2450900.86, -0.4910, -0.4615, -0.0052],
+            [2450904.86, -0.4249, -0.5250, -0.0070], [2450908.86, -0.3523, -0.5805, -0.0087], [2450912.86, -0.2744, -0.6272, -0.0103],
+            [2450916.86, -0.1924, -0.6647, -0.0117], [2450920.86, -0.1077, -0.6928, -0.0129], [2450924.86, -0.0215, -0.7113, -0.0140],
+            [2450928.86, 0.0650, -0.7205, -0.0149], [2450930.07, 0.0910, -0.7215, -0.0151], [2450934.07, 0.1843, -0.7146, -0.0204],
+            [2450938.07, 0.2754, -0.6993, -0.0254], [2450942.07, 0.3634, -0.6762, -0.0302], [2450946.07, 0.4477, -0.6461, -0.0347],
+            [2450950.07, 0.5276, -0.6097, -0.0388], [2450954.07, 0.6028, -0.5678, -0.0426], [2450958.07, 0.6730, -0.5212, -0.0460],
+            [2450962.07, 0.7381, -0.4706, -0.0490], [2450966.07, 0.7979, -0.4167, -0.0517], [2450970.07, 0.8527, -0.3601, -0.0541],
+            [2450974.07, 0.9023, -0.3013, -0.0562], [2450978.07, 0.9471, -0.2409, -0.0580], [2450982.07, 0.9870, -0.1793, -0.0594],
+            [2450986.07, 1.0224, -0.1168, -0.0606], [2450990.07, 1.0533, -0.0538, -0.0615], [2450994.07, 1.0800, 0.0094, -0.0622],
+            [2450998.07, 1.1027, 0.0725, -0.0627], [2451002.07, 1.1215, 0.1354, -0.0629], [2451006.07, 1.1366, 0.1979, -0.0629],
+            [2451010.07, 1.1483, 0.2598, -0.0627], [2451014.07, 1.1566, 0.3209, -0.0624], [2451018.07, 1.1618, 0.3811, -0.0619],
+            [2451022.07, 1.1640, 0.4404, -0.0612], [2451026.07, 1.1633, 0.4986, -0.0603], [2451030.07, 1.1600, 0.5556, -0.0594],
+            [2451034.07, 1.1540, 0.6114, -0.0583], [2451038.07, 1.1456, 0.6659, -0.0570], [2451042.07, 1.1349, 0.7191, -0.0557],
+            [2451046.07, 1.1220, 0.7708, -0.0542], [2451050.07, 1.1070, 0.8211, -0.0527], [2451054.07, 1.0899, 0.8699, -0.0510],
+            [2451058.07, 1.0710, 0.9172, -0.0493], [2451062.07, 1.0503, 0.9630, -0.0475], [2451066.07, 1.0278, 1.0072, -0.0456],
+            [2451070.07, 1.0038, 1.0498, -0.0436], [2451074.07, 0.9781, 1.0908, -0.0416], [2451078.07, 0.9510, 1.1301, -0.0395],
+            [2451082.07, 0.9225, 1.1678, -0.0373], [2451086.07, 0.8927, 1.2038, -0.0351], [2451090.07, 0.8616, 1.2381, -0.0328],
+            [2451094.07, 0.8294, 1.2707, -0.0305], [2451098.07, 0.7960, 1.3015, -0.0282], [2451102.07, 0.7616, 1.3307, -0.0258],
+            [2451106.07, 0.7261, 1.3581, -0.0234], [2451110.07, 0.6897, 1.3837, -0.0209], [2451114.07, 0.6525, 1.4076, -0.0184],
+            [2451118.07, 0.6144, 1.4297, -0.0159], [2451122.07, 0.5755, 1.4499, -0.0134], [2451126.07, 0.5359, 1.4684, -0.0109],
+            [2451130.07, 0.4957, 1.4851, -0.0083], [2451134.07, 0.4548, 1.4999, -0.0058], [2451138.07, 0.4134, 1.5129, -0.0032],
+            [2451142.07, 0.3714, 1.5240, -0.0006], [2451146.07, 0.3291, 1.5333, 0.0020], [2451150.07, 0.2863, 1.5406, 0.0045],
+            [2451154.07, 0.2431, 1.5461, 0.0071], [2451158.07, 0.1997, 1.5497, 0.0096], [2451162.07, 0.1560, 1.5513, 0.0122],
+            [2451166.07, 0.1121, 1.5510, 0.0147], [2451170.07, 0.0681, 1.5488, 0.0172], [2451174.07, 0.0240, 1.5445, 0.0197],
+            [2451178.07, -0.0202, 1.5383, 0.0222], [2451182.07, -0.0643, 1.5301, 0.0246], [2451186.07, -0.1083, 1.5199, 0.0270],
+            [2451190.07, -0.1522, 1.5077, 0.0294], [2451194.07, -0.1959, 1.4934, 0.0317], [2451198.07, -0.2393, 1.4770, 0.0340],
+            [2451202.07, -0.2824, 1.4586, 0.0362], [2451206.07, -0.3250, 1.4380, 0.0384], [2451210.07, -0.3672, 1.4153, 0.0405],
+            [2451214.07, -0.4088, 1.3905, 0.0426], [2451218.07, -0.4498, 1.3635, 0.0446], [2451222.07, -0.4901, 1.3344, 0.0465],
+            [2451226.07, -0.5296, 1.3030, 0.0484], [2451230.07, -0.5681, 1.2694, 0.0501], [2451234.07, -0.6057, 1.2336, 0.0518],
+            [2451238.07, -0.6422, 1.1956, 0.0534], [2451242.07, -0.6774, 1.1553, 0.0549], [2451246.07, -0.7113, 1.1127, 0.0563],
+            [2451250.07, -0.7438, 1.0679, 0.0575], [2451254.07, -0.7746, 1.0207, 0.0587], [2451258.07, -0.8038, 0.9713, 0.0597],
+            [2451262.07, -0.8310, 0.9196, 0.0605], [2451266.07, -0.8562, 0.8656, 0.0612], [2451270.07, -0.8791, 0.8093, 0.0618],
+            [2451274.07, -0.8996, 0.7509, 0.0622], [2451278.07, -0.9175, 0.6902, 0.0624], [2451282.07, -0.9325, 0.6273, 0.0624],
+            [2451286.07, -0.9444, 0.5624, 0.0622], [2451290.07, -0.9529, 0.4955, 0.0618], [2451294.07, -0.9579, 0.4267, 0.0611],
+            [2451298.07, -0.9589, 0.3562, 0.0602], [2451302.07, -0.9557, 0.2841, 0.0590], [2451306.07, -0.9479, 0.2106, 0.0576],
+            [2451310.07, -0.9353, 0.1361, 0.0558], [2451314.07, -0.9175, 0.0608, 0.0538], [2451318.07, -0.8941, -0.0148, 0.0514],
+            [2451322.07, -0.8648, -0.0904, 0.0487], [2451326.07, -0.8293, -0.1652, 0.0456], [2451330.07, -0.7873, -0.2388, 0.0422],
+            [2451334.07, -0.7387, -0.3104, 0.0384], [2451338.07, -0.6834, -0.3791, 0.0343], [2451342.07, -0.6213, -0.4440, 0.0298],
+            [2451346.07, -0.5526, -0.5043, 0.0250], [2451350.07, -0.4776, -0.5588, 0.0199], [2451354.07, -0.3971, -0.6067, 0.0146],
+            [2451354.35, -0.3912, -0.6098, 0.0142], [2451358.35, -0.3007, -0.6554, 0.0140], [2451362.35, -0.2065, -0.6927, 0.0135],
+            [2451366.35, -0.1097, -0.7214, 0.0128], [2451370.35, -0.0116, -0.7414, 0.0121], [2451374.35, 0.0867, -0.7527, 0.0111],
+            [2451378.35, 0.1841, -0.7559, 0.0101], [2451382.35, 0.2796, -0.7514, 0.0089], [2451386.35, 0.3726, -0.7401, 0.0077],
+            [2451390.35, 0.4625, -0.7226, 0.0064], [2451394.35, 0.5489, -0.6997, 0.0050], [2451398.35, 0.6317, -0.6721, 0.0036],
+            [2451402.35, 0.7106, -0.6404, 0.0022], [2451406.35, 0.7857, -0.6053, 0.0008], [2451408.64, 0.8270, -0.5838, 0.0000],
+            [2451412.64, 0.8999, -0.5312, -0.0010], [2451416.64, 0.9691, -0.4765, -0.0021], [2451420.64, 1.0346, -0.4199, -0.0031],
+            [2451424.64, 1.0966, -0.3619, -0.0041], [2451428.64, 1.1553, -0.3028, -0.0051], [2451432.64, 1.2107, -0.2428, -0.0061],
+            [2451436.64, 1.2631, -0.1822, -0.0071], [2451440.64, 1.3126, -0.1212, -0.0081], [2451444.64, 1.3594, -0.0600, -0.0090],
+            [2451448.64, 1.4036, 0.0014, -0.0099], [2451452.64, 1.4454, 0.0628, -0.0108], [2451456.64, 1.4850, 0.1240, -0.0117],
+            [2451460.64, 1.5224, 0.1851, -0.0126], [2451464.64, 1.5579, 0.2460, -0.0135], [2451468.64, 1.5915, 0.3065, -0.0143],
+            [2451472.64, 1.6233, 0.3667, -0.0151], [2451476.64, 1.6534, 0.4266, -0.0160], [2451480.64, 1.6819, 0.4860, -0.0167],
+            [2451484.64, 1.7090, 0.5450, -0.0175], [2451488.64, 1.7347, 0.6036, -0.0183], [2451492.64, 1.7590, 0.6617, -0.0190],
+            [2451496.64, 1.7821, 0.7193, -0.0198], [2451500.64, 1.8040, 0.7764, -0.0205], [2451504.64, 1.8248, 0.8331, -0.0212],
+            [2451514.64, 1.8721, 0.9726, -0.0230], [2451524.64, 1.9136, 1.1090, -0.0246], [2451534.64, 1.9498, 1.2424, -0.0262],
+            [2451544.64, 1.9813, 1.3729, -0.0277], [2451554.64, 2.0087, 1.5004, -0.0292], [2451564.64, 2.0323, 1.6252, -0.0306],
+            [2451574.64, 2.0524, 1.7472, -0.0320], [2451584.64, 2.0695, 1.8665, -0.0333], [2451594.64, 2.0837, 1.9833, -0.0346],
+            [2451604.64, 2.0953, 2.0977, -0.0358], [2451614.64, 2.1046, 2.2096, -0.0370], [2451624.64, 2.1116, 2.3193, -0.0381],
+            [2451634.64, 2.1166, 2.4267, -0.0392], [2451644.64, 2.1198, 2.5320, -0.0403], [2451654.64, 2.1212, 2.6352, -0.0414],
+            [2451664.64, 2.1210, 2.7364, -0.0424], [2451674.64, 2.1193, 2.8356, -0.0434], [2451684.64, 2.1161, 2.9330, -0.0443],
+            [2451694.64, 2.1117, 3.0285, -0.0452], [2451704.64, 2.1059, 3.1222, -0.0461], [2451714.64, 2.0991, 3.2142, -0.0470],
+            [2451724.64, 2.0911, 3.3046, -0.0478], [2451734.64, 2.0821, 3.3933, -0.0487], [2451744.64, 2.0721, 3.4804, -0.0495],
+            [2451754.64, 2.0612, 3.5659, -0.0502], [2451764.64, 2.0494, 3.6499, -0.0510], [2451774.64, 2.0368, 3.7325, -0.0517],
+            [2451784.64, 2.0234, 3.8136, -0.0525], [2451794.64, 2.0093, 3.8934, -0.0532], [2451804.64, 1.9945, 3.9717, -0.0538],
+            [2451814.64, 1.9789, 4.0487, -0.0545], [2451824.64, 1.9628, 4.1244, -0.0551], [2451834.64, 1.9460, 4.1989, -0.0558],
+            [2451844.64, 1.9287, 4.2720, -0.0564], [2451854.64, 1.9108, 4.3440, -0.0570], [2451864.64, 1.8924, 4.4147, -0.0576],
+            [2451874.64, 1.8734, 4.4843, -0.0581], [2451884.64, 1.8540, 4.5527, -0.0587], [2451894.64, 1.8341, 4.6200, -0.0592],
+            [2451904.64, 1.8138, 4.6862, -0.0597], [2451908.92, 1.8050, 4.7141, -0.0599], [2451918.92, 1.7763, 4.7867, -0.0603],
+            [2451928.92, 1.7473, 4.8582, -0.0606], [2451938.92, 1.7179, 4.9287, -0.0609], [2451948.92, 1.6881, 4.9982, -0.0612],
+            [2451958.92, 1.6579, 5.0667, -0.0615], [2451968.92, 1.6275, 5.1341, -0.0618], [2451978.92, 1.5967, 5.2006, -0.0621],
+            [2451988.92, 1.5657, 5.2662, -0.0623], [2451998.92, 1.5343, 5.3308, -0.0626], [2452008.92, 1.5027, 5.3944, -0.0628],
+            [2452018.92, 1.4709, 5.4572, -0.0630], [2452028.92, 1.4388, 5.5191, -0.0632], [2452038.92, 1.4065, 5.5801, -0.0634],
+            [2452048.92, 1.3739, 5.6402, -0.0636], [2452058.92, 1.3412, 5.6995, -0.0638], [2452068.92, 1.3082, 5.7579, -0.0640],
+            [2452078.92, 1.2751, 5.8155, -0.0641], [2452088.92, 1.2418, 5.8723, -0.0643], [2452118.92, 1.1409, 6.0379, -0.0647],
+            [2452148.92, 1.0386, 6.1965, -0.0650], [2452178.92, 0.9353, 6.3486, -0.0653], [2452208.92, 0.8310, 6.4942, -0.0655],
+            [2452238.92, 0.7259, 6.6336, -0.0656], [2452268.92, 0.6201, 6.7671, -0.0657], [2452298.92, 0.5139, 6.8949, -0.0658],
+            [2452328.92, 0.4072, 7.0171, -0.0657], [2452358.92, 0.3002, 7.1339, -0.0657], [2452388.92, 0.1930, 7.2455, -0.0655],
+            [2452418.92, 0.0856, 7.3520, -0.0654], [2452448.92, -0.0218, 7.4536, -0.0651], [2452478.92, -0.1292, 7.5504, -0.0649],
+            [2452508.92, -0.2365, 7.6426, -0.0646], [2452538.92, -0.3437, 7.7302, -0.0642], [2452568.92, -0.4506, 7.8133, -0.0639],
+            [2452598.92, -0.5574, 7.8921, -0.0635], [2452628.92, -0.6638, 7.9667, -0.0630], [2452658.92, -0.7699, 8.0371, -0.0626],
+            [2452688.92, -0.8756, 8.1034, -0.0620], [2452718.92, -0.9808, 8.1658, -0.0615], [2452748.92, -1.0856, 8.2242, -0.0609],
+            [2452778.92, -1.1899, 8.2788, -0.0603], [2452808.92, -1.2937, 8.3297, -0.0597], [2452838.92, -1.3968, 8.3768, -0.0591],
+            [2452868.92, -1.4994, 8.4203, -0.0584], [2452898.92, -1.6013, 8.4602, -0.0577], [2452928.92, -1.7026, 8.4966, -0.0570],
+            [2452958.92, -1.8032, 8.5295, -0.0562], [2452988.92, -1.9030, 8.5590, -0.0555], [2453018.92, -2.0021, 8.5851, -0.0547],
+            [2453048.92, -2.1004, 8.6078, -0.0539], [2453078.92, -2.1979, 8.6273, -0.0530], [2453108.92, -2.2946, 8.6435, -0.0522],
+            [2453138.92, -2.3904, 8.6565, -0.0513], [2453168.92, -2.4853, 8.6663, -0.0504], [2453187.62, -2.5440, 8.6708, -0.0498]
+        ]
+    },
+    {
+        name: 'New Horizons',
+        agency: 'NASA / JHU APL',
+        color: 0x55efc4,
+        launchVehicle: 'Atlas V 551',
+        mass: '478 kg',
+        power: 'One radioisotope thermoelectric generator',
+        description: 'The fastest spacecraft ever launched, New Horizons borrowed speed from Jupiter on its way to the first close look at Pluto and Charon, then flew on to the Kuiper belt object Arrokoth.',
+        orbits: null,
+        endDate: null,
+        trajectorySource: 'reconstructed',
+        events: [
+            { date: '2006-01-19T19:00:00Z', body: 'Earth', title: 'Launch', detail: 'Left Earth at 16.26 km/s, the fastest launch of any spacecraft.' },
+            { date: '2007-02-28T05:43:00Z', body: 'Jupiter', title: 'Jupiter flyby', detail: 'Passed 2.3 million km from Jupiter, gaining about 4 km/s and cutting three years from the trip.' },
+            { date: '2015-07-14T11:49:00Z', body: 'Pluto', title: 'Pluto flyby', detail: 'Passed 12,500 km above Pluto, mapping the nitrogen ice plain Sputnik Planitia and Charon.' },
+            { date: '2019-01-01T05:33:00Z', body: null, title: 'Arrokoth flyby', detail: 'Passed 3,500 km from the Kuiper belt object Arrokoth at 43 AU, the most distant flyby ever made.' }
+        ],
+        trajectory: [
+            [2453755.29, -0.4843, 0.8565, 0.0000], [2453759.29, -0.5690, 0.8053, 0.0015], [2453763.29, -0.6508, 0.7501, 0.0031],
+            [2453767.29, -0.7295, 0.6914, 0.0046], [2453771.29, -0.8048, 0.6293, 0.0062], [2453775.29, -0.8765, 0.5645, 0.0077],
+            [2453779.29, -0.9446, 0.4974, 0.0091], [2453783.29, -1.0090, 0.4283, 0.0105], [2453787.29, -1.0698, 0.3576, 0.0119],
+            [2453791.29, -1.1271, 0.2858, 0.0133], [2453795.29, -1.1810, 0.2131, 0.0146], [2453799.29, -1.2316, 0.1398, 0.0158],
+            [2453803.29, -1.2792, 0.0662, 0.0171], [2453807.29, -1.3239, -0.0076, 0.0183], [2453811.29, -1.3659, -0.0814, 0.0194],
+            [2453815.29, -1.4053, -0.1550, 0.0205], [2453819.29, -1.4425, -0.2284, 0.0216], [2453823.29, -1.4774, -0.3014, 0.0226],
+            [2453827.29, -1.5103, -0.3740, 0.0237], [2453831.29, -1.5412, -0.4461, 0.0247], [2453835.29, -1.5705, -0.5177, 0.0256],
+            [2453839.29, -1.5980, -0.5888, 0.0265], [2453843.29, -1.6241, -0.6593, 0.0275], [2453847.29, -1.6487, -0.7293, 0.0283],
+            [2453851.29, -1.6720, -0.7986, 0.0292], [2453855.29, -1.6940, -0.8674, 0.0300], [2453859.29, -1.7149, -0.9356, 0.0309],
+            [2453863.29, -1.7347, -1.0031, 0.0316], [2453873.29, -1.7798, -1.1695, 0.0336], [2453883.29, -1.8195, -1.3323, 0.0354],
+            [2453893.29, -1.8544, -1.4916, 0.0371], [2453903.29, -1.8853, -1.6477, 0.0387], [2453913.29, -1.9126, -1.8006, 0.0403],
+            [2453923.29, -1.9368, -1.9507, 0.0418], [2453933.29, -1.9583, -2.0979, 0.0432], [2453943.29, -1.9773, -2.2425, 0.0446],
+            [2453953.29, -1.9940, -2.3847, 0.0460], [2453963.29, -2.0089, -2.5244, 0.0473], [2453973.29, -2.0219, -2.6620, 0.0485],
+            [2453983.29, -2.0334, -2.7975, 0.0497], [2453993.29, -2.0433, -2.9309, 0.0509], [2454003.29, -2.0520, -3.0625, 0.0520],
+            [2454013.29, -2.0595, -3.1922, 0.0532], [2454023.29, -2.0658, -3.3202, 0.0542], [2454033.29, -2.0711, -3.4466, 0.0553],
+            [2454043.29, -2.0755, -3.5714, 0.0563], [2454053.29, -2.0790, -3.6947, 0.0573], [2454063.29, -2.0817, -3.8166, 0.0583],
+            [2454073.29, -2.0836, -3.9371, 0.0593], [2454083.29, -2.0849, -4.0563, 0.0602], [2454093.29, -2.0855, -4.1742, 0.0612],
+            [2454103.29, -2.0855, -4.2909, 0.0621], [2454113.29, -2.0849, -4.4064, 0.0630], [2454123.29, -2.0838, -4.5208, 0.0638],
+            [2454133.29, -2.0822, -4.6341, 0.0647], [2454143.29, -2.0801, -4.7464, 0.0655], [2454153.29, -2.0775, -4.8577, 0.0664],
+            [2454159.74, -2.0757, -4.9289, 0.0669], [2454169.74, -2.0472, -5.0528, 0.0711], [2454179.74, -2.0183, -5.1758, 0.0753],
+            [2454189.74, -1.9891, -5.2979, 0.0794], [2454199.74, -1.9596, -5.4192, 0.0836], [2454209.74, -1.9297, -5.5396, 0.0877],
+            [2454219.74, -1.8996, -5.6592, 0.0918], [2454229.74, -1.8692, -5.7780, 0.0960], [2454259.74, -1.7766, -6.1300, 0.1082],
+            [2454289.74, -1.6821, -6.4756, 0.1204], [2454319.74, -1.5862, -6.8155, 0.1324], [2454349.74, -1.4890, -7.1502, 0.1444],
+            [2454379.74, -1.3908, -7.4799, 0.1562], [2454409.74, -1.2918, -7.8051, 0.1679], [2454439.74, -1.1921, -8.1261, 0.1796],
+            [2454469.74, -1.0918, -8.4432, 0.1912], [2454499.74, -0.9910, -8.7566, 0.2027], [2454529.74, -0.8898, -9.0667, 0.2141],
+            [2454559.74, -0.7884, -9.3735, 0.2254], [2454589.74, -0.6866, -9.6774, 0.2367], [2454619.74, -0.5847, -9.9784, 0.2479],
+            [2454649.74, -0.4826, -10.2768, 0.2590], [2454679.74, -0.3804, -10.5726, 0.2701], [2454709.74, -0.2781, -10.8661, 0.2811],
+            [2454739.74, -0.1758, -11.1573, 0.2920], [2454769.74, -0.0734, -11.4464, 0.3029], [2454799.74, 0.0290, -11.7335, 0.3137],
+            [2454829.74, 0.1314, -12.0186, 0.3245], [2454859.74, 0.2338, -12.3019, 0.3353], [2454889.74, 0.3361, -12.5835, 0.3459],
+            [2454919.74, 0.4384, -12.8633, 0.3566], [2454949.74, 0.5407, -13.1416, 0.3672], [2454979.74, 0.6428, -13.4183, 0.3777],
+            [2455009.74, 0.7449, -13.6935, 0.3882], [2455039.74, 0.8470, -13.9673, 0.3987], [2455069.74, 0.9489, -14.2398, 0.4091],
+            [2455099.74, 1.0508, -14.5110, 0.4195], [2455129.74, 1.1525, -14.7809, 0.4299], [2455159.74, 1.2542, -15.0496, 0.4402],
+            [2455219.74, 1.4573, -15.5836, 0.4608], [2455279.74, 1.6599, -16.1132, 0.4812], [2455339.74, 1.8622, -16.6388, 0.5015],
+            [2455399.74, 2.0640, -17.1606, 0.5217], [2455459.74, 2.2654, -17.6789, 0.5417], [2455519.74, 2.4663, -18.1939, 0.5617],
+            [2455579.74, 2.6669, -18.7057, 0.5816], [2455639.74, 2.8670, -19.2146, 0.6014], [2455699.74, 3.0667, -19.7207, 0.6211],
+            [2455759.74, 3.2660, -20.2242, 0.6407], [2455819.74, 3.4649, -20.7251, 0.6602], [2455879.74, 3.6634, -21.2237, 0.6797],
+            [2455939.74, 3.8615, -21.7200, 0.6991], [2455999.74, 4.0592, -22.2142, 0.7184], [2456059.74, 4.2566, -22.7063, 0.7377],
+            [2456119.74, 4.4535, -23.1965, 0.7569], [2456179.74, 4.6502, -23.6848, 0.7760], [2456239.74, 4.8464, -24.1712, 0.7951],
+            [2456299.74, 5.0424, -24.6560, 0.8141], [2456359.74, 5.2379, -25.1392, 0.8330], [2456419.74, 5.4332, -25.6207, 0.8519],
+            [2456479.74, 5.6281, -26.1007, 0.8708], [2456539.74, 5.8228, -26.5793, 0.8896], [2456599.74, 6.0171, -27.0565, 0.9084],
+            [2456659.74, 6.2111, -27.5323, 0.9271], [2456719.74, 6.4048, -28.0068, 0.9458], [2456779.74, 6.5983, -28.4801, 0.9644],
+            [2456839.74, 6.7914, -28.9521, 0.9830], [2456899.74, 6.9843, -29.4230, 1.0015], [2456959.74, 7.1769, -29.8927, 1.0200],
+            [2457019.74, 7.3692, -30.3614, 1.0385], [2457079.74, 7.5613, -30.8290, 1.0569], [2457139.74, 7.7532, -31.2956, 1.0753],
+            [2457199.74, 7.9448, -31.7611, 1.0937], [2457217.99, 8.0030, -31.9026, 1.0993], [2457277.99, 8.1943, -32.3669, 1.1176],
+            [2457337.99, 8.3853, -32.8303, 1.1359], [2457397.99, 8.5761, -33.2928, 1.1542], [2457457.99, 8.7667, -33.7544, 1.1724],
+            [2457517.99, 8.9571, -34.2152, 1.1906], [2457577.99, 9.1473, -34.6752, 1.2088], [2457637.99, 9.3372, -35.1343, 1.2269],
+            [2457697.99, 9.5269, -35.5927, 1.2450], [2457757.99, 9.7165, -36.0503, 1.2631], [2457817.99, 9.9058, -36.5072, 1.2812],
+            [2457877.99, 10.0950, -36.9634, 1.2992], [2457937.99, 10.2839, -37.4189, 1.3173], [2457997.99, 10.4727, -37.8737, 1.3353],
+            [2458057.99, 10.6613, -38.3278, 1.3532], [2458117.99, 10.8497, -38.7813, 1.3712], [2458177.99, 11.0379, -39.2341, 1.3891],
+            [2458237.99, 11.2259, -39.6864, 1.4070], [2458297.99, 11.4138, -40.1380, 1.4249], [2458357.99, 11.6015, -40.5890, 1.4427],
+            [2458417.99, 11.7891, -41.0395, 1.4606], [2458477.99, 11.9765, -41.4894, 1.4784], [2458537.99, 12.1637, -41.9388, 1.4962],
+            [2458597.99, 12.3508, -42.3876, 1.5140], [2458657.99, 12.5377, -42.8359, 1.5317], [2458717.99, 12.7245, -43.2837, 1.5495],
+            [2458897.99, 13.2839, -44.6241, 1.6026], [2459077.99, 13.8421, -45.9603, 1.6556], [2459257.99, 14.3991, -47.2925, 1.7084],
+            [2459437.99, 14.9549, -48.6209, 1.7611], [2459617.99, 15.5097, -49.9458, 1.8137], [2459797.99, 16.0634, -51.2674, 1.8661],
+            [2459977.99, 16.6162, -52.5858, 1.9184], [2460157.99, 17.1679, -53.9012, 1.9707], [2460337.99, 17.7188, -55.2137, 2.0228],
+            [2460517.99, 18.2688, -56.5236, 2.0748], [2460697.99, 18.8180, -57.8308, 2.1267], [2460877.99, 19.3663, -59.1356, 2.1785],
+            [2461057.99, 19.9139, -60.4381, 2.2303], [2461237.99, 20.4608, -61.7383, 2.2819], [2461417.99, 21.0070, -63.0363, 2.3335],
+            [2461597.99, 21.5524, -64.3323, 2.3850], [2461777.99, 22.0972, -65.6263, 2.4365], [2461957.99, 22.6414, -66.9185, 2.4878],
+            [2462137.99, 23.1849, -68.2088, 2.5391], [2462317.99, 23.7279, -69.4974, 2.5903], [2462497.99, 24.2703, -70.7842, 2.6415],
+            [2462677.99, 24.8121, -72.0695, 2.6926], [2462857.99, 25.3534, -73.3532, 2.7437], [2463037.99, 25.8942, -74.6354, 2.7947],
+            [2463217.99, 26.4344, -75.9162, 2.8456], [2463397.99, 26.9742, -77.1956, 2.8965], [2463577.99, 27.5135, -78.4736, 2.9473],
+            [2463757.99, 28.0524, -79.7503, 2.9981], [2463937.99, 28.5908, -81.0257, 3.0489], [2464117.99, 29.1288, -82.3000, 3.0995],
+            [2464297.99, 29.6663, -83.5730, 3.1502], [2464477.99, 30.2035, -84.8449, 3.2008], [2464657.99, 30.7402, -86.1157, 3.2514],
+            [2464837.99, 31.2766, -87.3854, 3.3019], [2465017.99, 31.8126, -88.6540, 3.3524], [2465197.99, 32.3482, -89.9217, 3.4028],
+            [2465377.99, 32.8835, -91.1883, 3.4532], [2465557.99, 33.4184, -92.4540, 3.5036], [2465737.99, 33.9530, -93.7188, 3.5539],
+            [2465917.99, 34.4873, -94.9826, 3.6042], [2466097.99, 35.0212, -96.2456, 3.6545], [2466277.99, 35.5549, -97.5077, 3.7047],
+            [2466457.99, 36.0882, -98.7690, 3.7549], [2466637.99, 36.6212, -100.0295, 3.8051], [2466817.99, 37.1540, -101.2892, 3.8552],
+            [2466997.99, 37.6865, -102.5481, 3.9054], [2467177.99, 38.2186, -103.8062, 3.9554], [2467357.99, 38.7506, -105.0637, 4.0055],
+            [2467537.99, 39.2822, -106.3204, 4.0555], [2467717.99, 39.8136, -107.5764, 4.1055], [2467897.99, 40.3447, -108.8317, 4.1555],
+            [2468077.99, 40.8756, -110.0864, 4.2055], [2468257.99, 41.4063, -111.3404, 4.2554], [2468437.99, 41.9367, -112.5938, 4.3053],
+            [2468617.99, 42.4669, -113.8465, 4.3552], [2468797.99, 42.9968, -115.0986, 4.4050], [2468977.99, 43.5266, -116.3502, 4.4548],
+            [2469157.99, 44.0561, -117.6012, 4.5047], [2469337.99, 44.5854, -118.8516, 4.5544], [2469517.99, 45.1145, -120.1014, 4.6042],
+            [2469697.99, 45.6434, -121.3507, 4.6540], [2469807.50, 45.9650, -122.1105, 4.6842]
+        ]
+    },
+    {
+        name: 'Juno',
+        agency: 'NASA / JPL',
+        color: 0xfab1a0,
+        launchVehicle: 'Atlas V 551',
+        mass: '3,625 kg',
+        power: 'Three solar arrays, the first solar-powered spacecraft at Jupiter',
+        description: 'Juno looped out beyond Mars and back for an Earth flyby that sent it to Jupiter, where it flies a long polar orbit, diving close over the cloud tops to map the planet\'s gravity, magnetic field and interior.',
+        orbits: 'Jupiter',
+        endDate: null,
+        trajectorySource: 'reconstructed',
+        events: [
+            { date: '2011-08-05T16:25:00Z', body: 'Earth', title: 'Launch', detail: 'Launched from Cape Canaveral.' },
+            { date: '2012-08-30T00:00:00Z', body: null, title: 'Deep-space manoeuvres', detail: 'Two engine burns near aphelion, on 30 August and 14 September 2012, set up the Earth flyby.' },
+            { date: '2013-10-09T19:21:00Z', body: 'Earth', title: 'Earth flyby', detail: 'Passed 559 km above Earth, gaining 7.3 km/s.' },
+            { date: '2016-07-05T03:53:00Z', body: 'Jupiter', title: 'Jupiter orbit insertion', detail: 'A 35-minute burn put Juno into a 53-day polar orbit.' }
+        ],
+        trajectory: [
+            [2455779.18, 0.6886, -0.7449, 0.0000], [2455783.18, 0.7459, -0.6884, 0.0000], [2455787.18, 0.7998, -0.6289, -0.0001],
+            [2455791.18, 0.8501, -0.5665, -0.0001], [2455795.18, 0.8966, -0.5016, -0.0002], [2455799.18, 0.9392, -0.4345, -0.0002],
+            [2455803.18, 0.9778, -0.3655, -0.0002], [2455807.18, 1.0124, -0.2950, -0.0003], [2455811.18, 1.0428, -0.2234, -0.0003],
+            [2455815.18, 1.0692, -0.1508, -0.0004], [2455819.18, 1.0916, -0.0777, -0.0004], [2455823.18, 1.1100, -0.0043, -0.0004],
+            [2455827.18, 1.1246, 0.0691, -0.0005], [2455831.18, 1.1355, 0.1422, -0.0005], [2455835.18, 1.1427, 0.2150, -0.0005],
+            [2455839.18, 1.1466, 0.2871, -0.0006], [2455843.18, 1.1471, 0.3583, -0.0006], [2455847.18, 1.1445, 0.4286, -0.0006],
+            [2455851.18, 1.1390, 0.4978, -0.0006], [2455855.18, 1.1306, 0.5658, -0.0007], [2455859.18, 1.1196, 0.6324, -0.0007],
+            [2455863.18, 1.1061, 0.6976, -0.0007], [2455867.18, 1.0903, 0.7614, -0.0007], [2455871.18, 1.0723, 0.8236, -0.0007],
+            [2455875.18, 1.0522, 0.8842, -0.0008], [2455879.18, 1.0302, 0.9432, -0.0008], [2455883.18, 1.0064, 1.0006, -0.0008],
+            [2455887.18, 0.9809, 1.0563, -0.0008], [2455891.18, 0.9539, 1.1104, -0.0008], [2455895.18, 0.9254, 1.1628, -0.0008],
+            [2455899.18, 0.8956, 1.2135, -0.0008], [2455903.18, 0.8646, 1.2625, -0.0008], [2455907.18, 0.8324, 1.3099, -0.0008],
+            [2455911.18, 0.7992, 1.3556, -0.0008], [2455915.18, 0.7650, 1.3997, -0.0009], [2455919.18, 0.7299, 1.4421, -0.0009],
+            [2455923.18, 0.6940, 1.4829, -0.0009], [2455927.18, 0.6573, 1.5221, -0.0009], [2455931.18, 0.6200, 1.5598, -0.0009],
+            [2455935.18, 0.5820, 1.5958, -0.0009], [2455939.18, 0.5435, 1.6304, -0.0009], [2455943.18, 0.5045, 1.6634, -0.0009],
+            [2455947.18, 0.4650, 1.6949, -0.0008], [2455951.18, 0.4251, 1.7249, -0.0008], [2455955.18, 0.3848, 1.7535, -0.0008],
+            [2455959.18, 0.3442, 1.7806, -0.0008], [2455963.18, 0.3034, 1.8063, -0.0008], [2455967.18, 0.2623, 1.8307, -0.0008],
+            [2455971.18, 0.2211, 1.8536, -0.0008], [2455975.18, 0.1796, 1.8752, -0.0008], [2455979.18, 0.1381, 1.8955, -0.0008],
+            [2455983.18, 0.0964, 1.9145, -0.0008], [2455987.18, 0.0547, 1.9322, -0.0008], [2455991.18, 0.0129, 1.9486, -0.0008],
+            [2455995.18, -0.0288, 1.9638, -0.0008], [2455999.18, -0.0706, 1.9778, -0.0007], [2456003.18, -0.1123, 1.9905, -0.0007],
+            [2456007.18, -0.1539, 2.0020, -0.0007], [2456017.18, -0.2576, 2.0258, -0.0007], [2456027.18, -0.3604, 2.0426, -0.0007],
+            [2456037.18, -0.4619, 2.0526, -0.0006], [2456047.18, -0.5620, 2.0560, -0.0006], [2456057.18, -0.6604, 2.0532, -0.0005],
+            [2456067.18, -0.7569, 2.0443, -0.0005], [2456077.18, -0.8511, 2.0296, -0.0005], [2456087.18, -0.9431, 2.0093, -0.0004],
+            [2456097.18, -1.0324, 1.9835, -0.0004], [2456107.18, -1.1191, 1.9524, -0.0003], [2456117.18, -1.2028, 1.9163, -0.0003],
+            [2456127.18, -1.2834, 1.8753, -0.0002], [2456137.18, -1.3609, 1.8296, -0.0002], [2456147.18, -1.4349, 1.7793, -0.0001],
+            [2456157.18, -1.5054, 1.7246, -0.0001], [2456167.18, -1.5721, 1.6656, 0.0000], [2456173.50, -1.6123, 1.6262, 0.0000],
+            [2456183.50, -1.6694, 1.5660, 0.0000], [2456193.50, -1.7224, 1.5019, 0.0000], [2456203.50, -1.7712, 1.4341, 0.0000],
+            [2456213.50, -1.8155, 1.3627, 0.0000], [2456223.50, -1.8552, 1.2878, 0.0000], [2456233.50, -1.8902, 1.2097, 0.0000],
+            [2456243.50, -1.9202, 1.1284, 0.0000], [2456253.50, -1.9450, 1.0440, 0.0000], [2456263.50, -1.9645, 0.9568, 0.0000],
+            [2456273.50, -1.9785, 0.8669, 0.0000], [2456283.50, -1.9866, 0.7744, 0.0000], [2456293.50, -1.9887, 0.6796, 0.0000],
+            [2456303.50, -1.9844, 0.5826, 0.0000], [2456313.50, -1.9735, 0.4836, 0.0000], [2456323.50, -1.9556, 0.3830, 0.0000],
+            [2456327.50, -1.9464, 0.3423, 0.0000], [2456331.50, -1.9360, 0.3014, 0.0000], [2456335.50, -1.9244, 0.2603, 0.0000],
+            [2456339.50, -1.9116, 0.2191, 0.0000], [2456343.50, -1.8975, 0.1777, 0.0000], [2456347.50, -1.8821, 0.1362, 0.0000],
+            [2456351.50, -1.8653, 0.0946, 0.0000], [2456355.50, -1.8472, 0.0529, 0.0000], [2456359.50, -1.8278, 0.0112, 0.0000],
+            [2456363.50, -1.8069, -0.0305, 0.0000], [2456367.50, -1.7845, -0.0722, 0.0000], [2456371.50, -1.7607, -0.1139, 0.0000],
+            [2456375.50, -1.7354, -0.1554, 0.0000], [2456379.50, -1.7085, -0.1968, 0.0000], [2456383.50, -1.6800, -0.2380, 0.0000],
+            [2456387.50, -1.6499, -0.2790, 0.0000], [2456391.50, -1.6181, -0.3197, 0.0000], [2456395.50, -1.5846, -0.3601, 0.0000],
+            [2456399.50, -1.5493, -0.4001, 0.0000], [2456403.50, -1.5123, -0.4396, 0.0000], [2456407.50, -1.4734, -0.4785, 0.0000],
+            [2456411.50, -1.4327, -0.5169, 0.0000], [2456415.50, -1.3900, -0.5546, 0.0000], [2456419.50, -1.3454, -0.5915, 0.0000],
+            [2456423.50, -1.2988, -0.6275, 0.0000], [2456427.50, -1.2501, -0.6625, 0.0000], [2456431.50, -1.1993, -0.6964, 0.0000],
+            [2456435.50, -1.1465, -0.7290, 0.0000], [2456439.50, -1.0914, -0.7603, 0.0000], [2456443.50, -1.0341, -0.7901, 0.0000],
+            [2456447.50, -0.9747, -0.8181, 0.0000], [2456451.50, -0.9129, -0.8443, 0.0000], [2456455.50, -0.8490, -0.8684, 0.0000],
+            [2456459.50, -0.7828, -0.8902, 0.0000], [2456463.50, -0.7143, -0.9095, 0.0000], [2456467.50, -0.6437, -0.9260, 0.0000],
+            [2456471.50, -0.5710, -0.9394, 0.0000], [2456475.50, -0.4962, -0.9495, 0.0000], [2456479.50, -0.4196, -0.9559, 0.0000],
+            [2456483.50, -0.3411, -0.9583, 0.0000], [2456487.50, -0.2612, -0.9565, 0.0000], [2456491.50, -0.1800, -0.9499, 0.0000],
+            [2456495.50, -0.0978, -0.9385, 0.0000], [2456499.50, -0.0151, -0.9217, 0.0000], [2456503.50, 0.0676, -0.8993, 0.0000],
+            [2456507.50, 0.1500, -0.8712, 0.0000], [2456511.50, 0.2313, -0.8371, 0.0000], [2456515.50, 0.3109, -0.7969, 0.0000],
+            [2456519.50, 0.3882, -0.7508, 0.0000], [2456523.50, 0.4624, -0.6987, 0.0000], [2456527.50, 0.5329, -0.6411, 0.0000],
+            [2456531.50, 0.5991, -0.5782, 0.0000], [2456535.50, 0.6604, -0.5105, 0.0000], [2456539.50, 0.7163, -0.4388, 0.0000],
+            [2456543.50, 0.7665, -0.3635, 0.0000], [2456547.50, 0.8107, -0.2854, 0.0000], [2456551.50, 0.8489, -0.2052, 0.0000],
+            [2456555.50, 0.8811, -0.1235, 0.0000], [2456559.50, 0.9074, -0.0410, 0.0000], [2456563.50, 0.9279, 0.0418, 0.0000],
+            [2456567.50, 0.9430, 0.1244, 0.0000], [2456571.50, 0.9529, 0.2062, 0.0000], [2456575.31, 0.9577, 0.2832, 0.0000],
+            [2456579.31, 0.9412, 0.3706, 0.0059], [2456583.31, 0.9204, 0.4563, 0.0118], [2456587.31, 0.8956, 0.5400, 0.0176],
+            [2456591.31, 0.8670, 0.6215, 0.0234], [2456595.31, 0.8351, 0.7006, 0.0291], [2456599.31, 0.8002, 0.7771, 0.0346],
+            [2456603.31, 0.7625, 0.8510, 0.0401], [2456607.31, 0.7224, 0.9222, 0.0454], [2456611.31, 0.6802, 0.9907, 0.0506],
+            [2456615.31, 0.6361, 1.0565, 0.0556], [2456619.31, 0.5904, 1.1196, 0.0605], [2456623.31, 0.5433, 1.1802, 0.0653],
+            [2456627.31, 0.4951, 1.2381, 0.0699], [2456631.31, 0.4459, 1.2937, 0.0744], [2456635.31, 0.3959, 1.3468, 0.0788],
+            [2456639.31, 0.3451, 1.3977, 0.0830], [2456643.31, 0.2939, 1.4463, 0.0871], [2456647.31, 0.2422, 1.4929, 0.0910],
+            [2456651.31, 0.1902, 1.5374, 0.0949], [2456655.31, 0.1379, 1.5799, 0.0986], [2456659.31, 0.0855, 1.6206, 0.1022],
+            [2456663.31, 0.0330, 1.6595, 0.1057], [2456667.31, -0.0196, 1.6967, 0.1091], [2456671.31, -0.0721, 1.7323, 0.1123],
+            [2456675.31, -0.1246, 1.7663, 0.1155], [2456679.31, -0.1770, 1.7988, 0.1186], [2456683.31, -0.2292, 1.8298, 0.1216],
+            [2456687.31, -0.2813, 1.8595, 0.1244], [2456691.31, -0.3331, 1.8879, 0.1272], [2456695.31, -0.3848, 1.9150, 0.1300],
+            [2456699.31, -0.4361, 1.9409, 0.1326], [2456703.31, -0.4873, 1.9657, 0.1352], [2456713.31, -0.6139, 2.0228, 0.1412],
+            [2456723.31, -0.7386, 2.0736, 0.1468], [2456733.31, -0.8612, 2.1186, 0.1520], [2456743.31, -0.9818, 2.1585, 0.1569],
+            [2456753.31, -1.1001, 2.1936, 0.1614], [2456763.31, -1.2163, 2.2243, 0.1655], [2456773.31, -1.3303, 2.2510, 0.1694],
+            [2456783.31, -1.4422, 2.2740, 0.1730], [2456793.31, -1.5518, 2.2936, 0.1763], [2456803.31, -1.6593, 2.3100, 0.1794],
+            [2456813.31, -1.7647, 2.3235, 0.1823], [2456823.31, -1.8679, 2.3341, 0.1849], [2456833.31, -1.9692, 2.3423, 0.1874],
+            [2456843.31, -2.0684, 2.3480, 0.1896], [2456853.31, -2.1656, 2.3514, 0.1917], [2456863.31, -2.2608, 2.3528, 0.1936],
+            [2456873.31, -2.3542, 2.3521, 0.1953], [2456883.31, -2.4457, 2.3496, 0.1969], [2456893.31, -2.5353, 2.3453, 0.1983],
+            [2456903.31, -2.6231, 2.3393, 0.1996], [2456913.31, -2.7091, 2.3317, 0.2007], [2456923.31, -2.7934, 2.3226, 0.2017],
+            [2456933.31, -2.8760, 2.3121, 0.2026], [2456943.31, -2.9569, 2.3002, 0.2034], [2456953.31, -3.0361, 2.2871, 0.2040],
+            [2456963.31, -3.1137, 2.2727, 0.2046], [2456973.31, -3.1897, 2.2572, 0.2050], [2456983.31, -3.2641, 2.2405, 0.2054],
+            [2456993.31, -3.3370, 2.2228, 0.2056], [2457003.31, -3.4083, 2.2040, 0.2058], [2457013.31, -3.4781, 2.1843, 0.2058],
+            [2457023.31, -3.5465, 2.1637, 0.2058], [2457033.31, -3.6134, 2.1421, 0.2057], [2457043.31, -3.6789, 2.1197, 0.2055],
+            [2457053.31, -3.7429, 2.0965, 0.2052], [2457063.31, -3.8055, 2.0725, 0.2049], [2457073.31, -3.8668, 2.0478, 0.2045],
+            [2457083.31, -3.9267, 2.0223, 0.2040], [2457093.31, -3.9853, 1.9962, 0.2034], [2457103.31, -4.0425, 1.9694, 0.2028],
+            [2457113.31, -4.0984, 1.9419, 0.2021], [2457123.31, -4.1531, 1.9138, 0.2013], [2457133.31, -4.2064, 1.8852, 0.2005],
+            [2457143.31, -4.2585, 1.8559, 0.1996], [2457153.31, -4.3093, 1.8262, 0.1986], [2457163.31, -4.3589, 1.7959, 0.1976],
+            [2457173.31, -4.4073, 1.7651, 0.1966], [2457183.31, -4.4544, 1.7338, 0.1955], [2457193.31, -4.5003, 1.7020, 0.1943],
+            [2457203.31, -4.5451, 1.6698, 0.1931], [2457213.31, -4.5886, 1.6371, 0.1918], [2457223.31, -4.6310, 1.6041, 0.1905],
+            [2457233.31, -4.6723, 1.5706, 0.1891], [2457243.31, -4.7123, 1.5367, 0.1877], [2457253.31, -4.7513, 1.5025, 0.1863],
+            [2457263.31, -4.7891, 1.4679, 0.1848], [2457273.31, -4.8257, 1.4330, 0.1832], [2457283.31, -4.8613, 1.3977, 0.1817],
+            [2457293.31, -4.8958, 1.3621, 0.1800], [2457303.31, -4.9291, 1.3262, 0.1784], [2457313.31, -4.9614, 1.2901, 0.1767],
+            [2457323.31, -4.9925, 1.2536, 0.1749], [2457333.31, -5.0226, 1.2168, 0.1731], [2457343.31, -5.0516, 1.1798, 0.1713],
+            [2457353.31, -5.0795, 1.1426, 0.1694], [2457363.31, -5.1064, 1.1051, 0.1676], [2457373.31, -5.1322, 1.0674, 0.1656],
+            [2457383.31, -5.1570, 1.0294, 0.1637], [2457393.31, -5.1807, 0.9913, 0.1617], [2457403.31, -5.2034, 0.9530, 0.1596],
+            [2457413.31, -5.2250, 0.9144, 0.1576], [2457423.31, -5.2456, 0.8757, 0.1555], [2457433.31, -5.2652, 0.8368, 0.1534],
+            [2457443.31, -5.2837, 0.7978, 0.1512], [2457453.31, -5.3013, 0.7586, 0.1490], [2457463.31, -5.3178, 0.7192, 0.1468],
+            [2457473.31, -5.3332, 0.6797, 0.1446], [2457483.31, -5.3477, 0.6401, 0.1423], [2457493.31, -5.3612, 0.6003, 0.1400],
+            [2457503.31, -5.3736, 0.5605, 0.1377], [2457513.31, -5.3850, 0.5205, 0.1354], [2457523.31, -5.3955, 0.4805, 0.1330],
+            [2457533.31, -5.4049, 0.4403, 0.1306], [2457543.31, -5.4133, 0.4001, 0.1282], [2457553.31, -5.4208, 0.3598, 0.1258],
+            [2457563.31, -5.4272, 0.3194, 0.1233], [2457573.31, -5.4326, 0.2790, 0.1208], [2457574.66, -5.4333, 0.2735, 0.1205]
+        ]
+    }
+];
+
+// Export the class
+window.MissionTrajectories = MissionTrajectories;
@@ -125,6 +125,11 @@ class MobileOptimizations {
         const planetInfo = document.getElementById('planetInfo');
         
         let controlsVisible = false;
+        // The label's key stays on the button, so a language change relabels it
+        const setToggleLabel = (key) => {
+            toggleButton.dataset.i18n = key;
+            toggleButton.textContent = I18n.t(key);
+        };
         
         toggleButton.addEventListener('click', () => {
             controlsVisible = !controlsVisible;
@@ -132,19 +137,19 @@ class MobileOptimizations {
                 document.body.classList.remove('controls-hidden');
                 controls.style.display = 'block';
                 planetInfo.style.display = 'block';
-                toggleButton.textContent = 'Hide Controls';
+                setToggleLabel('ui.controls.hide');
             } else {
                 document.body.classList.add('controls-hidden');
                 controls.style.display = 'none';
                 planetInfo.style.display = 'none';
-                toggleButton.textContent = 'Show Controls';
+                setToggleLabel('ui.controls.show');
             }
         });
         
         // Start with controls hidden on mobile
         if (this.isMobile) {
             document.body.classList.add('controls-hidden');
-            toggleButton.textContent = 'Show Controls';
+            I18n.ready.then(() => setToggleLabel('ui.controls.show'));
         }
         
         // Add haptic feedback for supported devices
@@ -178,20 +183,26 @@ class MobileOptimizations {
     }
     
     optimizePerformance() {
-        // Reduce quality on low-end devices
-        const canvas = document.querySelector('canvas');
-        if (canvas && this.isMobile) {
-            // Reduce pixel ratio for better performance
-            const pixelRatio = Math.min(window.devicePixelRatio, 2);
-            
-            // Store optimization settings
-            window.PERFORMANCE_SETTINGS = {
-                pixelRatio: pixelRatio,
-                antialias: !this.isMobile, // Disable antialiasing on mobile
-                shadowMapSize: this.isMobile ? 1024 : 2048,
-                maxLights: this.isMobile ? 2 : 4
-            };
-        }
+        // Reduce quality on low-end devices. This runs before the renderer's canvas
+        // exists, so the tier is decided from the device type alone.
+        const pixelRatio = Math.min(window.devicePixelRatio, 2);
+        
+        // Store optimization settings
+        window.PERFORMANCE_SETTINGS = {
+            pixelRatio: pixelRatio,
+            antialias: !this.isMobile, // Disable antialiasing on mobile
+            shadowMapSize: this.isMobile ? 1024 : 2048,
+            maxLights: this.isMobile ? 2 : 4,
+            // Bodies drawn in the asteroid and Kuiper belts
+            asteroidCount: this.isMobile ? 1500 : (this.isTablet ? 4000 : 8000),
+            kuiperBeltCount: this.isMobile ? 1000 : (this.isTablet ? 3000 : 6000),
+            // Particles in each comet tail
+            cometTailParticles: this.isMobile ? 150 : (this.isTablet ? 250 : 400),
+            // Jupiter Trojans drawn with the Lagrange point overlay
+            trojanCount: this.isMobile ? 400 : (this.isTablet ? 800 : 1500),
+            // Samples kept on each side of the current date for a motion trail
+            trailPoints: this.isMobile ? 128 : 256
+        };
         
         // Battery optimization
         if ('getBattery' in navigator) {
@@ -0,0 +1,186 @@
+// Fading motion trails for VantraOrbit
+//
+// Draws the path each planet, dwarf planet and spaceship has actually travelled over
+// the last few simulated days, fading out with age. Positions are sampled from the
+// scene every frame and kept by Julian date, so the trail is the same at any time
+// speed and, when the clock runs backwards, follows the body back along the samples
+// it has already left. Moons and comets are left out: at the inflated scales a moon's
+// trail is a tangle around its planet, and comets already draw tails.
+//
+// Each trail keeps at most one sample per pointsPerTrail-th of its length on either
+// side of the current date, so its memory is fixed however long the app runs. Samples
+// are in scene units, and are dropped when the time jumps further than the trail
+// length or the distance scale changes.
+
+class MotionTrails {
+    constructor(scene, settings = {}) {
+        this.scene = scene;
+        this.pointsPerTrail = settings.trailPoints || MotionTrails.DEFAULT_POINTS;
+        this.days = MotionTrails.DEFAULT_DAYS;
+        this.visible = false;
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.scene.add(this.group);
+
+        // Trail for each tracked object
+        this.trails = new Map();
+
+        // Date of the last update and which way time was running then
+        this.lastDate = null;
+        this.direction = 1;
+    }
+
+    setVisibility(visible) {
+        this.visible = visible;
+        this.group.visible = visible;
+        // Nothing is recorded while hidden, so old samples would leave a gap
+        if (!visible) this.clear();
+    }
+
+    // Trail length in simulated days
+    setLength(days) {
+        this.days = days;
+        this.clear();
+    }
+
+    clear() {
+        this.trails.forEach(trail => {
+            trail.samples.length = 0;
+            trail.line.visible = false;
+        });
+    }
+
+    // Record and redraw the trails of the Sun-orbiting bodies and the spaceships
+    update(julianDate, bodies, spaceships) {
+        if (!this.visible) return;
+
+        if (this.lastDate !== null) {
+            if (Math.abs(julianDate - this.lastDate) > this.days || DistanceScale.isTransitioning()) {
+                this.clear();
+            }
+            if (julianDate !== this.lastDate) {
+                this.direction = Math.sign(julianDate - this.lastDate);
+            }
+        }
+        this.lastDate = julianDate;
+
+        const objects = bodies.filter(body => !body.userData.parentBody && !body.userData.isComet).concat(spaceships);
+
+        // Let go of the trails of bodies and ships that have been removed
+        this.trails.forEach((trail, object) => {
+            if (!objects.includes(object)) this.removeTrail(object);
+        });
+
+        objects.forEach(object => {
+            const trail = this.trails.get(object) || this.createTrail(object);
+            if (object.visible) {
+                this.record(trail, julianDate, object.position);
+            }
+            this.draw(trail, julianDate, object);
+        });
+    }
+
+    createTrail(object) {
+        // Room for every sample on one side of the current date, plus the object itself
+        const size = this.pointsPerTrail + 2;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(size * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(size * 4), 4));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false
+        });
+
+        const line = new THREE.Line(geometry, material);
+        // The buffer is refilled every frame, so its bounds are never up to date
+        line.frustumCulled = false;
+        line.visible = false;
+        line.userData = { type: 'motionTrail' };
+        this.group.add(line);
+
+        const trail = {
+            line: line,
+            color: new THREE.Color(object.userData.color !== undefined ? object.userData.color : MotionTrails.DEFAULT_COLOR),
+            samples: []
+        };
+        this.trails.set(object, trail);
+        return trail;
+    }
+
+    removeTrail(object) {
+        const trail = this.trails.get(object);
+        this.group.remove(trail.line);
+        trail.line.geometry.dispose();
+        trail.line.material.dispose();
+        this.trails.delete(object);
+    }
+
+    // Add a sample if the date is a spacing beyond either end of the recorded span; dates
+    // inside it have been recorded already
+    record(trail, julianDate, position) {
+        const samples = trail.samples;
+        const spacing = this.days / this.pointsPerTrail;
+        const sample = () => ({ julianDate: julianDate, position: position.clone() });
+
+        if (samples.length === 0 || julianDate >= samples[samples.length - 1].julianDate + spacing) {
+            samples.push(sample());
+        } else if (julianDate <= samples[0].julianDate - spacing) {
+            samples.unshift(sample());
+        }
+
+        // Samples more than a trail length away can't be drawn from here
+        while (samples.length > 0 && samples[0].julianDate < julianDate - this.days) {
+            samples.shift();
+        }
+        while (samples.length > 0 && samples[samples.length - 1].julianDate > julianDate + this.days) {
+            samples.pop();
+        }
+    }
+
+    // Fill the line from the oldest sample behind the object, in the direction time is
+    // running, up to the object itself
+    draw(trail, julianDate, object) {
+        const geometry = trail.line.geometry;
+        const positions = geometry.attributes.position;
+        const colors = geometry.attributes.color;
+        const color = trail.color;
+        let count = 0;
+
+        const addPoint = (point, age) => {
+            positions.setXYZ(count, point.x, point.y, point.z);
+            colors.setXYZW(count, color.r, color.g, color.b, 1 - age / this.days);
+            count++;
+        };
+
+        const samples = trail.samples;
+        if (this.direction > 0) {
+            samples.forEach(sample => {
+                if (sample.julianDate < julianDate) addPoint(sample.position, julianDate - sample.julianDate);
+            });
+        } else {
+            for (let i = samples.length - 1; i >= 0; i--) {
+                if (samples[i].julianDate > julianDate) addPoint(samples[i].position, samples[i].julianDate - julianDate);
+            }
+        }
+        if (count > 0) addPoint(object.position, 0);
+
+        geometry.setDrawRange(0, count);
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        trail.line.visible = count > 1 && object.visible;
+    }
+}
+
+// Samples per trail, on each side of the current date
+MotionTrails.DEFAULT_POINTS = 256;
+// Trail length in simulated days
+MotionTrails.DEFAULT_DAYS = 60;
+// For anything without a color of its own
+MotionTrails.DEFAULT_COLOR = 0x888888;
+
+// Export the class
+window.MotionTrails = MotionTrails;
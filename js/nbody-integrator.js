@@ -0,0 +1,272 @@
+// Newtonian N-body integrator for VantraOrbit's gravity sandbox
+//
+// Units are AU, days and solar masses, so G is the square of the Gaussian
+// gravitational constant. Bodies are advanced with a kick-drift-kick leapfrog
+// (velocity Verlet). The step shrinks during close encounters, and bodies that
+// touch merge, conserving mass and momentum.
+//
+// A leapfrog step of fixed size is symplectic and time-reversible, but each step
+// here is sized from the state it starts from, so the scheme as a whole is neither.
+// Energy errors stay small while the step is steady and can jump at a close
+// encounter (the sandbox shows the drift), and running time backwards comes close
+// to the earlier path without retracing it exactly.
+//
+// Loaded both as a page script and inside the N-body worker, so it only uses
+// plain arrays and no THREE types.
+
+class NBodyIntegrator {
+    constructor() {
+        this.bodies = [];
+        this.elapsedDays = 0;
+        this.referenceEnergy = 0;
+        // Merges since the last getState(), as [survivor id, absorbed id]
+        this.merges = [];
+    }
+
+    // bodies: [{ id, mass, radius, position: [x, y, z], velocity: [vx, vy, vz] }]
+    setBodies(bodies) {
+        this.bodies = bodies.map(body => NBodyIntegrator.copyBody(body));
+        this.elapsedDays = 0;
+        this.merges = [];
+        this.computeAccelerations();
+        this.resetEnergyReference();
+    }
+
+    addBody(body) {
+        this.bodies.push(NBodyIntegrator.copyBody(body));
+        this.computeAccelerations();
+        this.resetEnergyReference();
+    }
+
+    setMass(id, mass) {
+        const body = this.bodies.find(candidate => candidate.id === id);
+        if (!body) return;
+
+        body.mass = mass;
+        this.computeAccelerations();
+        this.resetEnergyReference();
+    }
+
+    // Deliberate changes to the system restart the drift measurement
+    resetEnergyReference() {
+        this.referenceEnergy = this.getEnergy();
+    }
+
+    // Integrate a span of simulated days (negative runs backwards). Returns the days left
+    // over when MAX_STEPS_PER_ADVANCE runs out first, for the caller to hand back later.
+    advance(days) {
+        const direction = Math.sign(days);
+        let remaining = Math.abs(days);
+        let steps = 0;
+
+        while (remaining > 0 && steps < NBodyIntegrator.MAX_STEPS_PER_ADVANCE) {
+            const dt = Math.min(remaining, this.getStepSize());
+            this.step(dt * direction);
+            remaining -= dt;
+            steps++;
+
+            if (this.detectCollisions()) {
+                this.computeAccelerations();
+                this.resetEnergyReference();
+            }
+        }
+
+        this.elapsedDays += days - remaining * direction;
+        return remaining * direction;
+    }
+
+    // Kick-drift-kick leapfrog
+    step(dt) {
+        const half = dt / 2;
+
+        this.bodies.forEach(body => {
+            for (let k = 0; k < 3; k++) {
+                body.velocity[k] += body.acceleration[k] * half;
+                body.position[k] += body.velocity[k] * dt;
+            }
+        });
+
+        this.computeAccelerations();
+
+        this.bodies.forEach(body => {
+            for (let k = 0; k < 3; k++) {
+                body.velocity[k] += body.acceleration[k] * half;
+            }
+        });
+    }
+
+    // A small fraction of the shortest free-fall time between any pair
+    getStepSize() {
+        let step = NBodyIntegrator.MAX_STEP;
+
+        for (let i = 0; i < this.bodies.length; i++) {
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const a = this.bodies[i];
+                const b = this.bodies[j];
+                const distance = Math.sqrt(NBodyIntegrator.distanceSquared(a.position, b.position));
+                const freeFall = Math.sqrt(distance * distance * distance / (NBodyIntegrator.G * (a.mass + b.mass)));
+                step = Math.min(step, freeFall * NBodyIntegrator.STEP_SAFETY);
+            }
+        }
+
+        return Math.max(step, NBodyIntegrator.MIN_STEP);
+    }
+
+    computeAccelerations() {
+        this.bodies.forEach(body => {
+            body.acceleration = [0, 0, 0];
+        });
+
+        for (let i = 0; i < this.bodies.length; i++) {
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const a = this.bodies[i];
+                const b = this.bodies[j];
+                const dx = b.position[0] - a.position[0];
+                const dy = b.position[1] - a.position[1];
+                const dz = b.position[2] - a.position[2];
+                const distanceSquared = dx * dx + dy * dy + dz * dz;
+                const inverseCube = 1 / (distanceSquared * Math.sqrt(distanceSquared));
+
+                const forceA = NBodyIntegrator.G * b.mass * inverseCube;
+                const forceB = NBodyIntegrator.G * a.mass * inverseCube;
+                a.acceleration[0] += dx * forceA;
+                a.acceleration[1] += dy * forceA;
+                a.acceleration[2] += dz * forceA;
+                b.acceleration[0] -= dx * forceB;
+                b.acceleration[1] -= dy * forceB;
+                b.acceleration[2] -= dz * forceB;
+            }
+        }
+    }
+
+    // Merge every pair whose surfaces touch; the heavier body survives
+    detectCollisions() {
+        let merged = false;
+
+        for (let i = 0; i < this.bodies.length; i++) {
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const a = this.bodies[i];
+                const b = this.bodies[j];
+                const contact = a.radius + b.radius;
+                if (NBodyIntegrator.distanceSquared(a.position, b.position) > contact * contact) continue;
+
+                const [survivor, absorbed] = a.mass >= b.mass ? [a, b] : [b, a];
+                const mass = survivor.mass + absorbed.mass;
+                for (let k = 0; k < 3; k++) {
+                    survivor.position[k] = (survivor.position[k] * survivor.mass + absorbed.position[k] * absorbed.mass) / mass;
+                    survivor.velocity[k] = (survivor.velocity[k] * survivor.mass + absorbed.velocity[k] * absorbed.mass) / mass;
+                }
+                survivor.mass = mass;
+                // Volumes add
+                survivor.radius = Math.cbrt(Math.pow(survivor.radius, 3) + Math.pow(absorbed.radius, 3));
+
+                this.bodies = this.bodies.filter(body => body !== absorbed);
+                this.merges.push([survivor.id, absorbed.id]);
+                merged = true;
+                j = this.bodies.length;
+                i--;
+            }
+        }
+
+        return merged;
+    }
+
+    // Total kinetic plus potential energy
+    getEnergy() {
+        let energy = 0;
+
+        for (let i = 0; i < this.bodies.length; i++) {
+            const a = this.bodies[i];
+            const speedSquared = a.velocity[0] * a.velocity[0] + a.velocity[1] * a.velocity[1] + a.velocity[2] * a.velocity[2];
+            energy += 0.5 * a.mass * speedSquared;
+
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const b = this.bodies[j];
+                energy -= NBodyIntegrator.G * a.mass * b.mass / Math.sqrt(NBodyIntegrator.distanceSquared(a.position, b.position));
+            }
+        }
+
+        return energy;
+    }
+
+    // Relative change in total energy since the last deliberate change to the system
+    getEnergyDrift() {
+        if (this.referenceEnergy === 0) return 0;
+        return (this.getEnergy() - this.referenceEnergy) / Math.abs(this.referenceEnergy);
+    }
+
+    // Apply a message from the sandbox ('init', 'step', 'setMass' or 'add') and
+    // return the resulting state, with the days a 'step' could not cover
+    handleMessage(message) {
+        let remainingDays = 0;
+
+        switch (message.type) {
+            case 'init':
+                this.setBodies(message.bodies);
+                break;
+            case 'step':
+                remainingDays = this.advance(message.days);
+                break;
+            case 'setMass':
+                this.setMass(message.id, message.mass);
+                break;
+            case 'add':
+                this.addBody(message.body);
+                break;
+            default:
+                console.warn('N-body integrator: unknown message', message.type);
+        }
+
+        const state = this.getState();
+        state.remainingDays = remainingDays;
+        return state;
+    }
+
+    // Snapshot for the renderer; hands over (and clears) the pending merges
+    getState() {
+        const merges = this.merges;
+        this.merges = [];
+
+        return {
+            bodies: this.bodies.map(body => ({
+                id: body.id,
+                mass: body.mass,
+                position: body.position.slice(),
+                velocity: body.velocity.slice()
+            })),
+            merges: merges,
+            energyDrift: this.getEnergyDrift(),
+            elapsedDays: this.elapsedDays
+        };
+    }
+
+    static copyBody(body) {
+        return {
+            id: body.id,
+            mass: body.mass,
+            radius: body.radius,
+            position: body.position.slice(),
+            velocity: body.velocity.slice(),
+            acceleration: [0, 0, 0]
+        };
+    }
+
+    static distanceSquared(a, b) {
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const dz = b[2] - a[2];
+        return dx * dx + dy * dy + dz * dz;
+    }
+}
+
+// Gaussian gravitational constant squared: AU^3 / (solar mass * day^2)
+NBodyIntegrator.G = 0.01720209895 * 0.01720209895;
+// Step limits in days; STEP_SAFETY is the fraction of the shortest free-fall time
+NBodyIntegrator.MAX_STEP = 0.1;
+NBodyIntegrator.MIN_STEP = 1e-6;
+NBodyIntegrator.STEP_SAFETY = 0.005;
+// Upper bound on the work done per advance() call, so a huge date jump can't stall
+NBodyIntegrator.MAX_STEPS_PER_ADVANCE = 20000;
+
+// Export the class (self, as the worker has no window)
+self.NBodyIntegrator = NBodyIntegrator;
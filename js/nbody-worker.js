@@ -0,0 +1,17 @@
+// Web Worker for VantraOrbit's gravity sandbox
+//
+// Runs the N-body integration off the main thread so the render loop stays
+// smooth. Every message is answered with the integrator's current state, tagged
+// with the message's generation so the sandbox can drop replies from before a reset.
+
+importScripts('nbody-integrator.js');
+
+const integrator = new NBodyIntegrator();
+
+self.onmessage = (event) => {
+    const message = event.data;
+    self.postMessage({
+        generation: message.generation,
+        state: integrator.handleMessage(message)
+    });
+};
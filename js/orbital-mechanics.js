@@ -0,0 +1,131 @@
+// Keplerian orbital mechanics helpers for VantraOrbit
+//
+// Orbital elements use the conventions of the JPL planetary tables:
+// semiMajorAxis in AU, angles in degrees, measured against the J2000 ecliptic.
+// Positions are returned in scene coordinates, where the ecliptic is the
+// X/Z plane and ecliptic north points along +Y.
+
+class OrbitalMechanics {
+    // Solve Kepler's equation M = E - e sin(E) for the eccentric anomaly E
+    static solveKepler(meanAnomaly, eccentricity, tolerance = 1e-8, maxIterations = 30) {
+        const M = OrbitalMechanics.normalizeAngle(meanAnomaly);
+
+        // Start from M for near-circular orbits and from PI for eccentric ones
+        let E = eccentricity < 0.8 ? M : Math.PI;
+
+        for (let i = 0; i < maxIterations; i++) {
+            // Newton-Raphson step on f(E) = E - e sin(E) - M
+            const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < tolerance) break;
+        }
+
+        return E;
+    }
+
+    // Wrap an angle in radians into the range [-PI, PI)
+    static normalizeAngle(angle) {
+        const twoPi = Math.PI * 2;
+        return angle - twoPi * Math.floor((angle + Math.PI) / twoPi);
+    }
+
+    // Position in the orbital plane (perihelion along +x) for a given eccentric anomaly
+    static getOrbitalPlanePosition(elements, eccentricAnomaly) {
+        const a = elements.semiMajorAxis;
+        const e = elements.eccentricity;
+        return {
+            x: a * (Math.cos(eccentricAnomaly) - e),
+            y: a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly)
+        };
+    }
+
+    // Rotate an orbital plane position into the ecliptic frame and map it to scene axes
+    static orbitalPlaneToScene(elements, planePosition, scale = 1, target = new THREE.Vector3()) {
+        const deg = THREE.MathUtils.degToRad;
+        const i = deg(elements.inclination);
+        const node = deg(elements.longitudeOfAscendingNode);
+        const peri = deg(elements.argumentOfPerihelion);
+
+        const cosNode = Math.cos(node), sinNode = Math.sin(node);
+        const cosPeri = Math.cos(peri), sinPeri = Math.sin(peri);
+        const cosI = Math.cos(i), sinI = Math.sin(i);
+        const { x, y } = planePosition;
+
+        // Standard rotation: Rz(node) * Rx(i) * Rz(peri)
+        const eclipticX = (cosPeri * cosNode - sinPeri * sinNode * cosI) * x + (-sinPeri * cosNode - cosPeri * sinNode * cosI) * y;
+        const eclipticY = (cosPeri * sinNode + sinPeri * cosNode * cosI) * x + (-sinPeri * sinNode + cosPeri * cosNode * cosI) * y;
+        const eclipticZ = (sinPeri * sinI) * x + (cosPeri * sinI) * y;
+
+        // Ecliptic north becomes scene +Y
+        return target.set(eclipticX * scale, eclipticZ * scale, -eclipticY * scale);
+    }
+
+    // Scene position of a body on its orbit at the given mean anomaly (radians)
+    static getPosition(elements, meanAnomaly, scale = 1, target = new THREE.Vector3()) {
+        const E = OrbitalMechanics.solveKepler(meanAnomaly, elements.eccentricity);
+        const planePosition = OrbitalMechanics.getOrbitalPlanePosition(elements, E);
+        return OrbitalMechanics.orbitalPlaneToScene(elements, planePosition, scale, target);
+    }
+
+    // Unit vector in scene coordinates for an equatorial (ICRF) direction given in degrees
+    static equatorialToScene(rightAscension, declination, target = new THREE.Vector3()) {
+        const deg = THREE.MathUtils.degToRad;
+        const ra = deg(rightAscension);
+        const dec = deg(declination);
+        const obliquity = deg(OrbitalMechanics.J2000_OBLIQUITY);
+
+        const x = Math.cos(dec) * Math.cos(ra);
+        const y = Math.cos(dec) * Math.sin(ra);
+        const z = Math.sin(dec);
+
+        // Rotate about the equinox direction into the ecliptic frame
+        const eclipticY = y * Math.cos(obliquity) + z * Math.sin(obliquity);
+        const eclipticZ = -y * Math.sin(obliquity) + z * Math.cos(obliquity);
+
+        return target.set(x, eclipticZ, -eclipticY);
+    }
+
+    // Orientation of a body's equatorial frame from its IAU north pole (degrees).
+    // Local +Y is the rotation pole and local +X the ascending node of the body's
+    // equator on the Earth's equator, the origin IAU prime meridian angles use.
+    static getPoleOrientation(pole, target = new THREE.Quaternion()) {
+        const poleAxis = OrbitalMechanics.equatorialToScene(pole.ra, pole.dec);
+        const celestialNorth = OrbitalMechanics.equatorialToScene(0, 90);
+        const nodeAxis = new THREE.Vector3().crossVectors(celestialNorth, poleAxis);
+
+        // Earth's own pole coincides with celestial north, so any node direction will do
+        if (nodeAxis.lengthSq() < 1e-12) {
+            nodeAxis.set(1, 0, 0);
+        }
+        nodeAxis.normalize();
+
+        const thirdAxis = new THREE.Vector3().crossVectors(nodeAxis, poleAxis);
+        const basis = new THREE.Matrix4().makeBasis(nodeAxis, poleAxis, thirdAxis);
+        return target.setFromRotationMatrix(basis);
+    }
+
+    // Prime meridian angle W in radians on a Julian date. The rotation period is the
+    // sidereal period in hours; a negative period means retrograde spin.
+    static getPrimeMeridianAngle(primeMeridian, rotationPeriod, julianDate) {
+        const degreesPerDay = 360 * 24 / rotationPeriod;
+        const W = primeMeridian + degreesPerDay * (julianDate - SimulationClock.J2000);
+        return THREE.MathUtils.degToRad(W % 360);
+    }
+
+    // Sample the full orbit ellipse, evenly spaced in eccentric anomaly
+    static createOrbitPoints(elements, scale = 1, segments = 256) {
+        const points = [];
+        for (let s = 0; s < segments; s++) {
+            const E = (s / segments) * Math.PI * 2;
+            const planePosition = OrbitalMechanics.getOrbitalPlanePosition(elements, E);
+            points.push(OrbitalMechanics.orbitalPlaneToScene(elements, planePosition, scale));
+        }
+        return points;
+    }
+}
+
+// Mean obliquity of the ecliptic at J2000, in degrees
+OrbitalMechanics.J2000_OBLIQUITY = 23.4392911;
+
+// Export the class
+window.OrbitalMechanics = OrbitalMechanics;
@@ -0,0 +1,379 @@
+// Patched-conic helpers for VantraOrbit spacecraft
+//
+// Each spacecraft follows a Kepler orbit around one parent at a time: the Sun, a
+// planet, a dwarf planet or a moon. Inside a body's sphere of influence (SOI) only
+// that body's gravity counts; crossing the boundary hands the ship to the next body
+// up or down the hierarchy (see SpacecraftTrajectory).
+//
+// States are in kilometres and kilometres per second, relative to the parent and on
+// scene axes (ecliptic north is +y). The Sun is represented by null.
+
+class PatchedConics {
+    // Gravitational parameter in km^3/s^2, zero for bodies that can't hold a spacecraft
+    static getGM(body) {
+        if (!body) return PatchedConics.GM.Sun;
+        const name = body.userData.name;
+        // Catalog bodies outside the table, or whose mass has been changed at runtime,
+        // carry their mass in kg
+        if (PatchedConics.GM[name] && !body.userData.massChanged) return PatchedConics.GM[name];
+        return body.userData.mass ? body.userData.mass * PatchedConics.G : 0;
+    }
+
+    static getParent(body) {
+        return body.userData.parentBody || null;
+    }
+
+    static getName(body) {
+        return body ? body.userData.name : 'Sun';
+    }
+
+    static getRadius(body) {
+        return body ? body.userData.size * SolarSystem.EARTH_RADIUS_KM : SolarSystem.SUN_RADIUS_KM;
+    }
+
+    // Mean distance from the parent in km
+    static getSemiMajorAxis(body) {
+        const data = body.userData;
+        if (data.parentBody) return data.orbit.semiMajorAxis;
+        // Planets without catalog elements follow the ephemeris
+        return (data.orbit ? data.orbit.semiMajorAxis : Ephemeris.PLANETS[data.name].a[0]) * DistanceScale.AU_KM;
+    }
+
+    static getEccentricity(body) {
+        const data = body.userData;
+        return data.orbit ? data.orbit.eccentricity : Ephemeris.PLANETS[data.name].e[0];
+    }
+
+    // Laplace's sphere of influence, r = a (m / M)^(2/5); unbounded for the Sun
+    static getSoiRadius(body) {
+        if (!body) return Infinity;
+        const ratio = PatchedConics.getGM(body) / PatchedConics.getGM(PatchedConics.getParent(body));
+        return PatchedConics.getSemiMajorAxis(body) * Math.pow(ratio, 0.4);
+    }
+
+    // Bodies whose spheres of influence sit directly inside the parent's
+    static getChildren(parent, bodies) {
+        return bodies.filter(body => {
+            const data = body.userData;
+            return !data.isComet && PatchedConics.getParent(body) === parent && PatchedConics.getGM(body) > 0;
+        });
+    }
+
+    // Position relative to the body's own parent on the given date, in km
+    static getBodyPosition(body, julianDate, target = new THREE.Vector3()) {
+        const data = body.userData;
+        if (data.parentBody) {
+            const elements = Ephemeris.propagateElements(data.orbit, julianDate);
+            const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomalyAtEpoch);
+            return OrbitalMechanics.getPosition(elements, meanAnomaly, 1, target).applyQuaternion(data.orbitFrame.quaternion);
+        }
+
+        const elements = data.orbit ?
+            Ephemeris.propagateElements(data.orbit, julianDate) :
+            Ephemeris.getElements(data.name, julianDate);
+        const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomalyAtEpoch);
+        return OrbitalMechanics.getPosition(elements, meanAnomaly, DistanceScale.AU_KM, target);
+    }
+
+    // Velocity relative to the body's parent in km/s, by central difference
+    static getBodyVelocity(body, julianDate, target = new THREE.Vector3()) {
+        const step = PatchedConics.VELOCITY_STEP;
+        const before = PatchedConics.getBodyPosition(body, julianDate - step);
+        PatchedConics.getBodyPosition(body, julianDate + step, target);
+        return target.sub(before).divideScalar(2 * step * 86400);
+    }
+
+    // Position relative to the Sun in km
+    static getHeliocentricPosition(body, julianDate, target = new THREE.Vector3()) {
+        target.set(0, 0, 0);
+        const offset = new THREE.Vector3();
+        for (let current = body; current; current = PatchedConics.getParent(current)) {
+            target.add(PatchedConics.getBodyPosition(current, julianDate, offset));
+        }
+        return target;
+    }
+
+    // Closest and furthest distances of a body from its parent, widened by its SOI
+    static getOrbitRange(body) {
+        const a = PatchedConics.getSemiMajorAxis(body);
+        const e = PatchedConics.getEccentricity(body);
+        const soi = PatchedConics.getSoiRadius(body);
+        return [a * (1 - e) * (1 - PatchedConics.RANGE_MARGIN) - soi, a * (1 + e) * (1 + PatchedConics.RANGE_MARGIN) + soi];
+    }
+
+    // Sphere of influence boundary the position lies across, if any: { type: 'exit' }
+    // beyond the parent's, { type: 'entry', body } inside a child's, otherwise null
+    static findSoiChange(parent, position, julianDate, bodies) {
+        if (position.length() > PatchedConics.getSoiRadius(parent)) return { type: 'exit' };
+
+        const child = PatchedConics.getChildren(parent, bodies).find(body =>
+            position.distanceTo(PatchedConics.getBodyPosition(body, julianDate)) < PatchedConics.getSoiRadius(body));
+        return child ? { type: 'entry', body: child } : null;
+    }
+
+    // Convert a state across a boundary found by findSoiChange, in place; returns the new parent
+    static changeParent(parent, change, position, velocity, julianDate) {
+        if (change.type === 'exit') {
+            position.add(PatchedConics.getBodyPosition(parent, julianDate));
+            velocity.add(PatchedConics.getBodyVelocity(parent, julianDate));
+            return PatchedConics.getParent(parent);
+        }
+        position.sub(PatchedConics.getBodyPosition(change.body, julianDate));
+        velocity.sub(PatchedConics.getBodyVelocity(change.body, julianDate));
+        return change.body;
+    }
+
+    // Kepler orbit (semi-major axis in km, angles in degrees against the ecliptic) to a
+    // state vector around a body with the given GM
+    static stateFromElements(elements, mu) {
+        const a = elements.semiMajorAxis;
+        const e = elements.eccentricity;
+        const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomalyAtEpoch);
+        const E = OrbitalMechanics.solveKepler(meanAnomaly, e);
+        const position = OrbitalMechanics.orbitalPlaneToScene(elements, OrbitalMechanics.getOrbitalPlanePosition(elements, E));
+
+        // Velocity in the orbital plane, perihelion along +x
+        const rate = Math.sqrt(mu / a) / (1 - e * Math.cos(E));
+        const planeVelocity = { x: -rate * Math.sin(E), y: rate * Math.sqrt(1 - e * e) * Math.cos(E) };
+        const velocity = OrbitalMechanics.orbitalPlaneToScene(elements, planeVelocity);
+        return { position: position, velocity: velocity };
+    }
+
+    // Shape of the orbit through a state: semi-major axis (negative when unbound),
+    // eccentricity vector, periapsis and apoapsis distances (Infinity when unbound)
+    static getOrbitShape(position, velocity, mu) {
+        const r = position.length();
+        const speedSquared = velocity.lengthSq();
+        const eccentricityVector = position.clone().multiplyScalar(speedSquared - mu / r)
+            .addScaledVector(velocity, -position.dot(velocity)).divideScalar(mu);
+        const e = eccentricityVector.length();
+        const energy = speedSquared / 2 - mu / r;
+        const h = new THREE.Vector3().crossVectors(position, velocity).length();
+        const p = h * h / mu;
+        return {
+            semiMajorAxis: -mu / (2 * energy),
+            eccentricity: e,
+            eccentricityVector: eccentricityVector,
+            semiLatusRectum: p,
+            periapsis: p / (1 + e),
+            apoapsis: e < 1 ? p / (1 - e) : Infinity
+        };
+    }
+
+    // Seconds until the next periapsis; Infinity once an escape orbit is past it
+    static getTimeToPeriapsis(position, velocity, mu) {
+        const shape = PatchedConics.getOrbitShape(position, velocity, mu);
+        const e = shape.eccentricity;
+        if (e < PatchedConics.CIRCULAR_ECCENTRICITY) return 0;
+
+        const r = position.length();
+        const cosNu = THREE.MathUtils.clamp(shape.eccentricityVector.dot(position) / (e * r), -1, 1);
+        const nu = position.dot(velocity) >= 0 ? Math.acos(cosNu) : -Math.acos(cosNu);
+        const a = Math.abs(shape.semiMajorAxis);
+        const meanMotion = Math.sqrt(mu / (a * a * a));
+
+        if (e < 1) {
+            const E = 2 * Math.atan(Math.sqrt((1 - e) / (1 + e)) * Math.tan(nu / 2));
+            const M = E - e * Math.sin(E);
+            const period = 2 * Math.PI / meanMotion;
+            const untilNext = (2 * Math.PI - M) / meanMotion;
+            return untilNext >= period ? untilNext - period : untilNext;
+        }
+
+        if (nu >= 0) return Infinity;
+        const F = 2 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * Math.tan(nu / 2));
+        return -(e * Math.sinh(F) - F) / meanMotion;
+    }
+
+    // Kepler propagation by universal variables, valid for any conic. Time in seconds,
+    // negative to go back; writes the new position and velocity into the targets.
+    static propagate(position, velocity, time, mu, targetPosition, targetVelocity) {
+        const r0 = position.length();
+        const radialSpeed = position.dot(velocity) / r0;
+        const alpha = 2 / r0 - velocity.lengthSq() / mu;
+        const sqrtMu = Math.sqrt(mu);
+
+        // Whole revolutions of a bound orbit change nothing
+        if (alpha > 0) {
+            const period = 2 * Math.PI / (Math.sqrt(mu) * Math.pow(alpha, 1.5));
+            time -= period * Math.round(time / period);
+        }
+
+        let x;
+        if (alpha > PatchedConics.PARABOLIC_ALPHA) {
+            x = sqrtMu * alpha * time;
+        } else if (alpha < -PatchedConics.PARABOLIC_ALPHA) {
+            // Hyperbolic starting guess (Vallado, Algorithm 8)
+            const a = 1 / alpha;
+            const sign = Math.sign(time) || 1;
+            const argument = -2 * mu * alpha * time /
+                (position.dot(velocity) + sign * Math.sqrt(-mu * a) * (1 - r0 * alpha));
+            x = argument > 0 ? sign * Math.sqrt(-a) * Math.log(argument) : sqrtMu * Math.abs(alpha) * time;
+        } else {
+            x = sqrtMu * time / r0;
+        }
+
+        // The time equation rises steadily with x (its slope is r > 0), so Newton steps
+        // are kept inside a bracket around the root, bisecting when one would leave it
+        let low = -Infinity;
+        let high = Infinity;
+        for (let i = 0; i < PatchedConics.MAX_ITERATIONS; i++) {
+            const z = alpha * x * x;
+            const C = TransferOrbits.stumpffC(z);
+            const S = TransferOrbits.stumpffS(z);
+            const F = r0 * radialSpeed / sqrtMu * x * x * C + (1 - alpha * r0) * x * x * x * S + r0 * x - sqrtMu * time;
+            const r = x * x * C + r0 * radialSpeed / sqrtMu * x * (1 - z * S) + r0 * (1 - z * C);
+
+            // Far out on a hyperbola the terms overflow; the sign of x says which side that is
+            const above = isFinite(F) ? F > 0 : x > 0;
+            if (above) {
+                high = x;
+            } else {
+                low = x;
+            }
+
+            // Until both ends are known, don't go more than doubling past the far end
+            const reach = Math.max(Math.abs(x), 1);
+            const floor = low === -Infinity ? x - reach : low;
+            const ceiling = high === Infinity ? x + reach : high;
+            let next = isFinite(F) && isFinite(r) ? x - F / r : NaN;
+            if (!(next > low && next < high)) {
+                next = low === -Infinity || high === Infinity ? (above ? floor : ceiling) : (low + high) / 2;
+            }
+            next = THREE.MathUtils.clamp(next, floor, ceiling);
+            const change = next - x;
+            x = next;
+            if (Math.abs(change) < PatchedConics.TOLERANCE) break;
+        }
+
+        const z = alpha * x * x;
+        const C = TransferOrbits.stumpffC(z);
+        const S = TransferOrbits.stumpffS(z);
+        const f = 1 - x * x / r0 * C;
+        const g = time - x * x * x * S / sqrtMu;
+
+        const newPosition = position.clone().multiplyScalar(f).addScaledVector(velocity, g);
+        const rNew = newPosition.length();
+        const fDot = sqrtMu / (rNew * r0) * x * (z * S - 1);
+        const gDot = 1 - x * x / rNew * C;
+        const newVelocity = position.clone().multiplyScalar(fDot).addScaledVector(velocity, gDot);
+
+        targetPosition.copy(newPosition);
+        targetVelocity.copy(newVelocity);
+    }
+
+    // Scene distance from a body's centre for a distance in km. True scale is exact.
+    // Elsewhere bodies are drawn larger and moons closer than life, so distances are
+    // pinned to the drawn surface and moon orbits and grow slowly beyond the last moon.
+    static getSceneDistance(body, km, bodies) {
+        if (!body) return DistanceScale.toScene(km / DistanceScale.AU_KM);
+        return DistanceScale.blend(mode => mode === 'true' ?
+            DistanceScale.kmToTrueScene(km) :
+            PatchedConics.getDisplayDistance(body, km, bodies));
+    }
+
+    static getDisplayDistance(body, km, bodies) {
+        const anchors = [[PatchedConics.getRadius(body), body.scale.x * body.userData.geometryRadius]];
+        PatchedConics.getChildren(body, bodies)
+            .map(moon => [moon.userData.orbit.semiMajorAxis, moon.userData.distance])
+            .sort((a, b) => a[0] - b[0])
+            .forEach(anchor => {
+                const last = anchors[anchors.length - 1];
+                if (anchor[0] > last[0] && anchor[1] > last[1]) anchors.push(anchor);
+            });
+
+        if (km <= anchors[0][0]) return km * anchors[0][1] / anchors[0][0];
+        for (let k = 1; k < anchors.length; k++) {
+            if (km <= anchors[k][0]) {
+                const [km0, scene0] = anchors[k - 1];
+                const [km1, scene1] = anchors[k];
+                return scene0 + (scene1 - scene0) * (km - km0) / (km1 - km0);
+            }
+        }
+        const [kmLast, sceneLast] = anchors[anchors.length - 1];
+        return sceneLast * Math.pow(km / kmLast, PatchedConics.OUTER_EXPONENT);
+    }
+
+    // Scene position for a state relative to a parent. Near a child body's SOI the ship
+    // eases into that body's drawing scale, so the hand-off doesn't jump. The optional
+    // frame receives the body whose scale applies and how strongly (0 to 1).
+    static toScenePosition(parent, position, julianDate, bodies, target = new THREE.Vector3(), frame = null) {
+        const distance = position.length();
+        const origin = parent ? parent.position : PatchedConics.ORIGIN;
+        target.copy(position).setLength(PatchedConics.getSceneDistance(parent, distance, bodies)).add(origin);
+        if (distance === 0) target.copy(origin);
+        if (frame) {
+            frame.body = parent;
+            frame.weight = 1;
+        }
+
+        // The child whose SOI the ship is closest to, in SOI radii
+        let nearest = null;
+        PatchedConics.getChildren(parent, bodies).forEach(child => {
+            const offset = position.clone().sub(PatchedConics.getBodyPosition(child, julianDate));
+            const ratio = offset.length() / PatchedConics.getSoiRadius(child);
+            if (!nearest || ratio < nearest.ratio) nearest = { child: child, offset: offset, ratio: ratio };
+        });
+        if (!nearest || nearest.ratio >= PatchedConics.BLEND_SOI_RADII) return target;
+
+        const weight = 1 - THREE.MathUtils.smoothstep(nearest.ratio, 1, PatchedConics.BLEND_SOI_RADII);
+        const local = nearest.offset.clone()
+            .setLength(PatchedConics.getSceneDistance(nearest.child, nearest.offset.length(), bodies))
+            .add(nearest.child.position);
+        target.lerp(local, weight);
+        if (frame) {
+            frame.body = nearest.child;
+            frame.weight = weight;
+        }
+        return target;
+    }
+}
+
+PatchedConics.ORIGIN = new THREE.Vector3();
+
+// km^3/s^2 (JPL); planets are the planet alone, not the system barycentre
+PatchedConics.GM = {
+    Sun: 1.32712440018e11,
+    Mercury: 22031.86,
+    Venus: 324858.59,
+    Earth: 398600.44,
+    Mars: 42828.37,
+    Jupiter: 126686531.9,
+    Saturn: 37931206.2,
+    Uranus: 5793951.3,
+    Neptune: 6835099.5,
+    Moon: 4902.80,
+    Phobos: 0.0007087,
+    Deimos: 0.0000962,
+    Io: 5959.92,
+    Europa: 3202.74,
+    Ganymede: 9887.83,
+    Callisto: 7179.29,
+    Titan: 8978.14,
+    Titania: 228.2,
+    Oberon: 192.4,
+    Triton: 1428.5,
+    Charon: 105.9,
+    Ceres: 62.63,
+    Pluto: 869.3,
+    Haumea: 267.4,
+    Makemake: 207,
+    Eris: 1108
+};
+// Gravitational constant in km^3/(kg s^2)
+PatchedConics.G = 6.6743e-20;
+
+PatchedConics.VELOCITY_STEP = 0.001;
+// Allowance for the slow drift of planetary orbits when ruling out encounters
+PatchedConics.RANGE_MARGIN = 0.01;
+PatchedConics.CIRCULAR_ECCENTRICITY = 1e-6;
+PatchedConics.PARABOLIC_ALPHA = 1e-12;
+PatchedConics.MAX_ITERATIONS = 100;
+PatchedConics.TOLERANCE = 1e-9;
+// Growth of drawn distances beyond a body's outermost moon
+PatchedConics.OUTER_EXPONENT = 0.25;
+// Ships within this many SOI radii of a body ease into its drawing scale
+PatchedConics.BLEND_SOI_RADII = 3;
+
+// Export the class
+window.PatchedConics = PatchedConics;
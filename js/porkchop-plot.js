@@ -0,0 +1,431 @@
+// Porkchop plot for VantraOrbit
+//
+// Launch window analysis for the mission planner's route: departure dates run along
+// the x axis, arrival dates up the y axis, and every cell is coloured by the departure
+// C3 or the total delta-v of the Lambert transfer between those dates, worked out from
+// the same ephemeris that places the planets. The colours are banded so the bands read
+// as contours around the cheapest windows. Clicking a cell jumps the clock to that
+// departure and draws the transfer in the scene, ready to launch.
+
+class PorkchopPlot {
+    constructor(app) {
+        this.app = app;
+        this.grid = null;
+        this.selectedCell = null;
+        this.route = null;
+        // Key of the message shown instead of a plot, if any, so it can be retranslated
+        this.messageKey = null;
+
+        this.panel = document.getElementById('porkchopPanel');
+        this.toggleButton = document.getElementById('porkchopToggle');
+        this.closeButton = document.getElementById('porkchopClose');
+        this.routeLabel = document.getElementById('porkchopRoute');
+        this.departureInput = document.getElementById('porkchopDeparture');
+        this.spanInput = document.getElementById('porkchopSpan');
+        this.minFlightInput = document.getElementById('porkchopMinFlight');
+        this.maxFlightInput = document.getElementById('porkchopMaxFlight');
+        this.metricSelect = document.getElementById('porkchopMetric');
+        this.computeButton = document.getElementById('porkchopCompute');
+        this.canvas = document.getElementById('porkchopCanvas');
+        this.legend = document.getElementById('porkchopLegend');
+        this.readout = document.getElementById('porkchopReadout');
+        this.context = this.canvas ? this.canvas.getContext('2d') : null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.panel) return;
+
+        this.toggleButton.addEventListener('click', () => {
+            if (this.panel.style.display === 'none') {
+                this.open();
+            } else {
+                this.close();
+            }
+        });
+        this.closeButton.addEventListener('click', () => this.close());
+        this.computeButton.addEventListener('click', () => this.requestCompute());
+        this.metricSelect.addEventListener('change', () => this.draw());
+
+        this.canvas.addEventListener('mousemove', event => this.onPointerMove(event));
+        this.canvas.addEventListener('mouseleave', () => this.showCell(this.selectedCell));
+        this.canvas.addEventListener('click', event => this.onClick(event));
+    }
+
+    // The plot covers the route currently chosen in the mission planner
+    getRoute() {
+        const planner = this.app.missionPlanner;
+        return {
+            origin: planner.originSelect.value,
+            destination: planner.destinationSelect.value
+        };
+    }
+
+    open() {
+        this.panel.style.display = 'block';
+        this.toggleButton.classList.add('active');
+
+        const route = this.getRoute();
+        if (!this.grid || this.grid.origin !== route.origin || this.grid.destination !== route.destination) {
+            this.suggestRanges(route);
+            this.requestCompute();
+        }
+    }
+
+    close() {
+        this.panel.style.display = 'none';
+        this.toggleButton.classList.remove('active');
+    }
+
+    // Sensible windows for a route: one synodic period of departures, and flights
+    // from half to one and a half times the Hohmann flight time
+    suggestRanges(route) {
+        const date = this.app.missionPlanner.dateInput.value || this.app.clock.getDate().toISOString().slice(0, 10);
+        this.departureInput.value = date;
+        if (route.origin === route.destination) return;
+
+        const julianDate = SimulationClock.dateToJulian(new Date(date + 'T00:00:00Z'));
+        const hohmannTime = TransferOrbits.getTransferTime(
+            Ephemeris.getElements(route.origin, julianDate).semiMajorAxis,
+            Ephemeris.getElements(route.destination, julianDate).semiMajorAxis
+        );
+        const synodicPeriod = TransferOrbits.getSynodicPeriod(route.origin, route.destination, julianDate);
+
+        this.spanInput.value = Math.round(Math.min(synodicPeriod, PorkchopPlot.MAX_SPAN));
+        this.minFlightInput.value = Math.round(hohmannTime * 0.5);
+        this.maxFlightInput.value = Math.round(hohmannTime * 1.5);
+    }
+
+    // Let the status message paint before the (blocking) sweep
+    requestCompute() {
+        this.readout.textContent = I18n.t('porkchop.computing');
+        setTimeout(() => this.compute(), 0);
+    }
+
+    compute() {
+        const route = this.getRoute();
+        const start = new Date(this.departureInput.value + 'T00:00:00Z');
+        const span = parseFloat(this.spanInput.value);
+        const minFlight = parseFloat(this.minFlightInput.value);
+        const maxFlight = parseFloat(this.maxFlightInput.value);
+
+        this.grid = null;
+        this.selectedCell = null;
+        this.messageKey = null;
+        this.route = route;
+        this.labelRoute();
+        if (route.origin === route.destination) {
+            this.showMessage('porkchop.samePlanet');
+            return;
+        }
+        if (isNaN(start.getTime()) || !(span > 0) || !(minFlight > 0) || !(maxFlight > minFlight)) {
+            this.showMessage('porkchop.ranges');
+            return;
+        }
+
+        const size = PorkchopPlot.GRID_SIZE;
+        const departureStart = SimulationClock.dateToJulian(start);
+        const grid = {
+            origin: route.origin,
+            destination: route.destination,
+            size: size,
+            departureStart: departureStart,
+            departureStep: span / size,
+            arrivalStart: departureStart + minFlight,
+            arrivalStep: (span + maxFlight - minFlight) / size,
+            minFlight: minFlight,
+            maxFlight: maxFlight,
+            c3: new Float32Array(size * size).fill(NaN),
+            totalDeltaV: new Float32Array(size * size).fill(NaN)
+        };
+
+        // Each row and column shares its planet state, so look those up once
+        const departures = [];
+        const arrivals = [];
+        for (let i = 0; i < size; i++) {
+            const departureDate = this.getDepartureDate(grid, i);
+            departures.push({
+                position: Ephemeris.getPosition(route.origin, departureDate, 1),
+                velocity: TransferOrbits.getPlanetVelocity(route.origin, departureDate)
+            });
+            const arrivalDate = this.getArrivalDate(grid, i);
+            arrivals.push({
+                position: Ephemeris.getPosition(route.destination, arrivalDate, 1),
+                velocity: TransferOrbits.getPlanetVelocity(route.destination, arrivalDate)
+            });
+        }
+
+        const excess = new THREE.Vector3();
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                const flightTime = this.getArrivalDate(grid, j) - this.getDepartureDate(grid, i);
+                if (flightTime < minFlight || flightTime > maxFlight) continue;
+
+                const solution = TransferOrbits.solveLambert(departures[i].position, arrivals[j].position, flightTime);
+                if (!solution) continue;
+
+                const departureExcess = excess.subVectors(solution.departureVelocity, departures[i].velocity).length() *
+                    TransferOrbits.AU_PER_DAY_TO_KM_S;
+                const arrivalExcess = excess.subVectors(solution.arrivalVelocity, arrivals[j].velocity).length() *
+                    TransferOrbits.AU_PER_DAY_TO_KM_S;
+                grid.c3[j * size + i] = departureExcess * departureExcess;
+                grid.totalDeltaV[j * size + i] = departureExcess + arrivalExcess;
+            }
+        }
+
+        this.grid = grid;
+        this.draw();
+        this.showCell(null);
+        console.log(`Porkchop plot computed for ${route.origin} → ${route.destination}`);
+    }
+
+    // Dates at the centre of a column (departure) or row (arrival)
+    getDepartureDate(grid, column) {
+        return grid.departureStart + (column + 0.5) * grid.departureStep;
+    }
+
+    getArrivalDate(grid, row) {
+        return grid.arrivalStart + (row + 0.5) * grid.arrivalStep;
+    }
+
+    getValues() {
+        return this.metricSelect.value === 'totalDeltaV' ? this.grid.totalDeltaV : this.grid.c3;
+    }
+
+    // Cheapest cell for the current metric
+    getBestCell() {
+        const values = this.getValues();
+        let best = null;
+        values.forEach((value, index) => {
+            if (!isNaN(value) && (best === null || value < values[best])) best = index;
+        });
+        return best === null ? null : { column: best % this.grid.size, row: Math.floor(best / this.grid.size) };
+    }
+
+    getPlotArea() {
+        const margin = PorkchopPlot.MARGIN;
+        return {
+            left: margin.left,
+            top: margin.top,
+            width: this.canvas.width - margin.left - margin.right,
+            height: this.canvas.height - margin.top - margin.bottom
+        };
+    }
+
+    draw() {
+        if (!this.grid || !this.context) return;
+
+        const context = this.context;
+        const grid = this.grid;
+        const area = this.getPlotArea();
+        const values = this.getValues();
+        const best = this.getBestCell();
+
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        context.fillStyle = PorkchopPlot.EMPTY_COLOR;
+        context.fillRect(area.left, area.top, area.width, area.height);
+        if (!best) {
+            this.legend.textContent = I18n.t('porkchop.noTransfers');
+            return;
+        }
+
+        const bestValue = values[best.row * grid.size + best.column];
+        const worstValue = bestValue * PorkchopPlot.COLOR_RANGE;
+        const cellWidth = area.width / grid.size;
+        const cellHeight = area.height / grid.size;
+
+        for (let row = 0; row < grid.size; row++) {
+            for (let column = 0; column < grid.size; column++) {
+                const value = values[row * grid.size + column];
+                if (isNaN(value)) continue;
+
+                context.fillStyle = this.getColor(value, bestValue, worstValue);
+                // Arrival dates increase upwards
+                context.fillRect(
+                    area.left + column * cellWidth,
+                    area.top + area.height - (row + 1) * cellHeight,
+                    Math.ceil(cellWidth),
+                    Math.ceil(cellHeight)
+                );
+            }
+        }
+
+        this.drawCellMarker(best, cellWidth, cellHeight, false);
+        if (this.selectedCell) this.drawCellMarker(this.selectedCell, cellWidth, cellHeight, true);
+        this.drawAxes(area);
+
+        const unit = this.metricSelect.value === 'totalDeltaV' ? 'km/s' : 'km²/s²';
+        this.legend.textContent = I18n.t('porkchop.legend', {
+            best: Units.formatFixed(bestValue, 1),
+            worst: Units.formatFixed(worstValue, 1),
+            unit: unit
+        });
+    }
+
+    // Banded blue-to-red scale; values beyond the range are left grey
+    getColor(value, bestValue, worstValue) {
+        if (value > worstValue) return PorkchopPlot.HIGH_COLOR;
+
+        const fraction = (value - bestValue) / (worstValue - bestValue);
+        const band = Math.min(Math.floor(fraction * PorkchopPlot.CONTOUR_BANDS), PorkchopPlot.CONTOUR_BANDS - 1);
+        const hue = 240 * (1 - band / (PorkchopPlot.CONTOUR_BANDS - 1));
+        return `hsl(${hue}, 80%, 50%)`;
+    }
+
+    drawCellMarker(cell, cellWidth, cellHeight, selected) {
+        const area = this.getPlotArea();
+        const x = area.left + (cell.column + 0.5) * cellWidth;
+        const y = area.top + area.height - (cell.row + 0.5) * cellHeight;
+
+        this.context.strokeStyle = '#ffffff';
+        this.context.lineWidth = 1.5;
+        this.context.beginPath();
+        if (selected) {
+            this.context.rect(x - cellWidth, y - cellHeight, cellWidth * 2, cellHeight * 2);
+        } else {
+            this.context.arc(x, y, Math.max(cellWidth, 4), 0, Math.PI * 2);
+        }
+        this.context.stroke();
+    }
+
+    drawAxes(area) {
+        const context = this.context;
+        const grid = this.grid;
+        const departureEnd = grid.departureStart + grid.size * grid.departureStep;
+        const arrivalEnd = grid.arrivalStart + grid.size * grid.arrivalStep;
+
+        context.fillStyle = '#cccccc';
+        context.font = '10px Arial';
+        context.textAlign = 'left';
+        context.fillText(this.formatDate(grid.departureStart), area.left, area.top + area.height + 12);
+        context.textAlign = 'right';
+        context.fillText(this.formatDate(departureEnd), area.left + area.width, area.top + area.height + 12);
+        context.textAlign = 'center';
+        context.fillText(I18n.t('porkchop.departure'), area.left + area.width / 2, area.top + area.height + 24);
+
+        // Arrival dates up the side, written vertically
+        context.save();
+        context.translate(area.left - 6, area.top + area.height);
+        context.rotate(-Math.PI / 2);
+        context.textAlign = 'left';
+        context.fillText(this.formatDate(grid.arrivalStart), 0, 0);
+        context.textAlign = 'right';
+        context.fillText(this.formatDate(arrivalEnd), area.height, 0);
+        context.textAlign = 'center';
+        context.fillText(I18n.t('porkchop.arrival'), area.height / 2, -12);
+        context.restore();
+    }
+
+    formatDate(julianDate) {
+        return I18n.formatDate(SimulationClock.julianToDate(julianDate), false);
+    }
+
+    labelRoute() {
+        if (!this.route) return;
+        this.routeLabel.textContent = I18n.t('porkchop.route', {
+            origin: I18n.getBodyName(this.route.origin),
+            destination: I18n.getBodyName(this.route.destination)
+        });
+    }
+
+    showMessage(key) {
+        this.messageKey = key;
+        this.readout.textContent = I18n.t(key);
+        this.legend.textContent = '';
+        if (this.context) this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // Grid cell under a mouse event, or null outside the plot
+    getCell(event) {
+        if (!this.grid) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const area = this.getPlotArea();
+        const x = (event.clientX - rect.left) * this.canvas.width / (rect.width || this.canvas.width) - area.left;
+        const y = area.top + area.height - (event.clientY - rect.top) * this.canvas.height / (rect.height || this.canvas.height);
+        if (x < 0 || y < 0 || x >= area.width || y >= area.height) return null;
+
+        return {
+            column: Math.floor(x / area.width * this.grid.size),
+            row: Math.floor(y / area.height * this.grid.size)
+        };
+    }
+
+    onPointerMove(event) {
+        this.showCell(this.getCell(event) || this.selectedCell);
+    }
+
+    showCell(cell) {
+        if (!this.grid) return;
+        if (!cell) {
+            this.readout.textContent = I18n.t('porkchop.hint');
+            return;
+        }
+
+        const grid = this.grid;
+        const index = cell.row * grid.size + cell.column;
+        const departureDate = this.getDepartureDate(grid, cell.column);
+        const arrivalDate = this.getArrivalDate(grid, cell.row);
+        const text = I18n.t('porkchop.cell', {
+            departure: this.formatDate(departureDate),
+            arrival: this.formatDate(arrivalDate),
+            days: I18n.plural('units.days', Math.round(arrivalDate - departureDate))
+        });
+
+        this.readout.textContent = isNaN(grid.c3[index]) ? I18n.t('porkchop.noTransfer', { text: text }) :
+            I18n.t('porkchop.transfer', {
+                text: text,
+                c3: Units.formatFixed(grid.c3[index], 1),
+                deltaV: Units.formatFixed(grid.totalDeltaV[index], 2)
+            });
+    }
+
+    // Redraw in a new interface language
+    refresh() {
+        this.labelRoute();
+        if (this.messageKey) {
+            this.showMessage(this.messageKey);
+        } else if (this.grid) {
+            this.draw();
+            this.showCell(this.selectedCell);
+        }
+    }
+
+    // Plan the clicked transfer, jump the clock to its departure and draw it
+    onClick(event) {
+        const cell = this.getCell(event);
+        if (!cell) return;
+
+        const grid = this.grid;
+        const plan = TransferOrbits.planLambert(
+            grid.origin,
+            grid.destination,
+            this.getDepartureDate(grid, cell.column),
+            this.getArrivalDate(grid, cell.row)
+        );
+        if (!plan || isNaN(grid.c3[cell.row * grid.size + cell.column])) return;
+
+        this.selectedCell = cell;
+        this.app.missionPlanner.setPlan(plan);
+        this.app.clock.julianDate = plan.departureDate;
+        if (this.app.timeline) this.app.timeline.update();
+
+        this.draw();
+        this.showCell(cell);
+    }
+}
+
+// Cells per axis
+PorkchopPlot.GRID_SIZE = 60;
+// Longest departure span suggested for a route, in days
+PorkchopPlot.MAX_SPAN = 3650;
+// Colours run from the best value to this multiple of it
+PorkchopPlot.COLOR_RANGE = 3;
+PorkchopPlot.CONTOUR_BANDS = 12;
+PorkchopPlot.EMPTY_COLOR = '#111111';
+PorkchopPlot.HIGH_COLOR = '#444444';
+PorkchopPlot.MARGIN = { left: 22, top: 6, right: 6, bottom: 28 };
+
+// Export the class
+window.PorkchopPlot = PorkchopPlot;
@@ -0,0 +1,71 @@
+// Procedural surface textures for VantraOrbit
+//
+// Used for bodies that have no bundled texture (or whose texture fails to load),
+// so small moons still look like cratered worlds rather than flat spheres.
+// Textures are seeded from the body name, so each body looks the same every visit.
+
+class ProceduralTextures {
+    // Small deterministic PRNG (mulberry32) seeded from a string
+    static createRandom(seedText) {
+        let seed = 0;
+        for (let i = 0; i < seedText.length; i++) {
+            seed = Math.imul(seed ^ seedText.charCodeAt(i), 2654435761);
+        }
+
+        return () => {
+            seed |= 0;
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Mottled, cratered equirectangular texture in the given base color
+    static createRockyTexture(baseColor, seedText, width = 256, height = 128) {
+        const random = ProceduralTextures.createRandom(seedText);
+        const color = new THREE.Color(baseColor);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = `#${color.getHexString()}`;
+        ctx.fillRect(0, 0, width, height);
+
+        // Broad light and dark patches for albedo variation
+        for (let i = 0; i < 40; i++) {
+            const shade = random() < 0.5 ? 0 : 255;
+            ctx.fillStyle = `rgba(${shade}, ${shade}, ${shade}, ${0.04 + random() * 0.08})`;
+            ctx.beginPath();
+            ctx.ellipse(random() * width, random() * height, 10 + random() * 40, 5 + random() * 20, 0, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Craters: dark floor with a bright rim on one side
+        for (let i = 0; i < 60; i++) {
+            const x = random() * width;
+            const y = height * 0.1 + random() * height * 0.8;
+            const radius = 1 + Math.pow(random(), 3) * 10;
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+            ctx.lineWidth = Math.max(0.5, radius * 0.25);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, Math.PI, Math.PI * 1.75);
+            ctx.stroke();
+        }
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        return texture;
+    }
+}
+
+// Export the class
+window.ProceduralTextures = ProceduralTextures;
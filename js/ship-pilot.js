@@ -0,0 +1,423 @@
+// Piloted flight for VantraOrbit
+//
+// Takes one of the SpaceshipSystem ships off its orbit and flies it with simple
+// Newtonian physics: the engine pushes along the nose, and the body the ship is
+// orbiting pulls unless gravity is switched off. As in the rest of the fleet, that is
+// the body whose sphere of influence the ship is in (see PatchedConics), so flying out
+// of Earth's hands the ship over to the Sun, and on to Mars on arrival. Keyboard, gamepad and touch all feed the same
+// controls. A chase camera replaces OrbitControls while piloting, and a HUD shows the
+// speed, throttle and nearest body. Leaving the pilot seat hands the ship back to
+// SpaceshipSystem, which puts it back on its orbit.
+//
+// The flight runs in real units on simulated time (kilometres and kilometres per second
+// from the parent body), so time warp and reverse from the timeline apply to it like everything else;
+// the clock is slowed to PILOT_DAYS_PER_SECOND while flying. Steering is in wall time.
+
+class ShipPilot {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.ship = null;
+        this.gravity = true;
+
+        // State relative to the parent body (null for the Sun), scene axes, km and km/s
+        this.parent = null;
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.lastJulianDate = null;
+        this.previousDaysPerSecond = null;
+        this.nearest = null;
+
+        this.keys = new Set();
+        this.buttons = { thrust: false, retro: false, rollLeft: false, rollRight: false };
+        this.drag = null;
+        this.gamepadExitPressed = false;
+
+        this.select = document.getElementById('pilotShip');
+        this.hud = document.getElementById('pilotHud');
+        this.shipName = document.getElementById('pilotShipName');
+        this.speedReadout = document.getElementById('pilotSpeed');
+        this.throttleReadout = document.getElementById('pilotThrottle');
+        this.nearestReadout = document.getElementById('pilotNearest');
+        this.parentReadout = document.getElementById('pilotParent');
+        this.gravityToggle = document.getElementById('pilotGravity');
+        this.exitButton = document.getElementById('pilotExit');
+
+        this.init();
+    }
+
+    init() {
+        if (!this.select) return;
+
+        this.updateShipOptions();
+        this.select.addEventListener('change', (e) => {
+            const ship = this.app.spaceshipSystem && this.app.spaceshipSystem.getSpaceship(e.target.value);
+            if (ship) {
+                this.enter(ship);
+            } else {
+                this.exit();
+            }
+        });
+
+        this.gravityToggle.addEventListener('change', (e) => this.setGravity(e.target.checked));
+        this.exitButton.addEventListener('click', () => this.exit());
+
+        // Hold-to-fire buttons for touch screens (they work with a mouse too)
+        [['pilotThrust', 'thrust'], ['pilotRetro', 'retro'], ['pilotRollLeft', 'rollLeft'], ['pilotRollRight', 'rollRight']]
+            .forEach(([id, control]) => {
+                const button = document.getElementById(id);
+                button.addEventListener('pointerdown', (e) => {
+                    e.preventDefault();
+                    this.buttons[control] = true;
+                });
+                ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+                    button.addEventListener(type, () => { this.buttons[control] = false; });
+                });
+            });
+
+        document.addEventListener('keydown', (e) => this.onKeyDown(e));
+        document.addEventListener('keyup', (e) => this.keys.delete(e.code));
+        window.addEventListener('blur', () => this.keys.clear());
+
+        // Dragging on the scene steers like a joystick: the further from the press, the faster the turn
+        const canvas = this.app.renderer.domElement;
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.active) return;
+            this.drag = { x: e.clientX, y: e.clientY, dx: 0, dy: 0 };
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            this.drag.dx = e.clientX - this.drag.x;
+            this.drag.dy = e.clientY - this.drag.y;
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            canvas.addEventListener(type, () => { this.drag = null; });
+        });
+    }
+
+    // Rebuild the ship list after the fleet changes; leaves the pilot seat if the ship has gone
+    updateShipOptions() {
+        if (!this.select) return;
+
+        this.select.innerHTML = `<option value="" data-i18n="ui.none">${I18n.t('ui.none')}</option>`;
+        if (this.app.spaceshipSystem) {
+            this.app.spaceshipSystem.spaceships.forEach(ship => {
+                this.select.appendChild(MissionPlanner.createOption(ship.userData.name));
+            });
+        }
+
+        if (this.active && !this.app.spaceshipSystem.spaceships.includes(this.ship)) {
+            this.exit();
+        }
+        this.select.value = this.active ? this.ship.userData.name : '';
+    }
+
+    enter(ship) {
+        if (this.active) this.exit();
+        // Flying happens in the orbital view
+        if (this.app.sizeLineup) this.app.sizeLineup.close();
+
+        this.ship = ship;
+        this.active = true;
+        ship.userData.piloted = true;
+        ship.userData.thrust = 0;
+
+        // Ships on a trajectory carry on from their current state; scripted ones start
+        // from where they are drawn, at the local circular orbit speed around the Sun
+        const state = ship.userData.flight && ship.userData.flight.state;
+        if (state && !state.segment.landed) {
+            this.parent = state.parent;
+            this.position.copy(state.position);
+            this.velocity.copy(state.velocity);
+        } else {
+            const radius = ship.position.length();
+            this.parent = null;
+            this.position.copy(ship.position).setLength((radius > 0 ? DistanceScale.fromScene(radius) : 1) * DistanceScale.AU_KM);
+            const prograde = new THREE.Vector3(-this.position.z, 0, this.position.x).normalize();
+            if (prograde.lengthSq() === 0) prograde.set(1, 0, 0);
+            this.velocity.copy(prograde).multiplyScalar(Math.sqrt(PatchedConics.getGM(null) / this.position.length()));
+        }
+        this.lastJulianDate = this.app.clock.julianDate;
+
+        // Nose along the velocity, wings in the orbital plane
+        const up = new THREE.Vector3().crossVectors(this.position, this.velocity);
+        SpaceshipSystem.orient(ship, this.velocity.clone().normalize(), up.lengthSq() > 0 ? up.normalize() : new THREE.Vector3(0, 1, 0));
+
+        // Hand the camera over from OrbitControls
+        this.app.controls.enabled = false;
+        this.app.followTarget = null;
+        document.getElementById('followPlanet').value = '';
+
+        this.previousDaysPerSecond = this.app.clock.daysPerSecond;
+        this.setClockRate(ShipPilot.PILOT_DAYS_PER_SECOND);
+
+        this.select.value = ship.userData.name;
+        this.shipName.textContent = `🚀 ${ship.userData.name}`;
+        this.hud.style.display = 'block';
+        console.log(`Piloting ${ship.userData.name}`);
+    }
+
+    // Give the ship back to SpaceshipSystem, which returns it to its orbit on the next update
+    exit() {
+        if (!this.active) return;
+
+        const ship = this.ship;
+        ship.userData.piloted = false;
+        ship.userData.thrust = 0;
+        this.active = false;
+        this.ship = null;
+        this.drag = null;
+        this.keys.clear();
+
+        ship.scale.setScalar(1);
+        this.app.camera.up.set(0, 1, 0);
+        this.app.controls.target.copy(ship.position);
+        this.app.controls.enabled = true;
+        this.setClockRate(this.previousDaysPerSecond);
+
+        this.select.value = '';
+        this.hud.style.display = 'none';
+        console.log(`${ship.userData.name} returned to its orbit`);
+    }
+
+    setGravity(enabled) {
+        this.gravity = enabled;
+        this.gravityToggle.checked = enabled;
+    }
+
+    // Go through the speed slider so its label stays in step
+    setClockRate(daysPerSecond) {
+        const slider = document.getElementById('speedSlider');
+        slider.value = daysPerSecond;
+        slider.dispatchEvent(new Event('input'));
+    }
+
+    onKeyDown(e) {
+        if (!this.active) return;
+        // Leave typing in the control panel alone
+        if (e.target.matches && e.target.matches('input, select, textarea')) return;
+
+        if (e.code === 'Escape') {
+            this.exit();
+            return;
+        }
+        if (e.code === 'KeyG' && !e.repeat) {
+            this.setGravity(!this.gravity);
+        }
+        if (ShipPilot.KEY_CODES.includes(e.code)) {
+            // Keep Space and the arrows from scrolling or pressing focused buttons
+            e.preventDefault();
+            this.keys.add(e.code);
+        }
+    }
+
+    // Combined stick and throttle from every input, each axis in -1..1
+    readControls() {
+        const key = code => this.keys.has(code) ? 1 : 0;
+        const controls = {
+            pitch: key('KeyS') + key('ArrowDown') - key('KeyW') - key('ArrowUp'),
+            yaw: key('KeyA') + key('ArrowLeft') - key('KeyD') - key('ArrowRight'),
+            roll: key('KeyE') - key('KeyQ') + (this.buttons.rollRight ? 1 : 0) - (this.buttons.rollLeft ? 1 : 0),
+            thrust: Math.max(key('Space'), this.buttons.thrust ? 1 : 0) - Math.max(key('KeyB'), this.buttons.retro ? 1 : 0)
+        };
+
+        if (this.drag) {
+            controls.yaw -= this.drag.dx / ShipPilot.DRAG_RANGE;
+            controls.pitch -= this.drag.dy / ShipPilot.DRAG_RANGE;
+        }
+
+        // Standard mapping: left stick pitch and yaw, right stick roll, triggers for thrust, B to leave
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+        if (gamepad) {
+            const axis = index => {
+                const value = gamepad.axes[index] || 0;
+                return Math.abs(value) < ShipPilot.GAMEPAD_DEAD_ZONE ? 0 : value;
+            };
+            const button = index => gamepad.buttons[index] ? gamepad.buttons[index].value : 0;
+            controls.yaw -= axis(0);
+            controls.pitch += axis(1);
+            controls.roll += axis(2);
+            controls.thrust += button(7) - button(6);
+
+            const exitPressed = button(1) > 0.5;
+            if (exitPressed && !this.gamepadExitPressed) controls.exit = true;
+            this.gamepadExitPressed = exitPressed;
+        }
+
+        ['pitch', 'yaw', 'roll', 'thrust'].forEach(name => {
+            controls[name] = THREE.MathUtils.clamp(controls[name], -1, 1);
+        });
+        return controls;
+    }
+
+    // Called every frame after the bodies have moved
+    update(julianDate, frameDelta) {
+        if (!this.active) return;
+
+        const controls = this.readControls();
+        if (controls.exit) {
+            this.exit();
+            return;
+        }
+
+        const ship = this.ship;
+        ship.userData.thrust = controls.thrust;
+
+        // Steering turns about the ship's own axes at a fixed rate per real second
+        const turn = ShipPilot.TURN_RATE * frameDelta;
+        ship.rotateOnAxis(ShipPilot.PITCH_AXIS, controls.pitch * turn);
+        ship.rotateOnAxis(ShipPilot.YAW_AXIS, controls.yaw * turn);
+        ship.rotateOnAxis(ShipPilot.FORWARD, controls.roll * turn);
+
+        // A date jump from the timeline moves the clock, not the ship
+        const days = julianDate - this.lastJulianDate;
+        this.lastJulianDate = julianDate;
+        if (Math.abs(days) <= ShipPilot.MAX_FLIGHT_DAYS) {
+            this.integrate(julianDate - days, days, controls.thrust);
+        }
+
+        this.nearest = this.findNearestBody(julianDate);
+        this.app.spaceshipSystem.placeSpaceship(ship, this.parent, this.position, julianDate);
+        this.updateCamera(frameDelta);
+        this.updateHud(controls.thrust);
+    }
+
+    // Semi-implicit Euler in steps short against the local orbital period, so low
+    // parking orbits hold together; reversed time runs the flight backwards
+    integrate(julianDate, days, thrust) {
+        const direction = Math.sign(days);
+        let remaining = Math.abs(days) * 86400;
+        let time = julianDate;
+        const thrustAcceleration = ShipPilot.getForward(this.ship).multiplyScalar(thrust * ShipPilot.MAX_THRUST / 1000);
+        const acceleration = new THREE.Vector3();
+
+        for (let i = 0; remaining > 0 && i < ShipPilot.MAX_STEPS; i++) {
+            const mu = PatchedConics.getGM(this.parent);
+            const distance = Math.max(this.position.length(), PatchedConics.getRadius(this.parent));
+            const step = Math.min(remaining, ShipPilot.MAX_STEP_DAYS * 86400,
+                ShipPilot.STEP_FRACTION * Math.sqrt(distance * distance * distance / mu));
+            const dt = step * direction;
+
+            acceleration.copy(thrustAcceleration);
+            if (this.gravity) {
+                acceleration.addScaledVector(this.position, -mu / (distance * distance) / this.position.length());
+            }
+            this.velocity.addScaledVector(acceleration, dt);
+            this.position.addScaledVector(this.velocity, dt);
+            remaining -= step;
+            time += dt / 86400;
+
+            const change = PatchedConics.findSoiChange(this.parent, this.position, time, this.app.planets);
+            if (change) {
+                this.parent = PatchedConics.changeParent(this.parent, change, this.position, this.velocity, time);
+            }
+        }
+    }
+
+    // Heliocentric position of a body in AU (scene axes), undoing its scene scale
+    getBodyPosition(body, target = new THREE.Vector3()) {
+        const data = body.userData;
+        if (body === this.app.sunBody) return target.set(0, 0, 0);
+        if (data.isComet) return target.copy(data.heliocentricPosition);
+        if (data.parentBody) {
+            // Moon orbits are scaled in scene units per km
+            this.getBodyPosition(data.parentBody, target);
+            const offset = new THREE.Vector3().subVectors(body.position, data.parentBody.position);
+            return target.addScaledVector(offset, 1 / (data.orbitScale * DistanceScale.AU_KM));
+        }
+        return target.copy(body.position).divideScalar(data.orbitScale);
+    }
+
+    // Closest body surface to the ship, in km
+    findNearestBody(julianDate) {
+        const bodies = this.app.sunBody ? [this.app.sunBody, ...this.app.planets] : this.app.planets;
+        const shipPosition = PatchedConics.getHeliocentricPosition(this.parent, julianDate)
+            .add(this.position).divideScalar(DistanceScale.AU_KM);
+        const position = new THREE.Vector3();
+        let nearest = null;
+
+        bodies.forEach(body => {
+            if (!body.visible && body !== this.app.sunBody) return;
+            const radiusKm = body === this.app.sunBody ? SolarSystem.SUN_RADIUS_KM :
+                (body.userData.size || 0) * SolarSystem.EARTH_RADIUS_KM;
+            const distance = this.getBodyPosition(body, position).distanceTo(shipPosition) * DistanceScale.AU_KM - radiusKm;
+            if (!nearest || distance < nearest.distance) {
+                nearest = { body: body, name: body === this.app.sunBody ? 'Sun' : body.userData.name, distance: distance };
+            }
+        });
+        return nearest;
+    }
+
+    // Chase camera behind and above the ship, eased like the follow camera
+    updateCamera(frameDelta) {
+        const ship = this.ship;
+        const camera = this.app.camera;
+        // Ships shrink beside small bodies, and the camera closes in with them
+        const size = ship.userData.size * ship.scale.x;
+        const forward = ShipPilot.getForward(ship);
+        const up = ShipPilot.UP.clone().applyQuaternion(ship.quaternion);
+
+        const targetPosition = ship.position.clone()
+            .addScaledVector(forward, -ShipPilot.CHASE_DISTANCE * size)
+            .addScaledVector(up, ShipPilot.CHASE_HEIGHT * size);
+        const factor = 1 - Math.pow(1 - ShipPilot.CHASE_RATE, frameDelta / SolarSystem.FIXED_TIME_STEP);
+        camera.position.lerp(targetPosition, factor);
+        camera.up.lerp(up, factor).normalize();
+        camera.lookAt(ship.position.clone().addScaledVector(forward, ShipPilot.LOOK_AHEAD * size));
+
+        // Keeps the near plane in step with the chase distance
+        this.app.controls.target.copy(ship.position);
+    }
+
+    updateHud(thrust) {
+        this.speedReadout.textContent = Units.formatSpeed(this.velocity.length());
+        const throttle = I18n.formatNumber(Math.abs(thrust), { style: 'percent', maximumFractionDigits: 0 });
+        this.throttleReadout.textContent = thrust >= 0 ? throttle : I18n.t('pilot.retro', { value: throttle });
+        this.nearestReadout.textContent = this.nearest ? I18n.t('pilot.nearest', {
+            name: this.app.getBodyName(this.nearest.name),
+            distance: this.nearest.distance > 0 ? Units.formatDistance(this.nearest.distance) : I18n.t('pilot.contact')
+        }) : '—';
+        this.parentReadout.textContent = this.app.getBodyName(PatchedConics.getName(this.parent));
+    }
+
+    // The procedural hull points its nose along +x with the wings in the x-y plane
+    static getForward(ship) {
+        return ShipPilot.FORWARD.clone().applyQuaternion(ship.quaternion);
+    }
+}
+
+// Ship axes: positive pitch raises the nose, positive yaw turns it left and positive
+// roll dips the right wing
+ShipPilot.FORWARD = new THREE.Vector3(1, 0, 0);
+ShipPilot.UP = new THREE.Vector3(0, 0, 1);
+ShipPilot.PITCH_AXIS = new THREE.Vector3(0, -1, 0);
+ShipPilot.YAW_AXIS = new THREE.Vector3(0, 0, 1);
+ShipPilot.KEY_CODES = ['KeyW', 'KeyA', 'KeyS', 'KeyD', 'KeyQ', 'KeyE', 'KeyB', 'Space',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+
+// Main engine acceleration at full throttle, m/s^2
+ShipPilot.MAX_THRUST = 0.1;
+ShipPilot.MAX_STEP_DAYS = 0.25;
+// Longest step as a fraction of the orbital time scale sqrt(r^3 / GM), and the most
+// steps per frame; beyond that the flight falls behind a fast clock
+ShipPilot.STEP_FRACTION = 0.02;
+ShipPilot.MAX_STEPS = 5000;
+// Longer gaps are date jumps rather than flight
+ShipPilot.MAX_FLIGHT_DAYS = 400;
+ShipPilot.PILOT_DAYS_PER_SECOND = 1;
+
+// Steering rate in radians per second at full deflection
+ShipPilot.TURN_RATE = 1.2;
+// Drag distance in pixels for a full-rate turn
+ShipPilot.DRAG_RANGE = 150;
+ShipPilot.GAMEPAD_DEAD_ZONE = 0.15;
+
+// Chase camera offsets in ship sizes
+ShipPilot.CHASE_DISTANCE = 8;
+ShipPilot.CHASE_HEIGHT = 2.5;
+ShipPilot.LOOK_AHEAD = 4;
+ShipPilot.CHASE_RATE = 0.15;
+
+// Export the class
+window.ShipPilot = ShipPilot;
@@ -0,0 +1,101 @@
+// Simulation clock for VantraOrbit
+//
+// Simulated time is kept as a Julian date (days, UTC) so the ephemeris can place
+// every body where it actually is on the displayed calendar date.
+
+class SimulationClock {
+    constructor(julianDate = SimulationClock.dateToJulian(new Date())) {
+        this.julianDate = julianDate;
+        this.daysPerSecond = SimulationClock.DEFAULT_DAYS_PER_SECOND;
+        this.direction = 1; // 1 plays forward, -1 plays in reverse
+        this.isPlaying = true;
+    }
+
+    // Advance simulated time by a number of real (wall clock) seconds
+    advance(seconds) {
+        this.julianDate += this.getRate() * seconds;
+    }
+
+    // Signed simulated days per real second, zero while paused
+    getRate() {
+        return this.isPlaying ? this.daysPerSecond * this.direction : 0;
+    }
+
+    setDaysPerSecond(daysPerSecond) {
+        this.daysPerSecond = daysPerSecond;
+    }
+
+    play() {
+        this.isPlaying = true;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    togglePlay() {
+        this.isPlaying = !this.isPlaying;
+        return this.isPlaying;
+    }
+
+    // Flip between forward and reverse playback
+    reverse() {
+        this.direction = -this.direction;
+        return this.direction;
+    }
+
+    // Move by a fixed number of days (negative steps backwards)
+    step(days) {
+        this.julianDate += days;
+    }
+
+    setDate(date) {
+        this.julianDate = SimulationClock.dateToJulian(date);
+    }
+
+    getDate() {
+        return SimulationClock.julianToDate(this.julianDate);
+    }
+
+    // Jump back to the current real-world time
+    resetToNow() {
+        this.setDate(new Date());
+    }
+
+    // Days elapsed since the J2000.0 epoch (2000-01-01 12:00 TT)
+    daysSinceJ2000() {
+        return this.julianDate - SimulationClock.J2000;
+    }
+
+    // Short UTC readout for the date display in the current language, e.g.
+    // "Mar 20, 2024, 3:06 AM UTC"
+    formatDate() {
+        const date = this.getDate();
+        if (isNaN(date.getTime())) return I18n.t('timeline.outOfRange');
+        return I18n.formatDate(date);
+    }
+
+    // Convert to and from fractional calendar years, used by the timeline scrubber
+    getYear() {
+        return 2000 + (this.julianDate - SimulationClock.J2000) / 365.25;
+    }
+
+    setYear(year) {
+        this.julianDate = SimulationClock.J2000 + (year - 2000) * 365.25;
+    }
+
+    static dateToJulian(date) {
+        return date.getTime() / 86400000 + 2440587.5;
+    }
+
+    static julianToDate(julianDate) {
+        return new Date((julianDate - 2440587.5) * 86400000);
+    }
+}
+
+SimulationClock.J2000 = 2451545.0;
+SimulationClock.DAYS_PER_CENTURY = 36525;
+SimulationClock.DEFAULT_DAYS_PER_SECOND = 30;
+
+// Export the class
+window.SimulationClock = SimulationClock;
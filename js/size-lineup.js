@@ -0,0 +1,244 @@
+// Size comparison lineup for VantraOrbit
+//
+// A separate view that stands the star, the planets, the dwarf planets and the major
+// moons in a row at their true relative sizes, largest first, whatever the planet
+// scale slider is set to. Every globe shares its geometry and textured material with
+// the body in the orbital view, and turns with it. Saturn's rings are left out so the
+// globes compare directly.
+//
+// The slider pans along the row. The camera frames the body it is passing, so it
+// closes in as the bodies shrink: the Sun fills the view at one end and Ceres at
+// the other, with the next few bodies alongside for scale. Each body is labelled
+// underneath with its name and diameter once it is large enough on screen to read.
+
+class SizeLineup {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        // Whether the orbit controls were on before the lineup took the view
+        this.controlsEnabled = true;
+        // { name, radius (km), mesh, source, label, x } for each body in the row
+        this.entries = [];
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(SizeLineup.FOV, window.innerWidth / window.innerHeight, 0.1, 1000);
+
+        // Lit from over the viewer's shoulder, so every body shows its full face
+        this.scene.add(new THREE.AmbientLight(0xffffff, 0.35));
+        const light = new THREE.DirectionalLight(0xffffff, 1.1);
+        light.position.set(-1, 0.5, 2);
+        this.scene.add(light);
+
+        this.bar = document.getElementById('sizeLineupBar');
+        this.toggleButton = document.getElementById('sizeLineupToggle');
+        this.closeButton = document.getElementById('sizeLineupClose');
+        this.slider = document.getElementById('sizeLineupSlider');
+        this.readout = document.getElementById('sizeLineupReadout');
+
+        this.init();
+    }
+
+    init() {
+        if (!this.bar) return;
+
+        this.toggleButton.addEventListener('click', () => {
+            if (this.active) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+        this.closeButton.addEventListener('click', () => this.close());
+        this.slider.addEventListener('input', () => this.updateCamera());
+    }
+
+    open() {
+        if (this.active) return;
+        if (this.app.shipPilot && this.app.shipPilot.active) this.app.shipPilot.exit();
+
+        this.active = true;
+        this.controlsEnabled = this.app.controls.enabled;
+        this.app.controls.enabled = false;
+        this.bar.style.display = 'block';
+        this.toggleButton.classList.add('active');
+        this.build();
+        console.log('Size lineup opened');
+    }
+
+    // Back to the orbital view, as it was left
+    close() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.app.controls.enabled = this.controlsEnabled;
+        this.bar.style.display = 'none';
+        this.toggleButton.classList.remove('active');
+        this.clear();
+    }
+
+    // Rebuild after the bodies, the star, the units or the language change
+    refresh() {
+        if (this.active) this.build();
+    }
+
+    // The star, every planet and dwarf planet, and the moons of at least
+    // MIN_MOON_RADIUS, largest first
+    getBodies() {
+        const bodies = [];
+        if (this.app.sun) {
+            bodies.push({
+                name: this.app.star.name,
+                radius: this.app.star.radius * SolarSystem.SUN_RADIUS_KM,
+                source: this.app.sun
+            });
+        }
+        this.app.planets.filter(body => body.userData.catalogEntry).forEach(body => {
+            const data = body.userData;
+            if (data.bodyKind === 'moon' && data.radius < SizeLineup.MIN_MOON_RADIUS) return;
+            bodies.push({ name: data.name, radius: data.radius, source: data.mesh });
+        });
+        return bodies.sort((a, b) => b.radius - a.radius);
+    }
+
+    build() {
+        this.clear();
+
+        // Each gap is a fraction of the smaller neighbour, so small bodies sit close
+        // enough to compare
+        let x = 0;
+        this.getBodies().forEach((body, index) => {
+            const radius = body.radius / SizeLineup.KM_PER_UNIT;
+            if (index > 0) {
+                const previous = this.entries[index - 1];
+                x += previous.sceneRadius + radius * (1 + SizeLineup.GAP_RADII);
+            }
+
+            // The body's own geometry and material, sized to its radius (and shape)
+            const source = body.source;
+            const mesh = new THREE.Mesh(source.geometry, source.material);
+            mesh.scale.copy(source.scale).multiplyScalar(radius / source.geometry.parameters.radius);
+            mesh.position.set(x, 0, 0);
+            this.scene.add(mesh);
+
+            const label = this.createLabel(body);
+            label.position.set(x, -radius, 0);
+            this.scene.add(label);
+
+            this.entries.push({ ...body, sceneRadius: radius, x: x, mesh: mesh, label: label });
+        });
+
+        this.updateCamera();
+    }
+
+    // Take the row down; the geometries and materials belong to the orbital view
+    clear() {
+        this.entries.forEach(entry => {
+            this.scene.remove(entry.mesh);
+            this.scene.remove(entry.label);
+            entry.label.material.map.dispose();
+            entry.label.material.dispose();
+        });
+        this.entries = [];
+    }
+
+    createLabel(body) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 26px sans-serif';
+        ctx.fillText(this.app.getBodyName(body.name), 128, 28);
+        ctx.fillStyle = '#bbbbbb';
+        ctx.font = '20px sans-serif';
+        ctx.fillText(Units.formatDistance(body.radius * 2), 128, 56);
+
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            sizeAttenuation: false,
+            depthTest: false,
+            transparent: true
+        }));
+        label.scale.set(SizeLineup.LABEL_WIDTH, SizeLineup.LABEL_WIDTH / 4, 1);
+        // Hang the label just below the body
+        label.center.set(0.5, 1.1);
+        label.renderOrder = 1;
+        return label;
+    }
+
+    // Slide the camera along the row, easing the framing from one body's size to the
+    // next in proportion, and label the bodies large enough to read
+    updateCamera() {
+        if (this.entries.length === 0) return;
+
+        const position = this.slider.value / this.slider.max * (this.entries.length - 1);
+        const index = Math.min(Math.floor(position), this.entries.length - 2);
+        const from = this.entries[Math.max(index, 0)];
+        const to = this.entries[Math.max(index + 1, 0)] || from;
+        const fraction = THREE.MathUtils.clamp(position - index, 0, 1);
+
+        const x = THREE.MathUtils.lerp(from.x, to.x, fraction);
+        const radius = Math.exp(THREE.MathUtils.lerp(Math.log(from.sceneRadius), Math.log(to.sceneRadius), fraction));
+        const distance = radius * SizeLineup.VIEW_RADII;
+        // The row sits a little above centre to leave room for the labels
+        const y = -radius * SizeLineup.LABEL_ROOM_RADII;
+
+        this.camera.position.set(x, y, distance);
+        this.camera.lookAt(x, y, 0);
+        this.camera.near = distance / 100;
+        this.camera.far = distance * 100;
+        this.camera.updateProjectionMatrix();
+
+        const halfHeight = distance * Math.tan(THREE.MathUtils.degToRad(SizeLineup.FOV / 2));
+        this.entries.forEach(entry => {
+            entry.label.visible = entry.sceneRadius / halfHeight >= SizeLineup.MIN_LABEL_SIZE;
+        });
+
+        this.showReadout(fraction < 0.5 ? from : to);
+    }
+
+    // The body in view, and how many of it would span the star
+    showReadout(entry) {
+        const star = this.entries[0];
+        const params = {
+            name: this.app.getBodyName(entry.name),
+            diameter: Units.formatDistance(entry.radius * 2),
+            count: Units.formatNumber(star.radius / entry.radius),
+            star: this.app.getBodyName(star.name)
+        };
+        this.readout.textContent = I18n.t(entry === star ? 'lineup.across' : 'lineup.span', params);
+    }
+
+    // Globes turn with the bodies in the orbital view
+    update() {
+        this.entries.forEach(entry => {
+            entry.mesh.rotation.y = entry.source.rotation.y;
+        });
+    }
+
+    onWindowResize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+    }
+}
+
+SizeLineup.FOV = 45;
+// Scene units are thousands of km
+SizeLineup.KM_PER_UNIT = 1000;
+// Moons smaller than this (km) are left out, like Phobos and Deimos
+SizeLineup.MIN_MOON_RADIUS = 200;
+// Gap between neighbours, in radii of the smaller one
+SizeLineup.GAP_RADII = 0.5;
+// Camera distance from the row, in radii of the body in view
+SizeLineup.VIEW_RADII = 5;
+// How far below the row the camera looks, in radii of the body in view
+SizeLineup.LABEL_ROOM_RADII = 0.35;
+// Screen-space label width, as a fraction of the viewport height
+SizeLineup.LABEL_WIDTH = 0.16;
+// Smallest body radius that gets a label, as a fraction of half the viewport height
+SizeLineup.MIN_LABEL_SIZE = 0.02;
+
+// Export the class
+window.SizeLineup = SizeLineup;
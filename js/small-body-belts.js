@@ -0,0 +1,313 @@
+// Asteroid and Kuiper belts for VantraOrbit
+//
+// Thousands of small bodies on Keplerian orbits, drawn as one Points object per belt.
+// Each body's orbital elements live in vertex attributes and the vertex shader solves
+// Kepler's equation for the current date, so the CPU only updates a few uniforms per
+// frame - cheap enough for the mobile tier.
+
+class SmallBodyBelts {
+    constructor(scene, settings = {}) {
+        this.scene = scene;
+        this.belts = [];
+        this.asteroidCount = settings.asteroidCount || SmallBodyBelts.DEFAULT_ASTEROID_COUNT;
+        this.kuiperBeltCount = settings.kuiperBeltCount || SmallBodyBelts.DEFAULT_KUIPER_BELT_COUNT;
+        this.pixelRatio = settings.pixelRatio || 1;
+
+        this.init();
+    }
+
+    init() {
+        this.createAsteroidBelt();
+        this.createKuiperBelt();
+
+        console.log(`Created asteroid belt (${this.asteroidCount}) and Kuiper belt (${this.kuiperBeltCount})`);
+    }
+
+    createAsteroidBelt() {
+        const orbits = [];
+
+        while (orbits.length < this.asteroidCount) {
+            // Main belt between 2.1 and 3.3 AU, cleared at Jupiter's resonances
+            const semiMajorAxis = 2.1 + Math.random() * 1.2;
+            if (this.isInKirkwoodGap(semiMajorAxis)) continue;
+
+            // Dark carbonaceous bodies dominate the outer belt, stony ones the inner
+            const carbonaceous = Math.random() < (semiMajorAxis - 2.1) / 1.2;
+            const shade = 0.35 + Math.random() * 0.25;
+            const color = carbonaceous ?
+                [shade * 0.8, shade * 0.78, shade * 0.75] :
+                [shade * 1.1, shade * 0.95, shade * 0.8];
+
+            orbits.push({
+                semiMajorAxis: semiMajorAxis,
+                eccentricity: Math.min(Math.abs(this.randomNormal()) * 0.1, 0.35),
+                inclination: Math.abs(this.randomNormal()) * 8,
+                color: color,
+                size: 0.4 + Math.random() * 0.8
+            });
+        }
+
+        this.belts.push(this.createBelt('Asteroid Belt', orbits));
+    }
+
+    createKuiperBelt() {
+        const orbits = [];
+
+        for (let i = 0; i < this.kuiperBeltCount; i++) {
+            const population = Math.random();
+            let orbit;
+
+            if (population < 0.25) {
+                // Plutinos, locked in the 3:2 resonance with Neptune
+                orbit = {
+                    semiMajorAxis: 39.4 + this.randomNormal() * 0.2,
+                    eccentricity: 0.1 + Math.random() * 0.2,
+                    inclination: Math.random() * 20
+                };
+            } else if (population < 0.93) {
+                // Classical belt, mostly cold and flat with a hotter, inclined component
+                const hot = Math.random() < 0.3;
+                orbit = {
+                    semiMajorAxis: 42 + Math.random() * 5.5,
+                    eccentricity: Math.random() * 0.1,
+                    inclination: hot ? Math.random() * 30 : Math.abs(this.randomNormal()) * 2
+                };
+            } else {
+                // Scattered disc
+                orbit = {
+                    semiMajorAxis: 50 + Math.random() * 50,
+                    eccentricity: 0.3 + Math.random() * 0.3,
+                    inclination: Math.random() * 40
+                };
+            }
+
+            const shade = 0.4 + Math.random() * 0.3;
+            orbit.color = [shade * 0.85, shade * 0.9, shade];
+            orbit.size = 0.8 + Math.random() * 1.2;
+            orbits.push(orbit);
+        }
+
+        this.belts.push(this.createBelt('Kuiper Belt', orbits));
+    }
+
+    // Mean-motion resonances with Jupiter that empty out parts of the belt
+    isInKirkwoodGap(semiMajorAxis) {
+        return SmallBodyBelts.KIRKWOOD_GAPS.some(gap => Math.abs(semiMajorAxis - gap.semiMajorAxis) < gap.halfWidth);
+    }
+
+    // Standard normal sample (Box-Muller)
+    randomNormal() {
+        return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+    }
+
+    createBelt(name, orbits) {
+        const count = orbits.length;
+        const shape = new Float32Array(count * 3);
+        const angles = new Float32Array(count * 3);
+        const meanMotion = new Float32Array(count);
+        const colors = new Float32Array(count * 3);
+        const sizes = new Float32Array(count);
+
+        orbits.forEach((orbit, i) => {
+            shape[i * 3] = orbit.semiMajorAxis;
+            shape[i * 3 + 1] = orbit.eccentricity;
+            shape[i * 3 + 2] = THREE.MathUtils.degToRad(orbit.inclination);
+
+            // Random node, perihelion and phase at J2000
+            angles[i * 3] = Math.random() * Math.PI * 2;
+            angles[i * 3 + 1] = Math.random() * Math.PI * 2;
+            angles[i * 3 + 2] = Math.random() * Math.PI * 2;
+
+            // Kepler's third law, radians per day
+            meanMotion[i] = 2 * Math.PI / (SmallBodyBelts.SIDEREAL_YEAR * Math.pow(orbit.semiMajorAxis, 1.5));
+
+            colors.set(orbit.color, i * 3);
+            sizes[i] = orbit.size;
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        // Positions are computed in the shader; the attribute only sets the vertex count
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        geometry.setAttribute('aShape', new THREE.BufferAttribute(shape, 3));
+        geometry.setAttribute('aAngles', new THREE.BufferAttribute(angles, 3));
+        geometry.setAttribute('aMeanMotion', new THREE.BufferAttribute(meanMotion, 1));
+        geometry.setAttribute('aColor', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+
+        const anchors = DistanceScale.ANCHORS;
+        const material = new THREE.ShaderMaterial({
+            defines: { ANCHOR_COUNT: anchors.length },
+            uniforms: {
+                uDays: { value: 0 },
+                uPointScale: { value: this.getPointScale() },
+                uAnchorAU: { value: anchors.map(anchor => anchor[0]) },
+                uAnchorScene: { value: anchors.map(anchor => anchor[1]) },
+                uModeFrom: { value: 0 },
+                uModeTo: { value: 0 },
+                uModeBlend: { value: 1 },
+                uTrueScale: { value: DistanceScale.TRUE_SCALE },
+                uLogScale: { value: DistanceScale.LOG_SCALE },
+                uLogReference: { value: DistanceScale.LOG_REFERENCE }
+            },
+            vertexShader: SmallBodyBelts.VERTEX_SHADER,
+            fragmentShader: SmallBodyBelts.FRAGMENT_SHADER
+        });
+
+        const belt = new THREE.Points(geometry, material);
+        // The bounding sphere of the placeholder positions means nothing
+        belt.frustumCulled = false;
+        belt.userData = { name: name, type: 'belt' };
+
+        this.scene.add(belt);
+        return belt;
+    }
+
+    // Screen-space size factor matching PointsMaterial's size attenuation
+    getPointScale() {
+        return window.innerHeight * this.pixelRatio / 2;
+    }
+
+    // Move every belt to the given simulation date and the current distance scale
+    update(julianDate) {
+        const days = julianDate - SimulationClock.J2000;
+        const modeFrom = DistanceScale.MODES.indexOf(DistanceScale.previousMode);
+        const modeTo = DistanceScale.MODES.indexOf(DistanceScale.mode);
+        const modeBlend = DistanceScale.isTransitioning() ? DistanceScale.getBlendFactor() : 1;
+
+        this.belts.forEach(belt => {
+            const uniforms = belt.material.uniforms;
+            uniforms.uDays.value = days;
+            uniforms.uModeFrom.value = modeFrom;
+            uniforms.uModeTo.value = modeTo;
+            uniforms.uModeBlend.value = modeBlend;
+        });
+    }
+
+    onWindowResize() {
+        const pointScale = this.getPointScale();
+        this.belts.forEach(belt => {
+            belt.material.uniforms.uPointScale.value = pointScale;
+        });
+    }
+
+    setVisibility(visible) {
+        this.belts.forEach(belt => {
+            belt.visible = visible;
+        });
+    }
+}
+
+// Body counts when the device tier doesn't set its own
+SmallBodyBelts.DEFAULT_ASTEROID_COUNT = 8000;
+SmallBodyBelts.DEFAULT_KUIPER_BELT_COUNT = 6000;
+SmallBodyBelts.SIDEREAL_YEAR = 365.25636;
+
+// Jupiter resonances (3:1, 5:2, 7:3, 2:1) in AU
+SmallBodyBelts.KIRKWOOD_GAPS = [
+    { semiMajorAxis: 2.502, halfWidth: 0.03 },
+    { semiMajorAxis: 2.825, halfWidth: 0.03 },
+    { semiMajorAxis: 2.958, halfWidth: 0.015 },
+    { semiMajorAxis: 3.279, halfWidth: 0.04 }
+];
+
+// The logdepthbuf chunks match the renderer's logarithmic depth buffer, as the built-in
+// materials do
+SmallBodyBelts.VERTEX_SHADER = `
+    #include <common>
+    #include <logdepthbuf_pars_vertex>
+
+    uniform float uDays;
+    uniform float uPointScale;
+    uniform float uAnchorAU[ANCHOR_COUNT];
+    uniform float uAnchorScene[ANCHOR_COUNT];
+    // Distance scale modes, indexed as DistanceScale.MODES
+    uniform float uModeFrom;
+    uniform float uModeTo;
+    uniform float uModeBlend;
+    uniform float uTrueScale;
+    uniform float uLogScale;
+    uniform float uLogReference;
+
+    attribute vec3 aShape;      // semi-major axis (AU), eccentricity, inclination
+    attribute vec3 aAngles;     // ascending node, argument of perihelion, mean anomaly at J2000
+    attribute float aMeanMotion;
+    attribute vec3 aColor;
+    attribute float aSize;
+
+    varying vec3 vColor;
+
+    // Same piecewise mapping as DistanceScale.toCompactScene
+    float toCompactScene(float au) {
+        for (int k = 1; k < ANCHOR_COUNT; k++) {
+            if (au <= uAnchorAU[k]) {
+                float t = (au - uAnchorAU[k - 1]) / (uAnchorAU[k] - uAnchorAU[k - 1]);
+                return mix(uAnchorScene[k - 1], uAnchorScene[k], t);
+            }
+        }
+        float slope = (uAnchorScene[ANCHOR_COUNT - 1] - uAnchorScene[ANCHOR_COUNT - 2]) /
+            (uAnchorAU[ANCHOR_COUNT - 1] - uAnchorAU[ANCHOR_COUNT - 2]);
+        return uAnchorScene[ANCHOR_COUNT - 1] + slope * (au - uAnchorAU[ANCHOR_COUNT - 1]);
+    }
+
+    float toSceneInMode(float au, float mode) {
+        if (mode > 1.5) return au * uTrueScale;
+        if (mode > 0.5) return uLogScale * log(1.0 + au / uLogReference) / log(10.0);
+        return toCompactScene(au);
+    }
+
+    // Blended across a mode change, as DistanceScale.toScene
+    float toScene(float au) {
+        return mix(toSceneInMode(au, uModeFrom), toSceneInMode(au, uModeTo), uModeBlend);
+    }
+
+    void main() {
+        float a = aShape.x;
+        float e = aShape.y;
+
+        // Kepler's equation by Newton iteration; belt eccentricities are modest
+        float M = mod(aAngles.z + aMeanMotion * uDays, 6.2831853);
+        float E = M + e * sin(M);
+        for (int k = 0; k < 4; k++) {
+            E -= (E - e * sin(E) - M) / (1.0 - e * cos(E));
+        }
+        float px = a * (cos(E) - e);
+        float py = a * sqrt(1.0 - e * e) * sin(E);
+
+        // Rz(node) * Rx(i) * Rz(peri), as in OrbitalMechanics.orbitalPlaneToScene
+        float cosNode = cos(aAngles.x), sinNode = sin(aAngles.x);
+        float cosPeri = cos(aAngles.y), sinPeri = sin(aAngles.y);
+        float cosI = cos(aShape.z), sinI = sin(aShape.z);
+        vec3 ecliptic = vec3(
+            (cosPeri * cosNode - sinPeri * sinNode * cosI) * px + (-sinPeri * cosNode - cosPeri * sinNode * cosI) * py,
+            (cosPeri * sinNode + sinPeri * cosNode * cosI) * px + (-sinPeri * sinNode + cosPeri * cosNode * cosI) * py,
+            (sinPeri * sinI) * px + (cosPeri * sinI) * py
+        );
+
+        float r = length(ecliptic);
+        vec3 scenePosition = vec3(ecliptic.x, ecliptic.z, -ecliptic.y) * (toScene(r) / r);
+
+        vec4 mvPosition = modelViewMatrix * vec4(scenePosition, 1.0);
+        gl_PointSize = max(1.0, aSize * uPointScale / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+        #include <logdepthbuf_vertex>
+        vColor = aColor;
+    }
+`;
+
+SmallBodyBelts.FRAGMENT_SHADER = `
+    #include <logdepthbuf_pars_fragment>
+
+    varying vec3 vColor;
+
+    void main() {
+        #include <logdepthbuf_fragment>
+
+        // Round points rather than squares
+        vec2 offset = gl_PointCoord - 0.5;
+        if (dot(offset, offset) > 0.25) discard;
+        gl_FragColor = vec4(vColor, 1.0);
+    }
+`;
+
+// Export the class
+window.SmallBodyBelts = SmallBodyBelts;
@@ -10,7 +10,7 @@
  * - Add stars in the background for immersion.
  * - Lighting should reflect space ambience (use ambient + directional lights).
  * 
- * Use a reusable function like loadPlanet(name, size, distance, texturePath) to create each planet.
+ * Use a reusable function like loadBody(definition, kind) to create each planet.
  */
 
 class SolarSystem {
@@ -23,13 +23,15 @@ class SolarSystem {
         this.audioSystem = new PlanetaryAudioSystem();
         this.audioEnabled = false;
         this.currentPlanet = null; // Track currently selected planet for transitions
+        this.refreshInfo = null; // Redraws the info panel, e.g. when the units change
         
         // Try WebGL first, fall back to Canvas if it fails
         try {
             this.renderer = new THREE.WebGLRenderer({ 
                 antialias: true,
                 powerPreference: "high-performance",
-                failIfMajorPerformanceCaveat: false
+                failIfMajorPerformanceCaveat: false,
+                logarithmicDepthBuffer: true // True scale spans metres to the star sphere
             });
             console.log('Using WebGL renderer');
         } catch (e) {
@@ -41,7 +43,8 @@ class SolarSystem {
                     antialias: false,
                     powerPreference: "low-power",
                     failIfMajorPerformanceCaveat: false,
-                    preserveDrawingBuffer: true
+                    preserveDrawingBuffer: true,
+                    logarithmicDepthBuffer: true
                 });
                 console.log('Using WebGL renderer with fallback settings');
             } catch (e2) {
@@ -66,6 +69,30 @@ class SolarSystem {
         this.orbitPaths = [];
         this.saturnRings = [];
         this.spaceshipSystem = null; // Will initialize after scene setup
+        this.smallBodyBelts = null;
+        this.cometSystem = null;
+        this.lagrangePoints = null;
+        this.historicalMissions = null;
+        this.habitableZone = null;
+        
+        // The star at the centre, and its size relative to the Sun's in the schematic modes
+        this.star = SolarSystem.SUN;
+        this.starScale = 1;
+        // Where the current bodies came from, for the star system picker
+        this.systemSource = null;
+        this.customCatalog = null;
+        this.solarSystemExtras = true;
+        
+        // Simulation clock drives planet positions from the ephemeris
+        this.clock = new SimulationClock();
+        this.lastFrameTime = null;
+        this.stepAccumulator = 0;
+        this.timeline = null;
+        this.gravitySandbox = null;
+        this.missionPlanner = null;
+        this.porkchopPlot = null;
+        this.shipPilot = null;
+        // Signed speed multiplier for effects not yet tied to the clock (1.0 at the default days/second)
         this.animationSpeed = 1.0;
         this.planetScale = 3.0;
         this.showOrbits = true;
@@ -124,6 +151,7 @@ class SolarSystem {
         // Show controls and start animation
         const controls = document.getElementById('controls');
         if (controls) controls.style.display = 'block';
+        if (this.timeline) this.timeline.show();
         
         // Setup audio controls
         this.setupAudioControls();
@@ -149,11 +177,10 @@ class SolarSystem {
             z-index: 2000;
             box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
         `;
-        message.innerHTML = `
-            🌌 Welcome to VantraOrbit!<br>
-            🖱️ Use your mouse to explore the solar system<br>
-            🔊 Enable audio for planetary sounds!
-        `;
+        ['welcome.title', 'welcome.explore', 'welcome.audio'].forEach((key, index) => {
+            if (index > 0) message.appendChild(document.createElement('br'));
+            message.appendChild(document.createTextNode(I18n.t(key)));
+        });
         document.body.appendChild(message);
         
         setTimeout(() => {
@@ -171,14 +198,43 @@ class SolarSystem {
     initializeSpaceships() {
         console.log('Attempting to initialize spaceship system...');
         if (typeof SpaceshipSystem !== 'undefined') {
-            this.spaceshipSystem = new SpaceshipSystem(this.scene);
-            console.log('Spaceship system initialized with 3 exploration vessels');
+            this.spaceshipSystem = new SpaceshipSystem(this.scene, SpaceshipSystem.DEFAULT_FLEET, this.planets);
+            this.spaceshipSystem.onFleetChange = () => {
+                if (this.missionPlanner) this.missionPlanner.updateShipOptions();
+                if (this.shipPilot) this.shipPilot.updateShipOptions();
+            };
             console.log('Spaceships created:', this.spaceshipSystem.spaceships.length);
+            
+            // ?fleet=fleets/example-fleet.json replaces the default fleet
+            const fleetUrl = new URLSearchParams(window.location.search).get('fleet');
+            if (fleetUrl) {
+                // After the language loads, so any problems are listed in it
+                I18n.ready.then(() => FleetLoader.load(fleetUrl)).then(result => this.applyLoadedFleet(result));
+            }
         } else {
             console.warn('SpaceshipSystem not loaded');
         }
     }
 
+    // Comets are selectable like planets and grouped together in the selector
+    initializeComets() {
+        if (typeof CometSystem === 'undefined') {
+            console.warn('CometSystem not loaded');
+            return;
+        }
+        
+        this.cometSystem = new CometSystem(this.scene, this.performanceSettings);
+        this.cometSystem.setOrbitVisibility(this.showOrbits);
+        this.cometSystem.comets.forEach(comet => {
+            Object.assign(comet.userData, {
+                geometryRadius: CometSystem.NUCLEUS_SIZE,
+                displaySize: CometSystem.NUCLEUS_SIZE / this.planetScale
+            });
+            this.planets.push(comet);
+            this.addSelectorOption(comet.userData.name, 'Comets', 'ui.follow.comets');
+        });
+    }
+
     // Initialize audio system
     async initializeAudio() {
         try {
@@ -205,11 +261,13 @@ class SolarSystem {
         const audioSection = document.createElement('div');
         audioSection.className = 'control-group';
         audioSection.innerHTML = `
-            <label>🔊 Planetary Audio:</label>
-            <button id="audioToggle" class="audio-btn">🔇 Enable Sound</button>
+            <label data-i18n="audio.label">🔊 Planetary Audio:</label>
+            <button id="audioToggle" class="audio-btn" data-i18n="audio.enable">🔇 Enable Sound</button>
             <input type="range" id="volumeSlider" min="0" max="1" step="0.1" value="0.3" style="width: 80px; margin-left: 10px;" disabled>
         `;
         
+        I18n.applyToDocument(audioSection);
+        
         // Insert audio controls after the first control group
         const firstControlGroup = controlsContainer.querySelector('.control-group');
         if (firstControlGroup) {
@@ -218,9 +276,13 @@ class SolarSystem {
             controlsContainer.appendChild(audioSection);
         }
 
-        // Setup audio toggle button
+        // Setup audio toggle button; its key is kept on it so a language change relabels it
         const audioToggle = document.getElementById('audioToggle');
         const volumeSlider = document.getElementById('volumeSlider');
+        const setToggleLabel = (key) => {
+            audioToggle.dataset.i18n = key;
+            audioToggle.textContent = I18n.t(key);
+        };
         
         audioToggle.addEventListener('click', () => {
             if (!this.audioEnabled) {
@@ -229,14 +291,14 @@ class SolarSystem {
                     if (this.audioEnabled) {
                         this.audioSystem.startAudio();
                         this.audioSystem.createSpaceAmbience();
-                        audioToggle.textContent = '🔊 Disable Sound';
+                        setToggleLabel('audio.disable');
                         volumeSlider.disabled = false;
                     }
                 });
             } else {
                 // Toggle audio on/off
                 const isPlaying = this.audioSystem.toggleAudio();
-                audioToggle.textContent = isPlaying ? '🔊 Disable Sound' : '🔇 Enable Sound';
+                setToggleLabel(isPlaying ? 'audio.disable' : 'audio.enable');
                 volumeSlider.disabled = !isPlaying;
             }
         });
@@ -271,7 +333,7 @@ class SolarSystem {
         
         // Setup camera position with optimized settings for clarity
         this.camera.position.set(0, 100, 300);
-        this.camera.near = 0.1;
+        this.camera.near = SolarSystem.SCALE_MODE_SETTINGS.compact.near;
         this.camera.far = 50000; // Increased for distant stars
         this.camera.updateProjectionMatrix();
         
@@ -279,8 +341,8 @@ class SolarSystem {
         this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
         this.controls.enableDamping = true;
         this.controls.dampingFactor = 0.05;
-        this.controls.minDistance = 10;
-        this.controls.maxDistance = 2000;
+        this.controls.minDistance = SolarSystem.SCALE_MODE_SETTINGS.compact.minDistance;
+        this.controls.maxDistance = SolarSystem.SCALE_MODE_SETTINGS.compact.maxDistance;
         
         // Add lighting that reflects space ambience
         this.setupLighting();
@@ -291,15 +353,29 @@ class SolarSystem {
         // Create the Sun
         this.createSun();
         
-        // Load all planets with realistic textures
-        this.loadAllPlanets();
+        // Band where liquid water could last, hidden until switched on
+        this.habitableZone = new HabitableZone(this.scene);
+        
+        // Load all planets and their moons with realistic textures; the body API waits
+        // for this
+        this.pendingBodyNames = new Set();
+        this.ready = this.loadAllPlanets();
+        
+        // Asteroid and Kuiper belts, sized for the device tier
+        this.smallBodyBelts = new SmallBodyBelts(this.scene, this.performanceSettings);
+        
+        // Lagrange points, Trojans and Hill spheres, hidden until switched on
+        this.lagrangePoints = new LagrangePoints(this.scene, this.performanceSettings);
         
-        // Add Earth's Moon
-        this.createMoon();
+        // Fading trails behind the planets and spaceships, hidden until switched on
+        this.motionTrails = new MotionTrails(this.scene, this.performanceSettings);
         
         // Initialize spaceship system
         this.initializeSpaceships();
         
+        // Voyager, Cassini, New Horizons and Juno replayed from their trajectory tables
+        this.historicalMissions = new HistoricalMissions(this);
+        
         // Setup UI controls
         this.setupUI();
         
@@ -345,6 +421,11 @@ class SolarSystem {
         this.sunGlowLight = new THREE.PointLight(0xff6600, 1.0, 100);
         this.sunGlowLight.position.set(0, 0, 0);
         this.scene.add(this.sunGlowLight);
+        
+        // The Sun's settings, which another star's light is tinted and scaled from
+        [this.sunLight, this.sunPointLight, this.sunGlowLight].forEach(light => {
+            light.userData = { baseColor: light.color.clone(), baseIntensity: light.intensity };
+        });
     }
     
     createStarField() {
@@ -458,7 +539,7 @@ class SolarSystem {
         loader.load('textures/sun.jpg', (texture) => {
             console.log('Successfully loaded Sun texture');
             this.updateProgress(); // Update loading progress
-            const sunGeometry = new THREE.SphereGeometry(10, 64, 64);
+            const sunGeometry = new THREE.SphereGeometry(SolarSystem.SUN_RADIUS, 64, 64);
             
             // Main Sun material with realistic glow
             const sunMaterial = new THREE.MeshStandardMaterial({
@@ -471,17 +552,18 @@ class SolarSystem {
             });
             
             this.sun = new THREE.Mesh(sunGeometry, sunMaterial);
-            this.scene.add(this.sun);
+            this.addSunToScene();
             
             // Create multiple glow layers for realistic effect
             this.createSunGlowEffects();
+            this.applyStarAppearance();
             
         }, (progress) => {
             console.log(`Loading Sun texture progress: ${(progress.loaded / progress.total * 100)}%`);
         }, (error) => {
             console.warn('Failed to load Sun texture, using fallback:', error);
             // Enhanced fallback sun with procedural glow
-            const sunGeometry = new THREE.SphereGeometry(10, 64, 64);
+            const sunGeometry = new THREE.SphereGeometry(SolarSystem.SUN_RADIUS, 64, 64);
             const sunMaterial = new THREE.MeshStandardMaterial({
                 color: 0xffaa00,
                 emissive: 0xff6600,
@@ -491,13 +573,27 @@ class SolarSystem {
             });
             
             this.sun = new THREE.Mesh(sunGeometry, sunMaterial);
-            this.scene.add(this.sun);
+            this.addSunToScene();
             
             // Create glow effects even for fallback
             this.createSunGlowEffects();
+            this.applyStarAppearance();
         });
     }
     
+    // The Sun spins about its own tilted pole like every other body
+    addSunToScene() {
+        // The Sun's colours, which another star is tinted from
+        this.sun.userData.baseColor = this.sun.material.color.clone();
+        this.sun.userData.baseEmissive = this.sun.material.emissive.clone();
+        
+        this.sunBody = this.createBodyHierarchy(this.sun, SolarSystem.SUN_ROTATION);
+        // The lights sit inside the Sun, so it must not block or catch shadows
+        this.sun.castShadow = false;
+        this.sun.receiveShadow = false;
+        this.scene.add(this.sunBody);
+    }
+    
     createSunGlowEffects() {
         // Inner glow - bright orange
         const innerGlowGeometry = new THREE.SphereGeometry(11.5, 32, 32);
@@ -543,42 +639,46 @@ class SolarSystem {
         const corona = new THREE.Mesh(coronaGeometry, coronaMaterial);
         this.scene.add(corona);
         
-        // Store glow effects for animation
+        // Store glow effects for animation, with the Sun's colour and opacity for each
         this.sunGlowEffects = [innerGlow, middleGlow, outerGlow, corona];
+        this.sunGlowEffects.forEach(glow => {
+            const opacity = glow.material.opacity;
+            glow.userData = { baseColor: glow.material.color.clone(), baseOpacity: opacity, opacity: opacity };
+        });
     }
     
-    createMoon() {
-        const loader = new THREE.TextureLoader();
-        loader.load('textures/moon.jpg', (texture) => {
-            const moonGeometry = new THREE.SphereGeometry(0.27 * this.planetScale, 16, 16);
-            const moonMaterial = new THREE.MeshStandardMaterial({ map: texture });
-            this.moon = new THREE.Mesh(moonGeometry, moonMaterial);
-            
-            // Enable shadows
-            this.moon.castShadow = true;
-            this.moon.receiveShadow = true;
-            
-            // Moon properties
-            this.moon.userData = {
-                name: 'Moon',
-                distance: 8, // Distance from Earth (scaled)
-                orbitSpeed: 0.036, // Faster than Earth's rotation
-                rotationSpeed: 0.0036, // Tidally locked (same as orbit)
-                angle: 0,
-                parentPlanet: 'Earth'
-            };
-            
-            this.scene.add(this.moon);
-            this.planets.push(this.moon);
-            
-            // Add to planet selector
-            const option = document.createElement('option');
-            option.value = 'Moon';
-            option.textContent = 'Moon';
-            document.getElementById('followPlanet').appendChild(option);
-        }, undefined, (error) => {
-            console.warn('Failed to load Moon texture');
+    // Draw the star, its glow and its light for this.star. They are all tuned for the
+    // Sun, so another star is drawn relative to it: tinted by its colour over the Sun's,
+    // brighter or dimmer with its luminosity and larger or smaller with its radius, each
+    // compressed as the distances are so that a red dwarf still shows.
+    applyStarAppearance() {
+        const star = this.star;
+        const sunColor = new THREE.Color(SolarSystem.SUN.color);
+        const tint = new THREE.Color(star.color);
+        tint.setRGB(tint.r / sunColor.r, tint.g / sunColor.g, tint.b / sunColor.b);
+        tint.multiplyScalar(1 / Math.max(tint.r, tint.g, tint.b));
+        
+        const brightness = THREE.MathUtils.clamp(Math.pow(star.luminosity, SolarSystem.STAR_BRIGHTNESS_EXPONENT),
+            SolarSystem.MIN_STAR_BRIGHTNESS, SolarSystem.MAX_STAR_BRIGHTNESS);
+        this.starScale = THREE.MathUtils.clamp(Math.sqrt(star.radius), SolarSystem.MIN_STAR_SCALE, SolarSystem.MAX_STAR_SCALE);
+        
+        [this.sunLight, this.sunPointLight, this.sunGlowLight].forEach(light => {
+            light.color.copy(light.userData.baseColor).multiply(tint);
+            light.intensity = light.userData.baseIntensity * brightness;
         });
+        if (this.sun) {
+            this.sun.material.color.copy(this.sun.userData.baseColor).multiply(tint);
+            this.sun.material.emissive.copy(this.sun.userData.baseEmissive).multiply(tint);
+        }
+        if (this.sunGlowEffects) {
+            this.sunGlowEffects.forEach(glow => {
+                glow.material.color.copy(glow.userData.baseColor).multiply(tint);
+                glow.userData.opacity = Math.min(1, glow.userData.baseOpacity * brightness);
+            });
+        }
+        
+        this.updateBodyScales();
+        if (this.habitableZone) this.habitableZone.setStar(star);
     }
     
     createSaturnRings(saturnPlanet) {
@@ -724,6 +824,8 @@ class SolarSystem {
         
         glow.userData = {
             rotationSpeed: segment.speed * 0.7,
+            baseOpacity: glowMaterial.opacity,
+            index: index,
             isGlow: true
         };
         
@@ -926,281 +1028,426 @@ class SolarSystem {
         this.saturnRings.push(particles);
     }
     
-    // Reusable function to create each planet with realistic properties
-    loadPlanet(name, size, distance, texturePath, orbitSpeed, rotationSpeed, planetData) {
+    // Create a body from its catalog definition (see BodyCatalog), then its moons. kind is
+    // 'planet', 'dwarfPlanet' or 'moon'; moons go around parent. Resolves to the body.
+    loadBody(definition, kind, parent = null) {
+        // Keep the smallest moons (Phobos, Deimos) large enough to see and click
+        const size = kind === 'moon' ? Math.max(definition.size, SolarSystem.MIN_MOON_SIZE) : definition.size;
+        const segments = kind === 'planet' ? 32 : 24;
+        const geometry = new THREE.SphereGeometry(size * this.planetScale, segments, segments);
+        
+        return this.loadBodyMaterial(definition.name, definition.texturePath, definition.fallbackColor, kind !== 'planet')
+            .then(material => {
+                const mesh = new THREE.Mesh(geometry, material);
+                if (kind === 'moon') {
+                    return this.addMoonBody(mesh, parent, definition);
+                }
+                const body = this.addPlanetBody(mesh, definition, kind);
+                return this.loadMoons(body, definition.moons).then(() => body);
+            });
+    }
+    
+    // Load every moon declared for a planet once the planet itself is in the scene
+    loadMoons(parent, moons = []) {
+        return Promise.all(moons.map(moon => this.loadBody(moon, 'moon', parent)));
+    }
+    
+    // Textured material for a body. Without a texture, or if it fails to load, planets
+    // are drawn in their fallback colour and smaller bodies get a procedural surface.
+    loadBodyMaterial(name, texturePath, fallbackColor = 0x888888, procedural = true) {
         return new Promise((resolve) => {
-            const geometry = new THREE.SphereGeometry(size * this.planetScale, 32, 32);
-            
-            // Create material with texture
-            const loader = new THREE.TextureLoader();
-            
-            // Define fallback colors for each planet
-            const fallbackColors = {
-                'Mercury': 0x8C7853,
-                'Venus': 0xFFC649,
-                'Earth': 0x6B93D6,
-                'Mars': 0xCD5C5C,
-                'Jupiter': 0xF4A460,
-                'Saturn': 0xFAD5A5,
-                'Uranus': 0x4FD0E7,
-                'Neptune': 0x4169E1
+            const createFallbackMaterial = () => {
+                resolve(new THREE.MeshStandardMaterial(procedural ?
+                    { map: ProceduralTextures.createRockyTexture(fallbackColor, name) } :
+                    { color: fallbackColor }));
             };
             
+            if (!texturePath) {
+                createFallbackMaterial();
+                return;
+            }
+            
             console.log(`Loading texture for ${name}: ${texturePath}`);
+            const loader = new THREE.TextureLoader();
+            loader.load(texturePath, (texture) => {
+                resolve(new THREE.MeshStandardMaterial({ map: texture }));
+            }, undefined, (error) => {
+                console.warn(`Failed to load texture for ${name}, using ${procedural ? 'a procedural surface' : 'its fallback colour'}:`, error);
+                createFallbackMaterial();
+            });
+        });
+    }
+    
+    // Wrap a planet or dwarf planet mesh in its transform hierarchy and add it to the scene
+    addPlanetBody(mesh, planet, kind) {
+        const body = this.createBodyHierarchy(mesh, planet.rotation);
+        body.userData.geometryRadius = mesh.geometry.parameters.radius;
+        this.applyPlanetDefinition(body, planet, kind);
+        
+        this.scene.add(body);
+        this.planets.push(body);
+        
+        // Special handling for Saturn - rings lie in the equatorial plane
+        if (planet.name === 'Saturn') {
+            this.createSaturnRings(body.userData.poleFrame);
+        }
+        
+        // Add to planet selector
+        this.addSelectorOption(planet.name);
+        
+        // Planets have a voice in the soundscape, pitched by where they sit in the compact
+        // layout, so another star's planets sound like the Sun's planets in their places
+        if (kind === 'planet') {
+            this.audioSystem.addPlanetVoice(planet.name.toLowerCase(),
+                DistanceScale.fromCompactScene(body.userData.distance, DistanceScale.ANCHORS));
+        }
+        
+        return body;
+    }
+    
+    // Place, size and spin a planet or dwarf planet from its definition, when it is
+    // created and whenever updateBody changes it
+    applyPlanetDefinition(body, planet, kind) {
+        const data = body.userData;
+        
+        // In compact mode the scene distance is the semi-major axis, so the real ellipse
+        // is scaled to fit. Planets without catalog elements follow the ephemeris.
+        const distance = DistanceScale.toCompactScene(planet.semiMajorAxis);
+        const elements = planet.orbit ?
+            Ephemeris.propagateElements(planet.orbit, this.clock.julianDate) :
+            Ephemeris.getElements(planet.name, this.clock.julianDate);
+        
+        Object.assign(data, {
+            name: planet.name,
+            distance: distance,
+            // Relative spin rate (Earth = 0.01), used to modulate the planetary audio
+            rotationSpeed: 0.01 * SolarSystem.EARTH_ROTATION_PERIOD / planet.rotation.rotationPeriod,
+            elements: elements,
+            // Semi-major axis the compact distance was chosen for
+            referenceAxis: elements.semiMajorAxis,
+            orbitScale: distance / elements.semiMajorAxis,
+            size: planet.size,
+            displaySize: planet.size,
+            bodyKind: kind,
+            catalogEntry: planet,
+            ...planet.data,
+            orbit: planet.orbit || undefined,
+            color: planet.fallbackColor
+        });
+        this.setBodyRotation(body, planet.rotation);
+        data.mesh.scale.fromArray(planet.shape || [1, 1, 1]);
+        
+        this.updateOrbitScale(body);
+        this.updateBodyScale(body);
+        const meanAnomaly = THREE.MathUtils.degToRad(elements.meanAnomalyAtEpoch);
+        OrbitalMechanics.getPosition(elements, meanAnomaly, data.orbitScale, body.position);
+        
+        this.removeOrbitPath(body);
+        this.attachOrbitPath(body, this.createOrbitPath(elements, data.orbitScale));
+    }
+    
+    // Wrap a moon mesh in its transform hierarchy and attach its orbit to the parent
+    addMoonBody(mesh, parent, moon) {
+        const body = this.createBodyHierarchy(mesh, moon.rotation || this.getSynchronousRotation(parent, moon.orbit));
+        
+        // The orbit frame travels with the parent
+        const orbitFrame = new THREE.Group();
+        this.scene.add(orbitFrame);
+        Object.assign(body.userData, {
+            orbitFrame: orbitFrame,
+            geometryRadius: mesh.geometry.parameters.radius
+        });
+        this.applyMoonDefinition(body, parent, moon);
+        
+        this.scene.add(body);
+        this.planets.push(body);
+        
+        // Grouped under its parent in the planet selector
+        this.addSelectorOption(moon.name, parent.userData.name);
+        
+        return body;
+    }
+    
+    // Place, size and spin a moon from its definition, when it is created and whenever
+    // it or its parent changes
+    applyMoonDefinition(body, parent, moon) {
+        const data = body.userData;
+        
+        // Orbits are measured against the parent's equator unless the moon declares the
+        // ecliptic as its reference plane
+        if (moon.referencePlane !== 'ecliptic') {
+            data.orbitFrame.quaternion.copy(parent.userData.poleFrame.quaternion);
+        } else {
+            data.orbitFrame.quaternion.identity();
+        }
+        
+        Object.assign(data, {
+            name: moon.name,
+            distance: moon.distance,
+            parentPlanet: parent.userData.name,
+            parentBody: parent,
+            orbit: moon.orbit,
+            referencePlane: moon.referencePlane || 'equator',
+            elements: Ephemeris.propagateElements(moon.orbit, this.clock.julianDate),
+            orbitScale: moon.distance / moon.orbit.semiMajorAxis,
+            size: moon.size,
+            displaySize: Math.max(moon.size, SolarSystem.MIN_MOON_SIZE),
+            bodyKind: 'moon',
+            catalogEntry: moon,
+            ...moon.data
+        });
+        this.setBodyRotation(body, moon.rotation || this.getSynchronousRotation(parent, moon.orbit));
+        
+        this.updateBodyScale(body);
+        this.updateOrbitScale(body);
+        this.updateMoonPosition(body, this.clock.julianDate);
+        
+        this.removeOrbitPath(body);
+        this.attachOrbitPath(body, this.createOrbitPath(data.elements, data.orbitScale, data.orbitFrame));
+    }
+    
+    // Tidally locked spin about the parent's pole, with the near side facing the parent at J2000
+    getSynchronousRotation(parent, orbit) {
+        const retrograde = orbit.inclination > 90;
+        const start = OrbitalMechanics.getPosition(orbit, THREE.MathUtils.degToRad(orbit.meanAnomalyAtEpoch));
+        const longitude = THREE.MathUtils.radToDeg(Math.atan2(-start.z, start.x));
+        
+        return {
+            axialTilt: 0,
+            rotationPeriod: (retrograde ? -24 : 24) * orbit.period,
+            pole: parent.userData.pole,
+            primeMeridian: longitude + 180
+        };
+    }
+    
+    // Orbits are redrawn by scaling their lines rather than rebuilding them
+    attachOrbitPath(body, orbitPath) {
+        orbitPath.visible = this.showOrbits;
+        body.userData.orbitPath = orbitPath;
+        body.userData.orbitPathScale = body.userData.orbitScale;
+    }
+    
+    removeOrbitPath(body) {
+        const orbitPath = body.userData.orbitPath;
+        if (!orbitPath) return;
+        
+        orbitPath.parent.remove(orbitPath);
+        orbitPath.geometry.dispose();
+        orbitPath.material.dispose();
+        this.orbitPaths = this.orbitPaths.filter(orbit => orbit !== orbitPath);
+        body.userData.orbitPath = null;
+    }
+    
+    // Scene units per AU (planets) or per km (moons) of a body's orbit in the current
+    // distance scale. Compact mode keeps the hand-picked planet and moon distances; moons
+    // are only to scale in true mode, as their orbits would vanish inside the planets
+    // in the other two.
+    updateOrbitScale(body) {
+        const data = body.userData;
+        
+        if (data.parentBody) {
+            data.orbitScale = DistanceScale.blend(mode => mode === 'true' ?
+                DistanceScale.kmToTrueScene(1) :
+                data.distance / data.orbit.semiMajorAxis);
+        } else {
+            data.orbitScale = DistanceScale.blend(mode => mode === 'compact' ?
+                data.distance / data.referenceAxis :
+                DistanceScale.toSceneInMode(data.referenceAxis, mode) / data.referenceAxis);
+        }
+        
+        if (data.orbitPath) {
+            data.orbitPath.scale.setScalar(data.orbitScale / data.orbitPathScale);
+        }
+    }
+    
+    // Radius of a body in the current scale mode: its real size in true mode, otherwise
+    // its display size inflated by the planet scale slider
+    updateBodyScale(body) {
+        const data = body.userData;
+        const radius = DistanceScale.blend(mode => mode === 'true' ?
+            DistanceScale.kmToTrueScene(data.size * SolarSystem.EARTH_RADIUS_KM) :
+            data.displaySize * this.planetScale);
+        body.scale.setScalar(radius / data.geometryRadius);
+    }
+    
+    updateBodyScales() {
+        this.planets.forEach(body => this.updateBodyScale(body));
+        
+        // The star and its glow layers shrink together
+        const sunScale = DistanceScale.blend(mode => mode === 'true' ?
+            DistanceScale.kmToTrueScene(this.star.radius * SolarSystem.SUN_RADIUS_KM) / SolarSystem.SUN_RADIUS :
+            this.starScale);
+        if (this.sunBody) {
+            this.sunBody.scale.setScalar(sunScale);
+        }
+        if (this.sunGlowEffects) {
+            this.sunGlowEffects.forEach(glow => glow.scale.setScalar(sunScale));
+        }
+    }
+    
+    // Place a moon around its parent for the given date
+    updateMoonPosition(moon, julianDate) {
+        const data = moon.userData;
+        const parentPosition = data.parentBody.position;
+        
+        data.elements = Ephemeris.propagateElements(data.orbit, julianDate);
+        const meanAnomaly = THREE.MathUtils.degToRad(data.elements.meanAnomalyAtEpoch);
+        OrbitalMechanics.getPosition(data.elements, meanAnomaly, data.orbitScale, moon.position);
+        
+        moon.position.applyQuaternion(data.orbitFrame.quaternion).add(parentPosition);
+        data.orbitFrame.position.copy(parentPosition);
+    }
+    
+    // Add a body to the follow selector; moons go into an option group with their parent,
+    // other groups (e.g. comets) into a group of their own. labelKey is the group's
+    // label in the locale bundles.
+    addSelectorOption(name, parentName = null, labelKey = 'ui.follow.system') {
+        const select = document.getElementById('followPlanet');
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = this.getBodyName(name);
+        
+        if (!parentName) {
+            select.appendChild(option);
+            return;
+        }
+        
+        let group = Array.from(select.querySelectorAll('optgroup')).find(g => g.dataset.parent === parentName);
+        if (!group) {
+            group = document.createElement('optgroup');
+            group.label = I18n.t(labelKey, { name: this.getBodyName(parentName) });
+            group.dataset.parent = parentName;
+            group.dataset.labelKey = labelKey;
             
-            loader.load(
-                texturePath,
-                (texture) => {
-                    console.log(`Successfully loaded texture for ${name}`);
-                    this.updateProgress(); // Update loading progress
-                    const material = new THREE.MeshStandardMaterial({ map: texture });
-                    const planet = new THREE.Mesh(geometry, material);
-                    
-                    // Enable shadows
-                    planet.castShadow = true;
-                    planet.receiveShadow = true;
-                    
-                    // Set initial position
-                    planet.position.x = distance;
-                    planet.position.y = 0;
-                    planet.position.z = 0;
-                    
-                    // Store planet properties
-                    planet.userData = {
-                        name: name,
-                        distance: distance,
-                        orbitSpeed: orbitSpeed,
-                        rotationSpeed: rotationSpeed,
-                        angle: Math.random() * Math.PI * 2, // Random starting position
-                        size: size,
-                        ...planetData
-                    };
-                    
-                    this.scene.add(planet);
-                    this.planets.push(planet);
-                    
-                    // Special handling for Saturn - add rings
-                    if (name === 'Saturn') {
-                        this.createSaturnRings(planet);
-                    }
-                    
-                    // Create orbit path
-                    if (this.showOrbits) {
-                        this.createOrbitPath(distance);
-                    }
-                    
-                    // Add to planet selector
-                    const option = document.createElement('option');
-                    option.value = name;
-                    option.textContent = name;
-                    document.getElementById('followPlanet').appendChild(option);
-                    
-                    resolve(planet);
-                },
-                (progress) => {
-                    console.log(`Loading progress for ${name}: ${(progress.loaded / progress.total * 100)}%`);
-                },
-                (error) => {
-                    console.warn(`Failed to load texture for ${name}:`, error);
-                    console.log(`Using fallback color for ${name}`);
-                    
-                    // Create planet with fallback color
-                    const material = new THREE.MeshStandardMaterial({ 
-                        color: fallbackColors[name] || 0x888888 
-                    });
-                    const planet = new THREE.Mesh(geometry, material);
-                    
-                    // Enable shadows
-                    planet.castShadow = true;
-                    planet.receiveShadow = true;
-                    
-                    planet.position.x = distance;
-                    planet.userData = {
-                        name: name,
-                        distance: distance,
-                        orbitSpeed: orbitSpeed,
-                        rotationSpeed: rotationSpeed,
-                        angle: Math.random() * Math.PI * 2,
-                        size: size,
-                        ...planetData
-                    };
-                    
-                    this.scene.add(planet);
-                    this.planets.push(planet);
-                    
-                    // Special handling for Saturn - add rings
-                    if (name === 'Saturn') {
-                        this.createSaturnRings(planet);
-                    }
-                    
-                    // Create orbit path
-                    if (this.showOrbits) {
-                        this.createOrbitPath(distance);
-                    }
-                    
-                    // Add to planet selector
-                    const option = document.createElement('option');
-                    option.value = name;
-                    option.textContent = name;
-                    document.getElementById('followPlanet').appendChild(option);
-                    
-                    resolve(planet);
-                }
-            );
+            // Move the parent's own entry to the top of its group
+            const parentOption = Array.from(select.options).find(o => o.value === parentName);
+            if (parentOption) {
+                select.insertBefore(group, parentOption);
+                group.appendChild(parentOption);
+            } else {
+                select.appendChild(group);
+            }
+        }
+        group.appendChild(option);
+    }
+    
+    // Relabel the follow selector in the current language; the values stay the names
+    translateSelector() {
+        const select = document.getElementById('followPlanet');
+        Array.from(select.options).forEach(option => {
+            if (option.value) option.textContent = this.getBodyName(option.value);
+        });
+        select.querySelectorAll('optgroup').forEach(group => {
+            group.label = I18n.t(group.dataset.labelKey, { name: this.getBodyName(group.dataset.parent) });
         });
     }
     
-    createOrbitPath(distance) {
-        const orbitGeometry = new THREE.RingGeometry(distance - 0.5, distance + 0.5, 64);
-        const orbitMaterial = new THREE.MeshBasicMaterial({
-            color: 0x444444,
+    // Take a body out of the follow selector, dropping its option group once empty
+    removeSelectorOption(name) {
+        const select = document.getElementById('followPlanet');
+        const option = Array.from(select.options).find(o => o.value === name);
+        if (!option) return;
+        
+        const group = option.parentElement;
+        option.remove();
+        if (group.tagName === 'OPTGROUP' && group.children.length === 0) {
+            group.remove();
+        }
+    }
+    
+    // Build the body -> pole frame -> mesh hierarchy. The body group carries the orbital
+    // position, the pole frame tilts the equator to the body's real rotation axis and the
+    // mesh spins about that axis. Returns the body group.
+    createBodyHierarchy(mesh, rotation) {
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        
+        const poleFrame = new THREE.Group();
+        poleFrame.add(mesh);
+        
+        const body = new THREE.Group();
+        body.add(poleFrame);
+        body.userData = {
+            poleFrame: poleFrame,
+            mesh: mesh
+        };
+        this.setBodyRotation(body, rotation);
+        
+        return body;
+    }
+    
+    // Tilt the pole frame to the body's rotation axis and keep its spin
+    setBodyRotation(body, rotation) {
+        const data = body.userData;
+        OrbitalMechanics.getPoleOrientation(rotation.pole, data.poleFrame.quaternion);
+        Object.assign(data, {
+            axialTilt: rotation.axialTilt,
+            rotationPeriod: rotation.rotationPeriod,
+            primeMeridian: rotation.primeMeridian,
+            pole: rotation.pole
+        });
+    }
+    
+    // Spin a body's mesh to its prime meridian angle for the given date
+    updateBodyRotation(body, julianDate) {
+        const data = body.userData;
+        data.mesh.rotation.y = OrbitalMechanics.getPrimeMeridianAngle(data.primeMeridian, data.rotationPeriod, julianDate);
+    }
+    
+    // Find the selectable body that owns a raycast hit (e.g. a ring particle or the spinning mesh)
+    getBodyFromObject(object) {
+        let current = object;
+        while (current) {
+            if (this.planets.includes(current)) return current;
+            current = current.parent;
+        }
+        return null;
+    }
+    
+    // The ship group a mesh belongs to; glTF models nest their meshes several levels down
+    getSpaceshipFromObject(object) {
+        let current = object;
+        while (current) {
+            if (this.spaceshipSystem.spaceships.includes(current)) return current;
+            current = current.parent;
+        }
+        return null;
+    }
+    
+    createOrbitPath(elements, orbitScale, parent = this.scene) {
+        // Trace the actual Keplerian ellipse, including its tilt out of the ecliptic
+        const points = OrbitalMechanics.createOrbitPoints(elements, orbitScale);
+        const orbitGeometry = new THREE.BufferGeometry().setFromPoints(points);
+        const orbitMaterial = new THREE.LineBasicMaterial({
+            color: 0x666666,
             transparent: true,
-            opacity: 0.2,
-            side: THREE.DoubleSide
+            opacity: 0.4
         });
         
-        const orbitPath = new THREE.Mesh(orbitGeometry, orbitMaterial);
-        orbitPath.rotation.x = Math.PI / 2;
-        this.scene.add(orbitPath);
+        const orbitPath = new THREE.LineLoop(orbitGeometry, orbitMaterial);
+        parent.add(orbitPath);
         this.orbitPaths.push(orbitPath);
+        return orbitPath;
     }
     
+    // Planets, moons and dwarf planets come from the body catalog (see BodyCatalog);
+    // ?catalog=catalogs/other.json swaps in another one, which may be another star's
+    // system. Planets sit at the compact scene distance their semi-major axis maps to,
+    // and follow the ephemeris for the current date unless the catalog gives them fixed
+    // elements.
     async loadAllPlanets() {
-        // Planet data with realistic orbital distances (scaled down) and speeds
-        const planetData = [
-            {
-                name: 'Mercury',
-                size: 0.38,
-                distance: 40,
-                texturePath: 'textures/mercury.jpg',
-                orbitSpeed: 0.024,
-                rotationSpeed: 0.004,
-                data: {
-                    realDistance: '57.9 million km',
-                    period: '88 Earth days',
-                    diameter: '4,879 km',
-                    type: 'Terrestrial'
-                }
-            },
-            {
-                name: 'Venus',
-                size: 0.95,
-                distance: 70,
-                texturePath: 'textures/venus.jpg',
-                orbitSpeed: 0.015,
-                rotationSpeed: -0.002, // Retrograde rotation
-                data: {
-                    realDistance: '108.2 million km',
-                    period: '225 Earth days',
-                    diameter: '12,104 km',
-                    type: 'Terrestrial'
-                }
-            },
-            {
-                name: 'Earth',
-                size: 1.0,
-                distance: 100,
-                texturePath: 'textures/earth.jpg',
-                orbitSpeed: 0.01,
-                rotationSpeed: 0.01,
-                data: {
-                    realDistance: '149.6 million km',
-                    period: '365.25 days',
-                    diameter: '12,756 km',
-                    type: 'Terrestrial'
-                }
-            },
-            {
-                name: 'Mars',
-                size: 0.53,
-                distance: 150,
-                texturePath: 'textures/mars.jpg',
-                orbitSpeed: 0.008,
-                rotationSpeed: 0.009,
-                data: {
-                    realDistance: '227.9 million km',
-                    period: '687 Earth days',
-                    diameter: '6,792 km',
-                    type: 'Terrestrial'
-                }
-            },
-            {
-                name: 'Jupiter',
-                size: 11.2,
-                distance: 250,
-                texturePath: 'textures/jupiter.jpg',
-                orbitSpeed: 0.002,
-                rotationSpeed: 0.04,
-                data: {
-                    realDistance: '778.5 million km',
-                    period: '11.86 Earth years',
-                    diameter: '142,984 km',
-                    type: 'Gas Giant'
-                }
-            },
-            {
-                name: 'Saturn',
-                size: 9.5,
-                distance: 350,
-                texturePath: 'textures/saturn.jpg',
-                orbitSpeed: 0.0009,
-                rotationSpeed: 0.038,
-                data: {
-                    realDistance: '1.43 billion km',
-                    period: '29.46 Earth years',
-                    diameter: '120,536 km',
-                    type: 'Gas Giant'
-                }
-            },
-            {
-                name: 'Uranus',
-                size: 4.0,
-                distance: 450,
-                texturePath: 'textures/uranus.jpg',
-                orbitSpeed: 0.0004,
-                rotationSpeed: 0.03,
-                data: {
-                    realDistance: '2.87 billion km',
-                    period: '84 Earth years',
-                    diameter: '51,118 km',
-                    type: 'Ice Giant'
-                }
-            },
-            {
-                name: 'Neptune',
-                size: 3.9,
-                distance: 550,
-                texturePath: 'textures/neptune.jpg',
-                orbitSpeed: 0.0001,
-                rotationSpeed: 0.032,
-                data: {
-                    realDistance: '4.5 billion km',
-                    period: '165 Earth years',
-                    diameter: '49,528 km',
-                    type: 'Ice Giant'
-                }
-            }
-        ];
-        
-        // Load all planets
-        const loadPromises = planetData.map(planet => 
-            this.loadPlanet(
-                planet.name,
-                planet.size,
-                planet.distance,
-                planet.texturePath,
-                planet.orbitSpeed,
-                planet.rotationSpeed,
-                planet.data
-            )
-        );
+        const catalog = await this.loadCatalog();
+        this.setStar(catalog);
         
         try {
-            await Promise.all(loadPromises);
+            await this.loadCatalogBodies(catalog, true);
             console.log('All planets loaded successfully');
         } catch (error) {
             console.warn('Some planets failed to load:', error);
         } finally {
+            // Ships orbiting planets and moons can be placed from now on
+            if (this.spaceshipSystem) this.spaceshipSystem.bodiesLoaded = true;
+            
             // Hide loading screen and show controls
             document.getElementById('loading').style.display = 'none';
             document.getElementById('controls').style.display = 'block';
@@ -1208,28 +1455,498 @@ class SolarSystem {
         }
     }
     
+    // The catalog named by ?catalog=, or the bundled one if there is none or it is
+    // rejected. Problems are listed in the console with where they are in the file, in
+    // the interface language.
+    async loadCatalog() {
+        await I18n.ready;
+        const url = new URLSearchParams(window.location.search).get('catalog');
+        if (url) {
+            const catalog = await BodyCatalog.load(url);
+            if (catalog.errors.length === 0) {
+                console.log(`Loaded body catalog ${catalog.name || url}`);
+                this.setSystemSource(url, catalog);
+                return catalog;
+            }
+            console.warn(`Body catalog ${url} rejected, using ${SolarSystem.DEFAULT_CATALOG}:\n${catalog.errors.join('\n')}`);
+        }
+        
+        const catalog = await BodyCatalog.load(SolarSystem.DEFAULT_CATALOG);
+        this.setSystemSource(SolarSystem.DEFAULT_CATALOG, catalog);
+        if (catalog.errors.length > 0) {
+            console.warn(`Body catalog ${SolarSystem.DEFAULT_CATALOG} rejected:\n${catalog.errors.join('\n')}`);
+            return { name: null, star: null, planets: [], dwarfPlanets: [], errors: catalog.errors };
+        }
+        return catalog;
+    }
+    
+    // Load a catalog's planets, then their moons and its dwarf planets, and the comets
+    // if it is the Solar System. The loading progress counts the planet textures.
+    async loadCatalogBodies(catalog, countProgress = false) {
+        await Promise.all(catalog.planets.map(planet =>
+            this.loadBody(planet, 'planet').then(body => {
+                if (countProgress && body.userData.mesh.material.map) this.updateProgress();
+            })
+        ));
+        // Dwarf planets and comets come after the planets, so the selector lists them in order
+        await Promise.all(catalog.dwarfPlanets.map(dwarf => this.loadBody(dwarf, 'dwarfPlanet')));
+        if (!catalog.star) this.initializeComets();
+    }
+    
+    // Star systems: the Solar System and the other stars in SolarSystem.SYSTEMS, or any
+    // catalog with a star block (see BodyCatalog), from a URL or a file:
+    //
+    //     await solarSystemApp.loadSystem('catalogs/trappist-1.json');
+    //
+    // Switching tears down every catalog body with its orbit, selector entry and voice
+    // and builds the new ones, and redraws the star and its habitable zone. The belts,
+    // comets, historical missions, spaceships, gravity sandbox and mission planner
+    // belong to the Solar System and are set aside while another star is shown.
+    
+    // Switch to the catalog at url. Resolves to whether it was loaded; a rejected catalog
+    // changes nothing and its problems are logged and listed under the file picker.
+    async loadSystem(url) {
+        await this.ready;
+        return this.switchSystem(await BodyCatalog.load(url), url);
+    }
+    
+    // Switch to an already validated catalog (see BodyCatalog.validate); source names
+    // it in the picker and the console
+    async switchSystem(catalog, source) {
+        const errors = [...catalog.errors];
+        if (errors.length === 0 && !this.canChangeBodies()) {
+            errors.push(I18n.t('files.sandboxOn'));
+        }
+        if (errors.length > 0) {
+            console.warn(`Star system ${source} rejected:\n${errors.join('\n')}`);
+            this.showFileErrors(document.getElementById('systemStatus'), errors);
+            this.updateSystemSelect();
+            return false;
+        }
+        
+        await this.queueBodyChange(() => this.replaceSystem(catalog, source));
+        
+        const status = document.getElementById('systemStatus');
+        status.textContent = I18n.plural('files.systemLoaded', this.listBodies().length, {
+            name: catalog.name ? I18n.translate('systems', catalog.name) : source,
+            star: this.getBodyName(this.star.name)
+        });
+        status.classList.remove('error');
+        console.log(`Loaded star system ${catalog.name || source}`);
+        return true;
+    }
+    
+    async replaceSystem(catalog, source) {
+        // Moons first, so their selector groups go once they are empty
+        const bodies = this.planets.filter(body => body.userData.catalogEntry);
+        const moons = bodies.filter(body => body.userData.bodyKind === 'moon');
+        [...moons, ...bodies.filter(body => !moons.includes(body))].forEach(body => this.disposeBody(body));
+        if (this.cometSystem) this.removeComets();
+        document.getElementById('followPlanet').value = '';
+        this.motionTrails.clear();
+        
+        this.setSystemSource(source, catalog);
+        this.setStar(catalog);
+        try {
+            await this.loadCatalogBodies(catalog);
+        } catch (error) {
+            console.warn('Some bodies failed to load:', error);
+        }
+        this.onBodiesChanged();
+        this.showStarInfo();
+    }
+    
+    // Put the catalog's star at the centre, the Sun if it has none, and fit the distance
+    // scale to its planets
+    setStar(catalog) {
+        this.star = catalog.star || SolarSystem.SUN;
+        DistanceScale.setSystem(catalog.star ? catalog.planets.map(planet => planet.semiMajorAxis) : null);
+        this.applyStarAppearance();
+        this.setSolarSystemExtras(!catalog.star);
+    }
+    
+    // Show or set aside everything that only makes sense around the Sun. The checkboxes
+    // keep their state for when the Solar System comes back.
+    setSolarSystemExtras(enabled) {
+        if (enabled === this.solarSystemExtras) return;
+        this.solarSystemExtras = enabled;
+        
+        const showMissions = document.getElementById('showMissions');
+        const showSpaceships = document.getElementById('showSpaceships');
+        [showMissions, showSpaceships, 'fleetFile', 'pilotShip', 'sandboxMode'].forEach(input => {
+            const element = typeof input === 'string' ? document.getElementById(input) : input;
+            if (element) element.disabled = !enabled;
+        });
+        
+        if (this.smallBodyBelts) this.smallBodyBelts.setVisibility(enabled);
+        if (this.historicalMissions) {
+            this.historicalMissions.setVisibility(enabled && showMissions.checked);
+        }
+        if (this.spaceshipSystem) {
+            const visible = enabled && showSpaceships.checked;
+            this.spaceshipSystem.setVisibility(visible);
+            this.spaceshipSystem.setOrbitVisibility(visible && this.showOrbits);
+        }
+        if (!enabled && this.shipPilot && this.shipPilot.active) this.shipPilot.exit();
+        
+        const planner = document.getElementById('missionPlanner');
+        if (planner) planner.style.display = enabled ? '' : 'none';
+        if (!enabled && this.missionPlanner) this.missionPlanner.clearPlan();
+        if (!enabled && this.porkchopPlot) this.porkchopPlot.close();
+    }
+    
+    // Take the comets out of the scene and the selector
+    removeComets() {
+        this.cometSystem.comets.forEach(comet => {
+            this.planets.splice(this.planets.indexOf(comet), 1);
+            this.removeSelectorOption(comet.userData.name);
+            if (this.followTarget === comet) this.followTarget = null;
+            if (this.currentPlanet === comet) this.currentPlanet = null;
+        });
+        this.cometSystem.dispose();
+        this.cometSystem = null;
+    }
+    
+    // Remember where the bodies came from. Catalogs that aren't bundled get an entry of
+    // their own in the picker, so they can be switched back to.
+    setSystemSource(source, catalog) {
+        this.systemSource = source;
+        const bundled = SolarSystem.SYSTEMS.some(system => system.url === source);
+        if (!bundled) this.customCatalog = { source: source, catalog: catalog };
+        this.updateSystemSelect();
+    }
+    
+    updateSystemSelect() {
+        const select = document.getElementById('starSystem');
+        if (!select) return;
+        
+        let custom = select.querySelector('option[data-custom]');
+        if (this.customCatalog) {
+            if (!custom) {
+                custom = document.createElement('option');
+                custom.dataset.custom = 'true';
+                select.appendChild(custom);
+            }
+            custom.value = this.customCatalog.source;
+            custom.textContent = this.customCatalog.catalog.name || this.customCatalog.source;
+        }
+        select.value = this.systemSource || '';
+    }
+    
+    // Runtime body API, for scripts such as lessons that add a hypothetical planet:
+    //
+    //     await solarSystemApp.addBody({ name: 'Vulcan', radius: 3000, mass: 3e23,
+    //         semiMajorAxis: 0.2, period: 32.7, rotation: { period: 100 },
+    //         orbit: { eccentricity: 0.05, inclination: 3 } });
+    //     await solarSystemApp.updateBody('Earth', { semiMajorAxis: 1.2, period: 480 });
+    //     await solarSystemApp.removeBody('Saturn');
+    //
+    // Bodies are described as in the body catalog (see BodyCatalog), with "parent" naming
+    // the planet or dwarf planet a moon orbits and "kind": "dwarfPlanet" for a dwarf
+    // planet. As with spaceships, an invalid definition changes nothing and the reasons
+    // are logged. Comets and gravity sandbox bodies are not part of the API. Calls take
+    // effect one at a time, in the order they are made (see queueBodyChange).
+    
+    // Add a body, and any moons it lists. Resolves to its definition, or null.
+    addBody(definition) {
+        return this.queueBodyChange(() => this.insertBody(definition));
+    }
+    
+    // Change some of a body's catalog fields, e.g. { mass: 1.2e25 }; orbit and rotation
+    // changes are merged with the current ones. A planet given a new semi-major axis or
+    // period leaves the ephemeris for fixed elements. Resolves to the new definition, or null.
+    updateBody(name, changes) {
+        return this.queueBodyChange(() => this.changeBody(name, changes));
+    }
+    
+    // Remove a body, with its moons. Resolves to whether it existed.
+    removeBody(name) {
+        return this.queueBodyChange(() => this.deleteBody(name));
+    }
+    
+    // Star system switches and body API calls wait for the one before to finish, so
+    // none of them sees the bodies half loaded or half removed. Resolves to task's result.
+    queueBodyChange(task) {
+        const result = this.ready.then(task);
+        // A change that fails doesn't hold up the ones after it
+        this.ready = result.catch(() => {});
+        return result;
+    }
+    
+    async insertBody(definition) {
+        const result = BodyCatalog.validateEntry(definition, this.getBodyNames());
+        const parent = result.parent && this.findCatalogBody(result.parent);
+        if (result.parent && (!parent || parent.userData.bodyKind === 'moon')) {
+            result.errors.push(I18n.t('validator.noParentBody', { path: 'body.parent', name: result.parent }));
+        }
+        if (result.errors.length === 0 && !this.canChangeBodies()) {
+            result.errors.push(I18n.t('validator.sandboxOn', { path: 'body' }));
+        }
+        if (result.errors.length > 0) {
+            console.warn(`Body not added:\n${result.errors.join('\n')}`);
+            return null;
+        }
+        
+        // The name stays taken while the textures load
+        this.pendingBodyNames.add(result.body.name);
+        try {
+            await this.loadBody(result.body, result.kind, parent);
+        } finally {
+            this.pendingBodyNames.delete(result.body.name);
+        }
+        this.onBodiesChanged();
+        console.log(`Added ${result.body.name}`);
+        return this.getBody(result.body.name);
+    }
+    
+    async changeBody(name, changes) {
+        const body = this.findCatalogBody(name);
+        const errors = [];
+        if (!body) {
+            errors.push(I18n.t('validator.noBody', { name: name }));
+        } else if (!JsonValidator.isObject(changes)) {
+            errors.push(I18n.t('validator.changes', { path: 'changes' }));
+        } else {
+            SolarSystem.UPDATE_LOCKED_KEYS.forEach(key => {
+                if (changes[key] !== undefined) {
+                    errors.push(I18n.t('validator.locked', { path: `changes.${key}` }));
+                }
+            });
+        }
+        if (errors.length === 0 && !this.canChangeBodies()) {
+            errors.push(I18n.t('validator.sandboxOn', { path: 'changes' }));
+        }
+        if (errors.length > 0) {
+            console.warn(`${name} not updated:\n${errors.join('\n')}`);
+            return null;
+        }
+        
+        const data = body.userData;
+        const current = this.getBody(name);
+        const merged = { ...current, ...changes };
+        ['orbit', 'rotation'].forEach(key => {
+            if (JsonValidator.isObject(current[key]) && JsonValidator.isObject(changes[key])) {
+                merged[key] = { ...current[key], ...changes[key] };
+            }
+        });
+        if (!merged.orbit && data.bodyKind === 'planet' &&
+            (merged.semiMajorAxis !== current.semiMajorAxis || merged.period !== current.period)) {
+            merged.orbit = BodyCatalog.getEphemerisOrbit(name);
+        }
+        
+        const names = this.getBodyNames();
+        names.delete(name);
+        const result = BodyCatalog.validateEntry(merged, names, name);
+        if (result.errors.length > 0) {
+            console.warn(`${name} not updated:\n${result.errors.join('\n')}`);
+            return null;
+        }
+        const definition = result.body;
+        
+        // Only a new look needs a new material
+        if (merged.texture !== current.texture || merged.fallbackColor !== current.fallbackColor) {
+            const material = await this.loadBodyMaterial(name, definition.texturePath, definition.fallbackColor,
+                data.bodyKind !== 'planet');
+            // The body may have been removed while the texture was loading
+            if (!this.planets.includes(body)) return null;
+            if (data.mesh.material.map) data.mesh.material.map.dispose();
+            data.mesh.material.dispose();
+            data.mesh.material = material;
+        }
+        
+        // A catalog mass replaces the more precise gravitational parameter (see PatchedConics)
+        if (changes.mass !== undefined) data.massChanged = true;
+        
+        if (data.bodyKind === 'moon') {
+            this.applyMoonDefinition(body, data.parentBody, definition);
+        } else {
+            this.applyPlanetDefinition(body, definition, data.bodyKind);
+            // Moons follow the parent's equator and spin
+            this.planets.filter(moon => moon.userData.parentBody === body).forEach(moon =>
+                this.applyMoonDefinition(moon, body, moon.userData.catalogEntry));
+        }
+        
+        this.onBodiesChanged();
+        console.log(`Updated ${name}`);
+        return this.getBody(name);
+    }
+    
+    deleteBody(name) {
+        const body = this.findCatalogBody(name);
+        if (!body) {
+            console.warn(`No body called "${name}" to remove`);
+            return false;
+        }
+        if (!this.canChangeBodies()) {
+            console.warn(`${name} not removed: switch the gravity sandbox off before changing the bodies.`);
+            return false;
+        }
+        
+        // Moons first, so the selector group goes once it is empty
+        const moons = this.planets.filter(moon => moon.userData.parentBody === body);
+        [...moons, body].forEach(removed => this.disposeBody(removed));
+        
+        this.onBodiesChanged();
+        console.log(`Removed ${name}${moons.length > 0 ? ` and its moons` : ''}`);
+        return true;
+    }
+    
+    // A body's definition in the catalog format, or null; changing it changes nothing
+    getBody(name) {
+        const body = this.findCatalogBody(name);
+        if (!body) return null;
+        
+        const data = body.userData;
+        const definition = JSON.parse(JSON.stringify(data.catalogEntry.definition));
+        if (data.bodyKind === 'moon') definition.parent = data.parentBody.userData.name;
+        if (data.bodyKind === 'dwarfPlanet') definition.kind = 'dwarfPlanet';
+        return definition;
+    }
+    
+    // Every body the API covers, in selector order: [{ name, kind, parent }]
+    listBodies() {
+        return this.planets.filter(body => body.userData.catalogEntry).map(body => ({
+            name: body.userData.name,
+            kind: body.userData.bodyKind,
+            parent: body.userData.parentBody ? body.userData.parentBody.userData.name : null
+        }));
+    }
+    
+    findCatalogBody(name) {
+        return this.planets.find(body => body.userData.catalogEntry && body.userData.name === name) || null;
+    }
+    
+    // Names no new body may take: the star, everything in the scene and anything still loading
+    getBodyNames() {
+        return new Set([this.star.name, ...this.planets.map(body => body.userData.name), ...this.pendingBodyNames]);
+    }
+    
+    // The gravity sandbox integrates the bodies it started with
+    canChangeBodies() {
+        return !(this.gravitySandbox && this.gravitySandbox.active);
+    }
+    
+    // Take a body out of the scene, the selector and the soundscape
+    disposeBody(body) {
+        const data = body.userData;
+        
+        this.removeOrbitPath(body);
+        if (data.orbitFrame) this.scene.remove(data.orbitFrame);
+        this.scene.remove(body);
+        this.planets.splice(this.planets.indexOf(body), 1);
+        this.saturnRings = this.saturnRings.filter(ring => {
+            for (let object = ring; object; object = object.parent) {
+                if (object === body) return false;
+            }
+            return true;
+        });
+        SpaceshipSystem.disposeObject(body);
+        
+        this.removeSelectorOption(data.name);
+        if (data.bodyKind === 'planet') {
+            this.audioSystem.removePlanetVoice(data.name.toLowerCase());
+        }
+        
+        if (this.followTarget === body) this.followTarget = null;
+        if (this.currentPlanet === body) this.currentPlanet = null;
+        if (this.shipPilot && this.shipPilot.active && this.shipPilot.parent === body) {
+            this.shipPilot.exit();
+        }
+    }
+    
+    // Ships work out their trajectories again around the new bodies, and the info panel,
+    // data table and size lineup show the new values
+    onBodiesChanged() {
+        if (this.spaceshipSystem) this.spaceshipSystem.replanFlights();
+        if (this.refreshInfo) this.refreshInfo();
+        if (this.bodyTable) this.bodyTable.refresh();
+        if (this.sizeLineup) this.sizeLineup.refresh();
+    }
+    
+    // Speed, planet scale and trail length next to their sliders
+    updateSliderValues() {
+        document.getElementById('speedValue').textContent =
+            I18n.t('ui.controls.speedValue', { value: I18n.formatNumber(this.clock.daysPerSecond) });
+        document.getElementById('scaleValue').textContent = `${Units.formatFixed(this.planetScale, 1)}x`;
+        document.getElementById('trailLengthValue').textContent =
+            I18n.t('ui.controls.trailLengthValue', { value: I18n.formatNumber(this.motionTrails.days) });
+    }
+    
+    // Redraw the text the page builds itself in the new language; I18n has already
+    // translated the static text
+    onLocaleChange() {
+        document.getElementById('languageSelect').value = I18n.locale;
+        const systemSelect = document.getElementById('starSystem');
+        SolarSystem.SYSTEMS.forEach(system => {
+            const option = Array.from(systemSelect.options).find(o => o.value === system.url);
+            if (option) option.textContent = I18n.translate('systems', system.name);
+        });
+        
+        this.updateSliderValues();
+        this.updateScaleModeNote();
+        this.translateSelector();
+        this.timeline.refresh();
+        if (this.refreshInfo) this.refreshInfo();
+        this.bodyTable.refresh();
+        this.sizeLineup.refresh();
+        if (this.historicalMissions) this.historicalMissions.refresh();
+        if (this.missionPlanner) this.missionPlanner.refresh();
+        if (this.porkchopPlot) this.porkchopPlot.refresh();
+        if (this.gravitySandbox) this.gravitySandbox.refresh();
+    }
+    
     setupUI() {
-        // Speed control
+        // Speed control - simulated days per real second
         const speedSlider = document.getElementById('speedSlider');
-        const speedValue = document.getElementById('speedValue');
+        speedSlider.value = this.clock.daysPerSecond;
         speedSlider.addEventListener('input', (e) => {
-            this.animationSpeed = parseFloat(e.target.value);
-            speedValue.textContent = this.animationSpeed.toFixed(1) + 'x';
+            this.clock.setDaysPerSecond(parseFloat(e.target.value));
+            this.updateSliderValues();
         });
         
+        // Timeline bar: play/pause, reverse, stepping and date jumps
+        this.timeline = new TimelineControls(this);
+        
+        // N-body gravity sandbox
+        this.gravitySandbox = new GravitySandbox(this);
+        
+        // Hohmann transfer planning for the spaceships
+        this.missionPlanner = new MissionPlanner(this);
+        this.porkchopPlot = new PorkchopPlot(this);
+        
+        // Sortable data table and side-by-side comparison of the bodies
+        this.bodyTable = new BodyTable(this);
+        
+        // The bodies side by side at their true relative sizes
+        this.sizeLineup = new SizeLineup(this);
+        
+        // Fly a spaceship by hand
+        this.shipPilot = new ShipPilot(this);
+        
         // Scale control
         const scaleSlider = document.getElementById('scaleSlider');
-        const scaleValue = document.getElementById('scaleValue');
         scaleSlider.addEventListener('input', (e) => {
-            const newScale = parseFloat(e.target.value);
-            const scaleFactor = newScale / this.planetScale;
-            this.planetScale = newScale;
-            scaleValue.textContent = this.planetScale.toFixed(1) + 'x';
+            this.planetScale = parseFloat(e.target.value);
+            this.updateSliderValues();
             
             // Update planet scales
-            this.planets.forEach(planet => {
-                planet.scale.setScalar(scaleFactor * planet.scale.x);
-            });
+            this.updateBodyScales();
+            
+            // Ships near a planet sit further out with it, so their trails no longer fit
+            this.motionTrails.clear();
+        });
+        
+        // Distance scale mode: compact (schematic), logarithmic or true scale
+        const scaleModeSelect = document.getElementById('scaleMode');
+        scaleModeSelect.addEventListener('change', (e) => {
+            this.setScaleMode(e.target.value);
+        });
+        this.updateScaleModeNote();
+        
+        // Lagrange points and Hill spheres
+        const showLagrangeCheckbox = document.getElementById('showLagrange');
+        showLagrangeCheckbox.addEventListener('change', (e) => {
+            this.lagrangePoints.setVisibility(e.target.checked);
         });
         
         // Orbit visibility
@@ -1239,26 +1956,111 @@ class SolarSystem {
             this.orbitPaths.forEach(orbit => {
                 orbit.visible = this.showOrbits;
             });
-            // Also update spaceship orbit visibility
+            // Keplerian planet orbits stay hidden while the gravity sandbox runs
+            if (this.gravitySandbox && this.gravitySandbox.active) {
+                this.gravitySandbox.setHeliocentricOrbitsVisible(false);
+            }
+            // Also update spaceship and comet orbit visibility
             if (this.spaceshipSystem) {
                 this.spaceshipSystem.setOrbitVisibility(this.showOrbits);
             }
+            if (this.cometSystem) {
+                this.cometSystem.setOrbitVisibility(this.showOrbits);
+            }
+        });
+        
+        // Metric, imperial or astronomical units in the info panel and pilot HUD
+        const unitSystemSelect = document.getElementById('unitSystem');
+        unitSystemSelect.value = Units.system;
+        unitSystemSelect.addEventListener('change', (e) => {
+            Units.setSystem(e.target.value);
+            if (this.refreshInfo) this.refreshInfo();
+            this.bodyTable.refresh();
+            this.sizeLineup.refresh();
+        });
+        
+        // Interface language, listed by each language's own name
+        const languageSelect = document.getElementById('languageSelect');
+        Object.keys(I18n.LOCALES).forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = I18n.LOCALES[locale].name;
+            languageSelect.appendChild(option);
+        });
+        languageSelect.value = I18n.locale;
+        languageSelect.addEventListener('change', (e) => I18n.setLocale(e.target.value));
+        window.addEventListener('localechange', () => this.onLocaleChange());
+        
+        // Star systems: the bundled ones, and catalogs chosen from disk
+        const systemSelect = document.getElementById('starSystem');
+        SolarSystem.SYSTEMS.forEach(system => {
+            const option = document.createElement('option');
+            option.value = system.url;
+            option.textContent = I18n.translate('systems', system.name);
+            systemSelect.appendChild(option);
+        });
+        this.updateSystemSelect();
+        systemSelect.addEventListener('change', (e) => {
+            const source = e.target.value;
+            if (this.customCatalog && source === this.customCatalog.source) {
+                this.switchSystem(this.customCatalog.catalog, source);
+            } else {
+                this.loadSystem(source);
+            }
+        });
+        const systemFileInput = document.getElementById('systemFile');
+        systemFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            BodyCatalog.readFile(file).then(catalog => this.switchSystem(catalog, file.name));
+            // Allow the same file to be picked again after editing it
+            e.target.value = '';
         });
         
+        // Habitable zone around the star
+        const showHabitableZoneCheckbox = document.getElementById('showHabitableZone');
+        showHabitableZoneCheckbox.addEventListener('change', (e) => {
+            this.habitableZone.setVisibility(e.target.checked);
+        });
+        
+        // Motion trails and their length in simulated days
+        const showTrailsCheckbox = document.getElementById('showTrails');
+        showTrailsCheckbox.addEventListener('change', (e) => {
+            this.motionTrails.setVisibility(e.target.checked);
+        });
+        const trailLengthSlider = document.getElementById('trailLength');
+        trailLengthSlider.value = this.motionTrails.days;
+        trailLengthSlider.addEventListener('input', (e) => {
+            this.motionTrails.setLength(parseFloat(e.target.value));
+            this.updateSliderValues();
+        });
+        this.updateSliderValues();
+        
         // Spaceship visibility
         const showSpaceshipsCheckbox = document.getElementById('showSpaceships');
         if (showSpaceshipsCheckbox) {
             showSpaceshipsCheckbox.addEventListener('change', (e) => {
                 const visible = e.target.checked;
                 if (this.spaceshipSystem) {
-                    this.spaceshipSystem.spaceships.forEach(spaceship => {
-                        spaceship.visible = visible;
-                    });
+                    this.spaceshipSystem.setVisibility(visible);
                     this.spaceshipSystem.setOrbitVisibility(visible && this.showOrbits);
                 }
             });
         }
         
+        // Fleet files chosen from disk
+        const fleetFileInput = document.getElementById('fleetFile');
+        if (fleetFileInput) {
+            fleetFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                FleetLoader.readFile(file).then(result => this.applyLoadedFleet(result));
+                // Allow the same file to be picked again after editing it
+                e.target.value = '';
+            });
+        }
+        
         // Follow planet
         const followSelect = document.getElementById('followPlanet');
         followSelect.addEventListener('change', (e) => {
@@ -1287,16 +2089,20 @@ class SolarSystem {
         const mouse = new THREE.Vector2();
         
         this.renderer.domElement.addEventListener('click', (event) => {
+            // Clicks steer the ship while piloting, and pick nothing in the size lineup
+            if (this.shipPilot && this.shipPilot.active) return;
+            if (this.sizeLineup && this.sizeLineup.active) return;
+            
             mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
             mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
             
             raycaster.setFromCamera(mouse, this.camera);
             
             // Check for planet intersections first
-            const planetIntersects = raycaster.intersectObjects(this.planets);
+            const planetIntersects = raycaster.intersectObjects(this.planets, true);
             
             if (planetIntersects.length > 0) {
-                const planet = planetIntersects[0].object;
+                const planet = this.getBodyFromObject(planetIntersects[0].object);
                 
                 // Play transition sound if clicking on a different planet
                 if (this.audioEnabled && this.audioSystem) {
@@ -1313,7 +2119,36 @@ class SolarSystem {
                 
                 this.showPlanetInfo(planet);
                 this.currentPlanet = planet;
-            } else if (this.spaceshipSystem) {
+                return;
+            }
+            
+            // Then Lagrange point markers, when shown
+            const marker = this.pickLagrangePoint(raycaster);
+            if (marker) {
+                this.showLagrangePointInfo(marker);
+                return;
+            }
+            
+            // Then the star
+            if (this.sun && raycaster.intersectObject(this.sun).length > 0) {
+                this.showStarInfo();
+                return;
+            }
+            
+            // Then the historical mission probes
+            if (this.historicalMissions && this.historicalMissions.visible) {
+                const probeParts = [];
+                this.historicalMissions.probes.forEach(probe => {
+                    if (probe.visible) probe.traverse(child => { if (child.isMesh) probeParts.push(child); });
+                });
+                const probeIntersects = raycaster.intersectObjects(probeParts);
+                if (probeIntersects.length > 0) {
+                    this.showHistoricalMissionInfo(probeIntersects[0].object.parent);
+                    return;
+                }
+            }
+            
+            if (this.spaceshipSystem) {
                 // Check for spaceship intersections
                 const allSpaceshipObjects = [];
                 this.spaceshipSystem.spaceships.forEach(spaceship => {
@@ -1324,8 +2159,7 @@ class SolarSystem {
                 
                 const spaceshipIntersects = raycaster.intersectObjects(allSpaceshipObjects);
                 if (spaceshipIntersects.length > 0) {
-                    const spaceshipPart = spaceshipIntersects[0].object;
-                    const spaceship = spaceshipPart.parent; // Get the main spaceship group
+                    const spaceship = this.getSpaceshipFromObject(spaceshipIntersects[0].object);
                     
                     // Play swoosh sound for spaceship selection
                     if (this.audioEnabled && this.audioSystem) {
@@ -1339,23 +2173,264 @@ class SolarSystem {
         });
     }
     
+    // The Lagrange point marker under the pointer, if the overlay is shown
+    pickLagrangePoint(raycaster) {
+        if (!this.lagrangePoints || !this.lagrangePoints.visible) return null;
+        const intersects = raycaster.intersectObjects(this.lagrangePoints.markers.filter(marker => marker.visible));
+        return intersects.length > 0 ? intersects[0].object : null;
+    }
+    
     showPlanetInfo(planet) {
-        const data = planet.userData;
-        document.getElementById('planetName').textContent = data.name;
-        document.getElementById('planetDistance').textContent = data.realDistance || 'Unknown';
-        document.getElementById('planetPeriod').textContent = data.period || 'Unknown';
-        document.getElementById('planetDiameter').textContent = data.diameter || 'Unknown';
-        document.getElementById('planetType').textContent = data.type || 'Unknown';
+        this.fillPlanetInfo(planet);
+        this.refreshInfo = () => this.fillPlanetInfo(planet);
         
         // Play audio highlight effect when planet is clicked
-        if (this.audioEnabled && this.audioSystem && data.name !== 'Moon') {
+        const data = planet.userData;
+        if (this.audioEnabled && this.audioSystem && !data.parentPlanet) {
             const planetName = data.name.toLowerCase();
             this.audioSystem.playPlanetHighlight(planetName);
         }
     }
     
+    fillPlanetInfo(planet) {
+        const data = planet.userData;
+        const unknown = I18n.t('info.unknown');
+        document.getElementById('planetName').textContent = this.getBodyName(data.name);
+        document.getElementById('planetDistance').textContent = this.formatBodyDistance(planet);
+        document.getElementById('planetPeriod').textContent = this.formatOrbitalPeriod(planet);
+        document.getElementById('planetDiameter').textContent = this.formatDiameter(data);
+        document.getElementById('planetType').textContent = data.type ? I18n.translate('types', data.type) : unknown;
+        document.getElementById('planetMass').textContent = data.mass ? Units.formatMass(data.mass) : unknown;
+        document.getElementById('planetAlbedo').textContent = typeof data.albedo === 'number' ? I18n.formatNumber(data.albedo) : unknown;
+        document.getElementById('planetTilt').textContent = data.axialTilt !== undefined ? `${I18n.formatNumber(data.axialTilt)}°` : unknown;
+        document.getElementById('planetDayLength').textContent = this.formatRotationPeriod(data.rotationPeriod);
+        document.getElementById('planetInclination').textContent = this.formatInclination(data);
+        this.setBodyDetailsVisible(true);
+        this.setInfoDescription(this.getBodyText(data.name, 'description', data.description || null));
+        if (this.historicalMissions) this.historicalMissions.selectProbe(null);
+        
+        // Comets report their current distance and nearest perihelion passage
+        if (data.isComet && this.cometSystem) {
+            const info = this.cometSystem.getCometInfo(planet, this.clock.julianDate);
+            document.getElementById('planetDistance').textContent = info.distance;
+            document.getElementById('planetPeriod').textContent = info.period;
+            document.getElementById('planetPerihelion').textContent = info.perihelion;
+        }
+        this.setCometDetailsVisible(Boolean(data.isComet));
+    }
+    
+    // Mean distance from the Sun, or from the parent for a moon. Sandbox bodies have no
+    // fixed orbit, so theirs is read back from the scene.
+    formatBodyDistance(planet) {
+        const data = planet.userData;
+        if (data.isSandboxBody) {
+            return I18n.t('info.fromSunNow', { distance: Units.formatDistance(Units.sceneToKm(planet.position.length())) });
+        }
+        if (data.parentPlanet && data.orbit) {
+            return I18n.t('info.from', {
+                distance: Units.formatDistance(data.orbit.semiMajorAxis),
+                name: this.getBodyName(data.parentPlanet)
+            });
+        }
+        if (data.elements) {
+            const distance = Units.formatDistance(data.elements.semiMajorAxis * DistanceScale.AU_KM);
+            if (this.star === SolarSystem.SUN) return I18n.t('info.fromSun', { distance: distance });
+            return I18n.t('info.from', { distance: distance, name: this.getBodyName(this.star.name) });
+        }
+        return data.realDistance || I18n.t('info.unknown');
+    }
+    
+    // Catalog bodies give their radius in km; for the rest, size is the radius relative
+    // to Earth's
+    formatDiameter(data) {
+        if (data.size === undefined) return data.diameter || I18n.t('info.unknown');
+        const radius = data.radius !== undefined ? data.radius : data.size * SolarSystem.EARTH_RADIUS_KM;
+        const diameter = Units.formatDistance(radius * 2);
+        return data.isComet ? I18n.t('info.nucleus', { diameter: diameter }) : diameter;
+    }
+    
+    // Sidereal period, flagged for moons that orbit against their planet's spin
+    formatOrbitalPeriod(planet) {
+        const data = planet.userData;
+        if (data.isSandboxBody) return I18n.t('sandbox.period');
+        if (data.orbitalPeriod === undefined) return data.period || I18n.t('info.unknown');
+        
+        const days = data.orbitalPeriod;
+        let text;
+        if (days < 2) {
+            text = I18n.t('info.hours', { value: Units.formatNumber(days * 24) });
+        } else if (days < 1000) {
+            text = I18n.t('info.earthDays', { value: Units.formatNumber(days) });
+        } else {
+            text = I18n.t('info.earthYears', { value: Units.formatNumber(days / 365.25) });
+        }
+        
+        const parent = data.parentBody;
+        if (parent && data.orbit.inclination > 90 && parent.userData.rotationPeriod > 0) {
+            text = I18n.t('info.retrograde', { text: text });
+        }
+        return text;
+    }
+    
+    // Inclination against the ecliptic (another star's reference plane), or against the
+    // parent's equator for most moons
+    formatInclination(data) {
+        if (!data.elements) return I18n.t('info.unknown');
+        const inclination = `${Units.formatFixed(Math.abs(data.elements.inclination), 2)}°`;
+        if (data.parentPlanet && data.referencePlane !== 'ecliptic') {
+            return I18n.t('info.toEquator', { inclination: inclination, name: this.getBodyName(data.parentPlanet) });
+        }
+        return I18n.t(this.star === SolarSystem.SUN ? 'info.toEcliptic' : 'info.toReferencePlane', { inclination: inclination });
+    }
+    
+    // Sidereal day length, in hours or days, flagged when the spin is retrograde
+    formatRotationPeriod(hours) {
+        if (hours === undefined) return I18n.t('info.unknown');
+        const magnitude = Math.abs(hours);
+        const text = magnitude > 48 ?
+            I18n.t('info.earthDays', { value: Units.formatFixed(magnitude / 24, 1) }) :
+            I18n.t('info.hours', { value: Units.formatFixed(magnitude, 2) });
+        return hours < 0 ? I18n.t('info.retrograde', { text: text }) : text;
+    }
+    
+    // Tilt, day length and inclination only apply to natural bodies
+    setBodyDetailsVisible(visible) {
+        document.querySelectorAll('#planetInfo .body-detail').forEach(row => {
+            row.style.display = visible ? '' : 'none';
+        });
+    }
+    
+    setCometDetailsVisible(visible) {
+        document.querySelectorAll('#planetInfo .comet-detail').forEach(row => {
+            row.style.display = visible ? '' : 'none';
+        });
+    }
+    
+    // Explanatory paragraph under the info rows, hidden when there is none
+    setInfoDescription(text) {
+        const description = document.getElementById('planetDescription');
+        description.textContent = text || '';
+        description.style.display = text ? '' : 'none';
+    }
+    
+    // The star at the centre, with its habitable zone
+    showStarInfo() {
+        const star = this.star;
+        this.setBodyDetailsVisible(false);
+        this.setCometDetailsVisible(false);
+        if (this.historicalMissions) this.historicalMissions.selectProbe(null);
+        this.refreshInfo = () => this.showStarInfo();
+        
+        let distance = I18n.t('info.unknown');
+        if (star === SolarSystem.SUN) {
+            distance = I18n.t('info.fromEarth', { distance: Units.formatDistance(DistanceScale.AU_KM) });
+        } else if (star.distance !== null) {
+            distance = I18n.t('info.lightYearsFromSun', { value: Units.formatNumber(star.distance) });
+        }
+        const [inner, outer] = HabitableZone.getLimits(star.luminosity);
+        const summary = I18n.t('info.starSummary', {
+            mass: Units.formatNumber(star.mass),
+            luminosity: Units.formatNumber(star.luminosity),
+            inner: Units.formatDistance(inner * DistanceScale.AU_KM),
+            outer: Units.formatDistance(outer * DistanceScale.AU_KM)
+        });
+        const description = this.getBodyText(star.name, 'description', star.description);
+        
+        document.getElementById('planetName').textContent = `⭐ ${this.getBodyName(star.name)}`;
+        document.getElementById('planetDistance').textContent = distance;
+        document.getElementById('planetPeriod').textContent = I18n.t('info.starPeriod');
+        document.getElementById('planetDiameter').textContent = Units.formatDistance(star.radius * SolarSystem.SUN_RADIUS_KM * 2);
+        document.getElementById('planetType').textContent =
+            `${I18n.translate('types', star.type)}, ${I18n.formatNumber(Math.round(star.temperature))} K`;
+        this.setInfoDescription(description ? `${description} ${summary}` : summary);
+    }
+    
+    // The locale bundles translate the names and descriptions of the Solar System's
+    // bodies (and the Sun and comets); other systems' bodies, and ones added at runtime,
+    // keep the text they came with
+    getBodyText(name, field, fallback) {
+        if (this.systemSource !== SolarSystem.DEFAULT_CATALOG) return fallback;
+        const text = I18n.getBodyText(name, field);
+        return text !== null ? text : fallback;
+    }
+    
+    getBodyName(name) {
+        const sandboxName = this.gravitySandbox && this.gravitySandbox.getDisplayName(name);
+        return sandboxName || this.getBodyText(name, 'name', name);
+    }
+    
+    showLagrangePointInfo(marker) {
+        this.setBodyDetailsVisible(false);
+        this.setCometDetailsVisible(false);
+        
+        this.refreshInfo = () => this.showLagrangePointInfo(marker);
+        
+        const info = this.lagrangePoints.getPointInfo(marker);
+        document.getElementById('planetName').textContent = info.name;
+        document.getElementById('planetDistance').textContent = info.distance;
+        document.getElementById('planetPeriod').textContent = info.period;
+        document.getElementById('planetDiameter').textContent = I18n.t('info.pointDiameter');
+        document.getElementById('planetType').textContent = info.type;
+        this.setInfoDescription(info.description);
+    }
+    
+    showHistoricalMissionInfo(probe) {
+        this.setBodyDetailsVisible(false);
+        this.setCometDetailsVisible(false);
+        this.historicalMissions.selectProbe(probe);
+        this.refreshInfo = () => this.showHistoricalMissionInfo(probe);
+        
+        const info = this.historicalMissions.getMissionInfo(probe, this.clock.julianDate);
+        document.getElementById('planetName').textContent = `🛰️ ${info.name}`;
+        document.getElementById('planetDistance').textContent = info.distance;
+        document.getElementById('planetPeriod').textContent = info.speed;
+        document.getElementById('planetDiameter').textContent = info.vehicle;
+        document.getElementById('planetType').textContent = info.status;
+        this.setInfoDescription(info.description);
+    }
+    
+    // Swap in a fleet read from a file or URL, reporting problems next to the file picker
+    applyLoadedFleet(result) {
+        if (!this.spaceshipSystem) return;
+        const status = document.getElementById('fleetStatus');
+        result.spaceships.forEach((definition, index) =>
+            this.spaceshipSystem.checkBodies(definition, `spaceships[${index}]`, result.errors));
+        
+        if (result.errors.length > 0) {
+            console.warn(`Fleet rejected:\n${result.errors.join('\n')}`);
+            this.showFileErrors(status, result.errors);
+            return;
+        }
+        
+        // New ships pick up the current visibility settings
+        this.spaceshipSystem.applyFleet(result);
+        if (status) {
+            status.textContent = I18n.plural('files.fleetLoaded', result.spaceships.length, {
+                name: result.name || I18n.t('files.fleet')
+            });
+            status.classList.remove('error');
+        }
+    }
+    
+    // List the first few problems with a file under its picker; the rest are in the console
+    showFileErrors(status, errors) {
+        if (!status) return;
+        const shown = errors.slice(0, SolarSystem.MAX_FILE_ERRORS);
+        if (errors.length > shown.length) {
+            shown.push(I18n.plural('files.more', errors.length - shown.length));
+        }
+        status.textContent = shown.join('\n');
+        status.classList.add('error');
+    }
+    
     showSpaceshipInfo(spaceship) {
         if (!this.spaceshipSystem) return;
+        this.setBodyDetailsVisible(false);
+        this.setCometDetailsVisible(false);
+        this.setInfoDescription(null);
+        if (this.historicalMissions) this.historicalMissions.selectProbe(null);
+        
+        this.refreshInfo = () => this.showSpaceshipInfo(spaceship);
         
         const info = this.spaceshipSystem.getSpaceshipInfo(spaceship);
         document.getElementById('planetName').textContent = `🚀 ${info.name}`;
@@ -1371,144 +2446,303 @@ class SolarSystem {
         // Skip animation if paused (for mobile battery optimization)
         if (this.isPaused) return;
         
-        // Update planets - orbit around the Sun and spin on their axes
+        // Measure real elapsed time, capped so a restored tab doesn't leap ahead
+        const now = performance.now();
+        const frameDelta = this.lastFrameTime === null ? 0 :
+            Math.min((now - this.lastFrameTime) / 1000, SolarSystem.MAX_FRAME_DELTA);
+        this.lastFrameTime = now;
+        
+        // Simulated time follows wall time directly, so orbits are smooth at any refresh rate
+        this.clock.advance(frameDelta);
+        const julianDate = this.clock.julianDate;
+        this.animationSpeed = this.clock.getRate() / SimulationClock.DEFAULT_DAYS_PER_SECOND;
+        if (this.timeline) this.timeline.update();
+        
+        // Incremental effects run in fixed steps so they play identically at 60 Hz and 120 Hz
+        this.stepAccumulator += frameDelta;
+        while (this.stepAccumulator >= SolarSystem.FIXED_TIME_STEP) {
+            this.updateSimulationStep();
+            this.stepAccumulator -= SolarSystem.FIXED_TIME_STEP;
+        }
+        
+        // Scale mode transitions run on wall time, even while the clock is paused
+        if (DistanceScale.isTransitioning()) {
+            DistanceScale.advanceTransition(frameDelta);
+            this.updateBodyScales();
+            this.updateScaleModeLighting();
+        }
+        
+        // The gravity sandbox integrates the same span of simulated time
+        if (this.gravitySandbox) {
+            this.gravitySandbox.update(julianDate);
+        }
+        
+        // Place planets, moons and spaceships for the current date
+        this.updatePositions(julianDate);
+        
+        // Pulsing glows follow wall time rather than simulation time
+        this.updateGlowEffects();
+        
+        if (this.shipPilot && this.shipPilot.active) {
+            // The piloted ship moves itself and drives the chase camera
+            this.shipPilot.update(julianDate, frameDelta);
+        } else {
+            // Camera following, eased by the same amount per second at any frame rate
+            if (this.followTarget) {
+                const offset = this.getFollowOffset(this.followTarget);
+                const targetPosition = this.followTarget.position.clone().add(offset);
+                const followFactor = 1 - Math.pow(1 - SolarSystem.CAMERA_FOLLOW_RATE, frameDelta / SolarSystem.FIXED_TIME_STEP);
+                this.camera.position.lerp(targetPosition, followFactor);
+                this.controls.target.copy(this.followTarget.position);
+            }
+            
+            // Update controls
+            this.controls.update();
+        }
+        this.updateCameraClipping();
+        
+        // Trails sample every body where it was finally placed this frame
+        this.motionTrails.update(julianDate, this.planets, this.spaceshipSystem ? this.spaceshipSystem.spaceships : []);
+        
+        // Render the scene, or the size lineup in its place
+        if (this.sizeLineup && this.sizeLineup.active) {
+            this.sizeLineup.update();
+            this.renderer.render(this.sizeLineup.scene, this.sizeLineup.camera);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+    
+    // Position every body from the simulation date
+    updatePositions(julianDate) {
         this.planets.forEach(planet => {
             const data = planet.userData;
             
-            if (data.parentPlanet === 'Earth') {
-                // Moon orbits around Earth
-                const earth = this.planets.find(p => p.userData.name === 'Earth');
-                if (earth) {
-                    data.angle += data.orbitSpeed * this.animationSpeed;
-                    planet.position.x = earth.position.x + Math.cos(data.angle) * data.distance;
-                    planet.position.z = earth.position.z + Math.sin(data.angle) * data.distance;
-                    planet.position.y = earth.position.y;
-                }
-            } else if (data.name !== 'Moon') {
-                // Regular planetary motion around the Sun
-                data.angle += data.orbitSpeed * this.animationSpeed;
-                planet.position.x = Math.cos(data.angle) * data.distance;
-                planet.position.z = Math.sin(data.angle) * data.distance;
+            // Moons are placed after every planet has moved; comets move themselves
+            if (data.parentBody || data.isComet) return;
+            
+            // Keplerian motion around the Sun using the elements for the current date,
+            // unless the gravity sandbox is integrating this body
+            if (!this.gravitySandbox || !this.gravitySandbox.updateBodyPosition(planet)) {
+                this.updateOrbitScale(planet);
+                data.elements = this.getBodyElements(planet, julianDate);
+                const meanAnomaly = THREE.MathUtils.degToRad(data.elements.meanAnomalyAtEpoch);
+                OrbitalMechanics.getPosition(data.elements, meanAnomaly, data.orbitScale, planet.position);
             }
             
-            // Rotation on axis
-            planet.rotation.y += data.rotationSpeed * this.animationSpeed;
+            // Spin on the tilted axis at the real sidereal rate
+            this.updateBodyRotation(planet, julianDate);
             
             // Update planetary audio based on rotation speed and visibility
-            if (this.audioEnabled && this.audioSystem && data.name !== 'Moon') {
+            if (this.audioEnabled && this.audioSystem) {
                 const rotationSpeed = Math.abs(data.rotationSpeed * this.animationSpeed);
                 const isVisible = this.isPlanetVisible(planet);
                 const planetName = data.name.toLowerCase();
                 this.audioSystem.updatePlanetRotation(planetName, rotationSpeed, isVisible);
             }
-            
-            // Special handling for Saturn - rotate rings independently
-            if (data.name === 'Saturn' && this.saturnRings) {
-                this.saturnRings.forEach(ring => {
-                    if (ring.userData && ring.userData.rotationSpeed) {
-                        if (ring.type === 'Points') {
-                            // Particles rotate around Y-axis
-                            ring.rotation.y += ring.userData.rotationSpeed * this.animationSpeed;
-                            
-                            // Animate particle motion for more realism
-                            if (ring.userData.isParticleSystem) {
-                                const positions = ring.geometry.attributes.position.array;
-                                const velocities = ring.geometry.attributes.velocity.array;
-                                
-                                for (let i = 0; i < positions.length; i += 3) {
-                                    positions[i] += velocities[i] * this.animationSpeed * 0.1;
-                                    positions[i + 2] += velocities[i + 2] * this.animationSpeed * 0.1;
-                                }
-                                ring.geometry.attributes.position.needsUpdate = true;
-                            }
-                        } else if (ring.userData.isGlow) {
-                            // Glow effects rotate slower and pulse
-                            ring.rotation.z += ring.userData.rotationSpeed * this.animationSpeed;
-                            const pulse = Math.sin(Date.now() * 0.001 + ring.userData.index) * 0.05 + 0.95;
-                            ring.material.opacity = ring.material.opacity * pulse;
-                        } else {
-                            // Ring meshes rotate around Z-axis
-                            ring.rotation.z += ring.userData.rotationSpeed * this.animationSpeed;
-                            
-                            // Add subtle pulsing to ring brightness
-                            if (ring.userData.segment) {
-                                const time = Date.now() * 0.0005;
-                                const pulse = Math.sin(time + ring.userData.index) * 0.1 + 0.9;
-                                ring.material.opacity = ring.userData.segment.opacity * pulse;
-                            }
-                        }
-                    }
-                });
-            }
         });
         
-        // Sun rotation and glow animation
-        if (this.sun) {
-            this.sun.rotation.y += 0.005 * this.animationSpeed;
-            
-            // Animate sun glow effects for realistic pulsing
-            if (this.sunGlowEffects) {
-                const time = Date.now() * 0.001;
-                this.sunGlowEffects.forEach((glow, index) => {
-                    // Different pulsing speeds for each glow layer
-                    const pulseSpeed = 0.5 + index * 0.2;
-                    const pulse = Math.sin(time * pulseSpeed) * 0.1 + 0.9;
-                    
-                    // Vary opacity for pulsing effect
-                    const baseOpacity = [0.4, 0.25, 0.15, 0.05][index];
-                    glow.material.opacity = baseOpacity * pulse;
-                    
-                    // Slight rotation for dynamic effect
-                    glow.rotation.y += (0.001 + index * 0.0005) * this.animationSpeed;
-                    glow.rotation.x += (0.0005 + index * 0.0002) * this.animationSpeed;
-                });
-            }
+        // Moons follow their parents, wherever those have just moved to
+        this.planets.forEach(moon => {
+            if (!moon.userData.parentBody) return;
+            this.updateOrbitScale(moon);
+            this.updateMoonPosition(moon, julianDate);
+            this.updateBodyRotation(moon, julianDate);
+        });
+        
+        if (this.sunBody) {
+            this.updateBodyRotation(this.sunBody, julianDate);
+        }
+        
+        // Lagrange points co-rotate with the planets just placed
+        if (this.lagrangePoints) {
+            this.lagrangePoints.update(this.planets);
+        }
+        
+        if (this.smallBodyBelts) {
+            this.smallBodyBelts.update(julianDate);
+        }
+        
+        if (this.cometSystem) {
+            this.cometSystem.update(julianDate);
         }
         
         // Update spaceships
         if (this.spaceshipSystem) {
-            this.spaceshipSystem.update(this.animationSpeed);
+            this.spaceshipSystem.update(julianDate);
+        }
+        
+        // Planned transfer ellipse follows the distance scale
+        if (this.missionPlanner) {
+            this.missionPlanner.update();
+        }
+        
+        if (this.historicalMissions) {
+            this.historicalMissions.update(julianDate);
+        }
+        
+        // The habitable zone's edges move with the distance scale
+        if (this.habitableZone) {
+            this.habitableZone.update();
+        }
+    }
+    
+    // Heliocentric orbital elements of a planet or dwarf planet for the given date
+    getBodyElements(body, julianDate) {
+        const data = body.userData;
+        return data.orbit ?
+            Ephemeris.propagateElements(data.orbit, julianDate) :
+            Ephemeris.getElements(data.name, julianDate);
+    }
+    
+    // One fixed simulation tick; the rates below are per FIXED_TIME_STEP
+    updateSimulationStep() {
+        // Rotate Saturn's rings and drift their particles
+        this.saturnRings.forEach(ring => {
+            if (!ring.userData || !ring.userData.rotationSpeed) return;
+            
+            if (ring.type === 'Points') {
+                // Particles rotate around Y-axis
+                ring.rotation.y += ring.userData.rotationSpeed * this.animationSpeed;
+                
+                // Animate particle motion for more realism
+                if (ring.userData.isParticleSystem) {
+                    const positions = ring.geometry.attributes.position.array;
+                    const velocities = ring.geometry.attributes.velocity.array;
+                    
+                    for (let i = 0; i < positions.length; i += 3) {
+                        positions[i] += velocities[i] * this.animationSpeed * 0.1;
+                        positions[i + 2] += velocities[i + 2] * this.animationSpeed * 0.1;
+                    }
+                    ring.geometry.attributes.position.needsUpdate = true;
+                }
+            } else {
+                // Ring meshes and glows rotate around Z-axis
+                ring.rotation.z += ring.userData.rotationSpeed * this.animationSpeed;
+            }
+        });
+        
+        // Slow drift of the Sun's glow layers
+        if (this.sunGlowEffects) {
+            this.sunGlowEffects.forEach((glow, index) => {
+                glow.rotation.y += (0.001 + index * 0.0005) * this.animationSpeed;
+                glow.rotation.x += (0.0005 + index * 0.0002) * this.animationSpeed;
+            });
         }
         
         // Subtle starfield rotation for immersive effect
         if (this.starSphere) {
             this.starSphere.rotation.y += 0.0001 * this.animationSpeed;
         }
+    }
+    
+    updateGlowEffects() {
+        // Subtle pulsing of Saturn's ring brightness
+        this.saturnRings.forEach(ring => {
+            if (!ring.userData) return;
+            
+            if (ring.userData.isGlow) {
+                const pulse = Math.sin(Date.now() * 0.001 + ring.userData.index) * 0.05 + 0.95;
+                ring.material.opacity = ring.userData.baseOpacity * pulse;
+            } else if (ring.userData.segment) {
+                const time = Date.now() * 0.0005;
+                const pulse = Math.sin(time + ring.userData.index) * 0.1 + 0.9;
+                ring.material.opacity = ring.userData.segment.opacity * pulse;
+            }
+        });
         
-        // Camera following
-        if (this.followTarget) {
-            const offset = new THREE.Vector3(50, 30, 50);
-            const targetPosition = this.followTarget.position.clone().add(offset);
-            this.camera.position.lerp(targetPosition, 0.05);
-            this.controls.target.copy(this.followTarget.position);
+        // Animate sun glow effects for realistic pulsing
+        if (this.sunGlowEffects) {
+            const time = Date.now() * 0.001;
+            this.sunGlowEffects.forEach((glow, index) => {
+                // Different pulsing speeds for each glow layer
+                const pulseSpeed = 0.5 + index * 0.2;
+                const pulse = Math.sin(time * pulseSpeed) * 0.1 + 0.9;
+                
+                // Vary opacity for pulsing effect
+                glow.material.opacity = glow.userData.opacity * pulse;
+            });
         }
+    }
+    
+    // Switch distance scale mode; bodies, orbits and the camera limits animate across
+    setScaleMode(mode) {
+        DistanceScale.setMode(mode);
         
-        // Update controls
-        this.controls.update();
+        const settings = SolarSystem.SCALE_MODE_SETTINGS[DistanceScale.mode];
+        this.controls.minDistance = settings.minDistance;
+        this.controls.maxDistance = settings.maxDistance;
         
-        // Render the scene
-        this.renderer.render(this.scene, this.camera);
+        // Planet sizes are real in true scale mode, so the inflation slider does nothing there
+        document.getElementById('scaleSlider').disabled = DistanceScale.mode === 'true';
+        this.updateScaleModeNote();
+        
+        console.log(`Distance scale mode: ${DistanceScale.mode}`);
+    }
+    
+    updateScaleModeNote() {
+        const note = document.getElementById('scaleModeNote');
+        if (note) {
+            note.textContent = I18n.t(`ui.scaleMode.${DistanceScale.mode}Note`);
+        }
+    }
+    
+    // Keep the Sun's light reaching the outer planets as the distances stretch
+    updateScaleModeLighting() {
+        if (!this.sunPointLight) return;
+        this.sunPointLight.distance = DistanceScale.blend(mode => SolarSystem.SCALE_MODE_SETTINGS[mode].lightDistance);
+    }
+    
+    // Follow camera offset: the usual overview in compact and logarithmic modes, and a
+    // few body radii out in true scale mode where even Jupiter is under a unit across
+    getFollowOffset(target) {
+        const offset = new THREE.Vector3(50, 30, 50);
+        const trueLength = Math.max(target.scale.x * (target.userData.geometryRadius || 1), SolarSystem.MIN_FOLLOW_RADIUS) *
+            SolarSystem.FOLLOW_RADII;
+        return offset.setLength(DistanceScale.blend(mode => mode === 'true' ? trueLength : offset.length()));
+    }
+    
+    // The near plane follows the zoom, so close-ups of true-scale planets are not
+    // clipped. The far plane stays put for the star sphere; the logarithmic depth
+    // buffer keeps that ratio (up to ~5e9 in true scale) free of z-fighting.
+    updateCameraClipping() {
+        const settings = SolarSystem.SCALE_MODE_SETTINGS[DistanceScale.mode];
+        const distance = this.camera.position.distanceTo(this.controls.target);
+        const near = THREE.MathUtils.clamp(distance * SolarSystem.NEAR_PLANE_FACTOR, settings.near, SolarSystem.SCALE_MODE_SETTINGS.compact.near);
+        
+        if (Math.abs(near - this.camera.near) > this.camera.near * 0.1) {
+            this.camera.near = near;
+            this.camera.updateProjectionMatrix();
+        }
     }
     
     onWindowResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        if (this.smallBodyBelts) {
+            this.smallBodyBelts.onWindowResize();
+        }
+        if (this.sizeLineup) {
+            this.sizeLineup.onWindowResize();
+        }
     }
     
     setupMobileEventHandlers() {
         // Handle mobile tap events
         window.addEventListener('mobileTap', (e) => {
+            if (this.sizeLineup && this.sizeLineup.active) return;
+            
             const mouse = new THREE.Vector2();
             mouse.x = (e.detail.x / window.innerWidth) * 2 - 1;
             mouse.y = -(e.detail.y / window.innerHeight) * 2 + 1;
             
             const raycaster = new THREE.Raycaster();
             raycaster.setFromCamera(mouse, this.camera);
-            const intersects = raycaster.intersectObjects(this.planets);
+            const intersects = raycaster.intersectObjects(this.planets, true);
             
             if (intersects.length > 0) {
-                const planet = intersects[0].object;
+                const planet = this.getBodyFromObject(intersects[0].object);
                 
                 // Play transition sound if tapping on a different planet
                 if (this.audioEnabled && this.audioSystem) {
@@ -1526,6 +2760,13 @@ class SolarSystem {
                 this.showPlanetInfo(planet);
                 this.followTarget = planet;
                 this.currentPlanet = planet;
+                return;
+            }
+            
+            // Lagrange point markers, as on desktop
+            const marker = this.pickLagrangePoint(raycaster);
+            if (marker) {
+                this.showLagrangePointInfo(marker);
             }
         });
         
@@ -1543,9 +2784,103 @@ class SolarSystem {
     
     resume() {
         this.isPaused = false;
+        // Don't count the paused time as elapsed simulation time
+        this.lastFrameTime = null;
+        this.stepAccumulator = 0;
     }
 }
 
+// Frame timing: incremental effects tick at a fixed 60 Hz, and a single frame never
+// covers more than a quarter second (e.g. when a background tab is restored)
+SolarSystem.FIXED_TIME_STEP = 1 / 60;
+SolarSystem.MAX_FRAME_DELTA = 0.25;
+// Fraction of the remaining distance the follow camera closes per fixed step
+SolarSystem.CAMERA_FOLLOW_RATE = 0.05;
+
+// Planets, moons and dwarf planets loaded at startup
+SolarSystem.DEFAULT_CATALOG = 'catalogs/solar-system.json';
+// Star systems offered in the picker
+SolarSystem.SYSTEMS = [
+    { name: 'Solar System', url: SolarSystem.DEFAULT_CATALOG },
+    { name: 'TRAPPIST-1', url: 'catalogs/trappist-1.json' },
+    { name: 'Kepler-90', url: 'catalogs/kepler-90.json' },
+    { name: '55 Cancri', url: 'catalogs/55-cancri.json' },
+    { name: 'Aster (example)', url: 'catalogs/example-system.json' }
+];
+// Body fields updateBody leaves alone
+SolarSystem.UPDATE_LOCKED_KEYS = ['name', 'parent', 'kind', 'moons'];
+
+// Smallest displayed moon radius, relative to Earth, so tiny moons stay clickable
+SolarSystem.MIN_MOON_SIZE = 0.05;
+
+// Real radii in km, for true scale mode, and the Sun's radius in compact scene units
+SolarSystem.EARTH_RADIUS_KM = 6371;
+SolarSystem.SUN_RADIUS_KM = 695700;
+SolarSystem.SUN_RADIUS = 10;
+
+// The star of catalogs without one, in the shape BodyCatalog.validateStar gives
+SolarSystem.SUN = {
+    name: 'Sun',
+    type: 'G2V yellow dwarf',
+    radius: 1,
+    mass: 1,
+    temperature: BodyCatalog.SUN_TEMPERATURE,
+    luminosity: 1,
+    color: BodyCatalog.getStarColor(BodyCatalog.SUN_TEMPERATURE),
+    distance: null,
+    description: 'A middle-aged yellow dwarf holding 99.8% of the Solar System\'s mass.'
+};
+// Another star's light and glow are scaled by its luminosity to this power, and its
+// size in the schematic modes by the square root of its radius, within these limits
+SolarSystem.STAR_BRIGHTNESS_EXPONENT = 0.2;
+SolarSystem.MIN_STAR_BRIGHTNESS = 0.4;
+SolarSystem.MAX_STAR_BRIGHTNESS = 2;
+SolarSystem.MIN_STAR_SCALE = 0.3;
+SolarSystem.MAX_STAR_SCALE = 1.5;
+
+// Camera limits per distance scale mode. near is the smallest near plane allowed;
+// the actual plane is NEAR_PLANE_FACTOR times the distance to the camera target.
+SolarSystem.SCALE_MODE_SETTINGS = {
+    compact: {
+        near: 0.1,
+        minDistance: 10,
+        maxDistance: 2000,
+        lightDistance: 2000
+    },
+    logarithmic: {
+        near: 0.1,
+        minDistance: 10,
+        maxDistance: 2500,
+        lightDistance: 2000
+    },
+    true: {
+        near: 0.00001,
+        minDistance: 0.001,
+        maxDistance: 12000,
+        lightDistance: 6000
+    }
+};
+SolarSystem.NEAR_PLANE_FACTOR = 0.001;
+// True scale follow distance, in target radii, with a floor for tiny bodies
+SolarSystem.FOLLOW_RADII = 12;
+SolarSystem.MIN_FOLLOW_RADIUS = 0.0005;
+// Fleet and star system validation errors listed under the file pickers; the rest go
+// to the console
+SolarSystem.MAX_FILE_ERRORS = 4;
+
+// Pole for bodies whose spin axis is unknown: perpendicular to the ecliptic
+SolarSystem.ECLIPTIC_POLE = { ra: 270.0, dec: 66.560708 };
+
+// Earth's sidereal day in hours, the reference for relative spin rates
+SolarSystem.EARTH_ROTATION_PERIOD = 23.9345;
+// IAU 2015 rotation model for the Sun (Carrington rotation, ~25.4 days)
+SolarSystem.SUN_ROTATION = {
+    axialTilt: 7.25,
+    rotationPeriod: 609.12,
+    pole: { ra: 286.13, dec: 63.87 },
+    primeMeridian: 84.176
+};
+
 // Initialize the solar system when the page loads
 window.addEventListener('load', () => {
     new SolarSystem();
@@ -0,0 +1,272 @@
+// Patched-conic trajectory of one VantraOrbit spacecraft
+//
+// Starts from a state around a parent body on an epoch and is worked out on demand,
+// forwards and backwards. Each segment is a Kepler orbit around one body (see
+// PatchedConics); a new segment begins where the ship leaves its parent's sphere of
+// influence, enters a child's, touches a surface or fires a planned burn. Segments are
+// kept, so scrubbing, jumping or reversing time replays exactly the same path.
+//
+// Burns run in order, forwards from the epoch: either on a date, or at the first
+// periapsis around a given body (e.g. to be captured on arrival).
+
+class SpacecraftTrajectory {
+    // start: { parent, epoch, position, velocity }, parent null for the Sun.
+    // maneuvers: [{ type: 'date', date } or { type: 'periapsis', body }, each with a
+    // deltaV of { prograde, normal, radial } in km/s, or circularize: true].
+    // bodies is the app's full body list.
+    constructor(start, maneuvers, bodies) {
+        this.maneuvers = maneuvers;
+        this.bodies = bodies;
+
+        const segment = SpacecraftTrajectory.createSegment(start.epoch, start.parent, start.position, start.velocity, 'start', 0);
+        segment.from = -Infinity;
+        this.segments = [segment];
+
+        // How far the trajectory has been worked out in each direction
+        this.last = SpacecraftTrajectory.createCursor(segment, start.epoch);
+        this.first = SpacecraftTrajectory.createCursor(segment, start.epoch);
+    }
+
+    static createSegment(epoch, parent, position, velocity, event, maneuverIndex, landed = false) {
+        return {
+            from: epoch,
+            epoch: epoch,
+            parent: parent,
+            position: position.clone(),
+            velocity: velocity.clone(),
+            event: event,
+            maneuverIndex: maneuverIndex,
+            landed: landed,
+            quiet: null
+        };
+    }
+
+    static createCursor(segment, time) {
+        return { segment: segment, time: time, position: segment.position.clone(), velocity: segment.velocity.clone() };
+    }
+
+    // State on a date: { parent, position, velocity, segment }, relative to the parent
+    getState(julianDate, target = { position: new THREE.Vector3(), velocity: new THREE.Vector3() }) {
+        if (julianDate > this.last.time) this.extend(this.last, julianDate, 1);
+        if (julianDate < this.first.time) this.extend(this.first, julianDate, -1);
+
+        const segment = this.findSegment(julianDate);
+        target.parent = segment.parent;
+        target.segment = segment;
+        SpacecraftTrajectory.getSegmentState(segment, julianDate, target.position, target.velocity);
+        return target;
+    }
+
+    // Latest segment that has begun by the date
+    findSegment(julianDate) {
+        let low = 0;
+        let high = this.segments.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.segments[middle].from <= julianDate) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return this.segments[low];
+    }
+
+    static getSegmentState(segment, julianDate, position, velocity) {
+        if (segment.landed) {
+            position.copy(segment.position);
+            velocity.set(0, 0, 0);
+            return;
+        }
+        PatchedConics.propagate(segment.position, segment.velocity, (julianDate - segment.epoch) * 86400,
+            PatchedConics.getGM(segment.parent), position, velocity);
+    }
+
+    // Work out the trajectory up to a date, a bounded number of steps at a time so a big
+    // jump can't stall a frame; the rest follows on later calls
+    extend(cursor, julianDate, direction) {
+        for (let i = 0; i < SpacecraftTrajectory.MAX_STEPS && (julianDate - cursor.time) * direction > 0; i++) {
+            this.step(cursor, julianDate, direction);
+        }
+    }
+
+    step(cursor, limit, direction) {
+        const segment = cursor.segment;
+        if (segment.landed) {
+            cursor.time = limit;
+            return;
+        }
+
+        let end = limit;
+        let burn = false;
+
+        // The next planned burn, if it falls before the limit
+        const maneuver = direction > 0 ? this.maneuvers[segment.maneuverIndex] : null;
+        if (maneuver) {
+            let burnTime = null;
+            if (maneuver.type === 'date') {
+                burnTime = Math.max(maneuver.date, cursor.time);
+            } else if (maneuver.body === segment.parent) {
+                const wait = PatchedConics.getTimeToPeriapsis(cursor.position, cursor.velocity, PatchedConics.getGM(segment.parent));
+                if (isFinite(wait)) burnTime = cursor.time + wait / 86400;
+            }
+            if (burnTime !== null && burnTime <= limit) {
+                end = burnTime;
+                burn = true;
+            }
+        }
+
+        // Orbits that can't reach another SOI or a surface go straight there
+        let event = null;
+        if (!this.isQuiet(segment, cursor)) {
+            const stepSize = this.getStepSize(segment, cursor);
+            if ((end - cursor.time) * direction > stepSize) {
+                end = cursor.time + stepSize * direction;
+                burn = false;
+            }
+
+            const position = new THREE.Vector3();
+            const velocity = new THREE.Vector3();
+            SpacecraftTrajectory.getSegmentState(segment, end, position, velocity);
+            if (this.findEvent(segment, end, position)) {
+                // Home in on the moment of the crossing
+                let before = cursor.time;
+                let after = end;
+                for (let i = 0; i < SpacecraftTrajectory.BISECTION_STEPS; i++) {
+                    const middle = (before + after) / 2;
+                    SpacecraftTrajectory.getSegmentState(segment, middle, position, velocity);
+                    if (this.findEvent(segment, middle, position)) {
+                        after = middle;
+                    } else {
+                        before = middle;
+                    }
+                }
+                end = after;
+                SpacecraftTrajectory.getSegmentState(segment, end, position, velocity);
+                event = this.findEvent(segment, end, position);
+                burn = false;
+            }
+        }
+
+        cursor.time = end;
+        SpacecraftTrajectory.getSegmentState(segment, end, cursor.position, cursor.velocity);
+
+        if (event) {
+            this.applyEvent(cursor, event, direction);
+        } else if (burn) {
+            this.applyBurn(cursor, maneuver);
+        }
+    }
+
+    // Bound orbits that stay inside the parent's SOI, clear of its surface and of every
+    // child's range can't change parent, so they need no stepping
+    isQuiet(segment, cursor) {
+        if (segment.quiet !== null) return segment.quiet;
+
+        const parent = segment.parent;
+        const shape = PatchedConics.getOrbitShape(cursor.position, cursor.velocity, PatchedConics.getGM(parent));
+        const children = PatchedConics.getChildren(parent, this.bodies);
+        segment.quiet = shape.eccentricity < 1 &&
+            shape.apoapsis < PatchedConics.getSoiRadius(parent) &&
+            shape.periapsis > PatchedConics.getRadius(parent) &&
+            children.every(child => {
+                const [inner, outer] = PatchedConics.getOrbitRange(child);
+                return shape.apoapsis < inner || shape.periapsis > outer;
+            });
+        return segment.quiet;
+    }
+
+    // Days the ship can safely coast before it could reach a boundary, at its current speed
+    getStepSize(segment, cursor) {
+        const parent = segment.parent;
+        const r = cursor.position.length();
+        const speed = cursor.velocity.length();
+        let seconds = (r - PatchedConics.getRadius(parent)) / speed;
+
+        const soi = PatchedConics.getSoiRadius(parent);
+        if (isFinite(soi)) seconds = Math.min(seconds, (soi - r) / speed);
+
+        const mu = PatchedConics.getGM(parent);
+        PatchedConics.getChildren(parent, this.bodies).forEach(child => {
+            const distance = cursor.position.distanceTo(PatchedConics.getBodyPosition(child, cursor.time));
+            const closingSpeed = speed + Math.sqrt(mu / PatchedConics.getSemiMajorAxis(child));
+            seconds = Math.min(seconds, (distance - PatchedConics.getSoiRadius(child)) / closingSpeed);
+        });
+
+        return THREE.MathUtils.clamp(seconds * SpacecraftTrajectory.STEP_SAFETY / 86400,
+            SpacecraftTrajectory.MIN_STEP, SpacecraftTrajectory.MAX_STEP);
+    }
+
+    // What, if anything, the ship has crossed into at this position
+    findEvent(segment, julianDate, position) {
+        if (position.length() < PatchedConics.getRadius(segment.parent)) return { type: 'impact' };
+        return PatchedConics.findSoiChange(segment.parent, position, julianDate, this.bodies);
+    }
+
+    // Hand the ship to its new parent, or set it down on the surface it hit
+    applyEvent(cursor, event, direction) {
+        const segment = cursor.segment;
+        const position = cursor.position.clone();
+        const velocity = cursor.velocity.clone();
+        let parent = segment.parent;
+        let landed = false;
+
+        if (event.type === 'impact') {
+            position.setLength(PatchedConics.getRadius(parent));
+            velocity.set(0, 0, 0);
+            landed = true;
+        } else {
+            parent = PatchedConics.changeParent(parent, event, position, velocity, cursor.time);
+        }
+
+        this.addSegment(cursor, SpacecraftTrajectory.createSegment(cursor.time, parent, position, velocity, event.type,
+            segment.maneuverIndex, landed), direction);
+    }
+
+    applyBurn(cursor, maneuver) {
+        const segment = cursor.segment;
+        const mu = PatchedConics.getGM(segment.parent);
+        const position = cursor.position.clone();
+        const velocity = cursor.velocity.clone();
+
+        if (maneuver.circularize) {
+            // At periapsis the velocity is already horizontal
+            velocity.setLength(Math.sqrt(mu / position.length()));
+        } else {
+            const prograde = velocity.clone().normalize();
+            const normal = new THREE.Vector3().crossVectors(position, velocity).normalize();
+            const radial = new THREE.Vector3().crossVectors(normal, prograde);
+            velocity.addScaledVector(prograde, maneuver.deltaV.prograde)
+                .addScaledVector(normal, maneuver.deltaV.normal)
+                .addScaledVector(radial, maneuver.deltaV.radial);
+        }
+
+        this.addSegment(cursor, SpacecraftTrajectory.createSegment(cursor.time, segment.parent, position, velocity, 'burn',
+            segment.maneuverIndex + 1), 1);
+    }
+
+    addSegment(cursor, segment, direction) {
+        if (direction > 0) {
+            this.segments.push(segment);
+        } else {
+            // Going back, the new orbit is the one that ends here
+            this.segments[0].from = segment.epoch;
+            segment.from = -Infinity;
+            this.segments.unshift(segment);
+        }
+        cursor.segment = segment;
+        cursor.position.copy(segment.position);
+        cursor.velocity.copy(segment.velocity);
+    }
+}
+
+// Limits on working out the trajectory, in days
+SpacecraftTrajectory.MIN_STEP = 1e-4;
+SpacecraftTrajectory.MAX_STEP = 5;
+// Fraction of the time to the nearest boundary covered in one step
+SpacecraftTrajectory.STEP_SAFETY = 0.5;
+SpacecraftTrajectory.BISECTION_STEPS = 40;
+SpacecraftTrajectory.MAX_STEPS = 20000;
+
+// Export the class
+window.SpacecraftTrajectory = SpacecraftTrajectory;
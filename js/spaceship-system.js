@@ -1,76 +1,300 @@
 class SpaceshipSystem {
-    constructor(scene) {
+    // bodies is the app's list of planets, moons and other bodies that ships can orbit;
+    // set bodiesLoaded once it is complete
+    constructor(scene, fleet = SpaceshipSystem.DEFAULT_FLEET, bodies = []) {
         this.scene = scene;
+        this.bodies = bodies;
+        this.bodiesLoaded = false;
         this.spaceships = [];
         this.orbitPaths = [];
-        // Store spaceship data
-        group.userData = {
-            ...config,
-            type: 'spaceship',
-            navLights: group.children.filter(child => 
-                child.material && child.material.color && 
-                (child.material.color.getHex() === 0xff0000 || 
-                 child.material.color.getHex() === 0x00ff00 || 
-                 child.material.color.getHex() === 0xffffff)
-            ),
-            engineGlows: group.children.filter(child => 
-                child.material && child.material.color && 
-                child.material.color.getHex() === 0x00ffff
-            )
+        this.fleetName = null;
+        this.shipsVisible = true;
+        this.orbitsVisible = true;
+        this.gltfLoader = null;
+        
+        // Called whenever ships are added or removed, e.g. to refresh ship pickers
+        this.onFleetChange = null;
+        
+        this.init(fleet);
+    }
+    
+    init(fleet) {
+        this.loadFleet(fleet);
+    }
+    
+    // Replace the fleet with one described in the JSON fleet format (see FleetLoader).
+    // Returns the validation result; an invalid fleet leaves the current one in place.
+    loadFleet(fleet) {
+        const result = FleetLoader.validate(fleet);
+        result.spaceships.forEach((definition, index) => this.checkBodies(definition, `spaceships[${index}]`, result.errors));
+        if (result.errors.length > 0) {
+            console.warn(`Fleet rejected:\n${result.errors.join('\n')}`);
+            return result;
+        }
+        
+        this.applyFleet(result);
+        return result;
+    }
+    
+    // Swap in an already validated fleet
+    applyFleet(result) {
+        this.spaceships.slice().forEach(spaceship => this.disposeSpaceship(spaceship));
+        this.spaceships = [];
+        result.spaceships.forEach(definition => this.createSpaceship(definition));
+        this.fleetName = result.name;
+        
+        console.log(`Loaded fleet ${result.name ? `"${result.name}" ` : ''}with ${this.spaceships.length} spaceships`);
+        this.notifyFleetChange();
+    }
+    
+    // Add one ship at runtime from a definition in the fleet format. Returns the ship, or
+    // null (with the reasons logged) if the definition is invalid or the name is taken.
+    addSpaceship(definition) {
+        const result = FleetLoader.validateSpaceship(definition);
+        if (result.spaceship && this.getSpaceship(result.spaceship.name)) {
+            result.errors.push(I18n.t('validator.spaceshipTaken', { path: 'spaceship.name', name: result.spaceship.name }));
+        }
+        if (result.spaceship) this.checkBodies(result.spaceship, 'spaceship', result.errors);
+        if (result.errors.length > 0) {
+            console.warn(`Spaceship not added:\n${result.errors.join('\n')}`);
+            return null;
+        }
+        
+        const spaceship = this.createSpaceship(result.spaceship);
+        this.notifyFleetChange();
+        return spaceship;
+    }
+    
+    // Remove a ship and its orbit by name; returns whether it existed
+    removeSpaceship(name) {
+        const spaceship = this.getSpaceship(name);
+        if (!spaceship) {
+            console.warn(`No spaceship called "${name}" to remove`);
+            return false;
+        }
+        
+        this.disposeSpaceship(spaceship);
+        this.spaceships = this.spaceships.filter(ship => ship !== spaceship);
+        console.log(`Removed spaceship ${name}`);
+        this.notifyFleetChange();
+        return true;
+    }
+    
+    getSpaceship(name) {
+        return this.spaceships.find(spaceship => spaceship.userData.name === name) || null;
+    }
+    
+    notifyFleetChange() {
+        if (this.onFleetChange) this.onFleetChange();
+    }
+    
+    // Body a ship can orbit, by name: null for the Sun, undefined if there is none
+    findBody(name) {
+        if (name === 'Sun') return null;
+        return this.bodies.find(body => body.userData.name === name && !body.userData.isComet &&
+            PatchedConics.getGM(body) > 0);
+    }
+    
+    // Once the bodies are loaded, check the ones a validated definition names
+    checkBodies(definition, path, errors) {
+        if (!this.bodiesLoaded) return;
+        if (this.findBody(definition.parent) === undefined) {
+            errors.push(I18n.t('validator.noParent', { path: `${path}.parent`, name: definition.parent }));
+        }
+        definition.maneuvers.forEach((maneuver, index) => {
+            if (maneuver.type === 'periapsis' && this.findBody(maneuver.body) === undefined) {
+                errors.push(I18n.t('validator.noPeriapsisBody', { path: `${path}.maneuvers[${index}].periapsis`, name: maneuver.body }));
+            }
+        });
+    }
+    
+    // Build a ship from a validated definition. Ships with an orbit period circle the Sun
+    // in the ecliptic, with the radius kept in compact scene units like the rest of the
+    // layout; the others fly a SpacecraftTrajectory, worked out once the bodies are in.
+    createSpaceship(definition) {
+        if (definition.orbit.period === null) {
+            return this.createFlyingSpaceship(definition);
+        }
+        
+        const config = {
+            name: definition.name,
+            orbitRadius: DistanceScale.toCompactScene(definition.orbit.radius),
+            orbitSpeed: 2 * Math.PI / definition.orbit.period,
+            angle: THREE.MathUtils.degToRad(definition.orbit.phase),
+            size: definition.size,
+            color: definition.color,
+            missionText: definition.mission,
+            model: definition.model
         };
-
-        // Add a small point light to illuminate the spaceship
-        const spaceshipLight = new THREE.PointLight(0xffffff, 0.5, 50);
-        spaceshipLight.position.set(0, 0, 0);
-        group.add(spaceshipLight);
         
-        return group;ationSpeed = 1.0;
-        
-        // Spaceship configuration
-        this.spaceshipConfigs = [
-            {
-                name: 'Explorer-1',
-                orbitRadius: 80,   // Between Mercury and Venus
-                orbitSpeed: 0.015,
-                size: 4.0,         // Increased size for visibility
-                color: 0x4a9eff,
-                angle: 0
-            },
-            {
-                name: 'Voyager-2',
-                orbitRadius: 200,  // Between Mars and Jupiter
-                orbitSpeed: 0.008,
-                size: 6.0,         // Increased size for visibility
-                color: 0x74b9ff,
-                angle: Math.PI
+        const spaceship = this.createSpaceshipModel(config);
+        spaceship.userData.orbitPath = this.createOrbitPath(config.orbitRadius, config.color);
+        spaceship.userData.orbitPath.visible = this.shipsVisible && this.orbitsVisible;
+        spaceship.visible = this.shipsVisible;
+        this.spaceships.push(spaceship);
+        this.scene.add(spaceship);
+        
+        if (config.model) {
+            this.loadModel(spaceship, config.model);
+        }
+        
+        console.log(`Created spaceship ${config.name} at orbit radius ${config.orbitRadius} with size ${config.size}`);
+        return spaceship;
+    }
+    
+    createFlyingSpaceship(definition) {
+        const config = {
+            name: definition.name,
+            flight: {
+                parent: definition.parent,
+                orbit: definition.orbit,
+                maneuvers: definition.maneuvers,
+                trajectory: null,
+                failed: false,
+                state: null,
+                segment: null,
+                pathKey: null
             },
-            {
-                name: 'Deep-Space-1',
-                orbitRadius: 400,  // Between Saturn and Uranus
-                orbitSpeed: 0.004,
-                size: 8.0,         // Increased size for visibility
-                color: 0xa29bfe,
-                angle: Math.PI / 2
-            }
-        ];
+            angle: 0,
+            size: definition.size,
+            color: definition.color,
+            missionText: definition.mission,
+            model: definition.model
+        };
+        
+        const spaceship = this.createSpaceshipModel(config);
+        spaceship.userData.orbitPath = this.createTrajectoryPath(config.color);
+        spaceship.userData.orbitPath.visible = false;
+        spaceship.visible = false;
+        this.spaceships.push(spaceship);
+        this.scene.add(spaceship);
+        
+        if (config.model) {
+            this.loadModel(spaceship, config.model);
+        }
         
-        this.init();
+        console.log(`Created spaceship ${config.name} orbiting ${definition.parent} with size ${config.size}`);
+        return spaceship;
     }
     
-    init() {
-        this.createSpaceships();
+    // Throw away the trajectories once the bodies have changed; each is worked out again
+    // on the next update, and ships whose bodies have gone stay hidden
+    replanFlights() {
+        this.spaceships.forEach(spaceship => {
+            const flight = spaceship.userData.flight;
+            if (!flight) return;
+            Object.assign(flight, { trajectory: null, failed: false, state: null, segment: null, pathKey: null });
+        });
+    }
+    
+    // Starting state from the fleet's orbit: radius is the mean distance from the Sun,
+    // altitude the height of periapsis above any other body
+    buildTrajectory(spaceship) {
+        const flight = spaceship.userData.flight;
+        const parent = this.findBody(flight.parent);
+        const maneuvers = flight.maneuvers.map(maneuver => maneuver.type === 'periapsis' ?
+            Object.assign({}, maneuver, { body: this.findBody(maneuver.body) }) : maneuver);
+        const missing = parent === undefined ||
+            maneuvers.some(maneuver => maneuver.type === 'periapsis' && maneuver.body === undefined);
+        if (missing) {
+            console.warn(`Spaceship ${spaceship.userData.name} names a body that isn't in the scene; it stays hidden`);
+            flight.failed = true;
+            spaceship.visible = false;
+            spaceship.userData.orbitPath.visible = false;
+            return;
+        }
+        
+        const orbit = flight.orbit;
+        const semiMajorAxis = parent ?
+            (PatchedConics.getRadius(parent) + orbit.altitude) / (1 - orbit.eccentricity) :
+            orbit.radius * DistanceScale.AU_KM;
+        const state = PatchedConics.stateFromElements({
+            semiMajorAxis: semiMajorAxis,
+            eccentricity: orbit.eccentricity,
+            inclination: orbit.inclination,
+            longitudeOfAscendingNode: orbit.node,
+            argumentOfPerihelion: orbit.argumentOfPeriapsis,
+            meanAnomalyAtEpoch: orbit.phase
+        }, PatchedConics.getGM(parent));
+        
+        flight.trajectory = new SpacecraftTrajectory({
+            parent: parent,
+            epoch: orbit.epoch,
+            position: state.position,
+            velocity: state.velocity
+        }, maneuvers, this.bodies);
+        spaceship.visible = this.shipsVisible;
     }
     
-    createSpaceships() {
-        this.spaceshipConfigs.forEach((config, index) => {
-            const spaceship = this.createSpaceshipModel(config);
-            this.spaceships.push(spaceship);
-            this.scene.add(spaceship);
+    // Swap the procedural hull for a glTF model, scaled to the same length, keeping the
+    // nav lights and engine glows. The hull stays if the loader is missing or the file
+    // can't be loaded.
+    loadModel(spaceship, path) {
+        if (typeof THREE.GLTFLoader === 'undefined') {
+            console.warn(`Can't load ${path} for ${spaceship.userData.name}: GLTFLoader is not available`);
+            return;
+        }
+        if (!this.gltfLoader) this.gltfLoader = new THREE.GLTFLoader();
+        
+        this.gltfLoader.load(path, gltf => {
+            // The ship may have been removed while the model was loading
+            if (!this.spaceships.includes(spaceship)) return;
             
-            console.log(`Created spaceship ${config.name} at orbit radius ${config.orbitRadius} with size ${config.size}`);
+            const model = gltf.scene;
+            const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+            const length = Math.max(size.x, size.y, size.z);
+            if (length > 0) {
+                model.scale.setScalar(SpaceshipSystem.HULL_LENGTH * spaceship.userData.size / length);
+            }
+            
+            // Meshes in a glTF file can share materials; each gets its own copy, so the
+            // highlight (see highlightSpaceship) only ever touches this ship's materials
+            const sharedMaterials = new Set();
+            model.traverse(child => {
+                if (!child.isMesh) return;
+                const materials = SpaceshipSystem.getMaterials(child);
+                materials.forEach(material => sharedMaterials.add(material));
+                child.material = Array.isArray(child.material) ?
+                    materials.map(material => material.clone()) : child.material.clone();
+            });
+            sharedMaterials.forEach(material => material.dispose());
             
-            // Create orbit path visualization
-            this.createOrbitPath(config.orbitRadius, config.color);
+            // Only the hull goes: the nav lights and engine glows stay on around the model,
+            // so the glow still shows a piloted ship's thrust
+            const data = spaceship.userData;
+            spaceship.children
+                .filter(child => child.isMesh && !data.navLights.includes(child) && !data.engineGlows.includes(child))
+                .forEach(child => {
+                    spaceship.remove(child);
+                    SpaceshipSystem.disposeObject(child);
+                });
+            spaceship.add(model);
+            console.log(`Loaded model ${path} for ${spaceship.userData.name}`);
+        }, undefined, error => {
+            console.warn(`Could not load model ${path} for ${spaceship.userData.name}; keeping the standard hull.`, error);
+        });
+    }
+    
+    disposeSpaceship(spaceship) {
+        const orbitPath = spaceship.userData.orbitPath;
+        if (orbitPath) {
+            this.scene.remove(orbitPath);
+            SpaceshipSystem.disposeObject(orbitPath);
+            this.orbitPaths = this.orbitPaths.filter(orbit => orbit !== orbitPath);
+        }
+        this.scene.remove(spaceship);
+        SpaceshipSystem.disposeObject(spaceship);
+    }
+    
+    static disposeObject(object) {
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+                    if (material.map) material.map.dispose();
+                    material.dispose();
+                });
+            }
         });
     }
     
@@ -179,16 +403,40 @@ class SpaceshipSystem {
             )
         };
         
+        // Add a small point light to illuminate the spaceship
+        const spaceshipLight = new THREE.PointLight(0xffffff, 0.5, 50);
+        spaceshipLight.position.set(0, 0, 0);
+        group.add(spaceshipLight);
+        
         // Set initial position
         group.position.x = Math.cos(config.angle) * config.orbitRadius;
-        group.position.z = Math.sin(config.angle) * config.orbitRadius;
+        group.position.z = -Math.sin(config.angle) * config.orbitRadius;
         group.position.y = Math.sin(config.angle * 2) * 5; // Add some vertical variation
         
         return group;
     }
     
+    // Line along a flying ship's current conic, redrawn when the orbit or scale changes
+    createTrajectoryPath(color) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((SpaceshipSystem.PATH_POINTS + 1) * 3), 3));
+        const material = new THREE.LineBasicMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.4
+        });
+        
+        const orbitPath = new THREE.Line(geometry, material);
+        orbitPath.userData = { type: 'spaceshipTrajectory' };
+        orbitPath.frustumCulled = false;
+        
+        this.scene.add(orbitPath);
+        this.orbitPaths.push(orbitPath);
+        return orbitPath;
+    }
+    
     createOrbitPath(radius, color) {
-        const orbitGeometry = new THREE.RingGeometry(radius - 0.5, radius + 0.5, 128);
+        const orbitGeometry = SpaceshipSystem.createRingGeometry(radius, SpaceshipSystem.ORBIT_WIDTH);
         const orbitMaterial = new THREE.MeshBasicMaterial({
             color: color,
             transparent: true,
@@ -198,104 +446,394 @@ class SpaceshipSystem {
         
         const orbitPath = new THREE.Mesh(orbitGeometry, orbitMaterial);
         orbitPath.rotation.x = Math.PI / 2;
-        orbitPath.userData = { type: 'spaceshipOrbit' };
+        orbitPath.userData = { type: 'spaceshipOrbit', orbitRadius: radius, drawnRadius: radius, drawnWidth: SpaceshipSystem.ORBIT_WIDTH };
         
         this.scene.add(orbitPath);
         this.orbitPaths.push(orbitPath);
+        return orbitPath;
+    }
+    
+    static createRingGeometry(radius, width) {
+        return new THREE.RingGeometry(radius - width / 2, radius + width / 2, SpaceshipSystem.ORBIT_SEGMENTS);
+    }
+    
+    // Orbit radii are laid out in compact scene units; follow the current distance scale
+    getScaledRadius(orbitRadius) {
+        return DistanceScale.toScene(DistanceScale.fromCompactScene(orbitRadius));
+    }
+    
+    // Ships are drawn HULL_LENGTH long in the compact and logarithmic modes and shrink to
+    // TRUE_HULL_LENGTH in true scale mode, where they would otherwise dwarf the planets
+    getSizeScale() {
+        return DistanceScale.blend(mode => mode === 'true' ? SpaceshipSystem.TRUE_HULL_LENGTH / SpaceshipSystem.HULL_LENGTH : 1);
     }
     
-    update(animationSpeed) {
-        this.animationSpeed = animationSpeed;
+    // The orbit band keeps its width in scene units while the radius follows the distance
+    // scale, so it is rebuilt rather than scaled when either changes
+    updateOrbitPath(orbit) {
+        const data = orbit.userData;
+        const radius = this.getScaledRadius(data.orbitRadius);
+        const width = DistanceScale.blend(mode => mode === 'true' ? SpaceshipSystem.TRUE_ORBIT_WIDTH : SpaceshipSystem.ORBIT_WIDTH);
+        if (radius === data.drawnRadius && width === data.drawnWidth) return;
         
+        orbit.geometry.dispose();
+        orbit.geometry = SpaceshipSystem.createRingGeometry(radius, width);
+        data.drawnRadius = radius;
+        data.drawnWidth = width;
+    }
+    
+    // Position every ship for the given simulation date, so time can run in either direction
+    update(julianDate) {
+        const daysSinceEpoch = julianDate - SimulationClock.J2000;
+        
+        this.orbitPaths.forEach(orbit => {
+            if (orbit.userData.type !== 'spaceshipOrbit') return;
+            this.updateOrbitPath(orbit);
+        });
+        
+        const sizeScale = this.getSizeScale();
         this.spaceships.forEach(spaceship => {
             const data = spaceship.userData;
+            this.animateLights(data);
+            
+            // ShipPilot flies this one until the pilot lets go
+            if (data.piloted) return;
+            
+            spaceship.scale.setScalar(sizeScale);
+            
+            // Ships on a planned transfer follow it between launch and arrival
+            if (data.mission && this.updateMissionPosition(spaceship, julianDate)) return;
+            
+            if (data.flight) {
+                this.updateFlight(spaceship, julianDate);
+                return;
+            }
+            
+            const orbitRadius = this.getScaledRadius(data.orbitRadius);
             
-            // Update orbital position
-            data.angle += data.orbitSpeed * this.animationSpeed;
+            // Orbital position is a pure function of the date
+            const angle = data.angle + data.orbitSpeed * daysSinceEpoch;
             
-            // Calculate new position with slight vertical oscillation
-            const x = Math.cos(data.angle) * data.orbitRadius;
-            const z = Math.sin(data.angle) * data.orbitRadius;
-            const y = Math.sin(data.angle * 3) * 8 + Math.cos(data.angle * 1.5) * 3; // Complex vertical movement
+            // Calculate new position with slight vertical oscillation,
+            // circling in the same (prograde) sense as the planets
+            const x = Math.cos(angle) * orbitRadius;
+            const z = -Math.sin(angle) * orbitRadius;
+            const y = (Math.sin(angle * 3) * 8 + Math.cos(angle * 1.5) * 3) * sizeScale; // Complex vertical movement
             
             spaceship.position.set(x, y, z);
             
             // Face direction of travel with banking
-            const nextX = Math.cos(data.angle + 0.01) * data.orbitRadius;
-            const nextZ = Math.sin(data.angle + 0.01) * data.orbitRadius;
+            const nextX = Math.cos(angle + 0.01) * orbitRadius;
+            const nextZ = -Math.sin(angle + 0.01) * orbitRadius;
             const direction = new THREE.Vector3(nextX - x, 0, nextZ - z).normalize();
             
             // Point forward and add banking
             spaceship.lookAt(spaceship.position.clone().add(direction));
-            spaceship.rotation.z += Math.sin(data.angle * 2) * 0.1; // Banking effect
-            
-            // Animate navigation lights (blinking)
-            const time = Date.now() * 0.003;
-            if (data.navLights) {
-                data.navLights.forEach((light, index) => {
-                    const blinkSpeed = 0.5 + index * 0.3;
-                    light.material.opacity = 0.5 + Math.sin(time * blinkSpeed) * 0.4;
-                });
-            }
-            
-            // Animate engine glows
-            if (data.engineGlows) {
-                data.engineGlows.forEach(glow => {
-                    const pulse = 0.4 + Math.sin(time * 4) * 0.2;
-                    glow.material.opacity = pulse;
-                    glow.scale.setScalar(0.8 + pulse * 0.4);
-                });
-            }
+            spaceship.rotation.z += Math.sin(angle * 2) * 0.1; // Banking effect
         });
     }
     
+    updateFlight(spaceship, julianDate) {
+        const flight = spaceship.userData.flight;
+        if (!flight.trajectory) {
+            if (flight.failed || !this.bodiesLoaded) return;
+            this.buildTrajectory(spaceship);
+            if (!flight.trajectory) return;
+        }
+        
+        const state = flight.trajectory.getState(julianDate, flight.state || undefined);
+        flight.state = state;
+        this.placeSpaceship(spaceship, state.parent, state.position, julianDate);
+        
+        // Nose along the velocity, wings in the orbital plane
+        if (state.velocity.lengthSq() > 0) {
+            const up = new THREE.Vector3().crossVectors(state.position, state.velocity);
+            SpaceshipSystem.orient(spaceship, state.velocity.clone().normalize(), up.lengthSq() > 0 ? up.normalize() : SpaceshipSystem.ECLIPTIC_NORTH);
+        }
+        
+        this.updateTrajectoryPath(spaceship, state);
+    }
+    
+    // Put a ship at a position in km from a parent (null for the Sun). Beside a planet or
+    // moon it shrinks towards that body's drawn size, so parking orbits stay legible.
+    placeSpaceship(spaceship, parent, position, julianDate) {
+        const frame = {};
+        PatchedConics.toScenePosition(parent, position, julianDate, this.bodies, spaceship.position, frame);
+        
+        const sizeScale = this.getSizeScale();
+        let scale = sizeScale;
+        if (frame.body) {
+            const drawnRadius = frame.body.scale.x * frame.body.userData.geometryRadius;
+            const fitted = Math.min(sizeScale, SpaceshipSystem.BODY_RADIUS_FRACTION * drawnRadius /
+                (SpaceshipSystem.HULL_LENGTH * spaceship.userData.size));
+            scale = THREE.MathUtils.lerp(sizeScale, fitted, frame.weight);
+        }
+        spaceship.scale.setScalar(scale);
+    }
+    
+    // The current conic from periapsis out to the edge of the parent's sphere of
+    // influence, drawn around the parent and following it
+    updateTrajectoryPath(spaceship, state) {
+        const flight = spaceship.userData.flight;
+        const orbitPath = spaceship.userData.orbitPath;
+        const parent = state.parent;
+        const segment = state.segment;
+        
+        orbitPath.visible = this.shipsVisible && this.orbitsVisible && !segment.landed;
+        orbitPath.position.copy(parent ? parent.position : PatchedConics.ORIGIN);
+        if (segment.landed) return;
+        
+        const mu = PatchedConics.getGM(parent);
+        const shape = PatchedConics.getOrbitShape(segment.position, segment.velocity, mu);
+        const limit = parent ? PatchedConics.getSoiRadius(parent) : SpaceshipSystem.MAX_PATH_AU * DistanceScale.AU_KM;
+        const furthest = Math.min(shape.apoapsis, limit);
+        
+        // Only rebuild when the orbit or the drawing scale has changed
+        const key = [PatchedConics.getSceneDistance(parent, shape.periapsis, this.bodies),
+            PatchedConics.getSceneDistance(parent, furthest, this.bodies)].join();
+        if (flight.segment === segment && flight.pathKey === key) return;
+        flight.segment = segment;
+        flight.pathKey = key;
+        
+        // Perifocal axes: towards periapsis, and 90 degrees on in the direction of travel
+        const normal = new THREE.Vector3().crossVectors(segment.position, segment.velocity).normalize();
+        const towardsPeriapsis = shape.eccentricity > PatchedConics.CIRCULAR_ECCENTRICITY ?
+            shape.eccentricityVector.clone().normalize() : segment.position.clone().normalize();
+        const sideways = new THREE.Vector3().crossVectors(normal, towardsPeriapsis);
+        
+        // A closed ellipse, or the arc within reach
+        const e = shape.eccentricity;
+        const p = shape.semiLatusRectum;
+        const closed = shape.apoapsis <= limit;
+        const maxAnomaly = closed ? Math.PI : Math.acos(THREE.MathUtils.clamp((p / limit - 1) / Math.max(e, Number.EPSILON), -1, 1));
+        
+        const positions = orbitPath.geometry.attributes.position;
+        const point = new THREE.Vector3();
+        for (let i = 0; i <= SpaceshipSystem.PATH_POINTS; i++) {
+            const anomaly = -maxAnomaly + 2 * maxAnomaly * i / SpaceshipSystem.PATH_POINTS;
+            const r = p / (1 + e * Math.cos(anomaly));
+            point.copy(towardsPeriapsis).multiplyScalar(Math.cos(anomaly))
+                .addScaledVector(sideways, Math.sin(anomaly))
+                .multiplyScalar(PatchedConics.getSceneDistance(parent, r, this.bodies));
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+        positions.needsUpdate = true;
+        orbitPath.geometry.computeBoundingSphere();
+    }
+    
+    // The procedural hull points its nose along +x with the wings in the x-y plane
+    static orient(ship, forward, up) {
+        const side = new THREE.Vector3().crossVectors(up, forward).normalize();
+        const trueUp = new THREE.Vector3().crossVectors(forward, side);
+        ship.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(forward, side, trueUp));
+    }
+    
+    animateLights(data) {
+        // Animate navigation lights (blinking)
+        const time = Date.now() * 0.003;
+        if (data.navLights) {
+            data.navLights.forEach((light, index) => {
+                const blinkSpeed = 0.5 + index * 0.3;
+                light.material.opacity = 0.5 + Math.sin(time * blinkSpeed) * 0.4;
+            });
+        }
+        
+        // Engine glows brighten and grow with the main engine's thrust (0 to 1);
+        // ships that aren't piloted idle
+        if (data.engineGlows) {
+            const thrust = Math.max(0, data.thrust || 0);
+            data.engineGlows.forEach(glow => {
+                glow.material.opacity = SpaceshipSystem.ENGINE_IDLE_OPACITY + (1 - SpaceshipSystem.ENGINE_IDLE_OPACITY) * thrust;
+                glow.scale.setScalar(SpaceshipSystem.ENGINE_IDLE_SCALE + SpaceshipSystem.ENGINE_THRUST_SCALE * thrust);
+            });
+        }
+    }
+    
+    // Send a ship along a planned transfer (see TransferOrbits); origin and destination
+    // are the planet bodies, whose scene positions and scales the ship follows
+    launchMission(spaceship, plan, origin, destination) {
+        spaceship.userData.mission = {
+            plan: plan,
+            origin: origin,
+            destination: destination
+        };
+    }
+    
+    // Position a ship on its transfer for the given date. Before launch it keeps its usual
+    // orbit (returns false); after arrival it stays parked beside the destination.
+    updateMissionPosition(spaceship, julianDate) {
+        const mission = spaceship.userData.mission;
+        const plan = mission.plan;
+        if (julianDate < plan.departureDate) return false;
+        
+        const destination = mission.destination;
+        if (julianDate >= plan.arrivalDate) {
+            const parkingDistance = destination.scale.x * destination.userData.geometryRadius * SpaceshipSystem.PARKING_RADII +
+                SpaceshipSystem.PARKING_CLEARANCE * this.getSizeScale();
+            spaceship.position.copy(destination.position)
+                .add(new THREE.Vector3(1, 0.5, 0).setLength(parkingDistance));
+            spaceship.lookAt(destination.position);
+            return true;
+        }
+        
+        const originScale = mission.origin.userData.orbitScale;
+        const destinationScale = destination.userData.orbitScale;
+        const progress = TransferOrbits.getProgress(plan, julianDate);
+        TransferOrbits.getScenePosition(plan, progress, originScale, destinationScale, spaceship.position);
+        
+        // Face along the transfer
+        const ahead = TransferOrbits.getScenePosition(plan, Math.min(1, progress + 0.001), originScale, destinationScale);
+        if (ahead.distanceToSquared(spaceship.position) > 0) {
+            spaceship.lookAt(ahead);
+        }
+        return true;
+    }
+    
     setOrbitVisibility(visible) {
+        this.orbitsVisible = visible;
         this.orbitPaths.forEach(orbit => {
             orbit.visible = visible;
         });
     }
     
+    setVisibility(visible) {
+        this.shipsVisible = visible;
+        this.spaceships.forEach(spaceship => {
+            // Flying ships stay hidden until their trajectory is ready
+            const flight = spaceship.userData.flight;
+            spaceship.visible = visible && (!flight || flight.trajectory !== null);
+        });
+    }
+    
     getSpaceshipInfo(spaceship) {
         const data = spaceship.userData;
+        const plan = data.mission && data.mission.plan;
+        const state = data.flight && data.flight.state;
         return {
             name: data.name,
-            type: 'Exploration Vessel',
-            orbitRadius: `${data.orbitRadius} AU`,
-            speed: `${(data.orbitSpeed * 100).toFixed(2)} AU/year`,
-            mission: this.getMissionDescription(data.name)
+            type: I18n.translate('types', 'Exploration Vessel'),
+            orbitRadius: state ? SpaceshipSystem.describePosition(state) : this.describeOrbit(data),
+            speed: state ? SpaceshipSystem.describeSpeed(state) : this.describeOrbitSpeed(data),
+            mission: plan ?
+                I18n.t('ships.transfer', {
+                    origin: I18n.getBodyName(plan.origin),
+                    destination: I18n.getBodyName(plan.destination),
+                    kind: plan.type === 'lambert' ? 'Lambert' : 'Hohmann',
+                    date: I18n.formatDate(SimulationClock.julianToDate(plan.arrivalDate), false)
+                }) :
+                this.getMissionDescription(data)
         };
     }
     
-    getMissionDescription(name) {
-        const missions = {
-            'Explorer-1': 'Inner system reconnaissance and mineral survey',
-            'Voyager-2': 'Deep space exploration and asteroid belt mapping',
-            'Deep-Space-1': 'Outer system research and ice moon investigation'
-        };
-        return missions[name] || 'Scientific exploration mission';
+    // Scripted circles are kept in compact scene units; the ship is drawn at the real
+    // distance they stand for in every scale mode
+    describeOrbit(data) {
+        const sceneRadius = this.getScaledRadius(data.orbitRadius);
+        return I18n.t('info.fromSun', { distance: Units.formatDistance(Units.sceneToKm(sceneRadius)) });
+    }
+    
+    // orbitSpeed is the angle covered per simulated day
+    describeOrbitSpeed(data) {
+        const sceneRadius = this.getScaledRadius(data.orbitRadius);
+        return Units.formatSpeed(Units.sceneSpeedToKmPerSecond(data.orbitSpeed * sceneRadius, sceneRadius));
+    }
+    
+    // Where a flying ship is, relative to its current parent
+    static describePosition(state) {
+        const distance = state.position.length();
+        if (!state.parent) return I18n.t('info.fromSun', { distance: Units.formatDistance(distance) });
+        
+        const name = I18n.getBodyName(PatchedConics.getName(state.parent));
+        if (state.segment.landed) return I18n.t('ships.landedOn', { name: name });
+        const altitude = distance - PatchedConics.getRadius(state.parent);
+        return I18n.t('ships.above', { distance: Units.formatDistance(altitude), name: name });
+    }
+    
+    static describeSpeed(state) {
+        const name = I18n.getBodyName(state.parent ? PatchedConics.getName(state.parent) : 'Sun');
+        return I18n.t('ships.relativeTo', { speed: Units.formatSpeed(state.velocity.length()), name: name });
     }
     
-    // Highlight a spaceship when clicked
+    // In the interface language when the locale bundle translates it (see I18n)
+    getMissionDescription(data) {
+        return I18n.translate('missions', data.missionText || 'Scientific exploration mission');
+    }
+    
+    // Highlight a spaceship when clicked, down to the meshes nested inside a glTF model
     highlightSpaceship(spaceship) {
-        // Reset all spaceships
         this.spaceships.forEach(ship => {
-            ship.children.forEach(child => {
-                if (child.material && child.material.emissive) {
-                    child.material.emissive.setHex(0x000000);
-                }
+            ship.traverse(child => {
+                if (!child.isMesh) return;
+                SpaceshipSystem.getMaterials(child).forEach(material => {
+                    if (!material.emissive) return;
+                    // Models may have an emissive colour of their own to go back to
+                    if (material.userData.baseEmissive === undefined) {
+                        material.userData.baseEmissive = material.emissive.getHex();
+                    }
+                    material.emissive.setHex(ship === spaceship ? 0x222222 : material.userData.baseEmissive);
+                });
             });
         });
-        
-        // Highlight selected spaceship
-        if (spaceship) {
-            spaceship.children.forEach(child => {
-                if (child.material && child.material.emissive) {
-                    child.material.emissive.setHex(0x222222);
-                }
-            });
-        }
+    }
+    
+    static getMaterials(mesh) {
+        return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
     }
 }
 
+// The fleet shown at start-up, in the JSON fleet format
+SpaceshipSystem.DEFAULT_FLEET = {
+    fleet: 'VantraOrbit exploration fleet',
+    spaceships: [
+        {
+            name: 'Explorer-1',
+            orbit: { radius: 0.815, period: 209.44, phase: 0 },   // Between Venus and Earth
+            color: '#4a9eff',
+            size: 4,
+            mission: 'Inner system reconnaissance and mineral survey'
+        },
+        {
+            name: 'Voyager-2',
+            orbit: { radius: 3.364, period: 392.7, phase: 180 },  // Between Mars and Jupiter
+            color: '#74b9ff',
+            size: 6,
+            mission: 'Deep space exploration and asteroid belt mapping'
+        },
+        {
+            name: 'Deep-Space-1',
+            orbit: { radius: 14.363, period: 785.4, phase: 90 },  // Between Saturn and Uranus
+            color: '#a29bfe',
+            size: 8,
+            mission: 'Outer system research and ice moon investigation'
+        }
+    ]
+};
+
+// Length of the procedural hull per unit of size; glTF models are scaled to match
+SpaceshipSystem.HULL_LENGTH = 4;
+// The same in true scale mode, where a size 4 ship is about as long as Earth is wide
+SpaceshipSystem.TRUE_HULL_LENGTH = 0.002;
+// Width of the band along a scripted orbit, in scene units, and its segments
+SpaceshipSystem.ORBIT_WIDTH = 1;
+SpaceshipSystem.TRUE_ORBIT_WIDTH = 0.2;
+SpaceshipSystem.ORBIT_SEGMENTS = 128;
+
+// Beside a planet or moon a ship is drawn at most this fraction of the body's radius long
+SpaceshipSystem.BODY_RADIUS_FRACTION = 0.3;
+SpaceshipSystem.ECLIPTIC_NORTH = new THREE.Vector3(0, 1, 0);
+
+// Points along a flying ship's drawn orbit, and how far from the Sun an escape arc goes (AU)
+SpaceshipSystem.PATH_POINTS = 256;
+SpaceshipSystem.MAX_PATH_AU = 60;
+
+// Engine glow at idle and how much it grows at full thrust
+SpaceshipSystem.ENGINE_IDLE_OPACITY = 0.3;
+SpaceshipSystem.ENGINE_IDLE_SCALE = 0.8;
+SpaceshipSystem.ENGINE_THRUST_SCALE = 1.2;
+
+// Ships parked at their destination sit this many planet radii plus a margin away
+SpaceshipSystem.PARKING_RADII = 2;
+SpaceshipSystem.PARKING_CLEARANCE = 10;
+
 // Export the class
 window.SpaceshipSystem = SpaceshipSystem;
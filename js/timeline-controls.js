@@ -0,0 +1,150 @@
+// Timeline bar for VantraOrbit
+//
+// Play/pause, reverse, frame-step, a scrubber across the ephemeris range,
+// a date/time picker and preset jumps to upcoming events. Everything goes
+// through the SimulationClock, so planets, moons and spaceships stay in sync
+// whichever direction time is running.
+
+class TimelineControls {
+    constructor(app) {
+        this.app = app;
+        this.clock = app.clock;
+        this.isScrubbing = false;
+        this.displayedDate = null;
+
+        this.bar = document.getElementById('timelineBar');
+        this.playButton = document.getElementById('playPauseButton');
+        this.reverseButton = document.getElementById('reverseButton');
+        this.stepBackButton = document.getElementById('stepBackButton');
+        this.stepForwardButton = document.getElementById('stepForwardButton');
+        this.nowButton = document.getElementById('nowButton');
+        this.scrubber = document.getElementById('timelineScrubber');
+        this.datePicker = document.getElementById('datePicker');
+        this.presetSelect = document.getElementById('timelinePresets');
+        this.dateDisplay = document.getElementById('simulationDate');
+
+        this.init();
+    }
+
+    init() {
+        if (!this.bar) return;
+
+        this.playButton.addEventListener('click', () => {
+            this.clock.togglePlay();
+            this.updateButtons();
+        });
+
+        this.reverseButton.addEventListener('click', () => {
+            this.clock.reverse();
+            this.updateButtons();
+        });
+
+        // Frame-step pauses playback and moves one day at a time
+        this.stepBackButton.addEventListener('click', () => this.stepBy(-TimelineControls.STEP_DAYS));
+        this.stepForwardButton.addEventListener('click', () => this.stepBy(TimelineControls.STEP_DAYS));
+
+        this.nowButton.addEventListener('click', () => {
+            this.clock.resetToNow();
+            this.update();
+        });
+
+        // Scrubbing takes over the clock until the pointer is released
+        this.scrubber.min = TimelineControls.MIN_YEAR;
+        this.scrubber.max = TimelineControls.MAX_YEAR;
+        this.scrubber.addEventListener('pointerdown', () => { this.isScrubbing = true; });
+        this.scrubber.addEventListener('pointerup', () => { this.isScrubbing = false; });
+        this.scrubber.addEventListener('input', (e) => {
+            this.clock.setYear(parseFloat(e.target.value));
+            this.update();
+        });
+
+        // The picker works in UTC to match the date readout
+        this.datePicker.addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            const date = new Date(e.target.value + 'Z');
+            if (!isNaN(date.getTime())) {
+                this.clock.setDate(date);
+                this.update();
+            }
+        });
+
+        this.presetSelect.addEventListener('change', (e) => {
+            this.jumpToPreset(e.target.value);
+            e.target.value = '';
+        });
+
+        this.updateButtons();
+        this.update();
+    }
+
+    show() {
+        if (this.bar) this.bar.style.display = 'flex';
+    }
+
+    stepBy(days) {
+        this.clock.pause();
+        this.clock.step(days);
+        this.updateButtons();
+        this.update();
+    }
+
+    jumpToPreset(preset) {
+        const julianDate = this.clock.julianDate;
+        let target = null;
+
+        if (preset === 'marsOpposition') {
+            target = AstroEvents.findNextOpposition('Mars', julianDate);
+        } else if (preset === 'solstice') {
+            target = AstroEvents.findNextSolstice(julianDate);
+        } else if (this.app.historicalMissions) {
+            target = this.app.historicalMissions.getPresetDate(preset);
+        }
+
+        if (target !== null) {
+            this.clock.julianDate = target;
+            this.clock.pause();
+            this.updateButtons();
+            this.update();
+        }
+    }
+
+    updateButtons() {
+        if (!this.bar) return;
+        this.playButton.textContent = this.clock.isPlaying ? '⏸' : '▶';
+        this.playButton.title = I18n.t(this.clock.isPlaying ? 'timeline.pause' : 'timeline.play');
+        this.reverseButton.classList.toggle('active', this.clock.direction < 0);
+    }
+
+    // Refresh the readout and scrubber; called every frame by the render loop
+    update() {
+        if (!this.bar) return;
+
+        const dateText = this.clock.formatDate();
+        if (dateText === this.displayedDate) return;
+        this.displayedDate = dateText;
+
+        this.dateDisplay.textContent = dateText;
+        if (!this.isScrubbing) {
+            this.scrubber.value = this.clock.getYear();
+        }
+        const date = this.clock.getDate();
+        if (document.activeElement !== this.datePicker && !isNaN(date.getTime())) {
+            this.datePicker.value = date.toISOString().slice(0, 16);
+        }
+    }
+
+    // Redraw the readout and button titles after the language changes
+    refresh() {
+        this.displayedDate = null;
+        this.updateButtons();
+        this.update();
+    }
+}
+
+// Scrubber range matches the validity of the bundled ephemeris
+TimelineControls.MIN_YEAR = 1800;
+TimelineControls.MAX_YEAR = 2050;
+TimelineControls.STEP_DAYS = 1;
+
+// Export the class
+window.TimelineControls = TimelineControls;
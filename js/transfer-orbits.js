@@ -0,0 +1,369 @@
+// Interplanetary transfer orbits for VantraOrbit
+//
+// Hohmann transfers between the planets of the bundled ephemeris. Positions are
+// heliocentric, in AU along the scene axes, and times are Julian dates.
+//
+// A textbook Hohmann transfer assumes circular, coplanar orbits. Here the launch
+// window is found from the planets' actual ephemeris positions: departure is on a
+// date when the destination will be exactly opposite the departure point after the
+// half-orbit flight, and the ellipse runs between the two actual distances. The
+// ship therefore meets the real, moving planet; the small change in ecliptic
+// latitude along the way is interpolated.
+//
+// Arbitrary departure and arrival dates are handled by a Lambert solver (universal
+// variables, single revolution, prograde), as used by the porkchop plot. Lambert
+// arcs are followed by propagating the departure state along its conic.
+
+class TransferOrbits {
+    // Half the period of the transfer ellipse between two distances, in days
+    static getTransferTime(startDistance, endDistance) {
+        const semiMajorAxis = (startDistance + endDistance) / 2;
+        return Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / TransferOrbits.SUN_GM);
+    }
+
+    // Heliocentric delta-v (km/s) to enter and leave a Hohmann ellipse between two
+    // circular orbits. Escaping from and capturing at the planets is not included.
+    static getHohmannDeltaV(startDistance, endDistance) {
+        const mu = TransferOrbits.SUN_GM;
+        const sum = startDistance + endDistance;
+        const departure = Math.sqrt(mu / startDistance) * (Math.sqrt(2 * endDistance / sum) - 1);
+        const arrival = Math.sqrt(mu / endDistance) * (1 - Math.sqrt(2 * startDistance / sum));
+
+        return {
+            departure: Math.abs(departure) * TransferOrbits.AU_PER_DAY_TO_KM_S,
+            arrival: Math.abs(arrival) * TransferOrbits.AU_PER_DAY_TO_KM_S
+        };
+    }
+
+    // Ecliptic longitude (radians) of a scene-axis position
+    static getLongitude(position) {
+        return Math.atan2(-position.z, position.x);
+    }
+
+    // Departure and arrival points for leaving on the given date. The flight time and
+    // the destination's position are refined together, as each depends on the other.
+    static getTransferEnds(origin, destination, departureDate) {
+        const start = Ephemeris.getPosition(origin, departureDate, 1);
+        let flightTime = TransferOrbits.getTransferTime(start.length(), Ephemeris.getElements(destination, departureDate).semiMajorAxis);
+        let end = null;
+
+        for (let i = 0; i < TransferOrbits.MAX_REFINEMENTS; i++) {
+            end = Ephemeris.getPosition(destination, departureDate + flightTime, 1);
+            const refined = TransferOrbits.getTransferTime(start.length(), end.length());
+            const change = Math.abs(refined - flightTime);
+            flightTime = refined;
+            if (change < TransferOrbits.TIME_TOLERANCE) break;
+        }
+        end = Ephemeris.getPosition(destination, departureDate + flightTime, 1);
+
+        return { start: start, end: end, flightTime: flightTime };
+    }
+
+    // How far (radians, -PI..PI) the destination will be from the point opposite departure
+    static getArrivalMiss(origin, destination, departureDate) {
+        const ends = TransferOrbits.getTransferEnds(origin, destination, departureDate);
+        const miss = TransferOrbits.getLongitude(ends.end) - TransferOrbits.getLongitude(ends.start) - Math.PI;
+        return Math.atan2(Math.sin(miss), Math.cos(miss));
+    }
+
+    // Synodic period (days): how often the same planetary alignment comes round
+    static getSynodicPeriod(origin, destination, julianDate) {
+        const period = name => 2 * Math.PI * Math.sqrt(Math.pow(Ephemeris.getElements(name, julianDate).semiMajorAxis, 3) / TransferOrbits.SUN_GM);
+        return 1 / Math.abs(1 / period(origin) - 1 / period(destination));
+    }
+
+    // First launch window on or after the given date, or null if there is none within
+    // one synodic period (plus a margin for eccentric orbits)
+    static findLaunchWindow(origin, destination, fromDate) {
+        const searchDays = TransferOrbits.getSynodicPeriod(origin, destination, fromDate) * 1.2;
+        const step = Math.max(1, searchDays / TransferOrbits.WINDOW_SEARCH_STEPS);
+
+        let previousDate = fromDate;
+        let previousMiss = TransferOrbits.getArrivalMiss(origin, destination, fromDate);
+        if (previousMiss === 0) return fromDate;
+
+        for (let date = fromDate + step; date <= fromDate + searchDays; date += step) {
+            const miss = TransferOrbits.getArrivalMiss(origin, destination, date);
+
+            // A sign change through zero, not the wrap-around at +-PI
+            if (Math.sign(miss) !== Math.sign(previousMiss) && Math.abs(miss - previousMiss) < Math.PI) {
+                return TransferOrbits.refineLaunchWindow(origin, destination, previousDate, date, previousMiss);
+            }
+
+            previousDate = date;
+            previousMiss = miss;
+        }
+
+        return null;
+    }
+
+    static refineLaunchWindow(origin, destination, low, high, lowMiss) {
+        for (let i = 0; i < 40; i++) {
+            const middle = (low + high) / 2;
+            const miss = TransferOrbits.getArrivalMiss(origin, destination, middle);
+            if (Math.sign(miss) === Math.sign(lowMiss)) {
+                low = middle;
+                lowMiss = miss;
+            } else {
+                high = middle;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    // Full Hohmann mission plan for the first launch window on or after the requested date
+    static planHohmann(origin, destination, requestedDate) {
+        if (origin === destination) return null;
+
+        const departureDate = TransferOrbits.findLaunchWindow(origin, destination, requestedDate);
+        if (departureDate === null) return null;
+
+        const ends = TransferOrbits.getTransferEnds(origin, destination, departureDate);
+        const startDistance = ends.start.length();
+        const endDistance = ends.end.length();
+        const deltaV = TransferOrbits.getHohmannDeltaV(startDistance, endDistance);
+
+        // Angle the destination leads the origin by at launch
+        const destinationStart = Ephemeris.getPosition(destination, departureDate, 1);
+        const phaseAngle = THREE.MathUtils.radToDeg(
+            TransferOrbits.getLongitude(destinationStart) - TransferOrbits.getLongitude(ends.start)
+        );
+
+        return {
+            type: 'hohmann',
+            origin: origin,
+            destination: destination,
+            requestedDate: requestedDate,
+            departureDate: departureDate,
+            arrivalDate: departureDate + ends.flightTime,
+            flightTime: ends.flightTime,
+            start: ends.start,
+            end: ends.end,
+            semiMajorAxis: (startDistance + endDistance) / 2,
+            eccentricity: Math.abs(endDistance - startDistance) / (startDistance + endDistance),
+            outbound: endDistance > startDistance,
+            departureDeltaV: deltaV.departure,
+            arrivalDeltaV: deltaV.arrival,
+            totalDeltaV: deltaV.departure + deltaV.arrival,
+            c3: deltaV.departure * deltaV.departure,
+            phaseAngle: TransferOrbits.wrapDegrees(phaseAngle)
+        };
+    }
+
+    static wrapDegrees(angle) {
+        return ((angle % 360) + 540) % 360 - 180;
+    }
+
+    // Heliocentric velocity (AU/day, scene axes) of a planet, by central difference
+    static getPlanetVelocity(name, julianDate, target = new THREE.Vector3()) {
+        const h = TransferOrbits.VELOCITY_STEP;
+        const after = Ephemeris.getPosition(name, julianDate + h, 1);
+        const before = Ephemeris.getPosition(name, julianDate - h, 1);
+        return target.subVectors(after, before).divideScalar(2 * h);
+    }
+
+    // Stumpff functions C(z) and S(z) of the universal-variable formulation
+    static stumpffC(z) {
+        if (z > 1e-8) return (1 - Math.cos(Math.sqrt(z))) / z;
+        if (z < -1e-8) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+        return 1 / 2 - z / 24;
+    }
+
+    static stumpffS(z) {
+        if (z > 1e-8) {
+            const root = Math.sqrt(z);
+            return (root - Math.sin(root)) / (root * root * root);
+        }
+        if (z < -1e-8) {
+            const root = Math.sqrt(-z);
+            return (Math.sinh(root) - root) / (root * root * root);
+        }
+        return 1 / 6 - z / 120;
+    }
+
+    // Lambert's problem: the prograde, single-revolution conic from r1 to r2 (AU, scene
+    // axes) taking flightTime days. Returns the velocities (AU/day) at both ends, or
+    // null where there is no solution (including exactly opposite positions, where
+    // the transfer plane is undefined).
+    static solveLambert(r1, r2, flightTime, mu = TransferOrbits.SUN_GM) {
+        const r1Length = r1.length();
+        const r2Length = r2.length();
+        if (!(flightTime > 0)) return null;
+
+        // Transfer angle, taking the prograde way round (ecliptic north is +y)
+        let angle = Math.acos(THREE.MathUtils.clamp(r1.dot(r2) / (r1Length * r2Length), -1, 1));
+        if (new THREE.Vector3().crossVectors(r1, r2).y < 0) angle = 2 * Math.PI - angle;
+
+        const A = Math.sin(angle) * Math.sqrt(r1Length * r2Length / (1 - Math.cos(angle)));
+        if (!isFinite(A) || Math.abs(A) < 1e-12) return null;
+
+        const getY = z => r1Length + r2Length + A * (z * TransferOrbits.stumpffS(z) - 1) / Math.sqrt(TransferOrbits.stumpffC(z));
+        const getTime = (z, y) => {
+            const x = Math.sqrt(y / TransferOrbits.stumpffC(z));
+            return (x * x * x * TransferOrbits.stumpffS(z) + A * Math.sqrt(y)) / Math.sqrt(mu);
+        };
+
+        // Flight time increases with z, from hyperbolic (negative) to the one-revolution
+        // limit at 4 PI^2. Widen the hyperbolic side until it brackets the wanted time.
+        let low = -4 * Math.PI;
+        let high = 4 * Math.PI * Math.PI;
+        for (let i = 0; i < 20; i++) {
+            const y = getY(low);
+            if (y < 0 || getTime(low, y) < flightTime) break;
+            low *= 2;
+        }
+
+        let z = 0;
+        let y = 0;
+        for (let i = 0; i < TransferOrbits.LAMBERT_ITERATIONS; i++) {
+            z = (low + high) / 2;
+            y = getY(z);
+            if (y < 0 || getTime(z, y) < flightTime) {
+                low = z;
+            } else {
+                high = z;
+            }
+            if (high - low < 1e-12) break;
+        }
+        if (!(y > 0)) return null;
+
+        // Lagrange coefficients
+        const f = 1 - y / r1Length;
+        const g = A * Math.sqrt(y / mu);
+        const gDot = 1 - y / r2Length;
+
+        return {
+            departureVelocity: r2.clone().addScaledVector(r1, -f).divideScalar(g),
+            arrivalVelocity: r2.clone().multiplyScalar(gDot).sub(r1).divideScalar(g)
+        };
+    }
+
+    // Position after flying for `time` days from position r0 with velocity v0, along the
+    // conic they define (universal-variable Kepler equation)
+    static propagateState(r0, v0, time, target = new THREE.Vector3(), mu = TransferOrbits.SUN_GM) {
+        const r0Length = r0.length();
+        const radialSpeed = r0.dot(v0) / r0Length;
+        const alpha = 2 / r0Length - v0.lengthSq() / mu;
+        const sqrtMu = Math.sqrt(mu);
+
+        // Newton iteration on the universal anomaly
+        let x = sqrtMu * Math.abs(alpha) * time;
+        for (let i = 0; i < TransferOrbits.LAMBERT_ITERATIONS; i++) {
+            const z = alpha * x * x;
+            const C = TransferOrbits.stumpffC(z);
+            const S = TransferOrbits.stumpffS(z);
+            const F = r0Length * radialSpeed / sqrtMu * x * x * C +
+                (1 - alpha * r0Length) * x * x * x * S + r0Length * x - sqrtMu * time;
+            const dF = r0Length * radialSpeed / sqrtMu * x * (1 - z * S) +
+                (1 - alpha * r0Length) * x * x * C + r0Length;
+            const change = F / dF;
+            x -= change;
+            if (Math.abs(change) < 1e-10) break;
+        }
+
+        const z = alpha * x * x;
+        const f = 1 - x * x / r0Length * TransferOrbits.stumpffC(z);
+        const g = time - x * x * x * TransferOrbits.stumpffS(z) / sqrtMu;
+        return target.copy(r0).multiplyScalar(f).addScaledVector(v0, g);
+    }
+
+    // Lambert transfer leaving on one date and arriving on another, with its hyperbolic
+    // excess speeds (km/s) and departure C3 (km^2/s^2). Null where Lambert has no solution.
+    static planLambert(origin, destination, departureDate, arrivalDate) {
+        if (origin === destination) return null;
+
+        const flightTime = arrivalDate - departureDate;
+        const start = Ephemeris.getPosition(origin, departureDate, 1);
+        const end = Ephemeris.getPosition(destination, arrivalDate, 1);
+        const solution = TransferOrbits.solveLambert(start, end, flightTime);
+        if (!solution) return null;
+
+        const departureExcess = solution.departureVelocity.clone()
+            .sub(TransferOrbits.getPlanetVelocity(origin, departureDate)).length() * TransferOrbits.AU_PER_DAY_TO_KM_S;
+        const arrivalExcess = solution.arrivalVelocity.clone()
+            .sub(TransferOrbits.getPlanetVelocity(destination, arrivalDate)).length() * TransferOrbits.AU_PER_DAY_TO_KM_S;
+        const destinationStart = Ephemeris.getPosition(destination, departureDate, 1);
+        const phaseAngle = THREE.MathUtils.radToDeg(
+            TransferOrbits.getLongitude(destinationStart) - TransferOrbits.getLongitude(start)
+        );
+
+        return {
+            type: 'lambert',
+            origin: origin,
+            destination: destination,
+            requestedDate: departureDate,
+            departureDate: departureDate,
+            arrivalDate: arrivalDate,
+            flightTime: flightTime,
+            start: start,
+            end: end,
+            velocity: solution.departureVelocity,
+            departureDeltaV: departureExcess,
+            arrivalDeltaV: arrivalExcess,
+            totalDeltaV: departureExcess + arrivalExcess,
+            c3: departureExcess * departureExcess,
+            phaseAngle: TransferOrbits.wrapDegrees(phaseAngle)
+        };
+    }
+
+    // Progress (0..1) along the transfer on the given date
+    static getProgress(plan, julianDate) {
+        return THREE.MathUtils.clamp((julianDate - plan.departureDate) / plan.flightTime, 0, 1);
+    }
+
+    // Heliocentric position (AU, scene axes) at a fraction of the way along the transfer.
+    // Outbound Hohmann transfers leave from perihelion, inbound ones from aphelion.
+    static getTransferPosition(plan, progress, target = new THREE.Vector3()) {
+        if (plan.type === 'lambert') {
+            return TransferOrbits.propagateState(plan.start, plan.velocity, progress * plan.flightTime, target);
+        }
+
+        const e = plan.eccentricity;
+        const meanAnomaly = Math.PI * progress + (plan.outbound ? 0 : Math.PI);
+        const eccentricAnomaly = OrbitalMechanics.solveKepler(meanAnomaly, e);
+        const trueAnomaly = 2 * Math.atan2(
+            Math.sqrt(1 + e) * Math.sin(eccentricAnomaly / 2),
+            Math.sqrt(1 - e) * Math.cos(eccentricAnomaly / 2)
+        );
+        const distance = plan.semiMajorAxis * (1 - e * Math.cos(eccentricAnomaly));
+
+        // Angle swept from the departure point, 0..PI
+        const sweep = plan.outbound ? trueAnomaly : trueAnomaly - Math.PI;
+        const sweepFraction = THREE.MathUtils.clamp(Math.abs(sweep) / Math.PI, 0, 1);
+        const longitude = TransferOrbits.getLongitude(plan.start) + sweepFraction * Math.PI;
+
+        const startLatitude = Math.asin(plan.start.y / plan.start.length());
+        const endLatitude = Math.asin(plan.end.y / plan.end.length());
+        const latitude = startLatitude + (endLatitude - startLatitude) * sweepFraction;
+
+        return target.set(
+            distance * Math.cos(latitude) * Math.cos(longitude),
+            distance * Math.sin(latitude),
+            -distance * Math.cos(latitude) * Math.sin(longitude)
+        );
+    }
+
+    // Scene position along a transfer. Each planet has its own AU-to-scene scale
+    // (userData.orbitScale), so the scale slides from the origin's to the destination's
+    // and the path meets both planets in any distance mode.
+    static getScenePosition(plan, progress, originScale, destinationScale, target = new THREE.Vector3()) {
+        const scale = THREE.MathUtils.lerp(originScale, destinationScale, progress);
+        return TransferOrbits.getTransferPosition(plan, progress, target).multiplyScalar(scale);
+    }
+}
+
+// Gaussian gravitational constant squared: the Sun's GM in AU^3 / day^2
+TransferOrbits.SUN_GM = 0.01720209895 * 0.01720209895;
+TransferOrbits.AU_PER_DAY_TO_KM_S = 149597870.7 / 86400;
+// Coarse samples per launch window search, before bisection
+TransferOrbits.WINDOW_SEARCH_STEPS = 2000;
+// Central-difference step (days) for planet velocities
+TransferOrbits.VELOCITY_STEP = 0.5;
+// Iteration cap for the Lambert bisection and the universal Kepler solver
+TransferOrbits.LAMBERT_ITERATIONS = 100;
+// Flight time refinement: iteration cap and tolerance in days
+TransferOrbits.MAX_REFINEMENTS = 50;
+TransferOrbits.TIME_TOLERANCE = 1e-6;
+
+// Export the class
+window.TransferOrbits = TransferOrbits;
@@ -0,0 +1,146 @@
+// Physical units for VantraOrbit's readouts
+//
+// Converts scene distances and speeds back to real ones and formats them in the unit
+// system picked in the controls:
+// - metric: kilometres, km/s, kilograms, m/s², g/cm³ and degrees Celsius
+// - imperial: miles, mi/s, pounds, ft/s², lb/ft³ and degrees Fahrenheit
+// - astronomical: AU with the light travel time, AU per year, Earth masses, Earth
+//   gravities, g/cm³ and kelvin. Lengths under a light-second (a planet's diameter, a
+//   parking orbit) are given in kilometres, and anything under 0.01 AU in light-seconds.
+// Scene distances are heliocentric and go through DistanceScale, so they come out the
+// same in every scale mode. Numbers and the spelled-out units ("million", "light-minutes")
+// are in the interface language (see I18n); unit symbols are the international ones.
+
+class Units {
+    static setSystem(system) {
+        if (!Units.SYSTEMS.includes(system)) return;
+        Units.system = system;
+    }
+
+    // Real distance in km for a distance from the Sun in scene units
+    static sceneToKm(distance) {
+        return DistanceScale.fromScene(distance) * DistanceScale.AU_KM;
+    }
+
+    // Real speed in km/s of something moving sceneSpeed scene units per simulated day
+    // across (not towards) the Sun, at sceneDistance from it. The scale modes only
+    // stretch distances radially, so sideways motion scales with the distance.
+    static sceneSpeedToKmPerSecond(sceneSpeed, sceneDistance) {
+        if (sceneDistance <= 0) return 0;
+        return sceneSpeed * Units.sceneToKm(sceneDistance) / sceneDistance / 86400;
+    }
+
+    static formatDistance(km) {
+        if (Units.system === 'imperial') {
+            return Units.formatLarge(km / Units.KM_PER_MILE, 'mi');
+        }
+        if (Units.system === 'astronomical' && km >= Units.LIGHT_KM_PER_SECOND) {
+            const seconds = km / Units.LIGHT_KM_PER_SECOND;
+            const au = km / DistanceScale.AU_KM;
+            if (au < Units.MIN_AU) return I18n.t('units.lightSeconds', { value: Units.formatNumber(seconds) });
+            const lightTime = seconds < 3600 ?
+                I18n.t('units.lightMinutes', { value: Units.formatNumber(seconds / 60) }) :
+                I18n.t('units.lightHours', { value: Units.formatNumber(seconds / 3600) });
+            return `${Units.formatNumber(au)} ${I18n.t('units.au')} (${lightTime})`;
+        }
+        return Units.formatLarge(km, 'km');
+    }
+
+    static formatSpeed(kmPerSecond) {
+        if (Units.system === 'imperial') {
+            return `${Units.formatFixed(kmPerSecond / Units.KM_PER_MILE, 2)} mi/s`;
+        }
+        if (Units.system === 'astronomical') {
+            return I18n.t('units.auPerYear', { value: Units.formatFixed(kmPerSecond * Units.SECONDS_PER_YEAR / DistanceScale.AU_KM, 2) });
+        }
+        return `${Units.formatFixed(kmPerSecond, 2)} km/s`;
+    }
+
+    // Masses as powers of ten, or in Earth masses in the astronomical system. Masses
+    // under a thousandth of Earth's (the small moons) stay in kilograms.
+    static formatMass(kg) {
+        const earthMasses = kg / Units.EARTH_MASS_KG;
+        if (Units.system === 'astronomical' && earthMasses >= Units.MIN_EARTH_MASSES) {
+            return I18n.t('units.earthMasses', { value: Units.formatNumber(earthMasses) });
+        }
+        const value = Units.system === 'imperial' ? kg / Units.KG_PER_POUND : kg;
+        const exponent = Math.floor(Math.log10(value));
+        const mantissa = Units.formatFixed(value / Math.pow(10, exponent), 2);
+        return `${mantissa} × 10${Units.toSuperscript(exponent)} ${Units.system === 'imperial' ? 'lb' : 'kg'}`;
+    }
+
+    // Surface gravity from an acceleration in m/s²
+    static formatAcceleration(metresPerSecondSquared) {
+        if (Units.system === 'imperial') {
+            return `${Units.formatNumber(metresPerSecondSquared / Units.METRES_PER_FOOT)} ft/s²`;
+        }
+        if (Units.system === 'astronomical') {
+            return `${Units.formatNumber(metresPerSecondSquared / Units.STANDARD_GRAVITY)} g`;
+        }
+        return `${Units.formatNumber(metresPerSecondSquared)} m/s²`;
+    }
+
+    static formatDensity(gramsPerCubicCentimetre) {
+        if (Units.system === 'imperial') {
+            const poundsPerCubicFoot = gramsPerCubicCentimetre * 1000 * Math.pow(Units.METRES_PER_FOOT, 3) / Units.KG_PER_POUND;
+            return `${Units.formatNumber(poundsPerCubicFoot)} lb/ft³`;
+        }
+        return `${Units.formatNumber(gramsPerCubicCentimetre)} g/cm³`;
+    }
+
+    static formatTemperature(kelvin) {
+        if (Units.system === 'imperial') {
+            return `${I18n.formatNumber(Math.round((kelvin - Units.ZERO_CELSIUS) * 9 / 5 + 32))} °F`;
+        }
+        if (Units.system === 'astronomical') {
+            return `${I18n.formatNumber(Math.round(kelvin))} K`;
+        }
+        return `${I18n.formatNumber(Math.round(kelvin - Units.ZERO_CELSIUS))} °C`;
+    }
+
+    static toSuperscript(number) {
+        return String(number).split('').map(character => Units.SUPERSCRIPTS[character]).join('');
+    }
+
+    // Millions and billions spelled out, e.g. "57.9 million km"
+    static formatLarge(value, unit) {
+        if (value >= 1e9) return I18n.t('units.billion', { value: Units.formatNumber(value / 1e9), unit: unit });
+        if (value >= 1e6) return I18n.t('units.million', { value: Units.formatNumber(value / 1e6), unit: unit });
+        return `${Units.formatNumber(value)} ${unit}`;
+    }
+
+    // Three significant figures, and whole numbers from a hundred up
+    static formatNumber(value) {
+        if (value >= 100) return I18n.formatNumber(Math.round(value));
+        return I18n.formatNumber(value, { maximumSignificantDigits: 3 });
+    }
+
+    // A fixed number of decimals, like toFixed
+    static formatFixed(value, digits) {
+        return I18n.formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+}
+
+Units.SYSTEMS = ['metric', 'imperial', 'astronomical'];
+Units.system = 'metric';
+
+Units.KM_PER_MILE = 1.609344;
+Units.KG_PER_POUND = 0.45359237;
+Units.METRES_PER_FOOT = 0.3048;
+// Standard gravity in m/s²
+Units.STANDARD_GRAVITY = 9.80665;
+Units.ZERO_CELSIUS = 273.15;
+Units.EARTH_MASS_KG = 5.9722e24;
+Units.LIGHT_KM_PER_SECOND = 299792.458;
+// Julian year
+Units.SECONDS_PER_YEAR = 365.25 * 86400;
+// Shortest distance given in AU in the astronomical system
+Units.MIN_AU = 0.01;
+// Smallest mass given in Earth masses in the astronomical system
+Units.MIN_EARTH_MASSES = 0.001;
+Units.SUPERSCRIPTS = {
+    '-': '⁻', '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹'
+};
+
+// Export the class
+window.Units = Units;
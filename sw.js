@@ -3,6 +3,47 @@ const urlsToCache = [
   './',
   './index.html',
   './js/solar-system.js',
+  './js/i18n.js',
+  './js/orbital-mechanics.js',
+  './js/simulation-clock.js',
+  './js/ephemeris.js',
+  './js/astro-events.js',
+  './js/timeline-controls.js',
+  './js/procedural-textures.js',
+  './js/distance-scale.js',
+  './js/units.js',
+  './js/small-body-belts.js',
+  './js/comet-system.js',
+  './js/lagrange-points.js',
+  './js/motion-trails.js',
+  './js/habitable-zone.js',
+  './js/body-table.js',
+  './js/size-lineup.js',
+  './js/mission-trajectories.js',
+  './js/historical-missions.js',
+  './js/transfer-orbits.js',
+  './js/mission-planner.js',
+  './js/porkchop-plot.js',
+  './js/ship-pilot.js',
+  './js/nbody-integrator.js',
+  './js/nbody-worker.js',
+  './js/gravity-sandbox.js',
+  './js/json-validator.js',
+  './js/fleet-loader.js',
+  './js/body-catalog.js',
+  './js/patched-conics.js',
+  './js/spacecraft-trajectory.js',
+  './fleets/example-fleet.json',
+  './fleets/earth-to-mars.json',
+  './catalogs/solar-system.json',
+  './catalogs/trappist-1.json',
+  './catalogs/kepler-90.json',
+  './catalogs/55-cancri.json',
+  './catalogs/example-system.json',
+  './locales/en.json',
+  './locales/es.json',
+  './locales/fr.json',
+  './locales/ar.json',
   './js/mobile-optimizations.js',
   './manifest.json',
   './textures/earth.jpg',
@@ -18,7 +59,8 @@ const urlsToCache = [
   './textures/saturn_rings.png',
   './textures/stars_milky_way_8k.jpg',
   'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
-  'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/controls/OrbitControls.js'
+  'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/controls/OrbitControls.js',
+  'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/GLTFLoader.js'
 ];
 
 self.addEventListener('install', function(event) {